@@ -14,27 +14,66 @@ import {
   RefreshControl,
   Animated,
   Share,
+  TextInput,
 } from 'react-native';
-import Geolocation, {GeoCoordinates} from 'react-native-geolocation-service';
+import Geolocation, {
+  GeoCoordinates,
+  GeoPosition,
+} from 'react-native-geolocation-service';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import 'react-native-get-random-values';
 import {v4 as uuidv4} from 'uuid';
 import {SERVER_URL, GPS_CONFIG, WATCH_OPTIONS} from './config';
 import LocationTrackingModule from './LocationTrackingModule';
+import {getDeviceSecret, signedJsonHeaders} from './deviceSigning';
+import {linkDevice, LinkMode} from './deviceLink';
 
 // Queue configuration
 const QUEUE_KEY = 'location_queue';
 const MAX_QUEUE_SIZE = 100;
 
+// Optional telemetry sent alongside each fix
+type LocationTelemetry = {
+  speed?: number; // m/s
+  heading?: number; // degrees
+  altitude?: number; // meters
+  altitudeAccuracy?: number; // meters
+  provider?: string;
+  isMock?: boolean; // fix came from a mock location app (server flags it as suspect)
+};
+
 // Location payload type
-type LocationPayload = {
+type LocationPayload = LocationTelemetry & {
+  pointId?: string; // Client-generated ID so retries aren't stored twice
   deviceId: string;
   latitude: number;
   longitude: number;
   accuracy?: number;
-  timestamp: number; // When it was queued
+  timestamp: number; // When the fix was recorded (sent as recordedAt)
 };
 
+// Extract telemetry from a fix, skipping values the platform marks invalid (null/-1)
+function telemetryFromPosition(position: GeoPosition): LocationTelemetry {
+  const {speed, heading, altitude, altitudeAccuracy} = position.coords;
+  const telemetry: LocationTelemetry = {isMock: position.mocked === true};
+  if (typeof speed === 'number' && speed >= 0) {
+    telemetry.speed = speed;
+  }
+  if (typeof heading === 'number' && heading >= 0 && heading <= 360) {
+    telemetry.heading = heading;
+  }
+  if (typeof altitude === 'number') {
+    telemetry.altitude = altitude;
+  }
+  if (typeof altitudeAccuracy === 'number' && altitudeAccuracy >= 0) {
+    telemetry.altitudeAccuracy = altitudeAccuracy;
+  }
+  if (position.provider) {
+    telemetry.provider = position.provider;
+  }
+  return telemetry;
+}
+
 // Queue helper functions
 async function loadQueue(): Promise<LocationPayload[]> {
   try {
@@ -84,33 +123,62 @@ async function enqueueLocation(payload: LocationPayload): Promise<void> {
   console.log(`📍 Location queued. Queue size: ${queue.length}`);
 }
 
-async function sendQueuedLocation(
-  payload: LocationPayload,
-): Promise<boolean> {
+type BatchPointResult = {
+  index: number;
+  success: boolean;
+  retryable?: boolean;
+  message?: string;
+};
+
+// Upload queued locations for one device in a single request.
+// Returns the items that should stay queued, or null if the request failed.
+async function sendQueuedBatch(
+  deviceId: string,
+  items: LocationPayload[],
+): Promise<LocationPayload[] | null> {
   try {
-    const response = await fetch(`${SERVER_URL}/api/location`, {
+    // Sign exactly the bytes that are sent
+    const requestBody = JSON.stringify({
+      deviceId,
+      points: items.map(({deviceId: _, timestamp, ...point}) => ({
+        ...point,
+        recordedAt: timestamp,
+      })),
+    });
+    const response = await fetch(`${SERVER_URL}/api/location/batch`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        deviceId: payload.deviceId,
-        latitude: payload.latitude,
-        longitude: payload.longitude,
-        accuracy: payload.accuracy,
-      }),
+      headers: await signedJsonHeaders(requestBody),
+      body: requestBody,
     });
-    
-    if (response.ok) {
-      return true;
-    } else {
+
+    if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      console.log('❌ Queued location send failed:', response.status, errorData);
-      return false;
+      console.log('❌ Queued batch send failed:', response.status, errorData);
+      return null;
     }
+
+    const body = await response.json();
+    const results: BatchPointResult[] = body?.data?.results ?? [];
+
+    // Keep points the server could not store but may accept later, and any
+    // point the response does not mention
+    return items.filter((_, index) => {
+      const result = results[index];
+      if (!result) {
+        return true;
+      }
+      if (result.success) {
+        return false;
+      }
+      if (!result.retryable) {
+        console.log('🗑️ Dropping rejected queued location:', result.message);
+        return false;
+      }
+      return true;
+    });
   } catch (err) {
-    console.log('❌ Queued location send error (network):', err);
-    return false;
+    console.log('❌ Queued batch send error (network):', err);
+    return null;
   }
 }
 
@@ -120,24 +188,29 @@ async function flushQueue(): Promise<void> {
   if (queue.length === 0) {
     return;
   }
+
+  // Unsigned uploads are rejected: keep everything until the device is linked
+  if (!(await getDeviceSecret())) {
+    return;
+  }
   
   console.log(`🔄 Flushing queue: ${queue.length} items`);
   
-  // Process queue one by one (FIFO - process from start)
+  // Send each device's points as one batch (queue never exceeds the batch limit)
   const remainingQueue: LocationPayload[] = [];
+  const deviceIds = Array.from(new Set(queue.map(item => item.deviceId)));
   
-  for (const item of queue) {
-    const success = await sendQueuedLocation(item);
+  for (const id of deviceIds) {
+    const items = queue.filter(item => item.deviceId === id);
+    const remaining = await sendQueuedBatch(id, items);
     
-    if (success) {
-      console.log(`✅ Queued location sent: ${item.timestamp}`);
-      // Don't add to remainingQueue - it's successfully sent
+    if (remaining === null) {
+      // Network still down, keep everything for this device
+      remainingQueue.push(...items);
+      console.log('⏸️ Queue flush failed - network still unavailable');
     } else {
-      // Network still down, keep in queue
-      remainingQueue.push(item);
-      // Stop retrying if one fails (network is still down)
-      console.log('⏸️ Stopping queue flush - network still unavailable');
-      break;
+      console.log(`✅ Queued locations sent: ${items.length - remaining.length}`);
+      remainingQueue.push(...remaining);
     }
   }
   
@@ -161,6 +234,14 @@ export default function App() {
   const [lastRefresh, setLastRefresh] = useState<Date | null>(null);
   const [showToast, setShowToast] = useState(false);
   const [isBackgroundTracking, setIsBackgroundTracking] = useState(false);
+  // Whether this device has its signing secret (null while loading)
+  const [isLinked, setIsLinked] = useState<boolean | null>(null);
+  const [linkMode, setLinkMode] = useState<LinkMode>('signIn');
+  const [linkUsername, setLinkUsername] = useState('');
+  const [linkEmail, setLinkEmail] = useState('');
+  const [linkPassword, setLinkPassword] = useState('');
+  const [linking, setLinking] = useState(false);
+  const [linkError, setLinkError] = useState<string | null>(null);
   const watchId = useRef<number | null>(null);
   const autoRefreshInterval = useRef<ReturnType<typeof setInterval> | null>(null);
   const refreshIconRotation = useRef(new Animated.Value(0)).current;
@@ -302,12 +383,19 @@ export default function App() {
         return;
       }
 
+      if (!(await getDeviceSecret())) {
+        Alert.alert('Link this device', 'Sign in to link this device to your account first.');
+        return;
+      }
+
       // Request background location permission first (Android 10+)
       const hasBackgroundPermission = await requestBackgroundLocationPermission();
       if (!hasBackgroundPermission) {
         return; // User denied or needs to grant in settings
       }
 
+      // Hand the service the current secret so its uploads are signed too
+      await LocationTrackingModule.setDeviceSecret(await getDeviceSecret());
       await LocationTrackingModule.startTracking(deviceId, SERVER_URL);
       setIsBackgroundTracking(true);
       Alert.alert('Success', 'Background tracking started. Location will continue even when app is closed.');
@@ -351,55 +439,101 @@ export default function App() {
     latitude,
     longitude,
     accuracy,
+    recordedAt,
+    telemetry = {},
   }: {
     deviceId: string;
     latitude: number;
     longitude: number;
     accuracy?: number;
+    recordedAt: number;
+    telemetry?: LocationTelemetry;
   }) {
     // Try to flush queue before sending new location
     await flushQueue();
     
+    // One ID per fix: if the response is lost, the queued retry is deduplicated
+    const pointId = uuidv4();
+    const queued = {
+      pointId,
+      deviceId,
+      latitude,
+      longitude,
+      accuracy,
+      timestamp: recordedAt,
+      ...telemetry,
+    };
+
+    // Not linked yet: the server would reject it, so keep it for later
+    if (!(await getDeviceSecret())) {
+      await enqueueLocation(queued);
+      return;
+    }
+    
     try {
+      const requestBody = JSON.stringify({
+        pointId,
+        deviceId,
+        latitude,
+        longitude,
+        accuracy,
+        recordedAt,
+        ...telemetry,
+      });
       const response = await fetch(`${SERVER_URL}/api/location`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          deviceId,
-          latitude,
-          longitude,
-          accuracy,
-        }),
+        headers: await signedJsonHeaders(requestBody),
+        body: requestBody,
       });
       
       if (response.ok) {
         console.log('✅ Location sent successfully');
+      } else if (response.status === 400) {
+        // Rejected as invalid: sending it again won't help
+        const errorData = await response.json().catch(() => ({}));
+        console.log('🗑️ Location rejected:', errorData);
       } else {
-        // Server error (4xx, 5xx) - queue it
+        // Server error (401, 429, 5xx) - queue it
         const errorData = await response.json().catch(() => ({}));
         console.log('❌ Location send failed:', response.status, errorData);
         
-        await enqueueLocation({
-          deviceId,
-          latitude,
-          longitude,
-          accuracy,
-          timestamp: Date.now(),
-        });
+        await enqueueLocation(queued);
       }
     } catch (err) {
       // Network error - queue it
       console.log('❌ Location send error (network):', err);
       
-      await enqueueLocation({
-        deviceId,
-        latitude,
-        longitude,
-        accuracy,
-        timestamp: Date.now(),
-      });
+      await enqueueLocation(queued);
+    }
+  }
+
+  async function handleLinkDevice() {
+    if (!deviceId || linking) {
+      return;
+    }
+    const username = linkUsername.trim();
+    const email = linkEmail.trim();
+    if (!username || !linkPassword || (linkMode === 'register' && !email)) {
+      setLinkError(
+        linkMode === 'register'
+          ? 'Email, username and password are required'
+          : 'Username and password are required',
+      );
+      return;
+    }
+
+    setLinking(true);
+    setLinkError(null);
+    try {
+      await linkDevice({mode: linkMode, deviceId, username, password: linkPassword, email});
+      setIsLinked(true);
+      setLinkPassword('');
+      Alert.alert('Device linked', 'Locations from this device now go to your account.');
+      await flushQueue();
+    } catch (err: any) {
+      setLinkError(err.message || 'Could not link this device');
+    } finally {
+      setLinking(false);
     }
   }
 
@@ -407,6 +541,7 @@ export default function App() {
     (async () => {
       const id = await getOrCreateDeviceId();
       setDeviceId(id);
+      setIsLinked(Boolean(await getDeviceSecret()));
       
       // Flush queue on app start
       await flushQueue();
@@ -463,6 +598,8 @@ export default function App() {
               latitude: coords.latitude,
               longitude: coords.longitude,
               accuracy: coords.accuracy,
+              recordedAt: position.timestamp,
+              telemetry: telemetryFromPosition(position),
             });
           }
           setLocation(coords);
@@ -623,6 +760,8 @@ export default function App() {
                   latitude: coords.latitude,
                   longitude: coords.longitude,
                   accuracy: coords.accuracy,
+                  recordedAt: position.timestamp,
+                  telemetry: telemetryFromPosition(position),
                 });
               }
             }
@@ -844,6 +983,68 @@ export default function App() {
               </View>
             </View>
 
+            {deviceId && isLinked === false && (
+              <View style={styles.deviceCard}>
+                <View style={styles.deviceHeader}>
+                  <Text style={styles.deviceLabel}>Link to your account</Text>
+                  <TouchableOpacity
+                    onPress={() => {
+                      setLinkMode(linkMode === 'signIn' ? 'register' : 'signIn');
+                      setLinkError(null);
+                    }}
+                    activeOpacity={0.7}>
+                    <Text style={styles.linkModeText}>
+                      {linkMode === 'signIn' ? 'Create account' : 'Sign in instead'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+                <Text style={styles.linkHint}>
+                  Locations are kept on this phone until it is linked.
+                </Text>
+                {linkMode === 'register' && (
+                  <TextInput
+                    style={styles.linkInput}
+                    value={linkEmail}
+                    onChangeText={setLinkEmail}
+                    placeholder="Email"
+                    placeholderTextColor="#64748B"
+                    autoCapitalize="none"
+                    keyboardType="email-address"
+                  />
+                )}
+                <TextInput
+                  style={styles.linkInput}
+                  value={linkUsername}
+                  onChangeText={setLinkUsername}
+                  placeholder="Username"
+                  placeholderTextColor="#64748B"
+                  autoCapitalize="none"
+                />
+                <TextInput
+                  style={styles.linkInput}
+                  value={linkPassword}
+                  onChangeText={setLinkPassword}
+                  placeholder="Password"
+                  placeholderTextColor="#64748B"
+                  secureTextEntry
+                />
+                {linkError && <Text style={styles.linkError}>{linkError}</Text>}
+                <TouchableOpacity
+                  style={[styles.copyButton, styles.linkButton]}
+                  onPress={handleLinkDevice}
+                  disabled={linking}
+                  activeOpacity={0.7}>
+                  <Text style={styles.copyButtonText}>
+                    {linking
+                      ? 'Linking...'
+                      : linkMode === 'signIn'
+                        ? 'Sign In and Link'
+                        : 'Create Account'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
             {deviceId && (
               <View style={styles.deviceCard}>
                 <View style={styles.deviceHeader}>
@@ -1151,6 +1352,35 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     letterSpacing: 0.3,
   },
+  linkModeText: {
+    color: '#60A5FA',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  linkHint: {
+    fontSize: 13,
+    color: '#94A3B8',
+    marginBottom: 12,
+  },
+  linkInput: {
+    backgroundColor: '#0F172A',
+    color: '#E2E8F0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+    fontSize: 14,
+  },
+  linkError: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginTop: 4,
+  },
   deviceValue: {
     fontSize: 13,
     color: '#E2E8F0',
@@ -13,6 +13,8 @@ interface LocationTrackingModuleInterface {
   startTracking(deviceId: string, serverUrl: string): Promise<boolean>;
   stopTracking(): Promise<boolean>;
   isTracking(): Promise<boolean>;
+  // Secret the service signs uploads with (null clears it)
+  setDeviceSecret(secret: string | null): Promise<boolean>;
 }
 
 export default LocationTrackingModule as LocationTrackingModuleInterface;
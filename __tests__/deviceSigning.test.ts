@@ -0,0 +1,44 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {hmacSha256Hex, signedJsonHeaders} from '../deviceSigning';
+
+describe('hmacSha256Hex', () => {
+  // RFC 4231, section 4, test case 2
+  it('matches the RFC 4231 vector with a text key', () => {
+    expect(hmacSha256Hex('Jefe', 'what do ya want for nothing?')).toBe(
+      '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+    );
+  });
+
+  it('encodes key and message as UTF-8, like the server', () => {
+    expect(hmacSha256Hex('ü', 'ß')).toBe(
+      '0b21500d2b65ef2df69cc44fd0f3df5f64c356a9fa67a28c24109945d4b86121',
+    );
+  });
+});
+
+describe('signedJsonHeaders', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('leaves uploads unsigned without a secret', async () => {
+    expect(await signedJsonHeaders('{}')).toEqual({'Content-Type': 'application/json'});
+  });
+
+  it('signs the timestamp and body with the stored secret', async () => {
+    await AsyncStorage.setItem('device_secret', 'secret');
+    const body = '{"deviceId":"device-1"}';
+
+    const headers = await signedJsonHeaders(body);
+
+    const timestamp = headers['X-Device-Timestamp'];
+    expect(timestamp).toMatch(/^\d{13}$/);
+    expect(headers['X-Device-Signature']).toBe(
+      hmacSha256Hex('secret', `${timestamp}.${body}`),
+    );
+  });
+});
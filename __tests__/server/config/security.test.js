@@ -0,0 +1,45 @@
+import {loadSecurityConfig} from '../../../config/security.js';
+
+describe('loadSecurityConfig CORS_ORIGINS', () => {
+  it('allows any origin by default outside production', () => {
+    expect(loadSecurityConfig({}).cors.origins).toBe('*');
+  });
+
+  it('requires an allowlist in production', () => {
+    expect(() => loadSecurityConfig({NODE_ENV: 'production'})).toThrow('CORS_ORIGINS must be set in production');
+    expect(() => loadSecurityConfig({NODE_ENV: 'production', CORS_ORIGINS: ''})).toThrow(
+      'CORS_ORIGINS must be set in production',
+    );
+    expect(() => loadSecurityConfig({NODE_ENV: 'production', CORS_ORIGINS: '*'})).toThrow(
+      'cannot be "*" in production',
+    );
+  });
+
+  it('accepts an allowlist in production', () => {
+    const config = loadSecurityConfig({
+      NODE_ENV: 'production',
+      CORS_ORIGINS: 'https://tracker.example.com, http://localhost:8080/',
+    });
+
+    expect(config.cors.origins).toEqual(['https://tracker.example.com', 'http://localhost:8080']);
+  });
+
+  it('drops explicit default ports', () => {
+    const {cors} = loadSecurityConfig({CORS_ORIGINS: 'https://a.example.com:443,http://b.example.com:80'});
+
+    expect(cors.origins).toEqual(['https://a.example.com', 'http://b.example.com']);
+  });
+
+  it('keeps other ports', () => {
+    expect(loadSecurityConfig({CORS_ORIGINS: 'https://a.example.com:8443'}).cors.origins).toEqual([
+      'https://a.example.com:8443',
+    ]);
+  });
+
+  it('rejects entries that are not origins', () => {
+    expect(() => loadSecurityConfig({CORS_ORIGINS: 'https://a.example.com/app'})).toThrow('is not an origin');
+    expect(() => loadSecurityConfig({CORS_ORIGINS: 'https://user@a.example.com'})).toThrow('is not an origin');
+    expect(() => loadSecurityConfig({CORS_ORIGINS: 'ftp://a.example.com'})).toThrow('must use http or https');
+    expect(() => loadSecurityConfig({CORS_ORIGINS: 'a.example.com'})).toThrow('is not a valid URL');
+  });
+});
@@ -0,0 +1,38 @@
+import appearedFarAfterIdle from '../../../services/detection/rules/appearedFarAfterIdle.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+describe('appeared_far_after_idle', () => {
+  const engine = engineWith(appearedFarAfterIdle);
+  const points = [pointAt(0), pointAt(5, 100), pointAt(10, 100)];
+
+  it('flags a device that stopped moving far from where the sample started', () => {
+    const context = contextFor(points, {now: pointAt(40).recordedAt, lastMovement: pointAt(5).recordedAt});
+
+    const result = engine.evaluate(context);
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.rules[0]).toMatchObject({id: 'appeared_far_after_idle', severity: 'medium'});
+    expect(result.rules[0].message).toBe('Device was idle for 35 minutes, then appeared 100.0 meters away');
+  });
+
+  it('accepts a device that moved recently', () => {
+    const context = contextFor(points, {now: pointAt(10).recordedAt, lastMovement: pointAt(5).recordedAt});
+
+    expect(engine.evaluate(context)).toMatchObject({status: 'OK', checkedRules: ['appeared_far_after_idle']});
+  });
+
+  it('accepts a device that stayed where it started', () => {
+    const still = [pointAt(0), pointAt(5, 10), pointAt(10, 10)];
+    const context = contextFor(still, {now: pointAt(40).recordedAt, lastMovement: pointAt(0).recordedAt});
+
+    expect(engine.evaluate(context).status).toBe('OK');
+  });
+
+  it('does not run when the device turned it off', () => {
+    const context = contextFor(points, {now: pointAt(40).recordedAt, lastMovement: pointAt(5).recordedAt});
+
+    const result = engine.evaluate(context, {appeared_far_after_idle: false});
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: []});
+  });
+});
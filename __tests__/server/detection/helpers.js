@@ -0,0 +1,43 @@
+import {createRuleEngine} from '../../../services/detection/engine.js';
+
+// Fixtures for the detection rule tests
+
+const START = Date.parse('2026-10-19T12:00:00.000Z');
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+/**
+ * A location point `minutes` after noon UTC, `metersNorth` of a fixed origin
+ */
+export function pointAt(minutes, metersNorth = 0, extra = {}) {
+  return {
+    latitude: 52.52 + metersNorth / METERS_PER_DEGREE,
+    longitude: 13.405,
+    accuracy: 10,
+    recordedAt: new Date(START + minutes * 60000),
+    ...extra,
+  };
+}
+
+/**
+ * Rule context for chronological points, evaluated right after the last one
+ */
+export function contextFor(points, overrides = {}) {
+  const latest = points[points.length - 1];
+  return {
+    points,
+    suspectPoints: [],
+    now: latest ? new Date(latest.recordedAt) : new Date(START),
+    lastMovement: latest ? new Date(latest.recordedAt) : null,
+    timezone: 'UTC',
+    ...overrides,
+  };
+}
+
+/**
+ * An engine running only the given rule
+ */
+export function engineWith(rule) {
+  const engine = createRuleEngine();
+  engine.register(rule);
+  return engine;
+}
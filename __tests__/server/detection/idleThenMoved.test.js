@@ -0,0 +1,34 @@
+import idleThenMoved from '../../../services/detection/rules/idleThenMoved.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+describe('idle_then_moved', () => {
+  const engine = engineWith(idleThenMoved);
+
+  it('flags movement after a long quiet gap', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(30, 100)]));
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.rules[0]).toMatchObject({id: 'idle_then_moved', severity: 'medium'});
+    expect(result.rules[0].message).toBe('Device was idle for 30 minutes, then moved 100.0 meters');
+  });
+
+  it('accepts regular uploads while moving', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(5, 100)]));
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: ['idle_then_moved']});
+  });
+
+  it('accepts a long gap without movement', () => {
+    expect(engine.evaluate(contextFor([pointAt(0), pointAt(30, 10)])).status).toBe('OK');
+  });
+
+  it('needs two points', () => {
+    expect(engine.evaluate(contextFor([pointAt(0)])).status).toBe('OK');
+  });
+
+  it('does not run when the device turned it off', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(30, 100)]), {idle_then_moved: false});
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: []});
+  });
+});
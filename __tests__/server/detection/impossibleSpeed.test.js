@@ -0,0 +1,38 @@
+import impossibleSpeed from '../../../services/detection/rules/impossibleSpeed.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+describe('impossible_speed', () => {
+  const engine = engineWith(impossibleSpeed);
+
+  it('flags a jump no car or train could make', () => {
+    const context = contextFor([pointAt(0), pointAt(1, 10000)]);
+
+    const result = engine.evaluate(context);
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.severity).toBe('high');
+    expect(result.rules[0]).toMatchObject({id: 'impossible_speed', verdict: 'SUSPICIOUS'});
+    expect(result.rules[0].message).toMatch(/about \d+ km\/h/);
+    expect(result.rules[0].evidence).toHaveLength(2);
+  });
+
+  it('accepts the same distance at driving speed', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(10, 10000)]));
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: ['impossible_speed'], rules: []});
+  });
+
+  it('ignores short hops that are within GPS jitter', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(0.1, 300, {accuracy: 100})]));
+
+    expect(result.status).toBe('OK');
+  });
+
+  it('does not run when the device turned it off', () => {
+    const context = contextFor([pointAt(0), pointAt(1, 10000)]);
+
+    const result = engine.evaluate(context, new Map([['impossible_speed', false]]));
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: [], rules: []});
+  });
+});
@@ -0,0 +1,40 @@
+import nightMovement from '../../../services/detection/rules/nightMovement.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+// pointAt() counts minutes from 12:00 UTC
+const NIGHT = 13 * 60; // 01:00 UTC the next day
+const LATE_EVENING = 11.5 * 60; // 23:30 UTC, 01:30 in Berlin (still summer time)
+
+describe('night_movement', () => {
+  const engine = engineWith(nightMovement);
+  const enabled = {night_movement: true};
+
+  it('is off unless the owner turns it on', () => {
+    const result = engine.evaluate(contextFor([pointAt(NIGHT), pointAt(NIGHT + 5, 200)]));
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: []});
+  });
+
+  it('flags movement during the night', () => {
+    const result = engine.evaluate(contextFor([pointAt(NIGHT), pointAt(NIGHT + 5, 200)]), enabled);
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.rules[0]).toMatchObject({id: 'night_movement', severity: 'low'});
+    expect(result.rules[0].message).toBe('Device moved 200 meters at night (01:00–01:05 UTC)');
+  });
+
+  it('accepts movement during the day and standing still at night', () => {
+    const day = contextFor([pointAt(0), pointAt(5, 200)]);
+    const stillAtNight = contextFor([pointAt(NIGHT), pointAt(NIGHT + 5, 5)]);
+
+    expect(engine.evaluate(day, enabled).status).toBe('OK');
+    expect(engine.evaluate(stillAtNight, enabled).status).toBe('OK');
+  });
+
+  it("uses the device's time zone", () => {
+    const points = [pointAt(LATE_EVENING), pointAt(LATE_EVENING + 5, 200)];
+
+    expect(engine.evaluate(contextFor(points), enabled).status).toBe('OK');
+    expect(engine.evaluate(contextFor(points, {timezone: 'Europe/Berlin'}), enabled).status).toBe('SUSPICIOUS');
+  });
+});
@@ -0,0 +1,32 @@
+import offlineJump from '../../../services/detection/rules/offlineJump.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+describe('offline_jump', () => {
+  const engine = engineWith(offlineJump);
+
+  it('flags a device that came back far away after a long gap', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(180, 5000)]));
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.rules[0]).toMatchObject({id: 'offline_jump', severity: 'high'});
+    expect(result.rules[0].message).toBe('Device was offline for 3.0 hours and came back 5.0 km away');
+  });
+
+  it('accepts a long gap without a large displacement', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(180, 200)]));
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: ['offline_jump']});
+  });
+
+  it('accepts a large displacement without a reporting gap', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(10, 5000)]));
+
+    expect(result.status).toBe('OK');
+  });
+
+  it('does not run when the device turned it off', () => {
+    const result = engine.evaluate(contextFor([pointAt(0), pointAt(180, 5000)]), {offline_jump: false});
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: []});
+  });
+});
@@ -0,0 +1,48 @@
+import spoofedLocation from '../../../services/detection/rules/spoofedLocation.js';
+import {contextFor, engineWith, pointAt} from './helpers.js';
+
+describe('spoofed_location', () => {
+  const engine = engineWith(spoofedLocation);
+  const trusted = [pointAt(0), pointAt(5, 50)];
+
+  it('flags points from a mock location provider as high severity', () => {
+    const suspectPoints = [pointAt(6, 60, {suspect: true, plausibilityFlags: ['mock_provider']})];
+
+    const result = engine.evaluate(contextFor(trusted, {suspectPoints}));
+
+    expect(result.status).toBe('SUSPICIOUS');
+    expect(result.rules[0]).toMatchObject({
+      id: 'spoofed_location',
+      severity: 'high',
+      message: '1 recent location failed plausibility checks (mock provider)',
+    });
+    expect(result.rules[0].evidence).toHaveLength(1);
+  });
+
+  it('reports weak signals only as medium severity', () => {
+    const suspectPoints = [
+      pointAt(6, 60, {suspect: true, plausibilityFlags: ['constant_accuracy', 'exact_repeat']}),
+      pointAt(7, 60, {suspect: true, plausibilityFlags: ['exact_repeat']}),
+    ];
+
+    const result = engine.evaluate(contextFor(trusted, {suspectPoints}));
+
+    expect(result.rules[0]).toMatchObject({
+      severity: 'medium',
+      message: '2 recent locations failed plausibility checks (constant accuracy, exact repeat)',
+    });
+    expect(result.rules[0].evidence[0].recordedAt).toEqual(suspectPoints[1].recordedAt);
+  });
+
+  it('accepts a history without suspect points', () => {
+    expect(engine.evaluate(contextFor(trusted))).toMatchObject({status: 'OK', checkedRules: ['spoofed_location']});
+  });
+
+  it('does not run when the device turned it off', () => {
+    const suspectPoints = [pointAt(6, 60, {suspect: true, plausibilityFlags: ['teleport']})];
+
+    const result = engine.evaluate(contextFor(trusted, {suspectPoints}), {spoofed_location: false});
+
+    expect(result).toMatchObject({status: 'OK', checkedRules: []});
+  });
+});
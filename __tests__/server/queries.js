@@ -0,0 +1,17 @@
+// Stand-in for a mongoose query in tests that run without a database:
+// chainable like the real thing, resolving to `value`
+export function query(value) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    exec: () => Promise.resolve(value),
+    cursor: () => (async function* () {
+      yield* value;
+    })(),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+}
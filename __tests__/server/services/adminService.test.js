@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import RefreshToken from '../../../models/RefreshToken.js';
+import ShareLink from '../../../models/ShareLink.js';
+import User from '../../../models/User.js';
+import {disableUser} from '../../../services/adminService.js';
+import {query} from '../queries.js';
+
+describe('disableUser', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({modifiedCount: 2});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({modifiedCount: 1});
+    jest.spyOn(ShareLink, 'updateMany').mockResolvedValue({modifiedCount: 1});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ends the sessions and revokes the share links of the account', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query({_id: userId, disabledAt: new Date()}));
+
+    expect(await disableUser(userId.toString())).toMatchObject({_id: userId});
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith({userId, revokedAt: null}, expect.anything());
+    expect(User.updateOne).toHaveBeenCalledWith({_id: userId}, {$inc: {tokenVersion: 1}});
+    expect(ShareLink.updateMany).toHaveBeenCalledWith(
+      {owner: userId, revokedAt: null},
+      {$set: {revokedAt: expect.any(Date)}},
+    );
+  });
+
+  it('revokes nothing for an unknown account', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(null));
+
+    expect(await disableUser(userId.toString())).toBeNull();
+    expect(ShareLink.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import Alert from '../../../models/Alert.js';
+import Device from '../../../models/Device.js';
+import {recordDetectionAlerts} from '../../../services/alertService.js';
+import {pointAt} from '../detection/helpers.js';
+import {query} from '../queries.js';
+
+const NOW = new Date('2026-10-19T13:00:00Z');
+
+const triggered = (severity, minutes) => ({
+  id: 'offline_jump',
+  severity,
+  message: `jumped at minute ${minutes}`,
+  evidence: [pointAt(minutes - 5), pointAt(minutes, 5000)],
+});
+
+const stored = extra => ({
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'phone-1',
+  ruleId: 'offline_jump',
+  severity: 'medium',
+  status: 'open',
+  triggerCount: 1,
+  lastEvidenceAt: pointAt(10).recordedAt,
+  ...extra,
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), {code: 11000});
+
+describe('recordDetectionAlerts', () => {
+  beforeEach(() => {
+    // No webhooks to publish to
+    jest.spyOn(Device, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Alert, 'findOneAndUpdate');
+    jest.spyOn(Alert, 'create').mockImplementation(async doc => ({toObject: () => ({_id: 'created', ...doc})}));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens an alert for a rule that has none', async () => {
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(null));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('medium', 10)], NOW);
+
+    expect(result.change).toBe('opened');
+    expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+      deviceId: 'phone-1',
+      ruleId: 'offline_jump',
+      severity: 'medium',
+      firstTriggeredAt: NOW,
+      lastEvidenceAt: pointAt(10).recordedAt,
+    }));
+  });
+
+  it('changes nothing when the evidence is not newer', async () => {
+    const latest = stored();
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(latest));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('high', 10)], NOW);
+
+    expect(result).toEqual({alert: latest, change: null});
+    expect(Alert.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+
+  it('does not reopen a resolved alert for the evidence it was resolved with', async () => {
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(stored({status: 'resolved'})));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('medium', 10)], NOW);
+
+    expect(result.change).toBeNull();
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+
+  it('counts newer evidence as a retrigger of the unresolved alert', async () => {
+    const latest = stored();
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(latest));
+    Alert.findOneAndUpdate.mockImplementation((filter, update) => query({...latest, ...update.$set, triggerCount: 2}));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('high', 20)], NOW);
+
+    expect(result.change).toBe('retriggered');
+    const [filter, update] = Alert.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({_id: latest._id, status: {$ne: 'resolved'}, lastEvidenceAt: latest.lastEvidenceAt});
+    expect(update.$inc).toEqual({triggerCount: 1});
+    expect(update.$set).toMatchObject({severity: 'high', lastTriggeredAt: NOW, lastEvidenceAt: pointAt(20).recordedAt});
+  });
+
+  it('never lowers the severity of an alert', async () => {
+    const latest = stored({severity: 'high'});
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(latest));
+    Alert.findOneAndUpdate.mockImplementation((filter, update) => query({...latest, ...update.$set}));
+
+    await recordDetectionAlerts('phone-1', [triggered('low', 20)], NOW);
+
+    expect(Alert.findOneAndUpdate.mock.calls[0][1].$set.severity).toBe('high');
+  });
+
+  it('opens a new alert for new evidence after the last one was resolved', async () => {
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(stored({status: 'resolved'})));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('low', 20)], NOW);
+
+    expect(result.change).toBe('opened');
+    expect(Alert.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({severity: 'low', lastEvidenceAt: pointAt(20).recordedAt}));
+  });
+
+  it('retriggers the alert a concurrent check opened first', async () => {
+    const opened = stored({lastEvidenceAt: pointAt(15).recordedAt});
+    jest.spyOn(Alert, 'findOne').mockReturnValueOnce(query(null)).mockReturnValue(query(opened));
+    Alert.create.mockRejectedValueOnce(duplicateKey());
+    Alert.findOneAndUpdate.mockImplementation((filter, update) => query({...opened, ...update.$set, triggerCount: 2}));
+
+    const [result] = await recordDetectionAlerts('phone-1', [triggered('medium', 20)], NOW);
+
+    expect(result.change).toBe('retriggered');
+    expect(Alert.findOne).toHaveBeenCalledTimes(2);
+    expect(Alert.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('rethrows errors other than a duplicate key', async () => {
+    jest.spyOn(Alert, 'findOne').mockReturnValue(query(null));
+    Alert.create.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(recordDetectionAlerts('phone-1', [triggered('medium', 10)], NOW)).rejects.toThrow('connection lost');
+  });
+});
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import Device from '../../../models/Device.js';
+import DeviceCredential from '../../../models/DeviceCredential.js';
+import Location from '../../../models/Location.js';
+import LocationSummary from '../../../models/LocationSummary.js';
+import {registerDevice} from '../../../services/deviceService.js';
+import {query} from '../queries.js';
+
+describe('registerDevice', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const deviceId = 'c0ffee00-1111-4222-8333-444455556666';
+
+  beforeEach(() => {
+    jest.spyOn(Device, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Device, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Device, 'create').mockImplementation(async doc => new Device(doc));
+    jest.spyOn(Location, 'exists').mockResolvedValue(null);
+    jest.spyOn(LocationSummary, 'exists').mockResolvedValue(null);
+    jest.spyOn(DeviceCredential, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(DeviceCredential, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('registers a new device and issues its secret', async () => {
+    const {device, secret, error} = await registerDevice(ownerId, {deviceId, platform: 'android'});
+
+    expect(error).toBeUndefined();
+    expect(device).toMatchObject({deviceId, name: 'Android device'});
+    expect(device.owner.equals(ownerId)).toBe(true);
+    expect(secret).toMatch(/^[\w-]{43}$/);
+    expect(DeviceCredential.updateOne).toHaveBeenCalledWith(
+      {deviceId},
+      {$set: expect.objectContaining({secret})},
+      {upsert: true},
+    );
+  });
+
+  it('refuses an unowned device that already has location history', async () => {
+    Location.exists.mockResolvedValue({_id: new mongoose.Types.ObjectId()});
+
+    const result = await registerDevice(ownerId, {deviceId});
+
+    expect(result).toEqual({error: 'HAS_HISTORY'});
+    expect(Device.create).not.toHaveBeenCalled();
+    expect(DeviceCredential.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses a device with only compacted history', async () => {
+    LocationSummary.exists.mockResolvedValue({_id: new mongoose.Types.ObjectId()});
+
+    expect(await registerDevice(ownerId, {deviceId})).toEqual({error: 'HAS_HISTORY'});
+  });
+
+  it("refuses another account's device", async () => {
+    Device.findOne.mockReturnValue(query({deviceId, owner: new mongoose.Types.ObjectId()}));
+
+    expect(await registerDevice(ownerId, {deviceId})).toEqual({error: 'TAKEN'});
+    expect(DeviceCredential.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("gives the owner's own device a new secret", async () => {
+    Device.findOne.mockReturnValue(query({deviceId, owner: ownerId, name: 'Phone'}));
+    Location.exists.mockResolvedValue({_id: new mongoose.Types.ObjectId()});
+
+    const {device, secret, relinked} = await registerDevice(ownerId, {deviceId});
+
+    expect(relinked).toBe(true);
+    expect(device.name).toBe('Phone');
+    expect(secret).toBeTruthy();
+    expect(Device.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import {EXPORT_FORMATS, exportFileName} from '../../../services/exportService.js';
+
+const RECORDED_AT = new Date('2026-10-19T12:00:00.000Z');
+
+const rawPoint = extra => ({
+  _id: 'abc',
+  latitude: 52.52,
+  longitude: -13.405,
+  accuracy: 8,
+  altitude: 34,
+  recordedAt: RECORDED_AT,
+  receivedAt: new Date('2026-10-19T12:00:05.000Z'),
+  ...extra,
+});
+
+const compactedPoint = {
+  latitude: 52.5,
+  longitude: 13.4,
+  recordedAt: RECORDED_AT,
+  compacted: true,
+  summary: {pointCount: 42},
+};
+
+// One export of the given points, as the route streams it
+const render = (format, points) => {
+  const {header, point, footer} = EXPORT_FORMATS[format];
+  return header({deviceId: 'phone <1>'}) + points.map((each, index) => point(each, index)).join('') + footer();
+};
+
+const csvRows = text => text.trimEnd().split('\r\n');
+
+describe('gpx', () => {
+  it('writes a track point per fix with elevation and time', () => {
+    const gpx = render('gpx', [rawPoint(), compactedPoint]);
+
+    expect(gpx).toContain('<name>phone &lt;1&gt;</name>');
+    expect(gpx).toContain(`<trkpt lat="52.52" lon="-13.405"><ele>34</ele><time>${RECORDED_AT.toISOString()}</time></trkpt>`);
+    expect(gpx).toContain('<desc>Summary of 42 points</desc>');
+    expect(gpx.endsWith('</gpx>\n')).toBe(true);
+  });
+});
+
+describe('kml', () => {
+  it('writes a timestamped placemark per fix', () => {
+    const kml = render('kml', [rawPoint()]);
+
+    expect(kml).toContain('<Document><name>phone &lt;1&gt;</name>');
+    expect(kml).toContain('<description>Accuracy: 8 m</description>');
+    expect(kml).toContain(`<TimeStamp><when>${RECORDED_AT.toISOString()}</when></TimeStamp>`);
+    expect(kml).toContain('<coordinates>-13.405,52.52,34</coordinates>');
+  });
+});
+
+describe('geojson', () => {
+  it('writes a valid feature collection without internal ids', () => {
+    const collection = JSON.parse(render('geojson', [rawPoint(), compactedPoint]));
+
+    expect(collection.features).toHaveLength(2);
+    expect(collection.features[0]).toEqual({
+      type: 'Feature',
+      geometry: {type: 'Point', coordinates: [-13.405, 52.52]},
+      properties: expect.not.objectContaining({_id: expect.anything()}),
+    });
+    expect(collection.features[1].properties).toMatchObject({compacted: true, summary: {pointCount: 42}});
+  });
+
+  it('writes an empty collection for an empty history', () => {
+    expect(JSON.parse(render('geojson', []))).toEqual({type: 'FeatureCollection', features: []});
+  });
+});
+
+describe('csv', () => {
+  it('writes one row per fix under the header', () => {
+    const flagged = rawPoint({suspect: true, plausibilityFlags: ['teleport', 'mock_provider']});
+    const [header, raw, compacted] = csvRows(render('csv', [flagged, compactedPoint]));
+    const columns = header.split(',');
+    const row = Object.fromEntries(raw.split(',').map((value, index) => [columns[index], value]));
+
+    expect(row).toMatchObject({
+      recordedAt: RECORDED_AT.toISOString(),
+      latitude: '52.52',
+      longitude: '-13.405',
+      compacted: 'false',
+      pointCount: '1',
+      suspect: 'true',
+      plausibilityFlags: 'teleport;mock_provider',
+    });
+    expect(compacted.split(',')[columns.indexOf('pointCount')]).toBe('42');
+  });
+
+  it('quotes fields with separators and quotes', () => {
+    const [, row] = csvRows(render('csv', [rawPoint({provider: 'gps, "fused"'})]));
+
+    expect(row).toContain(',"gps, ""fused""",');
+  });
+
+  it.each(['=HYPERLINK("http://evil.example","x")', '+1+1', '-1+1', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'neutralizes a text field a spreadsheet would run as a formula: %j',
+    provider => {
+      const [, row] = csvRows(render('csv', [rawPoint({provider})]));
+
+      expect(row).toContain(`,"'${provider.replace(/"/g, '""')}",`);
+    },
+  );
+});
+
+describe('exportFileName', () => {
+  it('keeps only safe characters of the deviceId', () => {
+    expect(exportFileName('../phone 1', 'csv')).toMatch(/^location-history-___phone_1-\d{4}-\d{2}-\d{2}\.csv$/);
+  });
+});
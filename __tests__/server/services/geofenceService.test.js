@@ -0,0 +1,102 @@
+import {GEOFENCE_CONFIG} from '../../../config/apiConfig.js';
+import {evaluateFence} from '../../../services/geofenceService.js';
+import {pointAt} from '../detection/helpers.js';
+
+const RADIUS = 100;
+
+// A circle around the fixtures' origin, optionally with state from earlier fixes
+const fence = (state, extra = {}) => ({
+  type: 'circle',
+  center: {latitude: 52.52, longitude: 13.405},
+  radius: RADIUS,
+  state,
+  ...extra,
+});
+
+const inside = minutes => ({inside: true, since: pointAt(minutes).recordedAt, lastPointAt: pointAt(minutes).recordedAt});
+const outside = minutes => ({inside: false, since: pointAt(minutes).recordedAt, lastPointAt: pointAt(minutes).recordedAt});
+
+const types = ({events}) => events.map(event => event.type);
+
+describe('evaluateFence', () => {
+  it('decides the first state without an event', () => {
+    const {state, events} = evaluateFence(fence(), [pointAt(0, 0)]);
+
+    expect(events).toEqual([]);
+    expect(state).toMatchObject({inside: true, since: pointAt(0).recordedAt, lastPointAt: pointAt(0).recordedAt});
+  });
+
+  it('enters once a fix lies inside with its whole accuracy circle', () => {
+    const result = evaluateFence(fence(outside(0)), [pointAt(1, 50, {accuracy: 20})]);
+
+    expect(types(result)).toEqual(['enter']);
+    expect(result.state).toMatchObject({inside: true, since: pointAt(1).recordedAt});
+    expect(result.events[0].distance).toBeCloseTo(-50, 0);
+  });
+
+  it('exits once a fix is clearly outside', () => {
+    const result = evaluateFence(fence(inside(0)), [pointAt(1, RADIUS + GEOFENCE_CONFIG.HYSTERESIS_M + 30, {accuracy: 20})]);
+
+    expect(types(result)).toEqual(['exit']);
+    expect(result.state.inside).toBe(false);
+  });
+
+  it('keeps the state while the accuracy circle straddles the boundary', () => {
+    const points = [pointAt(1, RADIUS + 10, {accuracy: 40}), pointAt(2, RADIUS - 10, {accuracy: 40})];
+
+    expect(types(evaluateFence(fence(inside(0)), points))).toEqual([]);
+    expect(types(evaluateFence(fence(outside(0)), points))).toEqual([]);
+  });
+
+  it('does not flap on fixes in the hysteresis band just outside', () => {
+    const points = [
+      pointAt(1, RADIUS + GEOFENCE_CONFIG.HYSTERESIS_M - 5, {accuracy: 0}),
+      pointAt(2, RADIUS - 20, {accuracy: 5}),
+      pointAt(3, RADIUS + GEOFENCE_CONFIG.HYSTERESIS_M - 5, {accuracy: 0}),
+    ];
+
+    const {state, events} = evaluateFence(fence(inside(0)), points);
+
+    expect(events).toEqual([]);
+    expect(state).toMatchObject({inside: true, since: pointAt(0).recordedAt, lastPointAt: pointAt(3).recordedAt});
+  });
+
+  it('reports dwell once per stay', () => {
+    const dwelling = fence(inside(0), {dwellMinutes: 10});
+    const points = [pointAt(5, 0), pointAt(10, 0), pointAt(15, 0), pointAt(20, 500), pointAt(25, 0), pointAt(35, 0)];
+
+    const result = evaluateFence(dwelling, points);
+
+    expect(types(result)).toEqual(['dwell', 'exit', 'enter', 'dwell']);
+    expect(result.events.map(event => event.at)).toEqual([
+      pointAt(10).recordedAt,
+      pointAt(20).recordedAt,
+      pointAt(25).recordedAt,
+      pointAt(35).recordedAt,
+    ]);
+  });
+
+  it('does not report dwell again for a stay already reported', () => {
+    const state = {...inside(0), dwellReportedAt: pointAt(10).recordedAt, lastPointAt: pointAt(10).recordedAt};
+
+    expect(types(evaluateFence(fence(state, {dwellMinutes: 10}), [pointAt(20, 0)]))).toEqual([]);
+  });
+
+  it('skips fixes not newer than the last one evaluated', () => {
+    const state = {...inside(0), lastPointAt: pointAt(5).recordedAt};
+
+    const result = evaluateFence(fence(state), [pointAt(3, 1000), pointAt(5, 1000)]);
+
+    expect(result.events).toEqual([]);
+    expect(result.state).toEqual({...state, dwellReportedAt: null});
+  });
+
+  it('skips fixes less accurate than the limit', () => {
+    const point = pointAt(1, 1000, {accuracy: GEOFENCE_CONFIG.MAX_ACCURACY_M + 1});
+
+    const result = evaluateFence(fence(inside(0)), [point]);
+
+    expect(result.events).toEqual([]);
+    expect(result.state).toMatchObject({inside: true, lastPointAt: pointAt(0).recordedAt});
+  });
+});
@@ -0,0 +1,180 @@
+import {Buffer} from 'buffer';
+import mongoose from 'mongoose';
+import Location from '../../../models/Location.js';
+import {decodeCursor, encodeCursor, findHistoryPage} from '../../../services/historyService.js';
+import {historyQuerySchema} from '../../../validation/locationSchemas.js';
+import {query} from '../queries.js';
+
+const at = minutes => new Date(Date.UTC(2026, 9, 19, 12, minutes));
+
+const encodePayload = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Just enough of the aggregation pipeline for findHistoryPage, run over
+// in-memory raw points and summaries
+function aggregateOver(raw, summaries) {
+  const compare = (a, b) => {
+    const [x, y] = [a, b].map(value => (value instanceof Date ? value.getTime() : String(value)));
+    return x < y ? -1 : x > y ? 1 : 0;
+  };
+  const OPERATORS = {
+    $gt: (value, operand) => compare(value, operand) > 0,
+    $lt: (value, operand) => compare(value, operand) < 0,
+    $gte: (value, operand) => compare(value, operand) >= 0,
+    $lte: (value, operand) => compare(value, operand) <= 0,
+    $ne: (value, operand) => value === undefined || compare(value, operand) !== 0,
+  };
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some(branch => matches(doc, branch));
+      }
+      const isOperators = condition?.constructor === Object && Object.keys(condition)[0]?.startsWith('$');
+      return isOperators
+        ? Object.entries(condition).every(([op, operand]) => OPERATORS[op](doc[key], operand))
+        : compare(doc[key], condition) === 0;
+    });
+  const run = (docs, pipeline) =>
+    pipeline.reduce((current, stage) => {
+      const [[name, spec]] = Object.entries(stage);
+      switch (name) {
+        case '$match':
+          return current.filter(doc => matches(doc, spec));
+        case '$sort':
+          return [...current].sort((a, b) => {
+            for (const [key, dir] of Object.entries(spec)) {
+              const order = compare(a[key], b[key]) * dir;
+              if (order !== 0) {
+                return order;
+              }
+            }
+            return 0;
+          });
+        case '$limit':
+          return current.slice(0, spec);
+        case '$skip':
+          return current.slice(spec);
+        case '$project':
+          return current.map(doc => (spec.compacted ? {...doc, compacted: true} : doc));
+        case '$unionWith':
+          return [...current, ...run(summaries, spec.pipeline)];
+        default:
+          throw new Error(`Unsupported stage ${name}`);
+      }
+    }, docs);
+  return pipeline => query(run(raw, pipeline));
+}
+
+describe('encodeCursor / decodeCursor', () => {
+  const point = {recordedAt: at(5), _id: new mongoose.Types.ObjectId()};
+
+  it('round-trips a page edge', () => {
+    const cursor = encodeCursor(point, 'asc', 'prev');
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({recordedAt: at(5), id: point._id, order: 'asc', direction: 'prev'});
+  });
+
+  it.each([
+    ['garbage', 'not a cursor'],
+    ['base64 that is not JSON', Buffer.from('{oops').toString('base64url')],
+    ['an empty object', encodePayload({})],
+    ['a bad time', encodePayload({r: 'soon', i: '0123456789abcdef01234567', o: 'desc', d: 'next'})],
+    ['a bad id', encodePayload({r: 1, i: 'nope', o: 'desc', d: 'next'})],
+    ['a bad order', encodePayload({r: 1, i: '0123456789abcdef01234567', o: 'sideways', d: 'next'})],
+    ['a bad direction', encodePayload({r: 1, i: '0123456789abcdef01234567', o: 'desc', d: 'up'})],
+    ['JSON null', encodePayload(null)],
+  ])('rejects %s', (name, cursor) => {
+    expect(decodeCursor(cursor)).toBeNull();
+  });
+
+  it('makes the history validator reject a tampered cursor', () => {
+    const check = historyQuerySchema.query.cursor.custom;
+    const tampered = `${encodeCursor(point, 'desc', 'next').slice(0, -4)}AAAA`;
+
+    expect(check(encodeCursor(point, 'desc', 'next'))).toBeNull();
+    expect(check(tampered)).toMatchObject({message: 'cursor is invalid'});
+  });
+});
+
+describe('findHistoryPage', () => {
+  // Raw points and compacted buckets sharing recordedAt values; ids are
+  // created in mixed order so ties are broken across the tiers
+  const id = () => new mongoose.Types.ObjectId();
+  const summary = minutes => ({_id: id(), deviceId: 'phone-1', recordedAt: at(minutes), pointCount: 3});
+  const raw = minutes => ({_id: id(), deviceId: 'phone-1', recordedAt: at(minutes)});
+  const summaries = [];
+  const points = [];
+  summaries.push(summary(0));
+  points.push(raw(1));
+  summaries.push(summary(1));
+  points.push(raw(1), raw(2));
+  summaries.push(summary(2));
+  points.push(raw(3), raw(3));
+  summaries.push(summary(3), summary(4));
+
+  const all = [...points, ...summaries];
+  const expectedOrder = dir =>
+    [...all]
+      .sort((a, b) => (a.recordedAt - b.recordedAt || (String(a._id) < String(b._id) ? -1 : 1)) * dir)
+      .map(doc => String(doc._id));
+
+  // Walk every page through the cursors, as a client would
+  const walk = async (order, limit) => {
+    const seen = [];
+    let position = null;
+    for (let guard = 0; guard < all.length; guard++) {
+      const {points: page, hasMore} = await findHistoryPage({deviceId: 'phone-1', order, limit, position});
+      seen.push(...page.map(doc => String(doc._id)));
+      if (!hasMore) {
+        return seen;
+      }
+      position = decodeCursor(encodeCursor(page[page.length - 1], order, 'next'));
+    }
+    throw new Error('paging did not end');
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Location, 'aggregate').mockImplementation(aggregateOver(points, summaries));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['desc', -1],
+    ['asc', 1],
+  ])('pages through both tiers in %s order without skipping or repeating ties', async (order, dir) => {
+    for (const limit of [1, 2, 3, 5]) {
+      expect(await walk(order, limit)).toEqual(expectedOrder(dir));
+    }
+  });
+
+  it('marks compacted buckets in a merged page', async () => {
+    const {points: page} = await findHistoryPage({deviceId: 'phone-1', order: 'asc', limit: 3});
+
+    expect(page.map(doc => Boolean(doc.compacted))).toEqual(
+      expectedOrder(1).slice(0, 3).map(docId => summaries.some(doc => String(doc._id) === docId)),
+    );
+  });
+
+  it('pages back to the previous page from a cursor', async () => {
+    const first = await findHistoryPage({deviceId: 'phone-1', order: 'desc', limit: 3});
+    const second = await findHistoryPage({
+      deviceId: 'phone-1',
+      order: 'desc',
+      limit: 3,
+      position: decodeCursor(encodeCursor(first.points[2], 'desc', 'next')),
+    });
+
+    const back = await findHistoryPage({
+      deviceId: 'phone-1',
+      order: 'desc',
+      limit: 3,
+      position: decodeCursor(encodeCursor(second.points[0], 'desc', 'prev')),
+    });
+
+    expect(back.points.map(doc => doc._id)).toEqual(first.points.map(doc => doc._id));
+    expect(back.hasMore).toBe(false);
+  });
+});
@@ -0,0 +1,140 @@
+import {PLAUSIBILITY_CONFIG} from '../../../config/apiConfig.js';
+import {assessPoint} from '../../../services/plausibilityService.js';
+import {pointAt} from '../detection/helpers.js';
+
+// Earlier points for assessPoint, given oldest first like the fixtures read
+const newestFirst = points => [...points].reverse();
+
+const jumped = (minutes, metersNorth) =>
+  pointAt(minutes, metersNorth, {suspect: true, plausibilityFlags: ['teleport']});
+
+describe('assessPoint', () => {
+  describe('mock_provider', () => {
+    it('flags a fix from a mock provider as suspect on its own', () => {
+      expect(assessPoint(pointAt(1, 10, {isMock: true}), [pointAt(0)])).toEqual({
+        suspect: true,
+        score: PLAUSIBILITY_CONFIG.WEIGHTS.mock_provider,
+        flags: ['mock_provider'],
+      });
+    });
+
+    it('accepts a fix that does not report a mock provider', () => {
+      expect(assessPoint(pointAt(1, 10, {isMock: false}), [pointAt(0)])).toEqual({suspect: false, score: 0, flags: []});
+    });
+  });
+
+  describe('teleport', () => {
+    it('flags a jump from the last trusted fix no vehicle could make', () => {
+      const result = assessPoint(pointAt(1, 100000), [pointAt(0)]);
+
+      expect(result).toMatchObject({suspect: true, flags: ['teleport']});
+    });
+
+    it('accepts the same distance at driving speed', () => {
+      expect(assessPoint(pointAt(60, 100000), [pointAt(0)]).flags).toEqual([]);
+    });
+
+    it('compares with the last trusted fix, not with suspect ones', () => {
+      const history = newestFirst([pointAt(0), pointAt(1, 100000, {suspect: true, plausibilityFlags: ['mock_provider']})]);
+
+      expect(assessPoint(pointAt(2, 100050), history).flags).toEqual(['teleport']);
+    });
+
+    it('trusts the new place once enough fixes in a row agree on it', () => {
+      const needed = PLAUSIBILITY_CONFIG.RELOCATION_CONFIRM_POINTS - 1;
+      const streak = Array.from({length: needed}, (unused, index) => jumped(2 + index, 100000 + index * 50));
+
+      const result = assessPoint(pointAt(2 + needed, 100000 + needed * 50), newestFirst([pointAt(0), ...streak]));
+
+      expect(result.flags).toEqual([]);
+    });
+
+    it('keeps flagging while the streak at the new place is too short', () => {
+      const result = assessPoint(pointAt(3, 100050), newestFirst([pointAt(0), jumped(2, 100000)]));
+
+      expect(result.flags).toEqual(['teleport']);
+    });
+
+    it('does not count mock fixes towards the relocation streak', () => {
+      const mocked = {suspect: true, plausibilityFlags: ['mock_provider', 'teleport']};
+      const history = newestFirst([pointAt(0), pointAt(2, 100000, mocked), pointAt(3, 100050, mocked)]);
+
+      expect(assessPoint(pointAt(4, 100100), history).flags).toEqual(['teleport']);
+    });
+
+    it('does not confirm a streak that itself jumps around', () => {
+      const history = newestFirst([pointAt(0), jumped(2, 100000), jumped(3, 200000)]);
+
+      expect(assessPoint(pointAt(4, 200050), history).flags).toEqual(['teleport']);
+    });
+  });
+
+  describe('implausible_accuracy', () => {
+    it('flags an accuracy better than any phone reports, weighted below suspect', () => {
+      const result = assessPoint(pointAt(1, 10, {accuracy: 0.5}), [pointAt(0)]);
+
+      expect(result).toEqual({
+        suspect: false,
+        score: PLAUSIBILITY_CONFIG.WEIGHTS.implausible_accuracy,
+        flags: ['implausible_accuracy'],
+      });
+    });
+
+    it('accepts an accuracy at the limit', () => {
+      const point = pointAt(1, 10, {accuracy: PLAUSIBILITY_CONFIG.MIN_ACCURACY_M});
+
+      expect(assessPoint(point, [pointAt(0)]).flags).toEqual([]);
+    });
+  });
+
+  describe('constant_accuracy', () => {
+    const run = PLAUSIBILITY_CONFIG.CONSTANT_ACCURACY_POINTS;
+
+    it('flags the same accuracy on a run of moving fixes', () => {
+      const history = Array.from({length: run - 1}, (unused, index) => pointAt(index, index * 20, {accuracy: 7}));
+
+      const result = assessPoint(pointAt(run, run * 20, {accuracy: 7}), newestFirst(history));
+
+      expect(result.flags).toEqual(['constant_accuracy']);
+    });
+
+    it('accepts an accuracy that fluctuates', () => {
+      const history = Array.from({length: run - 1}, (unused, index) => pointAt(index, index * 20, {accuracy: 7 + index}));
+
+      expect(assessPoint(pointAt(run, run * 20, {accuracy: 7}), newestFirst(history)).flags).toEqual([]);
+    });
+
+    it('accepts a shorter run', () => {
+      const history = Array.from({length: run - 2}, (unused, index) => pointAt(index, index * 20, {accuracy: 7}));
+
+      expect(assessPoint(pointAt(run, run * 20, {accuracy: 7}), newestFirst(history)).flags).toEqual([]);
+    });
+  });
+
+  describe('exact_repeat', () => {
+    const repeats = PLAUSIBILITY_CONFIG.EXACT_REPEAT_POINTS;
+
+    it('flags coordinates identical to several earlier fixes', () => {
+      const history = Array.from({length: repeats}, (unused, index) => pointAt(index, 0, {accuracy: 10 + index}));
+
+      expect(assessPoint(pointAt(repeats, 0, {accuracy: 5}), newestFirst(history)).flags).toEqual(['exact_repeat']);
+    });
+
+    it('does not count a re-sent copy of the same fix', () => {
+      const history = Array.from({length: repeats - 1}, (unused, index) => pointAt(index, 0, {accuracy: 10 + index}));
+      const point = pointAt(repeats, 0, {accuracy: 5});
+
+      expect(assessPoint(point, newestFirst([...history, {...point}])).flags).toEqual([]);
+    });
+  });
+
+  it('adds up the weights of weak signals into a suspect score', () => {
+    const history = Array.from({length: PLAUSIBILITY_CONFIG.EXACT_REPEAT_POINTS}, (unused, index) =>
+      pointAt(index, 0, {accuracy: 10 + index}),
+    );
+
+    const result = assessPoint(pointAt(10, 0, {accuracy: 0.5}), newestFirst(history));
+
+    expect(result).toEqual({suspect: true, score: 1, flags: ['implausible_accuracy', 'exact_repeat']});
+  });
+});
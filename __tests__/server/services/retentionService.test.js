@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import JobLease from '../../../models/JobLease.js';
+import Location from '../../../models/Location.js';
+import LocationSummary from '../../../models/LocationSummary.js';
+import {RETENTION_CONFIG} from '../../../config/apiConfig.js';
+import {
+  combineSummaries,
+  findCompactedPointIds,
+  runRetention,
+  startRetentionJob,
+  summarizeWithSuspects,
+} from '../../../services/retentionService.js';
+import {query} from '../queries.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const OLD = new Date(NOW.getTime() - (RETENTION_CONFIG.RAW_RETENTION_DAYS + 1) * DAY_MS);
+
+const rawPoint = (minutes, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  latitude: 52.52 + minutes / 1000,
+  longitude: 13.405,
+  accuracy: 10,
+  recordedAt: new Date(OLD.getTime() + minutes * 60 * 1000),
+  ...extra,
+});
+
+describe('summarizeWithSuspects', () => {
+  it('leaves suspect points out of the stats but counts them', () => {
+    const summary = summarizeWithSuspects([
+      rawPoint(0),
+      rawPoint(1, {suspect: true, plausibilityFlags: ['impossible_speed'], latitude: 10}),
+      rawPoint(2),
+    ]);
+
+    expect(summary).toMatchObject({suspect: false, pointCount: 2, suspectCount: 1});
+    expect(summary.plausibilityFlags).toEqual(['impossible_speed']);
+    expect(summary.bounds.minLatitude).toBeGreaterThan(52);
+  });
+
+  it('marks a bucket of only suspect points as suspect instead of dropping it', () => {
+    const summary = summarizeWithSuspects([
+      rawPoint(0, {suspect: true, plausibilityFlags: ['mock_provider']}),
+      rawPoint(1, {suspect: true, plausibilityFlags: ['mock_provider', 'offline_jump']}),
+    ]);
+
+    expect(summary).toMatchObject({suspect: true, pointCount: 2, suspectCount: 2});
+    expect(summary.plausibilityFlags).toEqual(['mock_provider', 'offline_jump']);
+  });
+});
+
+describe('combineSummaries', () => {
+  it('replaces a suspect-only summary with late trusted points', () => {
+    const existing = summarizeWithSuspects([rawPoint(0, {suspect: true, plausibilityFlags: ['mock_provider']})]);
+    const incoming = summarizeWithSuspects([rawPoint(5), rawPoint(6)]);
+
+    expect(combineSummaries(existing, incoming)).toMatchObject({
+      suspect: false,
+      pointCount: 2,
+      suspectCount: 1,
+      plausibilityFlags: ['mock_provider'],
+    });
+  });
+
+  it('keeps trusted stats when only suspect points arrive late', () => {
+    const existing = summarizeWithSuspects([rawPoint(0), rawPoint(1)]);
+    const incoming = summarizeWithSuspects([rawPoint(5, {suspect: true, plausibilityFlags: ['offline_jump']})]);
+
+    expect(combineSummaries(existing, incoming)).toMatchObject({suspect: false, pointCount: 2, suspectCount: 1});
+  });
+});
+
+describe('runRetention', () => {
+  let summaries;
+
+  beforeEach(() => {
+    summaries = [];
+    jest.spyOn(JobLease, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(JobLease, 'updateOne').mockResolvedValue({matchedCount: 1});
+    jest.spyOn(JobLease, 'deleteOne').mockResolvedValue({deletedCount: 1});
+    jest.spyOn(Location, 'deleteMany').mockResolvedValue({deletedCount: 0});
+    jest.spyOn(LocationSummary, 'deleteMany').mockResolvedValue({deletedCount: 0});
+    jest.spyOn(Location, 'distinct').mockResolvedValue(['phone-1']);
+    jest.spyOn(LocationSummary, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(LocationSummary, 'updateOne').mockImplementation(async (filter, update) => {
+      summaries.push({filter, update});
+      return {};
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps pointIds and a suspect record of what it compacts', async () => {
+    jest.spyOn(Location, 'find').mockReturnValue(query([
+      rawPoint(0, {pointId: 'p1', suspect: true, plausibilityFlags: ['mock_provider']}),
+      rawPoint(1, {pointId: 'p2', suspect: true, plausibilityFlags: ['mock_provider']}),
+    ]));
+
+    const stats = await runRetention(NOW);
+
+    expect(stats).toMatchObject({devices: 1, buckets: 1, compactedPoints: 2});
+    const [{update}] = summaries;
+    expect(update.$set).toMatchObject({suspect: true, suspectCount: 2, plausibilityFlags: ['mock_provider']});
+    expect(update.$addToSet).toEqual({pointIds: {$each: ['p1', 'p2']}});
+    expect(JobLease.deleteOne).toHaveBeenCalledWith({_id: 'retention', owner: expect.any(String)});
+  });
+
+  it('skips the run while another instance holds the lease', async () => {
+    JobLease.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('duplicate key'), {code: 11000}));
+
+    expect(await runRetention(NOW)).toBeNull();
+    expect(Location.deleteMany).not.toHaveBeenCalled();
+    expect(JobLease.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('stops compacting once the lease has been taken over', async () => {
+    JobLease.updateOne.mockResolvedValue({matchedCount: 0});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Location, 'find');
+
+    expect(await runRetention(NOW)).toMatchObject({devices: 0});
+    expect(Location.find).not.toHaveBeenCalled();
+    expect(JobLease.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('findCompactedPointIds', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds replayed pointIds in the summary of their bucket', async () => {
+    jest.spyOn(LocationSummary, 'find').mockReturnValue(query([{pointIds: ['p1', 'other']}]));
+
+    const found = await findCompactedPointIds('phone-1', [
+      {pointId: 'p1', recordedAt: OLD},
+      {pointId: 'p2', recordedAt: OLD},
+      {pointId: 'recent', recordedAt: NOW},
+    ], NOW);
+
+    expect(found).toEqual(new Set(['p1']));
+    expect(LocationSummary.find).toHaveBeenCalledWith(
+      expect.objectContaining({deviceId: 'phone-1', pointIds: {$in: ['p1', 'p2']}}),
+    );
+  });
+
+  it('does not query for points inside the raw window', async () => {
+    jest.spyOn(LocationSummary, 'find');
+
+    expect(await findCompactedPointIds('phone-1', [{pointId: 'p1', recordedAt: NOW}], NOW)).toEqual(new Set());
+    expect(LocationSummary.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('startRetentionJob', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('waits before the first run', () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(JobLease, 'findOneAndUpdate').mockRejectedValue(
+      Object.assign(new Error('duplicate key'), {code: 11000}),
+    );
+
+    const handle = startRetentionJob();
+    expect(JobLease.findOneAndUpdate).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(RETENTION_CONFIG.START_DELAY_MS);
+    expect(JobLease.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    clearInterval(handle);
+  });
+});
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import RefreshToken from '../../../models/RefreshToken.js';
+import User from '../../../models/User.js';
+import {AUTH_CONFIG} from '../../../config/apiConfig.js';
+import {issueSession, rotateRefreshToken} from '../../../services/tokenService.js';
+import {query} from '../queries.js';
+
+// In-memory RefreshToken collection behind the model statics the service uses
+function fakeRefreshTokens() {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+    const actual = doc[key] ?? null;
+    return value instanceof mongoose.Types.ObjectId ? value.equals(actual) : actual === value;
+  });
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async doc => {
+    const stored = {_id: new mongoose.Types.ObjectId(), revokedAt: null, ...doc};
+    docs.push(stored);
+    return stored;
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(filter =>
+    query(docs.find(doc => matches(doc, filter)) ?? null),
+  );
+  jest.spyOn(RefreshToken, 'findById').mockImplementation(id =>
+    query(docs.find(doc => doc._id.equals(id)) ?? null),
+  );
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) {
+      return null;
+    }
+    const before = {...doc};
+    Object.assign(doc, update.$set);
+    return before;
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    const hits = docs.filter(doc => matches(doc, filter));
+    hits.forEach(doc => Object.assign(doc, update.$set));
+    return {modifiedCount: hits.length};
+  });
+  jest.spyOn(RefreshToken, 'deleteOne').mockImplementation(async filter => {
+    const index = docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) {
+      docs.splice(index, 1);
+    }
+    return {deletedCount: index >= 0 ? 1 : 0};
+  });
+  return docs;
+}
+
+describe('rotateRefreshToken', () => {
+  let user;
+  let docs;
+
+  beforeEach(() => {
+    user = {_id: new mongoose.Types.ObjectId(), username: 'alice', tokenVersion: 0, disabledAt: null};
+    docs = fakeRefreshTokens();
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rotates a live token into a new one of the same session', async () => {
+    const {refreshToken} = await issueSession(user);
+
+    const {session, error} = await rotateRefreshToken(refreshToken);
+
+    expect(error).toBeUndefined();
+    expect(session.refreshToken).not.toBe(refreshToken);
+    expect(docs[0]).toMatchObject({revokedReason: 'rotated'});
+    expect(docs[1]).toMatchObject({family: docs[0].family, revokedAt: null});
+  });
+
+  it('gives a second refresh within the grace window the same successor', async () => {
+    const {refreshToken} = await issueSession(user);
+
+    const first = await rotateRefreshToken(refreshToken);
+    const second = await rotateRefreshToken(refreshToken);
+
+    expect(second.error).toBeUndefined();
+    expect(second.session.refreshToken).toBe(first.session.refreshToken);
+    expect(docs).toHaveLength(2);
+    expect(docs[1].revokedAt).toBeNull();
+  });
+
+  it('does the same when two refreshes race for the token', async () => {
+    const {refreshToken} = await issueSession(user);
+
+    const [first, second] = await Promise.all([
+      rotateRefreshToken(refreshToken),
+      rotateRefreshToken(refreshToken),
+    ]);
+
+    expect(first.error).toBeUndefined();
+    expect(second.error).toBeUndefined();
+    expect(second.session.refreshToken).toBe(first.session.refreshToken);
+    expect(docs.filter(doc => !doc.revokedAt)).toHaveLength(1);
+  });
+
+  it('treats reuse after the grace window as theft and revokes the session', async () => {
+    const {refreshToken} = await issueSession(user);
+    await rotateRefreshToken(refreshToken);
+    docs[0].revokedAt = new Date(Date.now() - (AUTH_CONFIG.REFRESH_REUSE_GRACE_SECONDS + 1) * 1000);
+
+    expect(await rotateRefreshToken(refreshToken)).toEqual({error: 'REUSED'});
+    expect(docs[1]).toMatchObject({revokedReason: 'reuse_detected'});
+  });
+
+  it('treats reuse as theft once the successor has itself been rotated', async () => {
+    const {refreshToken} = await issueSession(user);
+    const {session} = await rotateRefreshToken(refreshToken);
+    await rotateRefreshToken(session.refreshToken);
+
+    expect(await rotateRefreshToken(refreshToken)).toEqual({error: 'REUSED'});
+    expect(docs.filter(doc => !doc.revokedAt)).toHaveLength(0);
+  });
+
+  it('refuses to rotate for a disabled account', async () => {
+    const {refreshToken} = await issueSession(user);
+    user.disabledAt = new Date();
+
+    expect(await rotateRefreshToken(refreshToken)).toEqual({error: 'DISABLED'});
+    expect(docs).toHaveLength(1);
+    expect(docs[0].revokedAt).toBeNull();
+  });
+
+  it('refuses the grace successor once the account is disabled', async () => {
+    const {refreshToken} = await issueSession(user);
+    await rotateRefreshToken(refreshToken);
+    user.disabledAt = new Date();
+
+    expect(await rotateRefreshToken(refreshToken)).toEqual({error: 'DISABLED'});
+  });
+});
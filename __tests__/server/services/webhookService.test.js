@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import mongoose from 'mongoose';
+import Webhook from '../../../models/Webhook.js';
+import WebhookDelivery from '../../../models/WebhookDelivery.js';
+import {WEBHOOK_CONFIG} from '../../../config/apiConfig.js';
+import {sendTestDelivery} from '../../../services/webhookService.js';
+import {query} from '../queries.js';
+
+describe('sendTestDelivery', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const secret = 'whsec_test_secret';
+  let server;
+  let port;
+  let received;
+  let webhook;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({headers: req.headers, body});
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    webhook = {_id: new mongoose.Types.ObjectId(), owner: ownerId, deviceId: null, events: ['alert.opened'], secret};
+    jest.spyOn(Webhook, 'findOne').mockImplementation(() => query(webhook));
+    jest.spyOn(Webhook, 'updateOne').mockResolvedValue({});
+    jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => ({_id: new mongoose.Types.ObjectId(), ...doc}));
+    jest.spyOn(WebhookDelivery, 'findByIdAndUpdate').mockImplementation((id, update) =>
+      query({_id: id, ...update.$set}),
+    );
+  });
+
+  afterEach(() => {
+    WEBHOOK_CONFIG.ALLOW_INSECURE_URLS = false;
+    jest.restoreAllMocks();
+  });
+
+  it('signs the body with the webhook secret', async () => {
+    WEBHOOK_CONFIG.ALLOW_INSECURE_URLS = true;
+    webhook.url = `http://127.0.0.1:${port}/hook`;
+
+    const delivery = await sendTestDelivery(ownerId, webhook._id.toString());
+
+    expect(delivery).toMatchObject({status: 'delivered', lastStatusCode: 204});
+    const [{headers, body}] = received;
+    const timestamp = headers['x-webhook-timestamp'];
+    expect(headers['x-webhook-signature']).toBe(
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'),
+    );
+    expect(JSON.parse(body)).toMatchObject({type: WEBHOOK_CONFIG.TEST_EVENT});
+  });
+
+  it('refuses a hostname that resolves to an internal address', async () => {
+    webhook.url = `https://hooks.example.com:${port}/hook`;
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, options.all ? [{address: '127.0.0.1', family: 4}] : '127.0.0.1', 4);
+    });
+
+    const delivery = await sendTestDelivery(ownerId, webhook._id.toString());
+
+    expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', expect.anything(), expect.any(Function));
+    expect(delivery).toMatchObject({
+      status: 'failed',
+      lastStatusCode: null,
+      lastError: 'hooks.example.com resolves to internal address 127.0.0.1',
+    });
+    expect(received).toHaveLength(0);
+  });
+
+  it('refuses an internal IP literal saved before the URL check existed', async () => {
+    webhook.url = `http://127.0.0.1:${port}/hook`;
+
+    const delivery = await sendTestDelivery(ownerId, webhook._id.toString());
+
+    expect(delivery).toMatchObject({status: 'failed', lastError: '127.0.0.1 is an internal address'});
+    expect(received).toHaveLength(0);
+  });
+});
@@ -0,0 +1,192 @@
+import {Buffer} from 'buffer';
+import bcrypt from 'bcrypt';
+import express from 'express';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import authRoutes from '../../routes/authRoutes.js';
+import deviceRoutes from '../../routes/deviceRoutes.js';
+import locationRoutes from '../../routes/locationRoutes.js';
+import Device from '../../models/Device.js';
+import DeviceCredential from '../../models/DeviceCredential.js';
+import Geofence from '../../models/Geofence.js';
+import Location from '../../models/Location.js';
+import LocationSummary from '../../models/LocationSummary.js';
+import RefreshToken from '../../models/RefreshToken.js';
+import SignatureNonce from '../../models/SignatureNonce.js';
+import User from '../../models/User.js';
+import appConfig from '../../config';
+import {linkDevice} from '../../deviceLink';
+import {hmacSha256Hex, signedJsonHeaders} from '../../deviceSigning';
+import {signPayload} from '../../services/deviceSecretService.js';
+import LocationTrackingModule from '../../LocationTrackingModule';
+import {query} from './queries.js';
+
+// The app's side of linking and signing, run against the real routes. The
+// database is replaced by in-memory stand-ins for the calls on this path.
+
+jest.mock('react-native', () => ({Platform: {OS: 'android'}}));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../../LocationTrackingModule', () => ({setDeviceSecret: jest.fn(async () => true)}));
+jest.mock('../../config', () => ({SERVER_URL: ''}));
+
+const PASSWORD = 'correct horse';
+const deviceId = 'b5e0c9a2-3f4d-4e6a-9b1c-2d3e4f5a6b7c';
+
+describe('a device linked from the app', () => {
+  let server;
+  let baseUrl;
+  let user;
+  const credentials = new Map();
+  const nonces = new Set();
+  const stored = [];
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }),
+    );
+    app.use('/api/auth', authRoutes);
+    app.use('/api/devices', deviceRoutes);
+    app.use('/api', locationRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    appConfig.SERVER_URL = baseUrl;
+
+    user = new User({
+      email: 'owner@example.com',
+      username: 'owner',
+      passwordHash: await bcrypt.hash(PASSWORD, 4),
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Accounts and sessions
+    jest.spyOn(User, 'findOne').mockImplementation(filter => query(filter.username === 'owner' ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user.toObject()));
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue(query(null));
+
+    // A brand-new device
+    jest.spyOn(Device, 'find').mockReturnValue(query([]));
+    jest.spyOn(Device, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Device, 'findOneAndUpdate').mockReturnValue(query(null));
+    jest.spyOn(Device, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Device, 'create').mockImplementation(async doc => new Device(doc));
+    jest.spyOn(Location, 'exists').mockResolvedValue(null);
+    jest.spyOn(LocationSummary, 'exists').mockResolvedValue(null);
+
+    // Signing secrets and replay protection
+    jest.spyOn(DeviceCredential, 'findOne').mockImplementation(filter =>
+      query(credentials.get(filter.deviceId) || null),
+    );
+    jest.spyOn(DeviceCredential, 'updateOne').mockImplementation(async (filter, update) => {
+      credentials.set(filter.deviceId, {...credentials.get(filter.deviceId), ...update.$set});
+      return {modifiedCount: 1};
+    });
+    jest.spyOn(SignatureNonce, 'create').mockImplementation(async ({signature}) => {
+      if (nonces.has(signature)) {
+        throw Object.assign(new Error('duplicate key'), {code: 11000});
+      }
+      nonces.add(signature);
+    });
+
+    // Storing points
+    jest.spyOn(Location, 'find').mockReturnValue(query([]));
+    jest.spyOn(Location, 'create').mockImplementation(async doc => {
+      stored.push(doc);
+      return new Location(doc);
+    });
+    jest.spyOn(Geofence, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const upload = async (body, headers) =>
+    fetch(`${baseUrl}/api/location`, {method: 'POST', headers, body});
+
+  it('cannot upload before it is linked', async () => {
+    const body = JSON.stringify({deviceId, latitude: 52.52, longitude: 13.405});
+
+    const response = await upload(body, await signedJsonHeaders(body));
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('SIGNATURE_REQUIRED');
+  });
+
+  it('stores the secret it receives when the owner signs in on it', async () => {
+    await linkDevice({mode: 'signIn', deviceId, username: 'owner', password: PASSWORD});
+
+    const secret = credentials.get(deviceId)?.secret;
+    expect(secret).toBeTruthy();
+    expect(await AsyncStorage.getItem('device_secret')).toBe(secret);
+    expect(LocationTrackingModule.setDeviceSecret).toHaveBeenCalledWith(secret);
+  });
+
+  it('has its signed uploads accepted', async () => {
+    const body = JSON.stringify({deviceId, latitude: 52.52, longitude: 13.405, accuracy: 8});
+    const headers = await signedJsonHeaders(body);
+
+    const response = await upload(body, headers);
+
+    expect(response.status).toBe(201);
+    expect(stored).toEqual([expect.objectContaining({deviceId, latitude: 52.52, longitude: 13.405})]);
+    // createdAt stays in responses as a deprecated copy of receivedAt
+    const {data} = await response.json();
+    expect(data.createdAt).toBe(data.receivedAt);
+    expect(data.receivedAt).toBeTruthy();
+
+    // The same signed request is only accepted once
+    const replay = await upload(body, headers);
+    expect(replay.status).toBe(401);
+    expect((await replay.json()).code).toBe('SIGNATURE_REPLAYED');
+  });
+
+  it('has uploads rejected once the body no longer matches the signature', async () => {
+    const body = JSON.stringify({deviceId, latitude: 52.52, longitude: 13.405});
+    const headers = await signedJsonHeaders(body);
+
+    const response = await upload(body.replace('13.405', '13.406'), headers);
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('SIGNATURE_INVALID');
+  });
+});
+
+describe('app signatures', () => {
+  // Bodies around the SHA-256 padding boundaries (55/56/64 bytes) and non-ASCII text
+  const bodies = [
+    '',
+    'a'.repeat(55),
+    'a'.repeat(56),
+    'a'.repeat(64),
+    'x'.repeat(1000),
+    '{"deviceId":"ä","latitude":52.52,"note":"🚲 über straße"}',
+  ];
+
+  it.each(bodies)('match what the server computes (%#)', body => {
+    const secret = 'kYy3h1m0-device-secret_😀';
+    const timestamp = '1760868000000';
+
+    expect(hmacSha256Hex(secret, `${timestamp}.${body}`)).toBe(
+      signPayload(secret, timestamp, Buffer.from(body, 'utf8')),
+    );
+  });
+});
@@ -0,0 +1,51 @@
+import {simplifyPath} from '../../../utils/geo.js';
+
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+// A point `east` meters along a west-east line, `north` meters off it
+const at = (east, north = 0) => ({
+  latitude: north / METERS_PER_DEGREE,
+  longitude: east / METERS_PER_DEGREE,
+  east,
+});
+
+describe('simplifyPath', () => {
+  // Straight 1 km line with wobbles of 3 and 4 m
+  const wobbly = [at(0), at(250, 3), at(500), at(750, -4), at(1000)];
+  // Straight 1 km line with a 200 m detour
+  const detour = [at(0), at(100, 2), at(500, 200), at(900, -2), at(1000)];
+  const east = points => points.map(point => point.east);
+
+  it('keeps short paths as they are', () => {
+    const short = [at(0), at(10)];
+
+    expect(simplifyPath(short)).toEqual(short);
+    expect(simplifyPath(short)).not.toBe(short);
+  });
+
+  it('drops only points exactly on the line without a tolerance', () => {
+    expect(east(simplifyPath([at(0), at(500), at(1000)]))).toEqual([0, 1000]);
+    expect(east(simplifyPath(wobbly))).toEqual([0, 250, 500, 750, 1000]);
+  });
+
+  it('drops points within the tolerance of the simplified line', () => {
+    expect(east(simplifyPath(wobbly, {tolerance: 3}))).toEqual([0, 250, 750, 1000]);
+    expect(east(simplifyPath(wobbly, {tolerance: 5}))).toEqual([0, 1000]);
+  });
+
+  it('keeps the most significant points within maxPoints', () => {
+    expect(east(simplifyPath(detour, {maxPoints: 3}))).toEqual([0, 500, 1000]);
+    expect(east(simplifyPath(detour, {maxPoints: 4}))).toEqual([0, 500, 900, 1000]);
+  });
+
+  it('applies whichever of tolerance and maxPoints keeps fewer points', () => {
+    expect(east(simplifyPath(detour, {tolerance: 50, maxPoints: 4}))).toEqual([0, 500, 1000]);
+    expect(east(simplifyPath(wobbly, {tolerance: 1, maxPoints: 2}))).toEqual([0, 1000]);
+  });
+
+  it('always keeps both endpoints', () => {
+    for (const options of [{tolerance: 1000}, {maxPoints: 2}, {maxPoints: 0}]) {
+      expect(simplifyPath(detour, options)).toEqual([detour[0], detour[detour.length - 1]]);
+    }
+  });
+});
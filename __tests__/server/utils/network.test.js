@@ -0,0 +1,53 @@
+import {isInternalAddress} from '../../../utils/network.js';
+
+describe('isInternalAddress', () => {
+  it.each([
+    '0.0.0.0',
+    '10.1.2.3',
+    '100.64.0.1',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.31.255.255',
+    '192.0.0.8',
+    '192.0.2.10',
+    '192.168.1.1',
+    '198.18.0.1',
+    '198.51.100.7',
+    '203.0.113.200',
+    '224.0.0.1',
+    '255.255.255.255',
+  ])('refuses the special-purpose IPv4 address %s', address => {
+    expect(isInternalAddress(address)).toBe(true);
+  });
+
+  it.each(['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1', '2001:db8::1', '64:ff9b:1::1'])(
+    'refuses the special-purpose IPv6 address %s',
+    address => {
+      expect(isInternalAddress(address)).toBe(true);
+    },
+  );
+
+  it.each([
+    ['IPv4-mapped, hex', '::ffff:7f00:1'],
+    ['IPv4-mapped, dotted', '::ffff:10.0.0.1'],
+    ['NAT64, hex', '64:ff9b::7f00:1'],
+    ['NAT64, dotted', '64:ff9b::169.254.169.254'],
+    ['6to4', '2002:c0a8:101::1'],
+    ['IPv4-compatible', '::127.0.0.1'],
+  ])('refuses an internal IPv4 address in %s form (%s)', (form, address) => {
+    expect(isInternalAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '1.1.1.1',
+    '8.8.8.8',
+    '100.63.255.255',
+    '172.32.0.1',
+    '2606:4700:4700::1111',
+    '::ffff:8.8.8.8',
+    '64:ff9b::808:808',
+    '2002:808:808::1',
+  ])('accepts the public address %s', address => {
+    expect(isInternalAddress(address)).toBe(false);
+  });
+});
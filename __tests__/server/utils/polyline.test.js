@@ -0,0 +1,23 @@
+import {encodePolyline} from '../../../utils/polyline.js';
+
+describe('encodePolyline', () => {
+  it("matches Google's published example", () => {
+    const points = [
+      {latitude: 38.5, longitude: -120.2},
+      {latitude: 40.7, longitude: -120.95},
+      {latitude: 43.252, longitude: -126.453},
+    ];
+
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  });
+
+  it('keeps more decimal places at a higher precision', () => {
+    const points = [{latitude: 38.5, longitude: -120.2}];
+
+    expect(encodePolyline(points, 6)).toBe('_izlhA~rlgdF');
+  });
+
+  it('encodes an empty path as an empty string', () => {
+    expect(encodePolyline([])).toBe('');
+  });
+});
@@ -111,6 +111,22 @@ class LocationTrackingModule(reactContext: ReactApplicationContext) :
             promise.reject("CHECK_ERROR", "Failed to check tracking status: ${e.message}", e)
         }
     }
+
+    // Kept across stopTracking so the service can sign uploads after a restart
+    @ReactMethod
+    fun setDeviceSecret(secret: String?, promise: Promise) {
+        try {
+            val context: Context = reactApplicationContext
+            val prefs = context.getSharedPreferences("LocationTrackingState", Context.MODE_PRIVATE)
+            with(prefs.edit()) {
+                if (secret.isNullOrEmpty()) remove("device_secret") else putString("device_secret", secret)
+                apply()
+            }
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("SECRET_ERROR", e.message ?: "Failed to store device secret", e)
+        }
+    }
 }
 
 
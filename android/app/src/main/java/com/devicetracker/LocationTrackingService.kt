@@ -12,6 +12,7 @@ import android.net.ConnectivityManager
 import android.net.Network
 import android.net.NetworkCapabilities
 import android.net.NetworkRequest
+import android.os.BatteryManager
 import android.os.Binder
 import android.os.Build
 import android.os.Bundle
@@ -61,6 +62,12 @@ class LocationTrackingService : Service(), LocationListener {
     private val KEY_LAST_SUCCESS = "last_successful_send"
     private val KEY_STATUS = "service_status"
     
+    // Location extras keys for metadata captured at fix time
+    private val KEY_POINT_ID = "tracker_point_id"
+    private val KEY_BATTERY_LEVEL = "tracker_battery_level"
+    private val KEY_IS_CHARGING = "tracker_is_charging"
+    private val KEY_NETWORK_TYPE = "tracker_network_type"
+    
     inner class LocalBinder : Binder() {
         fun getService(): LocationTrackingService = this@LocationTrackingService
     }
@@ -161,32 +168,74 @@ class LocationTrackingService : Service(), LocationListener {
     
     /**
      * Flush queued locations when internet comes back
+     * Uploads the whole queue in one request to /api/location/batch
      */
     private fun flushLocationQueue() {
         if (!isNetworkAvailable || locationQueue.isEmpty()) return
         
         android.util.Log.d("LocationService", "Flushing ${locationQueue.size} queued locations...")
         executor?.execute {
-            var sentCount = 0
-            while (locationQueue.isNotEmpty() && isNetworkAvailable) {
-                val location = locationQueue.poll()
-                if (location != null) {
-                    try {
-                        sendLocationToServer(location, isQueued = true)
+            val batch = mutableListOf<Location>()
+            while (batch.size < MAX_QUEUE_SIZE) {
+                val location = locationQueue.poll() ?: break
+                batch.add(location)
+            }
+            if (batch.isEmpty()) return@execute
+            
+            try {
+                val points = org.json.JSONArray()
+                for (location in batch) {
+                    points.put(buildLocationJson(location))
+                }
+                val jsonBody = org.json.JSONObject()
+                    .put("deviceId", deviceId)
+                    .put("points", points)
+                    .toString()
+                
+                val connection = java.net.URL("$serverUrl/api/location/batch").openConnection() as java.net.HttpURLConnection
+                connection.requestMethod = "POST"
+                connection.setRequestProperty("Content-Type", "application/json")
+                connection.doOutput = true
+                
+                val bodyBytes = jsonBody.toByteArray(Charsets.UTF_8)
+                signRequest(connection, bodyBytes)
+                connection.outputStream.use { it.write(bodyBytes) }
+                
+                val responseCode = connection.responseCode
+                if (responseCode !in 200..299) {
+                    connection.disconnect()
+                    throw IOException("Batch upload failed: $responseCode")
+                }
+                
+                val response = connection.inputStream.bufferedReader().use { it.readText() }
+                connection.disconnect()
+                
+                // Re-queue points the server could not store but may accept later
+                val results = org.json.JSONObject(response).getJSONObject("data").getJSONArray("results")
+                var sentCount = 0
+                for (i in 0 until results.length()) {
+                    val result = results.getJSONObject(i)
+                    if (result.optBoolean("success")) {
                         sentCount++
-                        // Small delay between sends to avoid overwhelming server
-                        Thread.sleep(100)
-                    } catch (e: Exception) {
-                        android.util.Log.e("LocationService", "Error sending queued location: ${e.message}")
-                        // Re-queue if send failed and network is still available
-                        if (isNetworkAvailable && locationQueue.size < MAX_QUEUE_SIZE) {
-                            locationQueue.offer(location)
-                        }
-                        break
+                    } else if (result.optBoolean("retryable") && locationQueue.size < MAX_QUEUE_SIZE) {
+                        locationQueue.offer(batch[result.getInt("index")])
+                    }
+                }
+                
+                lastSuccessfulSendTime = System.currentTimeMillis()
+                consecutiveFailures = 0
+                saveHealthData("online")
+                android.util.Log.d("LocationService", "✅ Sent $sentCount of ${batch.size} queued locations")
+            } catch (e: Exception) {
+                android.util.Log.e("LocationService", "Error sending queued locations: ${e.message}")
+                // Re-queue the whole batch; it will be retried when the network returns
+                for (location in batch) {
+                    if (locationQueue.size < MAX_QUEUE_SIZE) {
+                        locationQueue.offer(location)
                     }
                 }
+                checkNetworkState()
             }
-            android.util.Log.d("LocationService", "✅ Sent $sentCount queued locations")
         }
     }
 
@@ -282,6 +331,23 @@ class LocationTrackingService : Service(), LocationListener {
             android.util.Log.e("LocationService", "Failed to clear state: ${e.message}")
         }
     }
+    
+    /**
+     * Add the device signature headers for an upload
+     * HMAC-SHA256 over "<timestamp>.<body>" with the secret set by the app;
+     * the request goes out unsigned if the device has no secret yet.
+     */
+    private fun signRequest(connection: java.net.HttpURLConnection, body: ByteArray) {
+        val secret = getSharedPreferences("LocationTrackingState", Context.MODE_PRIVATE)
+            .getString("device_secret", null) ?: return
+        val timestamp = System.currentTimeMillis().toString()
+        val mac = javax.crypto.Mac.getInstance("HmacSHA256")
+        mac.init(javax.crypto.spec.SecretKeySpec(secret.toByteArray(Charsets.UTF_8), "HmacSHA256"))
+        mac.update("$timestamp.".toByteArray(Charsets.UTF_8))
+        val signature = mac.doFinal(body).joinToString("") { "%02x".format(it) }
+        connection.setRequestProperty("X-Device-Timestamp", timestamp)
+        connection.setRequestProperty("X-Device-Signature", signature)
+    }
 
     private fun createNotificationChannel() {
         if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
@@ -468,6 +534,7 @@ class LocationTrackingService : Service(), LocationListener {
         // Only send if accuracy is good enough (30m threshold)
         if (location.accuracy <= 30f && deviceId != null && serverUrl != null) {
             lastLocation = location
+            attachFixMetadata(location)
             
             // Check network availability
             if (isNetworkAvailable) {
@@ -494,6 +561,75 @@ class LocationTrackingService : Service(), LocationListener {
         }
     }
 
+    /**
+     * Record a point ID plus battery and network state on the fix itself,
+     * so points sent later from the queue report the state at fix time
+     * and retries of the same fix are deduplicated by the server
+     */
+    private fun attachFixMetadata(location: Location) {
+        val extras = location.extras ?: Bundle()
+        extras.putString(KEY_POINT_ID, java.util.UUID.randomUUID().toString())
+        val batteryManager = getSystemService(Context.BATTERY_SERVICE) as? BatteryManager
+        if (batteryManager != null) {
+            val level = batteryManager.getIntProperty(BatteryManager.BATTERY_PROPERTY_CAPACITY)
+            if (level in 0..100) {
+                extras.putInt(KEY_BATTERY_LEVEL, level)
+            }
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.M) {
+                extras.putBoolean(KEY_IS_CHARGING, batteryManager.isCharging)
+            }
+        }
+        extras.putString(KEY_NETWORK_TYPE, currentNetworkType())
+        location.extras = extras
+    }
+
+    private fun currentNetworkType(): String {
+        if (!isNetworkAvailable) return "none"
+        if (Build.VERSION.SDK_INT < Build.VERSION_CODES.M) return "unknown"
+        val capabilities = connectivityManager?.let { it.getNetworkCapabilities(it.activeNetwork) }
+            ?: return "unknown"
+        return when {
+            capabilities.hasTransport(NetworkCapabilities.TRANSPORT_WIFI) -> "wifi"
+            capabilities.hasTransport(NetworkCapabilities.TRANSPORT_CELLULAR) -> "cellular"
+            capabilities.hasTransport(NetworkCapabilities.TRANSPORT_ETHERNET) -> "ethernet"
+            else -> "unknown"
+        }
+    }
+
+    /**
+     * Build the JSON body for one point (without deviceId)
+     * Includes optional telemetry only when the fix has it
+     */
+    private fun buildLocationJson(location: Location): org.json.JSONObject {
+        val json = org.json.JSONObject()
+            .put("latitude", location.latitude)
+            .put("longitude", location.longitude)
+            .put("accuracy", location.accuracy.toDouble())
+            .put("recordedAt", location.time)
+        if (location.hasSpeed()) json.put("speed", location.speed.toDouble())
+        if (location.hasBearing()) json.put("heading", location.bearing.toDouble())
+        if (location.hasAltitude()) json.put("altitude", location.altitude)
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O && location.hasVerticalAccuracy()) {
+            json.put("altitudeAccuracy", location.verticalAccuracyMeters.toDouble())
+        }
+        location.provider?.let { json.put("provider", it) }
+        // Lets the server flag fixes from mock location apps
+        val isMock = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) {
+            location.isMock
+        } else {
+            @Suppress("DEPRECATION")
+            location.isFromMockProvider
+        }
+        json.put("isMock", isMock)
+        location.extras?.let { extras ->
+            extras.getString(KEY_POINT_ID)?.let { json.put("pointId", it) }
+            if (extras.containsKey(KEY_BATTERY_LEVEL)) json.put("batteryLevel", extras.getInt(KEY_BATTERY_LEVEL))
+            if (extras.containsKey(KEY_IS_CHARGING)) json.put("isCharging", extras.getBoolean(KEY_IS_CHARGING))
+            extras.getString(KEY_NETWORK_TYPE)?.let { json.put("networkType", it) }
+        }
+        return json
+    }
+
     private fun sendLocationToServer(location: Location, isQueued: Boolean = false) {
         executor?.execute {
             try {
@@ -507,21 +643,18 @@ class LocationTrackingService : Service(), LocationListener {
                     return@execute
                 }
                 val url = "$serverUrl/api/location"
-                val jsonBody = """
-                    {
-                        "deviceId": "$deviceId",
-                        "latitude": ${location.latitude},
-                        "longitude": ${location.longitude},
-                        "accuracy": ${location.accuracy}
-                    }
-                """.trimIndent()
+                val jsonBody = buildLocationJson(location)
+                    .put("deviceId", deviceId)
+                    .toString()
                 
                 val connection = java.net.URL(url).openConnection() as java.net.HttpURLConnection
                 connection.requestMethod = "POST"
                 connection.setRequestProperty("Content-Type", "application/json")
                 connection.doOutput = true
                 
-                connection.outputStream.use { it.write(jsonBody.toByteArray()) }
+                val bodyBytes = jsonBody.toByteArray(Charsets.UTF_8)
+                signRequest(connection, bodyBytes)
+                connection.outputStream.use { it.write(bodyBytes) }
                 
                 val responseCode = connection.responseCode
                 if (responseCode in 200..299) {
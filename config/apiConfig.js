@@ -6,11 +6,266 @@ export const PAGINATION_CONFIG = {
   MIN_LIMIT: 1, // minimum items per page
 };
 
+// Data retention configuration (overridable via environment)
+// Raw points older than RAW_RETENTION_DAYS are compacted into one summary
+// point per COMPACT_BUCKET_MINUTES; everything older than PURGE_AFTER_DAYS is deleted.
+export const RETENTION_CONFIG = {
+  ENABLED: process.env.RETENTION_ENABLED !== 'false',
+  RAW_RETENTION_DAYS: Number(process.env.RETENTION_RAW_DAYS) || 30,
+  COMPACT_BUCKET_MINUTES: Number(process.env.RETENTION_BUCKET_MINUTES) || 15,
+  PURGE_AFTER_DAYS: Number(process.env.RETENTION_PURGE_DAYS) || 365,
+  RUN_INTERVAL_MS: 60 * 60 * 1000, // 1 hour between retention runs
+  // Wait after server start before the first run, so restarts and rolling
+  // deploys don't all compact at once
+  START_DELAY_MS: (Number(process.env.RETENTION_START_DELAY_MINUTES) || 10) * 60 * 1000,
+  LEASE_MS: 30 * 60 * 1000, // a run holds the shared lease this long between renewals
+};
+
+// Location ingest configuration
+export const INGEST_CONFIG = {
+  MAX_BATCH_SIZE: 100, // maximum points per batch upload (matches client queue size)
+  MAX_CLOCK_SKEW_MS: 5 * 60 * 1000, // 5 minutes - how far recordedAt may be ahead of server time
+  MAX_RECORDED_AGE_MS: 30 * 24 * 60 * 60 * 1000, // 30 days - oldest recordedAt accepted (offline queues)
+  MAX_SPEED_MS: 350, // ~1260 km/h - reject speeds no phone can report honestly
+};
+
+// Signed ingest (overridable via environment)
+// Devices sign each submission with HMAC-SHA256(secret, `${timestamp}.${body}`).
+// ALLOW_UNSIGNED_INGEST lets devices that have never been issued a secret keep
+// sending unsigned points while clients are updated; devices with a secret
+// must always sign.
+export const SIGNING_CONFIG = {
+  ALLOW_UNSIGNED_INGEST: process.env.ALLOW_UNSIGNED_INGEST === 'true',
+  MAX_SIGNATURE_AGE_MS: 5 * 60 * 1000, // 5 minutes - allowed clock difference / request age
+  ROTATION_GRACE_MS: 10 * 60 * 1000, // 10 minutes - previous secret still accepted after rotation
+};
+
+// Geospatial query configuration
+export const GEO_CONFIG = {
+  MAX_RADIUS_M: 50000, // 50 km - largest radius accepted by /location/within-radius
+  MAX_POLYGON_VERTICES: 500, // largest polygon accepted by /location/within-polygon
+};
+
+// Simplified track configuration (/location/track)
+export const TRACK_CONFIG = {
+  DEFAULT_RANGE_MS: 24 * 60 * 60 * 1000, // 24 hours - range used when `from` is omitted
+  MAX_SOURCE_POINTS: 20000, // newest points read per request before simplifying
+  DEFAULT_TOLERANCE_M: 10, // 10 meters - used when neither tolerance nor maxPoints is given
+  MAX_TOLERANCE_M: 10000, // 10 km - largest accepted tolerance
+  MAX_POINTS: 5000, // largest accepted point budget
+  POLYLINE_PRECISION: 5, // decimal places in encoded polylines (Google/Leaflet default)
+};
+
+// Session tokens (overridable via environment)
+// Access tokens are short-lived JWTs; refresh tokens rotate on every use.
+export const AUTH_CONFIG = {
+  ACCESS_TOKEN_TTL_SECONDS: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60, // 15 minutes
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // A just-rotated token presented again within this window gets the same
+  // successor back (two tabs refreshing at once) instead of revoking the session
+  REFRESH_REUSE_GRACE_SECONDS: Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30,
+};
+
+// Location access audit log (overridable via environment)
+// Every successful location read is recorded for the device owner.
+export const AUDIT_CONFIG = {
+  RETENTION_DAYS: Number(process.env.AUDIT_RETENTION_DAYS) || 365, // events are deleted after this
+  ACTIONS: [
+    'latest',
+    'history',
+    'track',
+    'export',
+    'status',
+    'within_radius',
+    'within_polygon',
+    'nearest',
+    'share_link_opened',
+  ],
+  ACTOR_TYPES: ['user', 'share_link', 'anonymous'],
+};
+
+// Geofences (/api/devices/:deviceId/geofences), evaluated on every upload.
+// A fence is only entered once a point's accuracy circle lies completely
+// inside it, and only left once the accuracy circle is HYSTERESIS_M or more
+// outside it, so a device parked near the boundary doesn't flap.
+export const GEOFENCE_CONFIG = {
+  TYPES: ['circle', 'polygon'],
+  EVENT_TYPES: ['enter', 'exit', 'dwell'],
+  MAX_PER_DEVICE: 20,
+  MAX_NAME_LENGTH: 60,
+  MIN_RADIUS_M: 25, // smaller circles are within GPS noise
+  HYSTERESIS_M: 25, // extra distance outside the fence before it counts as left
+  MAX_ACCURACY_M: 250, // less accurate fixes never change a fence's state
+  MAX_DWELL_MINUTES: 7 * 24 * 60, // dwell events after at most a week inside
+  EVENT_RETENTION_DAYS: Number(process.env.GEOFENCE_EVENT_RETENTION_DAYS) || 365,
+};
+
+// Alerts raised by anti-theft detection (overridable via environment)
+// One alert per device and rule stays open until the owner resolves it;
+// the same rule firing again updates it instead of opening another.
+export const ALERT_CONFIG = {
+  STATUSES: ['open', 'acknowledged', 'resolved'],
+  MAX_NOTE_LENGTH: 500, // resolution note
+  RETENTION_DAYS: Number(process.env.ALERT_RETENTION_DAYS) || 365, // resolved alerts are deleted after this
+};
+
+// Outbound webhooks (/api/webhooks, overridable via environment)
+// Every delivery is a signed POST; failures are retried with exponential
+// backoff and kept as dead letters once MAX_ATTEMPTS is used up.
+export const WEBHOOK_CONFIG = {
+  ENABLED: process.env.WEBHOOKS_ENABLED !== 'false', // delivery worker on/off
+  EVENT_TYPES: [
+    'alert.opened',
+    'alert.retriggered',
+    'alert.acknowledged',
+    'alert.resolved',
+    'geofence.enter',
+    'geofence.exit',
+    'geofence.dwell',
+    'device.offline',
+    'device.online',
+  ],
+  TEST_EVENT: 'webhook.test', // sent by the test endpoint only
+  DELIVERY_STATUSES: ['pending', 'delivered', 'failed', 'dead'], // failed: test deliveries, never retried
+  MAX_PER_USER: 10,
+  MAX_URL_LENGTH: 2048,
+  MAX_DESCRIPTION_LENGTH: 200,
+  // http:// and loopback/private addresses, for receivers on a development machine
+  ALLOW_INSECURE_URLS: process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true',
+  TIMEOUT_MS: 10 * 1000, // per attempt
+  MAX_ATTEMPTS: 10,
+  RETRY_BASE_MS: 30 * 1000, // wait after the first failure; doubles after each one
+  RETRY_MAX_MS: 2 * 60 * 60 * 1000, // longest wait between attempts
+  WORKER_INTERVAL_MS: 5 * 1000,
+  WORKER_BATCH_SIZE: 20, // deliveries attempted per worker run
+  DELIVERY_RETENTION_DAYS: Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30,
+};
+
+// Device presence (device.offline / device.online webhook events)
+export const PRESENCE_CONFIG = {
+  OFFLINE_AFTER_MS: (Number(process.env.DEVICE_OFFLINE_AFTER_MINUTES) || 60) * 60 * 1000, // no upload for this long
+  CHECK_INTERVAL_MS: 60 * 1000,
+  BATCH_SIZE: 100, // devices marked offline per check
+};
+
+// Admin API (/api/admin)
+export const ADMIN_CONFIG = {
+  MAX_SEARCH_LENGTH: 100, // longest username/email/deviceId search string
+  DEFAULT_STATS_DAYS: 7, // ingest statistics window when `days` is omitted
+  MAX_STATS_DAYS: 90,
+};
+
+// Email verification and password reset (overridable via environment)
+// Links in the emails open the web dashboard at APP_BASE_URL (SHARE_BASE_URL
+// if unset); without either, emails only contain the token.
+export const ACCOUNT_EMAIL_CONFIG = {
+  APP_BASE_URL: process.env.APP_BASE_URL || process.env.SHARE_BASE_URL || null,
+  VERIFY_EMAIL_TTL_HOURS: 48,
+  PASSWORD_RESET_TTL_MINUTES: 60,
+};
+
+// Outgoing mail (overridable via environment)
+// MAIL_TRANSPORT: 'console' logs messages (default), 'file' writes them to
+// MAIL_FILE_DIR. Production transports are plugged in with setMailTransport().
+export const MAIL_CONFIG = {
+  TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  FROM: process.env.MAIL_FROM || 'DeviceTracker <no-reply@localhost>',
+  FILE_DIR: process.env.MAIL_FILE_DIR || 'mail-outbox',
+};
+
+// Device read access (overridable via environment)
+// Devices that sent data before accounts existed have no owner. While
+// ALLOW_UNCLAIMED_DEVICE_READS is on, their location stays readable without a
+// token (responses carry a Deprecation header) until the device is registered.
+export const ACCESS_CONFIG = {
+  ALLOW_UNCLAIMED_DEVICE_READS: process.env.ALLOW_UNCLAIMED_DEVICE_READS === 'true',
+};
+
+// Devices per account
+export const DEVICE_CONFIG = {
+  MAX_DEVICES_PER_USER: 10, // phones, tablets, replacements
+  MAX_NAME_LENGTH: 60, // characters in a device name
+  PLATFORMS: ['android', 'ios', 'other'],
+};
+
+// Location share links (SHARE_BASE_URL: where the web dashboard is served)
+// A link shows a device read-only without the owner's credentials: its live
+// location, and with the 'history' scope also its track over the last N hours.
+export const SHARE_CONFIG = {
+  BASE_URL: process.env.SHARE_BASE_URL || null, // e.g. https://tracker.example.com; links omit `url` when unset
+  DEFAULT_EXPIRY_HOURS: 24,
+  MAX_EXPIRY_HOURS: 7 * 24, // 1 week
+  MAX_HISTORY_HOURS: 72, // 3 days, what the dashboard draws
+  MAX_ACTIVE_LINKS_PER_DEVICE: 20,
+  TRACK_MAX_POINTS: 1000, // point budget for a shared track
+};
+
+// Rate limiting (overridable via environment)
+// Counters live in the store named by RATE_LIMIT_STORE: 'memory' (per
+// process, the default) or 'mongo' (shared by every server instance).
+// Each limit allows MAX requests per WINDOW_MS for one key (IP, account or device).
+export const RATE_LIMIT_CONFIG = {
+  ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  LIMITS: {
+    LOGIN_IP: {WINDOW_MS: 15 * 60 * 1000, MAX: 30}, // login attempts per IP
+    LOGIN_ACCOUNT: {WINDOW_MS: 15 * 60 * 1000, MAX: 10}, // login attempts per username
+    REGISTER_IP: {WINDOW_MS: 60 * 60 * 1000, MAX: 10}, // sign-ups per IP
+    REFRESH_IP: {WINDOW_MS: 15 * 60 * 1000, MAX: 100}, // token refreshes per IP
+    ACCOUNT_LOOKUP_IP: {WINDOW_MS: 15 * 60 * 1000, MAX: 30}, // check-username / check-email per IP
+    INGEST_DEVICE: {WINDOW_MS: 60 * 1000, MAX: 120}, // POST /location per device (2/s)
+    INGEST_BATCH_DEVICE: {WINDOW_MS: 60 * 1000, MAX: 30}, // POST /location/batch per device
+    PASSWORD_RESET_IP: {WINDOW_MS: 60 * 60 * 1000, MAX: 10}, // forgot-password / reset-password per IP
+    ACCOUNT_EMAIL: {WINDOW_MS: 60 * 60 * 1000, MAX: 3}, // verification / reset emails per account
+  },
+  // Progressive lockout after failed logins for one username
+  LOGIN_LOCKOUT: {
+    MAX_FAILURES: 5, // failures within FAILURE_WINDOW_MS that trigger a lockout
+    FAILURE_WINDOW_MS: 15 * 60 * 1000,
+    BASE_LOCKOUT_MS: 60 * 1000, // first lockout; doubles with every further lockout
+    MAX_LOCKOUT_MS: 60 * 60 * 1000,
+    HISTORY_MS: 24 * 60 * 60 * 1000, // how long earlier lockouts count towards the next
+  },
+};
+
 // Anti-theft detection configuration
 export const DETECTION_CONFIG = {
   HISTORY_POINTS: 20, // Number of recent points to analyze
   IDLE_TIME_MS: 20 * 60 * 1000, // 20 minutes in milliseconds
   MOVE_DISTANCE_M: 30, // 30 meters - minimum distance to consider as movement
   MIN_MOVEMENT_DISTANCE_M: 5, // 5 meters - minimum distance to consider significant movement
+  SEVERITIES: ['low', 'medium', 'high'], // least to most severe
+  // impossible_speed: faster than any car or train between two points
+  MAX_PLAUSIBLE_SPEED_KMH: 300,
+  MIN_SPEED_CHECK_DISTANCE_M: 500, // shorter hops are usually GPS jitter
+  // offline_jump: a long reporting gap followed by a large displacement
+  OFFLINE_GAP_MS: 60 * 60 * 1000,
+  OFFLINE_JUMP_DISTANCE_M: 1000,
+  // night_movement: movement between these local hours (start inclusive, end exclusive)
+  NIGHT_START_HOUR: 0,
+  NIGHT_END_HOUR: 5,
+  DEFAULT_TIMEZONE: 'UTC', // for devices whose owner hasn't set one
+};
+
+// Plausibility checks on ingest (services/plausibilityService.js)
+// Every check that fires adds its weight to the point's score; points scoring
+// SUSPECT_SCORE or more are stored with suspect: true instead of being trusted.
+export const PLAUSIBILITY_CONFIG = {
+  RECENT_POINTS: 10, // earlier points each new point is compared with
+  // teleport: faster than any car or train since the last trusted point
+  MAX_SPEED_KMH: DETECTION_CONFIG.MAX_PLAUSIBLE_SPEED_KMH,
+  MIN_JUMP_DISTANCE_M: DETECTION_CONFIG.MIN_SPEED_CHECK_DISTANCE_M,
+  RELOCATION_CONFIRM_POINTS: 3, // consistent points at the new place that prove a real move (e.g. a flight)
+  MIN_ACCURACY_M: 1, // implausible_accuracy: no phone fix is better than this
+  CONSTANT_ACCURACY_POINTS: 5, // constant_accuracy: same accuracy on this many moving fixes in a row
+  EXACT_REPEAT_POINTS: 3, // exact_repeat: earlier fixes with the very same coordinates
+  WEIGHTS: {
+    mock_provider: 1, // the client reported a mock location provider
+    teleport: 1,
+    implausible_accuracy: 0.5,
+    constant_accuracy: 0.5,
+    exact_repeat: 0.5,
+  },
+  SUSPECT_SCORE: 1,
 };
 
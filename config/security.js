@@ -0,0 +1,118 @@
+// CORS and security header settings, read from the environment at startup.
+// Invalid values throw, so a typo stops the server instead of silently
+// opening (or closing) the API to browsers.
+//
+//   CORS_ORIGINS            comma-separated allowlist, e.g.
+//                           "https://tracker.example.com,http://localhost:8080",
+//                           or "*" (any origin, the default outside production).
+//                           Required in production, where "*" is refused.
+//   CORS_ALLOW_CREDENTIALS  "true" to let browsers send cookies / auth to allowed
+//                           origins (needs an allowlist); default "false"
+//   CORS_MAX_AGE_SECONDS    how long browsers cache preflight answers; default 86400
+//   HSTS_MAX_AGE_SECONDS    Strict-Transport-Security max-age, 0 disables it;
+//                           default 180 days in production, 0 otherwise
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Parse a "true"/"false" variable
+ */
+function parseBoolean(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be "true" or "false" (got "${value}")`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Parse a whole number of seconds
+ */
+function parseSeconds(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a whole number of seconds (got "${value}")`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse CORS_ORIGINS into '*' or a list of origins
+ * Each entry must be exactly an origin: scheme://host[:port], no path. Default
+ * ports are dropped (https://a.com:443 is https://a.com), as browsers send them.
+ * @param {string|undefined} value
+ * @param {boolean} production - Refuse a missing value and "*"
+ */
+function parseOrigins(value, production) {
+  if (production && (value === undefined || value.trim() === '')) {
+    throw new Error('CORS_ORIGINS must be set in production (comma-separated origins of the web dashboard)');
+  }
+
+  const entries = (value ?? '*')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    throw new Error('CORS_ORIGINS is empty; use "*" or a comma-separated list of origins');
+  }
+  if (entries.includes('*')) {
+    if (production) {
+      throw new Error('CORS_ORIGINS cannot be "*" in production; list the origins of the web dashboard');
+    }
+    if (entries.length > 1) {
+      throw new Error('CORS_ORIGINS cannot combine "*" with specific origins');
+    }
+    return '*';
+  }
+
+  return entries.map(entry => {
+    let url;
+    try {
+      url = new URL(entry);
+    } catch {
+      throw new Error(`CORS_ORIGINS entry "${entry}" is not a valid URL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`CORS_ORIGINS entry "${entry}" must use http or https`);
+    }
+    if (url.username || url.password || url.pathname !== '/' || url.search || url.hash || /[?#]$/.test(entry)) {
+      throw new Error(
+        `CORS_ORIGINS entry "${entry}" is not an origin (expected http(s)://host[:port] without a path)`,
+      );
+    }
+    return url.origin;
+  });
+}
+
+/**
+ * Read and validate the security settings
+ * @param {object} env - Usually process.env (after dotenv has loaded .env)
+ * @returns {{cors: {origins: '*'|string[], allowCredentials: boolean, maxAgeSeconds: number}, hstsMaxAgeSeconds: number}}
+ * @throws {Error} On any invalid value
+ */
+export function loadSecurityConfig(env) {
+  const production = env.NODE_ENV === 'production';
+  const origins = parseOrigins(env.CORS_ORIGINS, production);
+  const allowCredentials = parseBoolean('CORS_ALLOW_CREDENTIALS', env.CORS_ALLOW_CREDENTIALS, false);
+  if (allowCredentials && origins === '*') {
+    throw new Error('CORS_ALLOW_CREDENTIALS=true needs an explicit CORS_ORIGINS allowlist, not "*"');
+  }
+
+  return {
+    cors: {
+      origins,
+      allowCredentials,
+      maxAgeSeconds: parseSeconds('CORS_MAX_AGE_SECONDS', env.CORS_MAX_AGE_SECONDS, DAY_SECONDS),
+    },
+    hstsMaxAgeSeconds: parseSeconds(
+      'HSTS_MAX_AGE_SECONDS',
+      env.HSTS_MAX_AGE_SECONDS,
+      production ? 180 * DAY_SECONDS : 0,
+    ),
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Link this device to an account
+ *
+ * Uploads are only accepted when signed with the device's secret (see
+ * deviceSigning.ts), and the server hands the secret out once: when the
+ * device is registered to an account from the device itself. The app does
+ * that here, either by creating an account or by signing in to an existing
+ * one and adding the device to it (POST /api/devices, which also issues a
+ * new secret to a device the account already owns).
+ */
+
+import {Platform} from 'react-native';
+import {SERVER_URL} from './config';
+import {storeDeviceSecret} from './deviceSigning';
+
+export type LinkMode = 'signIn' | 'register';
+
+export type LinkDetails = {
+  mode: LinkMode;
+  deviceId: string;
+  username: string;
+  password: string;
+  email?: string; // required to register
+};
+
+const platform = Platform.OS === 'ios' || Platform.OS === 'android' ? Platform.OS : 'other';
+
+async function postJson(path: string, body: object, token?: string) {
+  const headers: Record<string, string> = {'Content-Type': 'application/json'};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP ${response.status}`);
+  }
+  return result.data;
+}
+
+// Register the device to an account and store its signing secret.
+// The session opened for this is closed again: the app only needs the secret.
+export async function linkDevice({
+  mode,
+  deviceId,
+  username,
+  password,
+  email,
+}: LinkDetails): Promise<void> {
+  let session;
+  let deviceSecret;
+  if (mode === 'register') {
+    session = await postJson('/api/auth/register', {
+      email,
+      username,
+      password,
+      deviceId,
+      platform,
+    });
+    deviceSecret = session.deviceSecret;
+  } else {
+    session = await postJson('/api/auth/login', {username, password});
+    const device = await postJson('/api/devices', {deviceId, platform}, session.token);
+    deviceSecret = device.deviceSecret;
+  }
+
+  await storeDeviceSecret(deviceSecret);
+
+  postJson('/api/auth/logout', {refreshToken: session.refreshToken}).catch(err => {
+    console.log('Could not close linking session:', err);
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Signed location uploads
+ *
+ * The server gives each device a secret at registration (and on rotation).
+ * Every upload is signed with HMAC-SHA256 over `${timestamp}.${body}`:
+ *
+ *   X-Device-Timestamp: <epoch ms>
+ *   X-Device-Signature: <hex signature>
+ *
+ * The body must be sent exactly as signed, so sign the JSON string you send.
+ */
+
+import {Platform} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {hmac} from '@noble/hashes/hmac';
+import {sha256} from '@noble/hashes/sha2';
+import {bytesToHex, utf8ToBytes} from '@noble/hashes/utils';
+import LocationTrackingModule from './LocationTrackingModule';
+
+const DEVICE_SECRET_KEY = 'device_secret';
+
+// HMAC-SHA256 of UTF-8 strings, hex encoded (what the server's signPayload computes)
+export function hmacSha256Hex(key: string, message: string): string {
+  return bytesToHex(hmac(sha256, utf8ToBytes(key), utf8ToBytes(message)));
+}
+
+export async function getDeviceSecret(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem(DEVICE_SECRET_KEY);
+  } catch (error) {
+    console.error('Error loading device secret:', error);
+    return null;
+  }
+}
+
+// Store the secret returned by registration or rotation (null clears it).
+// The Android background service keeps its own copy for its uploads.
+export async function storeDeviceSecret(secret: string | null): Promise<void> {
+  if (secret) {
+    await AsyncStorage.setItem(DEVICE_SECRET_KEY, secret);
+  } else {
+    await AsyncStorage.removeItem(DEVICE_SECRET_KEY);
+  }
+  if (Platform.OS === 'android') {
+    await LocationTrackingModule.setDeviceSecret(secret);
+  }
+}
+
+// Headers for an upload of `body`; unsigned if this device has no secret yet
+export async function signedJsonHeaders(
+  body: string,
+): Promise<Record<string, string>> {
+  const headers: Record<string, string> = {'Content-Type': 'application/json'};
+  const secret = await getDeviceSecret();
+  if (secret) {
+    const timestamp = Date.now().toString();
+    headers['X-Device-Timestamp'] = timestamp;
+    headers['X-Device-Signature'] = hmacSha256Hex(
+      secret,
+      `${timestamp}.${body}`,
+    );
+  }
+  return headers;
+}
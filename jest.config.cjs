@@ -0,0 +1,20 @@
+// The React Native app and the Express server are tested separately: the app
+// under the react-native preset, the server in plain Node
+module.exports = {
+  projects: [
+    {
+      displayName: 'app',
+      preset: 'react-native',
+      testMatch: ['<rootDir>/__tests__/*.test.ts?(x)'],
+      transformIgnorePatterns: [
+        'node_modules/(?!((jest-)?react-native|@react-native(-community)?|react-native-geolocation-service|uuid)/)',
+      ],
+      setupFiles: ['<rootDir>/jest.setup.js'],
+    },
+    {
+      displayName: 'server',
+      testEnvironment: 'node',
+      testMatch: ['<rootDir>/__tests__/server/**/*.test.js'],
+    },
+  ],
+};
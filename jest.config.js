@@ -1,3 +0,0 @@
-module.exports = {
-  preset: 'react-native',
-};
@@ -0,0 +1,15 @@
+/* eslint-env jest */
+// Native modules the app uses have no implementation under Jest
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('react-native-geolocation-service', () => ({
+  getCurrentPosition: jest.fn(),
+  watchPosition: jest.fn(() => 0),
+  clearWatch: jest.fn(),
+  stopObserving: jest.fn(),
+}));
+
+// Node already has crypto.getRandomValues
+jest.mock('react-native-get-random-values', () => ({}));
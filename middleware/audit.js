@@ -0,0 +1,29 @@
+import {recordAccess} from '../services/auditService.js';
+
+/**
+ * Audit middleware for location reads
+ *
+ *   router.get('/location/latest', validate(schema), requireDeviceOwner, auditAccess('latest'), handler)
+ *
+ * Mount after the access check (requireDeviceOwner / requireShareLink). The
+ * read is recorded once the response is out, and only if data was sent: an
+ * error response reveals no location. The scope is the request's from/to/format
+ * unless the handler sets res.locals.auditScope. Failing to record is logged,
+ * never reported to the reader.
+ * @param {string} action - One of AUDIT_CONFIG.ACTIONS
+ */
+export const auditAccess = action => (req, res, next) => {
+  res.on('close', () => {
+    if (!res.headersSent || res.statusCode >= 400) {
+      return;
+    }
+    const input = {...req.validated?.query, ...req.validated?.body};
+    const deviceId = req.share?.deviceId ?? input.deviceId;
+    const scope = res.locals.auditScope ?? {from: input.from, to: input.to, format: input.format};
+
+    recordAccess(req, deviceId, action, scope).catch(err => {
+      console.error(`Audit log error (${action}):`, err);
+    });
+  });
+  next();
+};
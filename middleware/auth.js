@@ -1,8 +1,50 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Device from '../models/Device.js';
+import {ACCESS_CONFIG, AUTH_CONFIG} from '../config/apiConfig.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+/**
+ * Verify an access token and load its user
+ * Rejects expired tokens, tokens from before expiry existed (no `exp`),
+ * tokens issued before the user's last "log out all sessions", and tokens of
+ * disabled accounts.
+ * @param {string} token - Bearer token
+ * @returns {Promise<{user?: object, message?: string}>} user, or why the token was rejected
+ */
+async function resolveAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return {message: 'Token has expired. Refresh it or login again.'};
+    }
+    if (err.name === 'JsonWebTokenError') {
+      return {message: 'Invalid token. Please login again.'};
+    }
+    throw err;
+  }
+
+  if (decoded.type !== 'access' || !decoded.exp) {
+    return {message: 'Token is no longer accepted. Please login again.'};
+  }
+
+  const user = await User.findById(decoded.userId).select('-passwordHash').lean();
+  if (!user) {
+    return {message: 'User not found. Token is invalid.'};
+  }
+  if (user.disabledAt) {
+    return {message: 'This account has been disabled.'};
+  }
+  if ((user.tokenVersion || 0) !== decoded.tv) {
+    return {message: 'Session has been revoked. Please login again.'};
+  }
+
+  return {user};
+}
+
 /**
  * JWT Authentication Middleware
  * Verifies JWT token and attaches user to req.user
@@ -28,37 +70,17 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (err) {
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token has expired. Please login again.',
-        });
-      }
-      if (err.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. Please login again.',
-        });
-      }
-      throw err;
-    }
-
-    // Find user by ID from token
-    const user = await User.findById(decoded.userId).select('-passwordHash').lean();
+    // Verify token and load its user
+    const {user, message} = await resolveAccessToken(token);
 
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found. Token is invalid.',
+        message,
       });
     }
 
-    // Attach user to request (includes deviceId)
+    // Attach user to request
     req.user = user;
     next();
   } catch (err) {
@@ -92,20 +114,11 @@ export const optionalAuthenticate = async (req, res, next) => {
       return next();
     }
 
-    // Try to verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (err) {
-      // Invalid token - continue without setting req.user
-      return next();
-    }
-
-    // Find user by ID from token
-    const user = await User.findById(decoded.userId).select('-passwordHash').lean();
+    // Try to verify token - invalid tokens just leave req.user unset
+    const {user} = await resolveAccessToken(token);
 
     if (user) {
-      // Attach user to request (includes deviceId)
+      // Attach user to request
       req.user = user;
     }
     
@@ -118,14 +131,104 @@ export const optionalAuthenticate = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
- * Token does not expire (no expiration set)
+ * Admin middleware
+ * Authenticates, then requires the user's role to be 'admin'.
+ */
+export const requireAdmin = (req, res, next) =>
+  authenticate(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required',
+      });
+    }
+    next();
+  });
+
+/**
+ * deviceId a request targets, from validated params, query or body
+ */
+const requestedDeviceId = req =>
+  req.validated?.params?.deviceId ??
+  req.validated?.query?.deviceId ??
+  req.validated?.body?.deviceId;
+
+/**
+ * Authenticate, then require the user to own deviceId
+ */
+const authenticateOwner = (req, res, next, deviceId) =>
+  authenticate(req, res, async () => {
+    try {
+      // Same answer for foreign and unknown devices, so deviceIds can't be probed
+      const owned = await Device.exists({deviceId, owner: req.user._id});
+      if (!owned) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this device',
+        });
+      }
+    } catch (err) {
+      console.error('Device ownership check error:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication error',
+      });
+    }
+    next();
+  });
+
+/**
+ * Device ownership middleware for location reads
+ * Requires a JWT whose user owns the requested device. Mount after validate()
+ * so the deviceId is read from req.validated (params, query or body).
+ *
+ * Migration path: with ALLOW_UNCLAIMED_DEVICE_READS on, devices no account has
+ * claimed yet stay readable without a token, flagged with a Deprecation header.
+ */
+export const requireDeviceOwner = async (req, res, next) => {
+  const deviceId = requestedDeviceId(req);
+
+  try {
+    if (ACCESS_CONFIG.ALLOW_UNCLAIMED_DEVICE_READS && !req.headers.authorization) {
+      const claimed = await Device.exists({deviceId});
+      if (!claimed) {
+        res.setHeader('Deprecation', 'true');
+        res.setHeader(
+          'Warning',
+          '299 - "Unauthenticated access to unclaimed devices is deprecated; register this device to an account"',
+        );
+        return next();
+      }
+    }
+  } catch (err) {
+    console.error('Device access check error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+
+  return authenticateOwner(req, res, next, deviceId);
+};
+
+/**
+ * Strict device ownership middleware for changes to a device (secrets, settings)
+ * Always requires the owner's JWT; the unclaimed-device read bypass never applies.
+ */
+export const requireDeviceOwnerStrict = (req, res, next) =>
+  authenticateOwner(req, res, next, requestedDeviceId(req));
+
+/**
+ * Generate a short-lived JWT access token for user
+ * Pair with a refresh token (services/tokenService.js) to stay signed in.
+ * @param {object} user - User document (needs _id and tokenVersion)
+ * @returns {string}
  */
-export const generateToken = (userId) => {
+export const generateAccessToken = (user) => {
   return jwt.sign(
-    {userId},
+    {userId: user._id.toString(), tv: user.tokenVersion || 0, type: 'access'},
     JWT_SECRET,
-    // No expiration - token is valid indefinitely
+    {expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL_SECONDS},
   );
 };
 
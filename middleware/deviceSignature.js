@@ -0,0 +1,46 @@
+import {verifyDeviceSignature} from '../services/deviceSecretService.js';
+
+/**
+ * Signed ingest middleware
+ * Devices sign each submission with their secret:
+ *
+ *   X-Device-Timestamp: <epoch ms>
+ *   X-Device-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))
+ *
+ * Mount after validate() so the deviceId is read from req.validated.body.
+ * Needs req.rawBody (captured by express.json's verify hook in server.js).
+ */
+export const requireDeviceSignature = async (req, res, next) => {
+  try {
+    const result = await verifyDeviceSignature({
+      deviceId: req.validated.body.deviceId,
+      timestamp: req.get('X-Device-Timestamp'),
+      signature: req.get('X-Device-Signature'),
+      rawBody: req.rawBody,
+    });
+
+    if (!result.ok) {
+      console.warn(`🚫 Rejected ingest for deviceId ${req.validated.body.deviceId}: ${result.code}`);
+      return res.status(401).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+      });
+    }
+
+    if (!result.signed) {
+      res.setHeader('Deprecation', 'true');
+      res.setHeader(
+        'Warning',
+        '299 - "Unsigned location submissions are deprecated; register this device to get a signing secret"',
+      );
+    }
+    next();
+  } catch (err) {
+    console.error('Device signature check error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+};
@@ -0,0 +1,68 @@
+import {getRateLimitStore} from '../services/rateLimitStore.js';
+import {RATE_LIMIT_CONFIG} from '../config/apiConfig.js';
+
+/**
+ * Rate limiting middleware
+ *
+ *   rateLimit({name: 'login-ip', limit: RATE_LIMIT_CONFIG.LIMITS.LOGIN_IP, key: byIp})
+ *
+ * Counts requests per key (IP, account, device) in fixed windows and answers
+ * 429 with Retry-After once the limit is exceeded:
+ *
+ *   {success: false, code: 'RATE_LIMITED', message}
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * (seconds). If the store fails, requests are let through and the error logged.
+ */
+
+/**
+ * Key by client IP (set `trust proxy` when behind a proxy, see server.js)
+ */
+export const byIp = req => req.ip;
+
+/**
+ * Seconds until a window ends (at least 1)
+ */
+export const secondsUntil = date => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Key prefix, unique per limit
+ * @param {{WINDOW_MS: number, MAX: number}} options.limit - Entry of RATE_LIMIT_CONFIG.LIMITS
+ * @param {function(object): (string|null|undefined)} options.key - Key for a request; null skips the limit
+ * @param {string} [options.message]
+ */
+export const rateLimit = ({name, limit, key, message = 'Too many requests. Please try again later.'}) =>
+  async (req, res, next) => {
+    if (!RATE_LIMIT_CONFIG.ENABLED) {
+      return next();
+    }
+    const id = key(req);
+    if (id == null || id === '') {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await getRateLimitStore().hit(`${name}:${id}`, limit.WINDOW_MS);
+    } catch (err) {
+      console.error(`Rate limit store error (${name}):`, err);
+      return next();
+    }
+
+    const resetSeconds = secondsUntil(counter.resetAt);
+    res.setHeader('RateLimit-Limit', limit.MAX);
+    res.setHeader('RateLimit-Remaining', Math.max(0, limit.MAX - counter.count));
+    res.setHeader('RateLimit-Reset', resetSeconds);
+
+    if (counter.count > limit.MAX) {
+      console.warn(`🚦 Rate limit ${name} exceeded for ${id}`);
+      res.setHeader('Retry-After', resetSeconds);
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message,
+      });
+    }
+    next();
+  };
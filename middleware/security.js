@@ -0,0 +1,71 @@
+/**
+ * CORS and security header middleware
+ *
+ * Configured from config/security.js. Requests without an Origin header
+ * (the app, devices, curl) are never affected by the CORS allowlist.
+ */
+
+const ALLOWED_METHODS = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+const ALLOWED_HEADERS =
+  'Content-Type, Authorization, Idempotency-Key, X-Device-Timestamp, X-Device-Signature';
+const EXPOSED_HEADERS =
+  'Content-Disposition, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset';
+
+/**
+ * CORS for the origins in the allowlist ('*' allows any origin)
+ * Preflights from other origins get 403; their other requests are answered
+ * without CORS headers, so the browser hides the response.
+ * @param {{origins: '*'|string[], allowCredentials: boolean, maxAgeSeconds: number}} config
+ */
+export function cors({origins, allowCredentials, maxAgeSeconds}) {
+  const allowAll = origins === '*';
+  const allowed = new Set(allowAll ? [] : origins);
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    const permitted = allowAll || allowed.has(origin);
+
+    if (!allowAll) {
+      // The answer depends on the Origin, so caches must not share it
+      res.vary('Origin');
+    }
+    if (origin && permitted) {
+      res.setHeader('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+      res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+      if (allowCredentials) {
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+      }
+    }
+
+    if (req.method !== 'OPTIONS') {
+      return next();
+    }
+    if (origin && !permitted) {
+      return res.status(403).json({success: false, message: 'Origin not allowed'});
+    }
+    res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+    res.setHeader('Access-Control-Max-Age', String(maxAgeSeconds));
+    return res.status(204).end();
+  };
+}
+
+/**
+ * Security headers for every response
+ * The API only serves JSON and file downloads, so nothing may frame or
+ * embed it, and nothing it returns should run as a page.
+ * @param {{hstsMaxAgeSeconds: number}} config - 0 leaves out Strict-Transport-Security
+ */
+export function securityHeaders({hstsMaxAgeSeconds}) {
+  return (req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    if (hstsMaxAgeSeconds > 0) {
+      res.setHeader('Strict-Transport-Security', `max-age=${hstsMaxAgeSeconds}; includeSubDomains`);
+    }
+    next();
+  };
+}
@@ -0,0 +1,29 @@
+import {resolveShareLink} from '../services/shareService.js';
+
+/**
+ * Share link middleware for the public read-only view
+ * Resolves the link token in req.validated.params (mount after validate())
+ * and attaches the link to req.share. Unknown, revoked and expired links get
+ * the same 404.
+ */
+export const requireShareLink = async (req, res, next) => {
+  try {
+    const share = await resolveShareLink(req.validated.params.token);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        code: 'SHARE_LINK_INVALID',
+        message: 'This share link is invalid, expired or has been revoked',
+      });
+    }
+
+    req.share = share;
+    next();
+  } catch (err) {
+    console.error('Share link check error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
@@ -0,0 +1,282 @@
+/**
+ * Declarative request validation
+ *
+ * Routes describe their body and query with plain schema objects:
+ *
+ *   validate({
+ *     query: {
+ *       deviceId: {type: 'string', required: true},
+ *       limit: {type: 'integer', min: 1},
+ *     },
+ *   })
+ *
+ * Failures are answered with one envelope everywhere:
+ *
+ *   {success: false, code: 'VALIDATION_FAILED', message,
+ *    errors: [{code, path, message}]}
+ *
+ * Validated (and, for query strings and route params, coerced) values are
+ * exposed on req.validated.body / req.validated.query / req.validated.params.
+ */
+
+export const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+// Per-field error codes
+export const ERROR_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  TOO_SHORT: 'TOO_SHORT',
+  TOO_LONG: 'TOO_LONG',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_VALUE: 'INVALID_VALUE',
+  TOO_FEW_ITEMS: 'TOO_FEW_ITEMS',
+  TOO_MANY_ITEMS: 'TOO_MANY_ITEMS',
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  date: 'an ISO 8601 date or epoch milliseconds',
+  array: 'an array',
+  object: 'an object',
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Convert a query-string value to the rule's type (query values are always strings)
+ */
+function coerce(rule, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      return value.trim() === '' ? value : Number(value);
+    case 'boolean':
+      if (value === 'true') {
+        return true;
+      }
+      if (value === 'false') {
+        return false;
+      }
+      return value;
+    case 'date':
+      return /^\d+$/.test(value) ? Number(value) : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a value against its type; returns the normalized value or undefined
+ */
+function checkType(rule, value) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? value : undefined;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'integer':
+      return Number.isInteger(value) ? value : undefined;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'date': {
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        return undefined;
+      }
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? value
+        : undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate a single value against a rule
+ * @param {object} rule - Field rule
+ * @param {*} rawValue - Value from the request
+ * @param {string} path - Field path used in error messages
+ * @param {object} options - {coerce: boolean}
+ * @returns {{value: *, errors: Array<{code: string, path: string, message: string}>}}
+ */
+export function validateValue(rule, rawValue, path, options = {}) {
+  const errors = [];
+  // rule.message replaces the generated message for everything but REQUIRED
+  const fail = (code, message) => {
+    const custom = code !== ERROR_CODES.REQUIRED && rule.message;
+    errors.push({code, path, message: custom || message});
+    return {value: undefined, errors};
+  };
+
+  const input = options.coerce ? coerce(rule, rawValue) : rawValue;
+
+  if (isEmpty(input)) {
+    if (rule.required) {
+      return fail(ERROR_CODES.REQUIRED, `${path} is required`);
+    }
+    return {value: rule.default, errors};
+  }
+
+  const value = checkType(rule, input);
+  if (value === undefined) {
+    return fail(ERROR_CODES.INVALID_TYPE, `${path} must be ${TYPE_NAMES[rule.type]}`);
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (
+      (rule.min != null && value < rule.min) ||
+      (rule.max != null && value > rule.max)
+    ) {
+      const range =
+        rule.max == null
+          ? `at least ${rule.min}`
+          : rule.min == null
+          ? `at most ${rule.max}`
+          : `between ${rule.min} and ${rule.max}`;
+      return fail(ERROR_CODES.OUT_OF_RANGE, `${path} must be ${range}`);
+    }
+  }
+
+  if (rule.type === 'string') {
+    if (rule.minLength != null && value.length < rule.minLength) {
+      return fail(ERROR_CODES.TOO_SHORT, `${path} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength != null && value.length > rule.maxLength) {
+      return fail(ERROR_CODES.TOO_LONG, `${path} must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(ERROR_CODES.INVALID_FORMAT, `${path} has an invalid format`);
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(ERROR_CODES.INVALID_VALUE, `${path} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  let result = value;
+
+  if (rule.type === 'array') {
+    if (rule.minItems != null && value.length < rule.minItems) {
+      return fail(ERROR_CODES.TOO_FEW_ITEMS, `${path} must contain at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+    }
+    if (rule.maxItems != null && value.length > rule.maxItems) {
+      return fail(ERROR_CODES.TOO_MANY_ITEMS, `${path} can contain at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      result = value.map((item, index) => {
+        const itemResult = validateValue(rule.items, item, `${path}[${index}]`, options);
+        errors.push(...itemResult.errors);
+        return itemResult.value;
+      });
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    const nested = validateObject(rule.fields, value, path, options);
+    errors.push(...nested.errors);
+    result = nested.value;
+  }
+
+  if (errors.length === 0 && rule.custom) {
+    const customError = rule.custom(result);
+    if (customError) {
+      const {code = ERROR_CODES.INVALID_VALUE, message} =
+        typeof customError === 'string' ? {message: customError} : customError;
+      errors.push({code, path, message});
+    }
+  }
+
+  return {value: errors.length === 0 ? result : undefined, errors};
+}
+
+/**
+ * Validate an object against a schema of field rules
+ * Unknown fields are passed through untouched.
+ * @param {object} schema - Map of field name to rule
+ * @param {object} source - Object to validate
+ * @param {string} prefix - Path prefix for nested objects
+ * @param {object} options - {coerce: boolean}
+ * @returns {{value: object, errors: Array<{code: string, path: string, message: string}>}}
+ */
+export function validateObject(schema, source, prefix = '', options = {}) {
+  const input = source !== null && typeof source === 'object' ? source : {};
+  const value = {...input};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${field}` : field;
+    const result = validateValue(rule, input[field], path, options);
+    errors.push(...result.errors);
+    if (result.value === undefined) {
+      delete value[field];
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return {value, errors};
+}
+
+/**
+ * Send the standard validation error envelope
+ * @param {object} res - Express response
+ * @param {Array<{code: string, path: string, message: string}>} errors
+ * @param {number} status - HTTP status (default 400)
+ */
+export function sendValidationError(res, errors, status = 400) {
+  return res.status(status).json({
+    success: false,
+    code: VALIDATION_FAILED,
+    message: errors[0]?.message || 'Invalid request',
+    errors,
+  });
+}
+
+/**
+ * Express middleware validating req.body, req.query and/or req.params
+ * @param {{body?: object, query?: object, params?: object}} schemas
+ */
+export const validate = schemas => (req, res, next) => {
+  const errors = [];
+  req.validated = {};
+
+  if (schemas.body) {
+    if (req.body != null && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      return sendValidationError(res, [
+        {code: ERROR_CODES.INVALID_TYPE, path: 'body', message: 'Request body must be a JSON object'},
+      ]);
+    }
+    const result = validateObject(schemas.body, req.body);
+    errors.push(...result.errors);
+    req.validated.body = result.value;
+  }
+
+  if (schemas.query) {
+    const result = validateObject(schemas.query, req.query, '', {coerce: true});
+    errors.push(...result.errors);
+    req.validated.query = result.value;
+  }
+
+  if (schemas.params) {
+    const result = validateObject(schemas.params, req.params, '', {coerce: true});
+    errors.push(...result.errors);
+    req.validated.params = result.value;
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
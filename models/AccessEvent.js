@@ -0,0 +1,37 @@
+import {Schema, model} from 'mongoose';
+import {AUDIT_CONFIG} from '../config/apiConfig.js';
+
+// Audit log of location reads: who (signed-in user, share link, or nobody
+// for unclaimed devices) read what of which device, from where and when.
+const accessEventSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    action: {type: String, enum: AUDIT_CONFIG.ACTIONS, required: true},
+    actor: {
+      type: {type: String, enum: AUDIT_CONFIG.ACTOR_TYPES, required: true},
+      userId: {type: Schema.Types.ObjectId, ref: 'User'},
+      username: {type: String}, // at the time of the read
+      shareLinkId: {type: Schema.Types.ObjectId, ref: 'ShareLink'},
+      shareLabel: {type: String},
+    },
+    ip: {type: String},
+    userAgent: {type: String, maxlength: 256},
+    // Time range / format requested, when the read had one
+    scope: {
+      from: {type: Date},
+      to: {type: Date},
+      format: {type: String},
+    },
+  },
+  {
+    timestamps: {createdAt: 'at', updatedAt: false},
+  },
+);
+
+accessEventSchema.index({deviceId: 1, at: -1});
+// MongoDB removes events after the retention period
+accessEventSchema.index({at: 1}, {expireAfterSeconds: AUDIT_CONFIG.RETENTION_DAYS * 24 * 60 * 60});
+
+const AccessEvent = model('AccessEvent', accessEventSchema);
+
+export default AccessEvent;
@@ -0,0 +1,28 @@
+import {Schema, model} from 'mongoose';
+
+// Single-use tokens mailed to account owners: email verification and password
+// reset. Only a SHA-256 hash of each token is stored. `email` is the address
+// the token was sent to, so a verification link stops counting once the
+// account's email changes.
+const accountTokenSchema = new Schema(
+  {
+    userId: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    purpose: {type: String, enum: ['verify_email', 'reset_password'], required: true},
+    tokenHash: {type: String, required: true},
+    email: {type: String, required: true},
+    expiresAt: {type: Date, required: true},
+    usedAt: {type: Date, default: null},
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  },
+);
+
+accountTokenSchema.index({tokenHash: 1}, {unique: true});
+accountTokenSchema.index({userId: 1, purpose: 1, usedAt: 1});
+// MongoDB removes tokens once they expire
+accountTokenSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const AccountToken = model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
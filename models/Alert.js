@@ -0,0 +1,51 @@
+import {Schema, model} from 'mongoose';
+import {ALERT_CONFIG, DETECTION_CONFIG} from '../config/apiConfig.js';
+
+// A detection rule flagging a device (services/alertService.js).
+// Lifecycle: open -> acknowledged (the owner has seen it) -> resolved.
+// Repeated triggers of the same rule update the unresolved alert.
+const alertSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    ruleId: {type: String, required: true}, // detection rule, e.g. offline_jump
+    severity: {type: String, enum: DETECTION_CONFIG.SEVERITIES, required: true}, // highest seen
+    message: {type: String}, // of the latest trigger
+    evidence: [
+      {
+        _id: false,
+        latitude: {type: Number},
+        longitude: {type: Number},
+        accuracy: {type: Number},
+        recordedAt: {type: Date},
+      },
+    ],
+    status: {type: String, enum: ALERT_CONFIG.STATUSES, default: 'open'},
+    firstTriggeredAt: {type: Date, required: true},
+    lastTriggeredAt: {type: Date, required: true},
+    // Newest evidence point; a trigger whose evidence isn't newer is a repeat
+    lastEvidenceAt: {type: Date, required: true},
+    triggerCount: {type: Number, default: 1},
+    acknowledgedAt: {type: Date, default: null},
+    acknowledgedBy: {type: Schema.Types.ObjectId, ref: 'User', default: null},
+    resolvedAt: {type: Date, default: null},
+    resolvedBy: {type: Schema.Types.ObjectId, ref: 'User', default: null},
+    resolutionNote: {type: String, maxlength: ALERT_CONFIG.MAX_NOTE_LENGTH},
+  },
+  {
+    timestamps: true,
+  },
+);
+
+alertSchema.index({deviceId: 1, firstTriggeredAt: -1});
+alertSchema.index({deviceId: 1, ruleId: 1, lastEvidenceAt: -1});
+// At most one unresolved alert per device and rule
+alertSchema.index(
+  {deviceId: 1, ruleId: 1},
+  {unique: true, partialFilterExpression: {status: {$in: ['open', 'acknowledged']}}},
+);
+// MongoDB removes resolved alerts after the retention period
+alertSchema.index({resolvedAt: 1}, {expireAfterSeconds: ALERT_CONFIG.RETENTION_DAYS * 24 * 60 * 60});
+
+const Alert = model('Alert', alertSchema);
+
+export default Alert;
@@ -0,0 +1,33 @@
+import {Schema, model} from 'mongoose';
+import {DEVICE_CONFIG} from '../config/apiConfig.js';
+
+// A tracked device (phone, tablet) and the account that owns it.
+// A user can own several devices; a deviceId belongs to at most one user.
+const deviceSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    owner: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    name: {type: String, trim: true, maxlength: DEVICE_CONFIG.MAX_NAME_LENGTH},
+    platform: {type: String, enum: DEVICE_CONFIG.PLATFORMS, default: 'other'},
+    registeredAt: {type: Date, default: Date.now},
+    lastSeenAt: {type: Date, default: null}, // last accepted location upload
+    offlineSince: {type: Date, default: null}, // set when uploads stop (services/presenceService.js)
+    // Anti-theft detection settings (services/detectionService.js)
+    detection: {
+      rules: {type: Map, of: Boolean}, // per-rule on/off overrides; other rules use their default
+      timezone: {type: String, default: null}, // IANA zone for time-of-day rules, e.g. Europe/Berlin
+      excludeSuspect: {type: Boolean}, // rules skip implausible points (default true)
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+deviceSchema.index({deviceId: 1}, {unique: true});
+deviceSchema.index({owner: 1, registeredAt: 1});
+deviceSchema.index({offlineSince: 1, lastSeenAt: 1});
+
+const Device = model('Device', deviceSchema);
+
+export default Device;
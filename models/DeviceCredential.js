@@ -0,0 +1,25 @@
+import {Schema, model} from 'mongoose';
+
+// Per-device ingest secret used to verify HMAC-signed location submissions.
+// The secret itself is needed to verify signatures, so it is stored as issued
+// but never selected by default. After a rotation the previous secret keeps
+// working until previousExpiresAt so in-flight uploads are not rejected.
+const deviceCredentialSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    secret: {type: String, select: false},
+    previousSecret: {type: String, select: false},
+    previousExpiresAt: {type: Date},
+    rotatedAt: {type: Date},
+    revokedAt: {type: Date, default: null},
+  },
+  {
+    timestamps: true,
+  },
+);
+
+deviceCredentialSchema.index({deviceId: 1}, {unique: true});
+
+const DeviceCredential = model('DeviceCredential', deviceCredentialSchema);
+
+export default DeviceCredential;
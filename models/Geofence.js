@@ -0,0 +1,41 @@
+import {Schema, model} from 'mongoose';
+import {GEOFENCE_CONFIG} from '../config/apiConfig.js';
+
+// An owner-defined area for one device: a circle (center + radius) or a
+// GeoJSON polygon. `state` is advanced by every upload of the device
+// (services/geofenceService.js) and produces enter/exit/dwell events.
+const geofenceSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    name: {type: String, required: true, trim: true, maxlength: GEOFENCE_CONFIG.MAX_NAME_LENGTH},
+    type: {type: String, enum: GEOFENCE_CONFIG.TYPES, required: true},
+    // 'circle' fences
+    center: {
+      latitude: {type: Number, min: -90, max: 90},
+      longitude: {type: Number, min: -180, max: 180},
+    },
+    radius: {type: Number}, // meters
+    // 'polygon' fences ([lng, lat] order)
+    polygon: {
+      type: {type: String, enum: ['Polygon']},
+      coordinates: {type: [[[Number]]], default: undefined},
+    },
+    dwellMinutes: {type: Number, default: null}, // null: no dwell events
+    enabled: {type: Boolean, default: true},
+    state: {
+      inside: {type: Boolean, default: null}, // null until a fix clearly decides it
+      since: {type: Date, default: null}, // recordedAt of the fix that decided `inside`
+      lastPointAt: {type: Date, default: null}, // newest fix evaluated; older ones are skipped
+      dwellReportedAt: {type: Date, default: null}, // dwell event of the current stay
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+geofenceSchema.index({deviceId: 1, createdAt: 1});
+
+const Geofence = model('Geofence', geofenceSchema);
+
+export default Geofence;
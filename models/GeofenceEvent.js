@@ -0,0 +1,33 @@
+import {Schema, model} from 'mongoose';
+import {GEOFENCE_CONFIG} from '../config/apiConfig.js';
+
+// A device entering, leaving or dwelling in one of its geofences, with the
+// fix that caused it. The fence name is copied so events outlive the fence.
+const geofenceEventSchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    geofenceId: {type: Schema.Types.ObjectId, ref: 'Geofence', required: true},
+    geofenceName: {type: String},
+    type: {type: String, enum: GEOFENCE_CONFIG.EVENT_TYPES, required: true},
+    at: {type: Date, required: true}, // recordedAt of the fix
+    latitude: {type: Number, required: true},
+    longitude: {type: Number, required: true},
+    accuracy: {type: Number},
+    distance: {type: Number}, // meters from the boundary; negative inside
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  },
+);
+
+geofenceEventSchema.index({deviceId: 1, at: -1});
+geofenceEventSchema.index({geofenceId: 1, at: -1});
+// MongoDB removes events after the retention period
+geofenceEventSchema.index(
+  {createdAt: 1},
+  {expireAfterSeconds: GEOFENCE_CONFIG.EVENT_RETENTION_DAYS * 24 * 60 * 60},
+);
+
+const GeofenceEvent = model('GeofenceEvent', geofenceEventSchema);
+
+export default GeofenceEvent;
@@ -0,0 +1,13 @@
+import {Schema, model} from 'mongoose';
+
+// Lease on a periodic job, so only one server (or script) runs it at a time.
+// The holder renews it while working; a crashed holder's lease runs out.
+const jobLeaseSchema = new Schema({
+  _id: {type: String}, // job name
+  owner: {type: String, required: true}, // random id of the current holder
+  expiresAt: {type: Date, required: true},
+});
+
+const JobLease = model('JobLease', jobLeaseSchema);
+
+export default JobLease;
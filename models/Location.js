@@ -1,17 +1,76 @@
 import {Schema, model} from 'mongoose';
 
+export const NETWORK_TYPES = ['wifi', 'cellular', 'ethernet', 'none', 'unknown'];
+
+// Optional per-point telemetry, returned by latest/history/geo queries
+export const TELEMETRY_FIELDS = [
+  'speed',
+  'heading',
+  'altitude',
+  'altitudeAccuracy',
+  'provider',
+  'batteryLevel',
+  'isCharging',
+  'networkType',
+  'isMock',
+];
+
 const locationSchema = new Schema(
   {
     deviceId: {type: String, required: true, index: true},
-    latitude: {type: Number, required: true},
-    longitude: {type: Number, required: true},
+    // Client-generated ID (or Idempotency-Key) so retried submissions aren't stored twice
+    pointId: {type: String},
+    latitude: {type: Number, required: true, min: -90, max: 90},
+    longitude: {type: Number, required: true, min: -180, max: 180},
     accuracy: {type: Number},
+    // Optional telemetry reported by the client alongside the fix
+    speed: {type: Number, min: 0}, // m/s
+    heading: {type: Number, min: 0, max: 360}, // degrees clockwise from north
+    altitude: {type: Number}, // meters above WGS84 ellipsoid
+    altitudeAccuracy: {type: Number, min: 0}, // meters
+    provider: {type: String, trim: true, maxlength: 32}, // e.g. gps, network, fused
+    batteryLevel: {type: Number, min: 0, max: 100}, // percent
+    isCharging: {type: Boolean},
+    networkType: {type: String, enum: NETWORK_TYPES},
+    isMock: {type: Boolean}, // fix came from a mock location provider (Android)
+    // When the device took the fix (client-supplied, falls back to receipt time)
+    recordedAt: {type: Date, required: true},
+    // Set by the plausibility checks on ingest (services/plausibilityService.js);
+    // only stored when a check fired
+    suspect: {type: Boolean},
+    plausibilityFlags: {type: [String], default: undefined},
+    // GeoJSON copy of latitude/longitude for 2dsphere queries ([lng, lat] order)
+    location: {
+      type: {type: String, enum: ['Point'], default: 'Point'},
+      coordinates: {type: [Number], default: undefined},
+    },
   },
   {
-    timestamps: {createdAt: true, updatedAt: false},
+    // When the server received the point (for delivery-latency analysis)
+    timestamps: {createdAt: 'receivedAt', updatedAt: false},
   },
 );
 
+// History, latest and status queries read a device's points by recorded time
+// (_id breaks ties so cursor pagination is stable)
+locationSchema.index({deviceId: 1, recordedAt: -1, _id: -1});
+// The retention job purges and finds points to compact across all devices
+locationSchema.index({recordedAt: 1});
+// A replayed pointId resolves to the originally stored point
+locationSchema.index(
+  {deviceId: 1, pointId: 1},
+  {unique: true, partialFilterExpression: {pointId: {$type: 'string'}}},
+);
+// Geospatial queries are always scoped to one device
+locationSchema.index({deviceId: 1, location: '2dsphere'});
+
+// Keep the GeoJSON point in sync with latitude/longitude
+locationSchema.pre('validate', function () {
+  if (typeof this.latitude === 'number' && typeof this.longitude === 'number') {
+    this.location = {type: 'Point', coordinates: [this.longitude, this.latitude]};
+  }
+});
+
 const Location = model('Location', locationSchema);
 
 export default Location;
@@ -0,0 +1,53 @@
+import {Schema, model} from 'mongoose';
+
+// Compacted history tier: one representative point per device per time bucket.
+// Raw Location points older than the retention window are folded into these.
+// Points that failed the plausibility checks are left out of the stats unless
+// the whole bucket failed; then the summary is marked suspect like a raw point.
+const locationSummarySchema = new Schema(
+  {
+    deviceId: {type: String, required: true},
+    bucketStart: {type: Date, required: true},
+    bucketEnd: {type: Date, required: true},
+
+    // Representative point (the most accurate fix in the bucket)
+    latitude: {type: Number, required: true},
+    longitude: {type: Number, required: true},
+    accuracy: {type: Number},
+    recordedAt: {type: Date, required: true},
+
+    // Summary stats for the bucket
+    pointCount: {type: Number, required: true}, // points the stats describe
+    firstRecordedAt: {type: Date, required: true},
+    lastRecordedAt: {type: Date, required: true},
+    distanceM: {type: Number, default: 0}, // path length between the bucket's points
+    avgSpeed: {type: Number}, // m/s, over points that reported speed
+    maxSpeed: {type: Number}, // m/s
+    speedSamples: {type: Number, default: 0}, // points that reported speed (for merging avgSpeed)
+    bounds: {
+      minLatitude: {type: Number},
+      maxLatitude: {type: Number},
+      minLongitude: {type: Number},
+      maxLongitude: {type: Number},
+    },
+
+    suspect: {type: Boolean}, // only set when every point in the bucket was suspect
+    suspectCount: {type: Number, default: 0}, // suspect points compacted into the bucket
+    plausibilityFlags: {type: [String], default: undefined}, // flags of those points
+    // Client pointIds compacted into the bucket, so a replayed upload of one
+    // is recognized after its raw point is gone
+    pointIds: {type: [String], default: undefined, select: false},
+  },
+  {
+    timestamps: true,
+  },
+);
+
+locationSummarySchema.index({deviceId: 1, bucketStart: 1}, {unique: true});
+locationSummarySchema.index({deviceId: 1, recordedAt: -1, _id: -1});
+// The retention job purges expired buckets across all devices
+locationSummarySchema.index({bucketStart: 1});
+
+const LocationSummary = model('LocationSummary', locationSummarySchema);
+
+export default LocationSummary;
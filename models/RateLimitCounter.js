@@ -0,0 +1,21 @@
+import {Schema, model} from 'mongoose';
+
+// Fixed-window counters for the shared ('mongo') rate limit store.
+// _id is the limit key, e.g. "login-ip:203.0.113.7".
+const rateLimitCounterSchema = new Schema(
+  {
+    _id: {type: String},
+    count: {type: Number, required: true},
+    resetAt: {type: Date, required: true}, // end of the current window
+  },
+  {
+    versionKey: false,
+  },
+);
+
+// MongoDB removes counters once their window is over
+rateLimitCounterSchema.index({resetAt: 1}, {expireAfterSeconds: 0});
+
+const RateLimitCounter = model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
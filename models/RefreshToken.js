@@ -0,0 +1,38 @@
+import {Schema, model} from 'mongoose';
+
+// Server-side refresh tokens. Only a SHA-256 hash of each token is stored.
+// Every refresh rotates the token; all tokens descending from one login share a
+// `family`, so presenting an already-rotated token revokes the whole session
+// (after a short grace window, see tokenService.rotateRefreshToken).
+const refreshTokenSchema = new Schema(
+  {
+    userId: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    tokenHash: {type: String, required: true},
+    family: {type: String, required: true}, // one login session
+    expiresAt: {type: Date, required: true},
+    revokedAt: {type: Date, default: null},
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'logout_all', 'reuse_detected'],
+    },
+    lastUsedAt: {type: Date},
+    // Token this one was rotated into, encrypted with a key derived from this
+    // token, so only its holder can recover it during the grace window
+    successor: {type: String},
+    userAgent: {type: String, maxlength: 256},
+    ip: {type: String},
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  },
+);
+
+refreshTokenSchema.index({tokenHash: 1}, {unique: true});
+refreshTokenSchema.index({userId: 1, revokedAt: 1});
+refreshTokenSchema.index({family: 1});
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const RefreshToken = model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
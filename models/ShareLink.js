@@ -0,0 +1,32 @@
+import {Schema, model} from 'mongoose';
+
+// Read-only share links for a device. Only a SHA-256 hash of each link token
+// is stored, so the full link is shown once, when it is created.
+// Scopes: 'live' shows the latest location; 'history' also shows the track
+// over the last historyHours.
+const shareLinkSchema = new Schema(
+  {
+    tokenHash: {type: String, required: true},
+    deviceId: {type: String, required: true},
+    owner: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    label: {type: String, trim: true, maxlength: 60},
+    scope: {type: String, enum: ['live', 'history'], required: true},
+    historyHours: {type: Number, default: null}, // 'history' scope only
+    expiresAt: {type: Date, required: true},
+    revokedAt: {type: Date, default: null},
+    lastAccessedAt: {type: Date, default: null},
+    accessCount: {type: Number, default: 0}, // requests served through the link
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  },
+);
+
+shareLinkSchema.index({tokenHash: 1}, {unique: true});
+shareLinkSchema.index({deviceId: 1, revokedAt: 1, expiresAt: 1});
+// MongoDB removes links once they expire
+shareLinkSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const ShareLink = model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
@@ -0,0 +1,17 @@
+import {Schema, model} from 'mongoose';
+
+// Signatures of accepted ingest requests, kept until their timestamp can no
+// longer pass the freshness check, so a captured request cannot be replayed.
+const signatureNonceSchema = new Schema({
+  signature: {type: String, required: true},
+  deviceId: {type: String, required: true},
+  expiresAt: {type: Date, required: true},
+});
+
+signatureNonceSchema.index({signature: 1}, {unique: true});
+// MongoDB removes nonces once replaying them would fail the timestamp check anyway
+signatureNonceSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const SignatureNonce = model('SignatureNonce', signatureNonceSchema);
+
+export default SignatureNonce;
@@ -1,5 +1,6 @@
 import {Schema, model} from 'mongoose';
 
+// Devices are owned through the Device model (models/Device.js)
 const userSchema = new Schema(
   {
     email: {
@@ -24,11 +25,26 @@ const userSchema = new Schema(
       required: true,
       select: false, // Don't include in queries by default (security)
     },
-    deviceId: {
+    // 'admin' unlocks /api/admin (grant with `npm run users:set-role`)
+    role: {
       type: String,
-      required: true,
-      unique: true,
-      index: true,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    // Set by an admin; disabled accounts cannot sign in
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the owner follows the link in the verification email
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Bumped by "log out all sessions"; access tokens carry the version they were issued at
+    tokenVersion: {
+      type: Number,
+      default: 0,
     },
   },
   {
@@ -39,7 +55,6 @@ const userSchema = new Schema(
 // Index for faster lookups
 userSchema.index({username: 1});
 userSchema.index({email: 1});
-userSchema.index({deviceId: 1});
 
 const User = model('User', userSchema);
 
@@ -0,0 +1,35 @@
+import {Schema, model} from 'mongoose';
+import {WEBHOOK_CONFIG} from '../config/apiConfig.js';
+
+// A user's subscription to device events, delivered as signed POSTs to `url`.
+// Scoped to one device, or to all of the owner's devices when deviceId is null.
+// The signing secret is needed to sign every delivery, so it is stored as
+// issued but never selected by default.
+const webhookSchema = new Schema(
+  {
+    owner: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    deviceId: {type: String, default: null},
+    url: {type: String, required: true, maxlength: WEBHOOK_CONFIG.MAX_URL_LENGTH},
+    events: {type: [{type: String, enum: WEBHOOK_CONFIG.EVENT_TYPES}], required: true},
+    description: {type: String, trim: true, maxlength: WEBHOOK_CONFIG.MAX_DESCRIPTION_LENGTH},
+    secret: {type: String, select: false},
+    enabled: {type: Boolean, default: true},
+    // Outcome of the latest delivery attempt
+    lastDelivery: {
+      at: {type: Date},
+      ok: {type: Boolean},
+      statusCode: {type: Number},
+      error: {type: String},
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookSchema.index({owner: 1, createdAt: 1});
+webhookSchema.index({owner: 1, events: 1, enabled: 1});
+
+const Webhook = model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,39 @@
+import {Schema, model} from 'mongoose';
+import {WEBHOOK_CONFIG} from '../config/apiConfig.js';
+
+// One event sent (or to be sent) to one webhook. Pending deliveries are picked
+// up by the worker in services/webhookService.js when nextAttemptAt is due;
+// 'dead' deliveries used up every attempt and stay as dead letters until
+// redelivered or removed by the retention TTL.
+const webhookDeliverySchema = new Schema(
+  {
+    webhookId: {type: Schema.Types.ObjectId, ref: 'Webhook', required: true},
+    owner: {type: Schema.Types.ObjectId, ref: 'User', required: true},
+    eventId: {type: String, required: true}, // same for every webhook receiving the event
+    event: {type: String, required: true},
+    body: {type: String, required: true}, // JSON request body, sent unchanged on every attempt
+    status: {type: String, enum: WEBHOOK_CONFIG.DELIVERY_STATUSES, default: 'pending'},
+    attempts: {type: Number, default: 0},
+    nextAttemptAt: {type: Date, default: null}, // pending only
+    lastAttemptAt: {type: Date, default: null},
+    lastStatusCode: {type: Number, default: null},
+    lastError: {type: String, default: null},
+    deliveredAt: {type: Date, default: null},
+    deadAt: {type: Date, default: null},
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookDeliverySchema.index({status: 1, nextAttemptAt: 1});
+webhookDeliverySchema.index({webhookId: 1, createdAt: -1});
+// MongoDB removes deliveries (dead letters included) after the retention period
+webhookDeliverySchema.index(
+  {createdAt: 1},
+  {expireAfterSeconds: WEBHOOK_CONFIG.DELIVERY_RETENTION_DAYS * 24 * 60 * 60},
+);
+
+const WebhookDelivery = model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
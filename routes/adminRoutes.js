@@ -0,0 +1,218 @@
+import {Router} from 'express';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import {requireAdmin} from '../middleware/auth.js';
+import {validate} from '../middleware/validate.js';
+import {
+  disableUser,
+  enableUser,
+  getDeviceIngestStats,
+  getUserDetails,
+  listAllDevices,
+  listUsers,
+  toAdminUserResponse,
+} from '../services/adminService.js';
+import {deleteDeviceData} from '../services/deviceService.js';
+import {revokeAllSessions} from '../services/tokenService.js';
+import {ADMIN_CONFIG, PAGINATION_CONFIG} from '../config/apiConfig.js';
+import {deviceParamsSchema} from '../validation/deviceSchemas.js';
+import {
+  deviceListQuerySchema,
+  deviceStatsSchema,
+  userListQuerySchema,
+  userParamsSchema,
+} from '../validation/adminSchemas.js';
+
+// Operator API. Every route requires a user with role 'admin'; changes are
+// logged with the acting admin's username.
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * Offset paging from validated page/limit (limit clamped to MAX_LIMIT)
+ */
+function pageOf(query) {
+  const page = query.page || 1;
+  const limit = Math.min(PAGINATION_CONFIG.MAX_LIMIT, query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT);
+  return {page, limit, skip: (page - 1) * limit};
+}
+
+const userNotFound = res => res.status(404).json({success: false, message: 'User not found'});
+
+/**
+ * GET /api/admin/users?search=&role=&status=&page=&limit=
+ * Users, newest first, with device count and last upload time
+ * search matches part of the username or email.
+ */
+router.get('/users', validate(userListQuerySchema), async (req, res) => {
+  try {
+    const {search, role, status} = req.validated.query;
+    const {page, limit, skip} = pageOf(req.validated.query);
+    const {total, users} = await listUsers({search, role, status, skip, limit});
+
+    return res.json({success: true, data: {page, limit, total, users}});
+  } catch (err) {
+    console.error('GET /admin/users error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId
+ * A user with their devices and number of live sessions
+ */
+router.get('/users/:userId', validate(userParamsSchema), async (req, res) => {
+  try {
+    const user = await getUserDetails(req.validated.params.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+    return res.json({success: true, data: user});
+  } catch (err) {
+    console.error('GET /admin/users/:userId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/disable
+ * Disable an account: sign-in is refused and every session ends
+ * The account's devices keep uploading; delete their data separately if needed.
+ */
+router.post('/users/:userId/disable', validate(userParamsSchema), async (req, res) => {
+  try {
+    const {userId} = req.validated.params;
+    if (req.user._id.equals(userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot disable your own account',
+      });
+    }
+
+    const user = await disableUser(userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} disabled user ${user.username}`);
+    return res.json({success: true, message: 'Account disabled', data: toAdminUserResponse(user)});
+  } catch (err) {
+    console.error('POST /admin/users/:userId/disable error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/enable
+ * Re-enable a disabled account (its owner signs in again)
+ */
+router.post('/users/:userId/enable', validate(userParamsSchema), async (req, res) => {
+  try {
+    const user = await enableUser(req.validated.params.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} enabled user ${user.username}`);
+    return res.json({success: true, message: 'Account enabled', data: toAdminUserResponse(user)});
+  } catch (err) {
+    console.error('POST /admin/users/:userId/enable error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/logout
+ * End every session of a user (like their own logout-all)
+ */
+router.post('/users/:userId/logout', validate(userParamsSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.validated.params.userId).select('username').lean();
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const revoked = await revokeAllSessions(user._id);
+
+    console.log(`🛡️ Admin ${req.user.username} logged out user ${user.username}`);
+    return res.json({
+      success: true,
+      message: 'User logged out of all sessions',
+      data: {revokedSessions: revoked},
+    });
+  } catch (err) {
+    console.error('POST /admin/users/:userId/logout error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/admin/devices?search=&page=&limit=
+ * Devices, most recently seen first, with their owners
+ * search matches part of the deviceId or device name.
+ */
+router.get('/devices', validate(deviceListQuerySchema), async (req, res) => {
+  try {
+    const {page, limit, skip} = pageOf(req.validated.query);
+    const {total, devices} = await listAllDevices({search: req.validated.query.search, skip, limit});
+
+    return res.json({success: true, data: {page, limit, total, devices}});
+  } catch (err) {
+    console.error('GET /admin/devices error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/admin/devices/:deviceId/stats?days=7
+ * Ingest statistics: stored points per tier, and points received per day with
+ * their delivery delay over the last `days` days
+ */
+router.get('/devices/:deviceId/stats', validate(deviceStatsSchema), async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const days = req.validated.query.days || ADMIN_CONFIG.DEFAULT_STATS_DAYS;
+    const stats = await getDeviceIngestStats(deviceId, days);
+
+    if (!stats) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+    return res.json({success: true, data: stats});
+  } catch (err) {
+    console.error('GET /admin/devices/:deviceId/stats error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/admin/devices/:deviceId/locations
+ * Delete a device's location history (both tiers)
+ * The device stays registered to its owner and keeps uploading.
+ */
+router.delete('/devices/:deviceId/locations', validate(deviceParamsSchema), async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const [registered, deletedPoints] = await Promise.all([
+      Device.exists({deviceId}),
+      deleteDeviceData(deviceId),
+    ]);
+
+    if (!registered && deletedPoints === 0) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} deleted ${deletedPoints} point(s) of device ${deviceId}`);
+    return res.json({
+      success: true,
+      message: 'Location history deleted',
+      data: {deviceId, deletedPoints},
+    });
+  } catch (err) {
+    console.error('DELETE /admin/devices/:deviceId/locations error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import {Router} from 'express';
+import {requireDeviceOwnerStrict} from '../middleware/auth.js';
+import {validate, sendValidationError} from '../middleware/validate.js';
+import {timeRangeErrors} from '../validation/locationSchemas.js';
+import {alertListQuerySchema, alertParamsSchema, resolveAlertSchema} from '../validation/alertSchemas.js';
+import {
+  acknowledgeAlert,
+  getAlert,
+  listAlerts,
+  resolveAlert,
+  toAlertResponse,
+} from '../services/alertService.js';
+import {PAGINATION_CONFIG} from '../config/apiConfig.js';
+
+// Alerts raised by anti-theft detection for a device (mounted at /api/devices,
+// owner only)
+
+const router = Router();
+
+/**
+ * Answer a failed status change
+ * @param {object} res - Express response
+ * @param {'NOT_FOUND'|'RESOLVED'} error
+ */
+function sendTransitionError(res, error) {
+  if (error === 'NOT_FOUND') {
+    return res.status(404).json({success: false, message: 'Alert not found'});
+  }
+  return res.status(409).json({success: false, code: 'ALERT_RESOLVED', message: 'Alert is already resolved'});
+}
+
+/**
+ * GET /api/devices/:deviceId/alerts?status=&severity=&ruleId=&from=&to=&page=&limit=
+ * The device's alerts, most recently started first
+ * from/to filter on when the alert was first triggered.
+ */
+router.get('/:deviceId/alerts', validate(alertListQuerySchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {status, severity, ruleId, from, to, page = 1} = req.validated.query;
+
+    const rangeErrors = timeRangeErrors({from, to});
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+
+    const limit = Math.min(
+      PAGINATION_CONFIG.MAX_LIMIT,
+      req.validated.query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT,
+    );
+    const {total, alerts} = await listAlerts(deviceId, {
+      status,
+      severity,
+      ruleId,
+      from,
+      to,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: {deviceId, page, limit, total, alerts: alerts.map(toAlertResponse)},
+    });
+  } catch (err) {
+    console.error('GET /devices/:deviceId/alerts error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/alerts/:alertId
+ * One alert with its latest evidence
+ */
+router.get('/:deviceId/alerts/:alertId', validate(alertParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, alertId} = req.validated.params;
+    const alert = await getAlert(deviceId, alertId);
+    if (!alert) {
+      return sendTransitionError(res, 'NOT_FOUND');
+    }
+    return res.json({success: true, data: toAlertResponse(alert)});
+  } catch (err) {
+    console.error('GET /devices/:deviceId/alerts/:alertId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/alerts/:alertId/acknowledge
+ * Mark an open alert as seen; it stays unresolved (409 if already resolved)
+ */
+router.post('/:deviceId/alerts/:alertId/acknowledge', validate(alertParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, alertId} = req.validated.params;
+    const {alert, error} = await acknowledgeAlert(deviceId, alertId, req.user._id);
+    if (error) {
+      return sendTransitionError(res, error);
+    }
+
+    console.log(`🚨 Alert acknowledged for deviceId ${deviceId}: ${alertId}`);
+    return res.json({success: true, data: toAlertResponse(alert)});
+  } catch (err) {
+    console.error('POST /devices/:deviceId/alerts/:alertId/acknowledge error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/alerts/:alertId/resolve
+ * Close an open or acknowledged alert (409 if already resolved)
+ * Body: {note?} - what it turned out to be
+ */
+router.post('/:deviceId/alerts/:alertId/resolve', validate(resolveAlertSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, alertId} = req.validated.params;
+    const {alert, error} = await resolveAlert(deviceId, alertId, req.user._id, req.validated.body.note);
+    if (error) {
+      return sendTransitionError(res, error);
+    }
+
+    console.log(`🚨 Alert resolved for deviceId ${deviceId}: ${alertId}`);
+    return res.json({success: true, data: toAlertResponse(alert)});
+  } catch (err) {
+    console.error('POST /devices/:deviceId/alerts/:alertId/resolve error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
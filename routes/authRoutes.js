@@ -1,59 +1,118 @@
 import {Router} from 'express';
 import bcrypt from 'bcrypt';
 import User from '../models/User.js';
-import {generateToken, authenticate} from '../middleware/auth.js';
+import {authenticate} from '../middleware/auth.js';
+import {validate} from '../middleware/validate.js';
+import {rateLimit, byIp, secondsUntil} from '../middleware/rateLimit.js';
+import {getLoginLock, recordLoginFailure, clearLoginFailures} from '../services/loginThrottle.js';
+import {RATE_LIMIT_CONFIG} from '../config/apiConfig.js';
+import {
+  clientInfo,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from '../services/tokenService.js';
+import Device from '../models/Device.js';
+import {
+  HAS_HISTORY_MESSAGE,
+  hasLocationHistory,
+  listDevices,
+  registerDevice,
+  toDeviceResponse,
+} from '../services/deviceService.js';
+import {
+  resetPassword,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  verifyEmail,
+} from '../services/accountEmailService.js';
+import {
+  EMAIL_PATTERN,
+  USERNAME_PATTERN,
+  registerSchema,
+  loginSchema,
+  checkUsernameSchema,
+  checkEmailSchema,
+  refreshSchema,
+  logoutSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+} from '../validation/authSchemas.js';
 
 const router = Router();
 
-/**
- * POST /api/auth/register
- * Register a new user with email, username, password, and deviceId
- */
-router.post('/register', async (req, res) => {
-  try {
-    const {email, username, password, deviceId} = req.body;
-
-    // Validate required fields
-    if (!email || !username || !password || !deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'All fields are required: email, username, password, deviceId',
-      });
-    }
+const {LIMITS} = RATE_LIMIT_CONFIG;
+const byUsername = req => req.validated.body.username.trim().toLowerCase();
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format',
-      });
-    }
+const loginIpLimit = rateLimit({
+  name: 'login-ip',
+  limit: LIMITS.LOGIN_IP,
+  key: byIp,
+  message: 'Too many login attempts. Please try again later.',
+});
+const loginAccountLimit = rateLimit({
+  name: 'login-account',
+  limit: LIMITS.LOGIN_ACCOUNT,
+  key: byUsername,
+  message: 'Too many login attempts for this account. Please try again later.',
+});
+const registerLimit = rateLimit({
+  name: 'register-ip',
+  limit: LIMITS.REGISTER_IP,
+  key: byIp,
+  message: 'Too many sign-ups from this network. Please try again later.',
+});
+const refreshLimit = rateLimit({name: 'refresh-ip', limit: LIMITS.REFRESH_IP, key: byIp});
+// check-username and check-email share one budget, so accounts can't be enumerated through either
+const accountLookupLimit = rateLimit({name: 'account-lookup-ip', limit: LIMITS.ACCOUNT_LOOKUP_IP, key: byIp});
+const passwordResetLimit = rateLimit({name: 'password-reset-ip', limit: LIMITS.PASSWORD_RESET_IP, key: byIp});
+// Verification and reset emails share one budget per account, so nobody can flood an inbox
+const accountEmailLimit = rateLimit({
+  name: 'account-email',
+  limit: LIMITS.ACCOUNT_EMAIL,
+  key: req => (req.user ? req.user.email : req.validated.body.email.toLowerCase()),
+  message: 'Too many emails requested for this account. Please try again later.',
+});
 
-    // Validate username (alphanumeric + underscore, 3-30 chars)
-    const usernameRegex = /^[a-zA-Z0-9_]{3,30}$/;
-    if (!usernameRegex.test(username)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username must be 3-30 characters, alphanumeric and underscores only',
-      });
-    }
+/**
+ * Send the verification email without holding up the response
+ * @param {object} user - User document
+ */
+function sendVerificationInBackground(user) {
+  sendVerificationEmail(user).catch(err => {
+    console.error(`Verification email for user ${user._id} failed:`, err);
+  });
+}
 
-    // Validate password (minimum 6 characters)
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters',
-      });
-    }
+/**
+ * User fields returned by the auth routes
+ * deviceId (the first device registered) is kept for clients that predate
+ * multiple devices per account.
+ * @param {object} user - User document
+ */
+async function userResponse(user) {
+  const devices = await listDevices(user._id);
+  return {
+    id: user._id,
+    email: user.email,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    username: user.username,
+    deviceId: devices[0]?.deviceId ?? null,
+    devices: devices.map(toDeviceResponse),
+  };
+}
 
-    // Validate deviceId format (UUID-like)
-    if (typeof deviceId !== 'string' || deviceId.length < 10) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid deviceId format',
-      });
-    }
+/**
+ * POST /api/auth/register
+ * Register a new user with email, username, password, and the deviceId of
+ * the device signing up (optionally deviceName and platform)
+ */
+router.post('/register', registerLimit, validate(registerSchema), async (req, res) => {
+  try {
+    // Body has been validated (see registerSchema)
+    const {email, username, password, deviceId, deviceName, platform} = req.validated.body;
 
     // Check if email already exists
     const existingEmail = await User.findOne({email: email.toLowerCase()});
@@ -74,13 +133,20 @@ router.post('/register', async (req, res) => {
     }
 
     // Check if deviceId already exists (device already registered)
-    const existingDevice = await User.findOne({deviceId});
+    const existingDevice = await Device.exists({deviceId});
     if (existingDevice) {
       return res.status(409).json({
         success: false,
         message: 'This device is already registered to another account',
       });
     }
+    if (await hasLocationHistory(deviceId)) {
+      return res.status(409).json({
+        success: false,
+        code: 'DEVICE_HAS_HISTORY',
+        message: HAS_HISTORY_MESSAGE,
+      });
+    }
 
     // Hash password
     const saltRounds = 10;
@@ -93,7 +159,6 @@ router.post('/register', async (req, res) => {
         email: email.toLowerCase(),
         username,
         passwordHash,
-        deviceId,
       });
     } catch (createError) {
       // Handle duplicate key errors (race condition)
@@ -107,21 +172,35 @@ router.post('/register', async (req, res) => {
       throw createError;
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id.toString());
+    // Registration runs on the device itself; hand it the secret it signs uploads with
+    const {secret: deviceSecret, error} = await registerDevice(user._id, {
+      deviceId,
+      name: deviceName,
+      platform,
+    });
+    if (error) {
+      // Device claimed by another sign-up (or reporting) in the meantime
+      await User.deleteOne({_id: user._id});
+      return res.status(409).json(
+        error === 'HAS_HISTORY'
+          ? {success: false, code: 'DEVICE_HAS_HISTORY', message: HAS_HISTORY_MESSAGE}
+          : {success: false, message: 'This device is already registered to another account'},
+      );
+    }
+
+    sendVerificationInBackground(user);
+
+    // Start a session (short-lived access token + refresh token)
+    const session = await issueSession(user, clientInfo(req));
 
     // Return success response (exclude passwordHash)
     return res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          username: user.username,
-          deviceId: user.deviceId,
-        },
+        ...session,
+        deviceSecret,
+        user: await userResponse(user),
       },
     });
   } catch (err) {
@@ -136,17 +215,23 @@ router.post('/register', async (req, res) => {
 /**
  * POST /api/auth/login
  * Login with username and password
- * Returns JWT token and deviceId (from user record)
+ * Returns access token, refresh token and the user's devices
+ * Repeated failures lock the username out for a growing period (429 LOGIN_LOCKED).
+ * Accounts disabled by an admin get 403 ACCOUNT_DISABLED.
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, validate(loginSchema), loginAccountLimit, async (req, res) => {
   try {
-    const {username, password} = req.body;
-
-    // Validate required fields
-    if (!username || !password) {
-      return res.status(400).json({
+    const {username, password} = req.validated.body;
+
+    // Locked usernames are refused before the password is checked
+    const lock = await getLoginLock(username);
+    if (lock.locked) {
+      const retryAfter = secondsUntil(lock.until);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
         success: false,
-        message: 'Username and password are required',
+        code: 'LOGIN_LOCKED',
+        message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
       });
     }
 
@@ -154,6 +239,7 @@ router.post('/login', async (req, res) => {
     const user = await User.findOne({username}).select('+passwordHash');
 
     if (!user) {
+      await recordLoginFailure(username);
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password',
@@ -164,27 +250,34 @@ router.post('/login', async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
 
     if (!isPasswordValid) {
+      await recordLoginFailure(username);
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password',
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id.toString());
+    // Only reported once the password is right, so it reveals nothing to guessers
+    if (user.disabledAt) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_DISABLED',
+        message: 'This account has been disabled. Contact support.',
+      });
+    }
+
+    await clearLoginFailures(username);
+
+    // Start a session (short-lived access token + refresh token)
+    const session = await issueSession(user, clientInfo(req));
 
     // Return success response
     return res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          username: user.username,
-          deviceId: user.deviceId,
-        },
+        ...session,
+        user: await userResponse(user),
       },
     });
   } catch (err) {
@@ -196,26 +289,236 @@ router.post('/login', async (req, res) => {
   }
 });
 
+const REFRESH_ERRORS = {
+  INVALID: 'Invalid refresh token. Please login again.',
+  EXPIRED: 'Refresh token has expired. Please login again.',
+  REUSED: 'Refresh token was already used. All tokens of this session have been revoked; please login again.',
+};
+
 /**
- * GET /api/auth/check-username?username=xyz
- * Check if username is available (read-only, safe)
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * The presented refresh token stops working (rotation).
+ * Accounts disabled by an admin get 403 ACCOUNT_DISABLED.
  */
-router.get('/check-username', async (req, res) => {
+router.post('/refresh', refreshLimit, validate(refreshSchema), async (req, res) => {
   try {
-    const {username} = req.query;
+    const {refreshToken} = req.validated.body;
+    const {session, user, error} = await rotateRefreshToken(refreshToken, clientInfo(req));
+
+    if (error === 'DISABLED') {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_DISABLED',
+        message: 'This account has been disabled. Contact support.',
+      });
+    }
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        code: `REFRESH_TOKEN_${error}`,
+        message: REFRESH_ERRORS[error],
+      });
+    }
 
-    if (!username || typeof username !== 'string') {
+    return res.json({
+      success: true,
+      data: {
+        ...session,
+        user: await userResponse(user),
+      },
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not refresh session. Please try again.',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session a refresh token belongs to
+ * Works without an access token, so expired sessions can still log out.
+ */
+router.post('/logout', validate(logoutSchema), async (req, res) => {
+  try {
+    await revokeSession(req.validated.body.refreshToken);
+
+    // Unknown tokens get the same answer; there is nothing left to log out
+    return res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * End every session of the current user (protected route)
+ * Access tokens already handed out stop working immediately.
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+
+    return res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: {revokedSessions: revoked},
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.',
+    });
+  }
+});
+
+const ACCOUNT_TOKEN_ERRORS = {
+  INVALID: 'Invalid link. Request a new email.',
+  EXPIRED: 'This link has expired. Request a new email.',
+  USED: 'This link was already used. Request a new email.',
+};
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm the account's email address with the token from the verification email
+ */
+router.post('/verify-email', passwordResetLimit, validate(verifyEmailSchema), async (req, res) => {
+  try {
+    const {user, error} = await verifyEmail(req.validated.body.token);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        code: `VERIFY_TOKEN_${error}`,
+        message: ACCOUNT_TOKEN_ERRORS[error],
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Email address verified',
+      data: {email: user.email, emailVerified: true},
+    });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not verify email. Please try again.',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification email to the current user (protected route)
+ */
+router.post('/resend-verification', authenticate, accountEmailLimit, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already verified',
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`,
+    });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not send verification email. Please try again.',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link to the account with this address
+ * The answer is the same whether or not the account exists.
+ */
+router.post('/forgot-password', passwordResetLimit, validate(forgotPasswordSchema), accountEmailLimit, async (req, res) => {
+  try {
+    const user = await User.findOne({email: req.validated.body.email.toLowerCase()}).lean();
+
+    // Sent in the background, so response time doesn't reveal whether the account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch(err => {
+        console.error(`Password reset email for user ${user._id} failed:`, err);
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'If an account uses that email address, a reset link is on its way.',
+    });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not send reset email. Please try again.',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset email
+ * Every session of the account is logged out; sign in again with the new password.
+ */
+router.post('/reset-password', passwordResetLimit, validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const {token, password} = req.validated.body;
+    const {error} = await resetPassword(token, password);
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Username parameter is required',
+        code: `RESET_TOKEN_${error}`,
+        message: ACCOUNT_TOKEN_ERRORS[error],
       });
     }
 
+    return res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.',
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not reset password. Please try again.',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/check-username?username=xyz
+ * Check if username is available (read-only, safe)
+ */
+router.get('/check-username', accountLookupLimit, validate(checkUsernameSchema), async (req, res) => {
+  try {
+    const {username} = req.validated.query;
+
     const trimmedUsername = username.trim();
 
     // Validate username format
-    const usernameRegex = /^[a-zA-Z0-9_]{3,30}$/;
-    if (!usernameRegex.test(trimmedUsername)) {
+    if (!USERNAME_PATTERN.test(trimmedUsername)) {
       return res.json({
         success: true,
         available: false,
@@ -243,22 +546,14 @@ router.get('/check-username', async (req, res) => {
  * GET /api/auth/check-email?email=abc@email.com
  * Check if email exists (read-only, safe)
  */
-router.get('/check-email', async (req, res) => {
+router.get('/check-email', accountLookupLimit, validate(checkEmailSchema), async (req, res) => {
   try {
-    const {email} = req.query;
-
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({
-        success: false,
-        message: 'Email parameter is required',
-      });
-    }
+    const {email} = req.validated.query;
 
     const trimmedEmail = email.trim().toLowerCase();
 
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(trimmedEmail)) {
+    if (!EMAIL_PATTERN.test(trimmedEmail)) {
       return res.json({
         success: true,
         exists: false,
@@ -290,12 +585,7 @@ router.get('/me', authenticate, async (req, res) => {
   try {
     return res.json({
       success: true,
-      data: {
-        id: req.user._id,
-        email: req.user.email,
-        username: req.user.username,
-        deviceId: req.user.deviceId,
-      },
+      data: await userResponse(req.user),
     });
   } catch (err) {
     console.error('Get me error:', err);
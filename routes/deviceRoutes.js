@@ -0,0 +1,380 @@
+import {Router} from 'express';
+import {authenticate, requireDeviceOwnerStrict} from '../middleware/auth.js';
+import {validate, sendValidationError, ERROR_CODES} from '../middleware/validate.js';
+import {
+  deviceParamsSchema,
+  addDeviceSchema,
+  renameDeviceSchema,
+  accessLogQuerySchema,
+  detectionSettingsSchema,
+} from '../validation/deviceSchemas.js';
+import {timeRangeErrors} from '../validation/locationSchemas.js';
+import {createShareSchema, shareParamsSchema} from '../validation/shareSchemas.js';
+import {issueDeviceSecret, revokeDeviceSecret} from '../services/deviceSecretService.js';
+import {
+  HAS_HISTORY_MESSAGE,
+  listDevices,
+  registerDevice,
+  renameDevice,
+  removeDevice,
+  toDeviceResponse,
+} from '../services/deviceService.js';
+import {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  toShareResponse,
+} from '../services/shareService.js';
+import {listAccessEvents, toAccessEventResponse} from '../services/auditService.js';
+import {
+  getDetectionSettings,
+  isValidTimezone,
+  listRules,
+  toDetectionSettingsResponse,
+  updateDetectionSettings,
+} from '../services/detectionService.js';
+import {DEVICE_CONFIG, PAGINATION_CONFIG, SHARE_CONFIG} from '../config/apiConfig.js';
+
+const router = Router();
+
+/**
+ * GET /api/devices
+ * List the current user's devices
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const devices = await listDevices(req.user._id);
+    return res.json({success: true, data: devices.map(toDeviceResponse)});
+  } catch (err) {
+    console.error('GET /devices error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices
+ * Add a device to the current user's account (e.g. a tablet or a replacement phone)
+ * Body: {deviceId, name?, platform?}
+ * Called from the device being added, which receives its signing secret.
+ * A device the user already owns gets a new secret (200); devices with
+ * history from before accounts existed must be assigned by an operator.
+ */
+router.post('/', validate(addDeviceSchema), authenticate, async (req, res) => {
+  try {
+    const {deviceId, name, platform} = req.validated.body;
+    const {device, secret, relinked, error} = await registerDevice(req.user._id, {deviceId, name, platform});
+
+    if (error === 'TAKEN') {
+      return res.status(409).json({
+        success: false,
+        message: 'This device is already registered to an account',
+      });
+    }
+    if (error === 'HAS_HISTORY') {
+      return res.status(409).json({success: false, code: 'DEVICE_HAS_HISTORY', message: HAS_HISTORY_MESSAGE});
+    }
+    if (error === 'LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: `An account can have at most ${DEVICE_CONFIG.MAX_DEVICES_PER_USER} devices`,
+      });
+    }
+
+    console.log(relinked ? '📱 Device linked again:' : '📱 Device added:', {
+      deviceId,
+      userId: req.user._id.toString(),
+    });
+    return res.status(relinked ? 200 : 201).json({
+      success: true,
+      message: relinked
+        ? 'Device linked again with a new secret. Store it on the device; it is not shown again.'
+        : 'Device added. Store the device secret on the device; it is not shown again.',
+      data: {...toDeviceResponse(device), deviceSecret: secret},
+    });
+  } catch (err) {
+    console.error('POST /devices error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * PATCH /api/devices/:deviceId
+ * Rename a device (owner only)
+ * Body: {name}
+ */
+router.patch('/:deviceId', validate(renameDeviceSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const device = await renameDevice(deviceId, req.validated.body.name);
+
+    if (!device) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+    return res.json({success: true, data: toDeviceResponse(device)});
+  } catch (err) {
+    console.error('PATCH /devices/:deviceId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId
+ * Remove a device from the account (owner only)
+ * Revokes its signing secret and deletes its location history, so the
+ * deviceId can later be registered again without exposing old data.
+ */
+router.delete('/:deviceId', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {removed, deletedPoints} = await removeDevice(deviceId);
+
+    if (!removed) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+
+    console.log(`🗑️ Device removed: ${deviceId} (${deletedPoints} points deleted)`);
+    return res.json({
+      success: true,
+      message: 'Device removed',
+      data: {deviceId, deletedPoints},
+    });
+  } catch (err) {
+    console.error('DELETE /devices/:deviceId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/secret
+ * Rotate the device's ingest signing secret (owner only)
+ * Also issues a secret to devices that never had one or were revoked.
+ * The previous secret keeps working for a short grace period so uploads
+ * already in flight are not rejected.
+ */
+router.post('/:deviceId/secret', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {secret, rotatedAt} = await issueDeviceSecret(deviceId);
+
+    console.log('🔑 Device secret rotated for deviceId:', deviceId);
+    return res.status(201).json({
+      success: true,
+      message: 'Device secret issued. Store it on the device; it is not shown again.',
+      data: {deviceId, deviceSecret: secret, rotatedAt},
+    });
+  } catch (err) {
+    console.error('POST /devices/:deviceId/secret error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/secret
+ * Revoke the device's signing secret (owner only)
+ * Signed uploads from the device are rejected until a new secret is issued.
+ */
+router.delete('/:deviceId/secret', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const revoked = await revokeDeviceSecret(deviceId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device has no active secret',
+      });
+    }
+
+    console.log('🔒 Device secret revoked for deviceId:', deviceId);
+    return res.json({
+      success: true,
+      message: 'Device secret revoked',
+    });
+  } catch (err) {
+    console.error('DELETE /devices/:deviceId/secret error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/shares
+ * Create a read-only share link for the device (owner only)
+ * Body: {scope?: 'live'|'history' (default live), historyHours? (history only),
+ * expiresInHours? (default 24), label?}
+ * The link token is only returned here; `url` is set when SHARE_BASE_URL is.
+ */
+router.post('/:deviceId/shares', validate(createShareSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {scope, historyHours, expiresInHours, label} = req.validated.body;
+
+    if (scope === 'history' && !historyHours) {
+      return sendValidationError(res, [
+        {code: ERROR_CODES.REQUIRED, path: 'historyHours', message: 'historyHours is required for the history scope'},
+      ]);
+    }
+    if (scope === 'live' && historyHours) {
+      return sendValidationError(res, [
+        {code: ERROR_CODES.INVALID_VALUE, path: 'historyHours', message: 'historyHours only applies to the history scope'},
+      ]);
+    }
+
+    const {link, token, url, error} = await createShareLink(req.user._id, deviceId, {
+      scope,
+      historyHours,
+      expiresInHours,
+      label,
+    });
+    if (error === 'LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: `A device can have at most ${SHARE_CONFIG.MAX_ACTIVE_LINKS_PER_DEVICE} active share links`,
+      });
+    }
+
+    console.log(`🔗 Share link created for deviceId ${deviceId} (${scope}, expires ${link.expiresAt.toISOString()})`);
+    return res.status(201).json({
+      success: true,
+      message: 'Share link created. Copy it now; it is not shown again.',
+      data: {...toShareResponse(link), token, url},
+    });
+  } catch (err) {
+    console.error('POST /devices/:deviceId/shares error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/shares
+ * List the device's active share links (owner only)
+ */
+router.get('/:deviceId/shares', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const links = await listShareLinks(req.validated.params.deviceId);
+    return res.json({success: true, data: links.map(toShareResponse)});
+  } catch (err) {
+    console.error('GET /devices/:deviceId/shares error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/shares/:shareId
+ * Revoke a share link (owner only); it stops working immediately
+ */
+router.delete('/:deviceId/shares/:shareId', validate(shareParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, shareId} = req.validated.params;
+    const revoked = await revokeShareLink(deviceId, shareId);
+
+    if (!revoked) {
+      return res.status(404).json({success: false, message: 'Share link not found'});
+    }
+
+    console.log('🔗 Share link revoked for deviceId:', deviceId);
+    return res.json({success: true, message: 'Share link revoked'});
+  } catch (err) {
+    console.error('DELETE /devices/:deviceId/shares/:shareId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/access-log?from=&to=&actor=&action=&page=&limit=
+ * Who read the device's location: the owner's own reads, share link views and
+ * unauthenticated reads of unclaimed devices, newest first (owner only)
+ */
+router.get('/:deviceId/access-log', validate(accessLogQuerySchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {from, to, actor, action, page = 1} = req.validated.query;
+
+    const rangeErrors = timeRangeErrors({from, to});
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+
+    const limit = Math.min(
+      PAGINATION_CONFIG.MAX_LIMIT,
+      req.validated.query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT,
+    );
+    const {total, events} = await listAccessEvents(deviceId, {
+      from,
+      to,
+      actor,
+      action,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: {deviceId, page, limit, total, events: events.map(toAccessEventResponse)},
+    });
+  } catch (err) {
+    console.error('GET /devices/:deviceId/access-log error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/detection
+ * Anti-theft rules with whether each runs for this device, and the time zone
+ * used by time-of-day rules (owner only)
+ */
+router.get('/:deviceId/detection', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const settings = await getDetectionSettings(req.validated.params.deviceId);
+    if (!settings) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+    return res.json({success: true, data: settings});
+  } catch (err) {
+    console.error('GET /devices/:deviceId/detection error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * PATCH /api/devices/:deviceId/detection
+ * Switch anti-theft rules on or off for this device, set its time zone, or let
+ * the rules see points that failed the plausibility checks (owner only)
+ * Body: {rules?: {<ruleId>: boolean}, timezone?: IANA name, e.g. "Europe/Berlin", excludeSuspect?: boolean}
+ */
+router.patch('/:deviceId/detection', validate(detectionSettingsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {rules = {}, timezone, excludeSuspect} = req.validated.body;
+
+    const known = new Set(listRules().map(rule => rule.id));
+    const errors = Object.keys(rules)
+      .filter(id => !known.has(id))
+      .map(id => ({
+        code: ERROR_CODES.INVALID_VALUE,
+        path: `rules.${id}`,
+        message: `Unknown detection rule: ${id}`,
+      }));
+    if (timezone && !isValidTimezone(timezone)) {
+      errors.push({code: ERROR_CODES.INVALID_VALUE, path: 'timezone', message: `Unknown time zone: ${timezone}`});
+    }
+    if (errors.length === 0 && Object.keys(rules).length === 0 && !timezone && excludeSuspect === undefined) {
+      errors.push({code: ERROR_CODES.REQUIRED, path: 'body', message: 'Provide rules, timezone or excludeSuspect'});
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const device = await updateDetectionSettings(deviceId, {rules, timezone, excludeSuspect});
+    if (!device) {
+      return res.status(404).json({success: false, message: 'Device not found'});
+    }
+
+    console.log('🚨 Detection settings updated for deviceId:', deviceId);
+    return res.json({success: true, data: toDetectionSettingsResponse(device)});
+  } catch (err) {
+    console.error('PATCH /devices/:deviceId/detection error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
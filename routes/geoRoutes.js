@@ -0,0 +1,225 @@
+import {Router} from 'express';
+import Location, {TELEMETRY_FIELDS} from '../models/Location.js';
+import {PAGINATION_CONFIG} from '../config/apiConfig.js';
+import {validate, sendValidationError} from '../middleware/validate.js';
+import {requireDeviceOwner} from '../middleware/auth.js';
+import {auditAccess} from '../middleware/audit.js';
+import {
+  withinRadiusQuerySchema,
+  withinPolygonBodySchema,
+  nearestQuerySchema,
+  timeRangeErrors,
+} from '../validation/locationSchemas.js';
+
+const router = Router();
+
+const EARTH_RADIUS_M = 6378100; // Equatorial radius used by $centerSphere
+const POINT_FIELDS = `latitude longitude accuracy recordedAt receivedAt ${TELEMETRY_FIELDS.join(' ')}`;
+
+/**
+ * Clamp a requested result limit to the pagination maximum
+ * @param {number|undefined} limit - Validated limit
+ * @returns {number}
+ */
+function clampLimit(limit) {
+  return Math.min(PAGINATION_CONFIG.MAX_LIMIT, limit || PAGINATION_CONFIG.DEFAULT_LIMIT);
+}
+
+/**
+ * Build a recordedAt filter from validated from/to values
+ * @param {{from?: Date, to?: Date}} range
+ * @returns {object|null}
+ */
+function timeRangeFilter({from, to}) {
+  if (!from && !to) {
+    return null;
+  }
+  const filter = {};
+  if (from) {
+    filter.$gte = from;
+  }
+  if (to) {
+    filter.$lte = to;
+  }
+  return filter;
+}
+
+/**
+ * Shape a location document for API responses
+ * @param {object} point - Lean Location document
+ * @returns {object}
+ */
+function formatPoint(point) {
+  const formatted = {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy,
+  };
+  for (const field of TELEMETRY_FIELDS) {
+    if (point[field] != null) {
+      formatted[field] = point[field];
+    }
+  }
+  formatted.recordedAt = point.recordedAt;
+  formatted.receivedAt = point.receivedAt;
+  return formatted;
+}
+
+/**
+ * GET /api/location/within-radius
+ * Points for a device within `radius` meters of latitude/longitude, newest first
+ * Query: deviceId, latitude, longitude, radius, from?, to?, limit?
+ */
+router.get('/location/within-radius', validate(withinRadiusQuerySchema), requireDeviceOwner, auditAccess('within_radius'), async (req, res) => {
+  try {
+    const {deviceId, latitude, longitude, radius} = req.validated.query;
+    const center = {latitude, longitude};
+
+    const rangeErrors = timeRangeErrors(req.validated.query);
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+    const range = timeRangeFilter(req.validated.query);
+
+    const limit = clampLimit(req.validated.query.limit);
+    const query = {
+      deviceId,
+      location: {
+        $geoWithin: {
+          $centerSphere: [[center.longitude, center.latitude], radius / EARTH_RADIUS_M],
+        },
+      },
+    };
+    if (range) {
+      query.recordedAt = range;
+    }
+
+    const points = await Location.find(query)
+      .sort({recordedAt: -1})
+      .limit(limit)
+      .select(POINT_FIELDS)
+      .lean();
+
+    return res.json({
+      success: true,
+      data: {
+        deviceId,
+        center,
+        radius,
+        limit,
+        count: points.length,
+        points: points.map(formatPoint),
+      },
+    });
+  } catch (err) {
+    console.error('GET /location/within-radius error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/location/within-polygon
+ * Points for a device inside a GeoJSON polygon, newest first
+ * Body: {deviceId, polygon: {type: 'Polygon', coordinates}, from?, to?, limit?}
+ * (POST because polygons don't fit comfortably in a query string)
+ */
+router.post('/location/within-polygon', validate(withinPolygonBodySchema), requireDeviceOwner, auditAccess('within_polygon'), async (req, res) => {
+  try {
+    const {deviceId, polygon} = req.validated.body;
+
+    const rangeErrors = timeRangeErrors(req.validated.body);
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+    const range = timeRangeFilter(req.validated.body);
+
+    const limit = clampLimit(req.validated.body.limit);
+    const query = {
+      deviceId,
+      location: {
+        $geoWithin: {
+          $geometry: {type: 'Polygon', coordinates: polygon.coordinates},
+        },
+      },
+    };
+    if (range) {
+      query.recordedAt = range;
+    }
+
+    const points = await Location.find(query)
+      .sort({recordedAt: -1})
+      .limit(limit)
+      .select(POINT_FIELDS)
+      .lean();
+
+    return res.json({
+      success: true,
+      data: {
+        deviceId,
+        limit,
+        count: points.length,
+        points: points.map(formatPoint),
+      },
+    });
+  } catch (err) {
+    console.error('POST /location/within-polygon error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/location/nearest
+ * The device's point closest to latitude/longitude, optionally within a time range
+ * Query: deviceId, latitude, longitude, from?, to?
+ */
+router.get('/location/nearest', validate(nearestQuerySchema), requireDeviceOwner, auditAccess('nearest'), async (req, res) => {
+  try {
+    const {deviceId, latitude, longitude} = req.validated.query;
+    const target = {latitude, longitude};
+
+    const rangeErrors = timeRangeErrors(req.validated.query);
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+    const range = timeRangeFilter(req.validated.query);
+
+    const query = {deviceId};
+    if (range) {
+      query.recordedAt = range;
+    }
+
+    const [nearest] = await Location.aggregate([
+      {
+        $geoNear: {
+          near: {type: 'Point', coordinates: [target.longitude, target.latitude]},
+          key: 'location',
+          distanceField: 'distance',
+          spherical: true,
+          query,
+        },
+      },
+      {$limit: 1},
+    ]);
+
+    if (!nearest) {
+      return res
+        .status(404)
+        .json({success: false, message: 'No location found'});
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        deviceId,
+        target,
+        distance: nearest.distance, // meters
+        point: formatPoint(nearest),
+      },
+    });
+  } catch (err) {
+    console.error('GET /location/nearest error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
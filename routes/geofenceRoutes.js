@@ -0,0 +1,177 @@
+import {Router} from 'express';
+import {requireDeviceOwnerStrict} from '../middleware/auth.js';
+import {validate, sendValidationError} from '../middleware/validate.js';
+import {deviceParamsSchema} from '../validation/deviceSchemas.js';
+import {timeRangeErrors} from '../validation/locationSchemas.js';
+import {
+  createGeofenceSchema,
+  geofenceEventsQuerySchema,
+  geofenceParamsSchema,
+  geofenceShapeErrors,
+  updateGeofenceSchema,
+} from '../validation/geofenceSchemas.js';
+import {
+  createGeofence,
+  deleteGeofence,
+  getGeofence,
+  listGeofenceEvents,
+  listGeofences,
+  toGeofenceEventResponse,
+  toGeofenceResponse,
+  updateGeofence,
+} from '../services/geofenceService.js';
+import {GEOFENCE_CONFIG, PAGINATION_CONFIG} from '../config/apiConfig.js';
+
+// Geofences of a device and the enter/exit/dwell events its uploads produce
+// (mounted at /api/devices, owner only)
+
+const router = Router();
+
+const geofenceNotFound = res => res.status(404).json({success: false, message: 'Geofence not found'});
+
+/**
+ * GET /api/devices/:deviceId/geofences
+ * List the device's geofences with their current inside/outside state
+ */
+router.get('/:deviceId/geofences', validate(deviceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const fences = await listGeofences(req.validated.params.deviceId);
+    return res.json({success: true, data: fences.map(toGeofenceResponse)});
+  } catch (err) {
+    console.error('GET /devices/:deviceId/geofences error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/geofences
+ * Add a geofence
+ * Body: {name, type: 'circle', center: {latitude, longitude}, radius} or
+ * {name, type: 'polygon', polygon: GeoJSON Polygon}; optional dwellMinutes
+ * (a dwell event after that long inside) and enabled (default true)
+ */
+router.post('/:deviceId/geofences', validate(createGeofenceSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const shapeErrors = geofenceShapeErrors(req.validated.body);
+    if (shapeErrors.length > 0) {
+      return sendValidationError(res, shapeErrors);
+    }
+
+    const {fence, error} = await createGeofence(deviceId, req.validated.body);
+    if (error === 'LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: `A device can have at most ${GEOFENCE_CONFIG.MAX_PER_DEVICE} geofences`,
+      });
+    }
+
+    console.log(`📍 Geofence created for deviceId ${deviceId}: "${fence.name}" (${fence.type})`);
+    return res.status(201).json({success: true, data: toGeofenceResponse(fence)});
+  } catch (err) {
+    console.error('POST /devices/:deviceId/geofences error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/geofences/:geofenceId
+ * One geofence
+ */
+router.get('/:deviceId/geofences/:geofenceId', validate(geofenceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, geofenceId} = req.validated.params;
+    const fence = await getGeofence(deviceId, geofenceId);
+    if (!fence) {
+      return geofenceNotFound(res);
+    }
+    return res.json({success: true, data: toGeofenceResponse(fence)});
+  } catch (err) {
+    console.error('GET /devices/:deviceId/geofences/:geofenceId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * PATCH /api/devices/:deviceId/geofences/:geofenceId
+ * Rename, enable/disable, change dwellMinutes (0 turns dwell events off) or
+ * replace the shape (send type with its fields); a new shape resets the state
+ */
+router.patch('/:deviceId/geofences/:geofenceId', validate(updateGeofenceSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, geofenceId} = req.validated.params;
+    const shapeErrors = geofenceShapeErrors(req.validated.body, {partial: true});
+    if (shapeErrors.length > 0) {
+      return sendValidationError(res, shapeErrors);
+    }
+
+    const fence = await updateGeofence(deviceId, geofenceId, req.validated.body);
+    if (!fence) {
+      return geofenceNotFound(res);
+    }
+    return res.json({success: true, data: toGeofenceResponse(fence)});
+  } catch (err) {
+    console.error('PATCH /devices/:deviceId/geofences/:geofenceId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/geofences/:geofenceId
+ * Delete a geofence; its past events stay in the event log
+ */
+router.delete('/:deviceId/geofences/:geofenceId', validate(geofenceParamsSchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId, geofenceId} = req.validated.params;
+    const deleted = await deleteGeofence(deviceId, geofenceId);
+    if (!deleted) {
+      return geofenceNotFound(res);
+    }
+
+    console.log(`🗑️ Geofence deleted for deviceId ${deviceId}: ${geofenceId}`);
+    return res.json({success: true, message: 'Geofence deleted'});
+  } catch (err) {
+    console.error('DELETE /devices/:deviceId/geofences/:geofenceId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/geofence-events?geofenceId=&type=&from=&to=&page=&limit=
+ * Enter/exit/dwell events of the device's geofences, newest first
+ * from/to filter on the time of the fix that caused the event.
+ */
+router.get('/:deviceId/geofence-events', validate(geofenceEventsQuerySchema), requireDeviceOwnerStrict, async (req, res) => {
+  try {
+    const {deviceId} = req.validated.params;
+    const {geofenceId, type, from, to, page = 1} = req.validated.query;
+
+    const rangeErrors = timeRangeErrors({from, to});
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
+    }
+
+    const limit = Math.min(
+      PAGINATION_CONFIG.MAX_LIMIT,
+      req.validated.query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT,
+    );
+    const {total, events} = await listGeofenceEvents(deviceId, {
+      geofenceId,
+      type,
+      from,
+      to,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: {deviceId, page, limit, total, events: events.map(toGeofenceEventResponse)},
+    });
+  } catch (err) {
+    console.error('GET /devices/:deviceId/geofence-events error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
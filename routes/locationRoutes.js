@@ -1,40 +1,183 @@
 import {Router} from 'express';
-import Location from '../models/Location.js';
-import {PAGINATION_CONFIG, DETECTION_CONFIG} from '../config/apiConfig.js';
+import Location, {TELEMETRY_FIELDS} from '../models/Location.js';
+import {
+  PAGINATION_CONFIG,
+  TRACK_CONFIG,
+  RATE_LIMIT_CONFIG,
+} from '../config/apiConfig.js';
+import {simplifyPath} from '../utils/geo.js';
+import {encodePolyline} from '../utils/polyline.js';
+import {
+  countHistory,
+  findHistoryPage,
+  findTrackPoints,
+  streamHistory,
+  encodeCursor,
+  decodeCursor,
+} from '../services/historyService.js';
+import {requireDeviceOwner} from '../middleware/auth.js';
+import {auditAccess} from '../middleware/audit.js';
+import {requireDeviceSignature} from '../middleware/deviceSignature.js';
+import {rateLimit} from '../middleware/rateLimit.js';
+import {EXPORT_FORMATS, exportFileName} from '../services/exportService.js';
+import {touchDevice} from '../services/deviceService.js';
+import {checkDevice} from '../services/detectionService.js';
+import {evaluateGeofences} from '../services/geofenceService.js';
+import {assessUpload, plausibilityFields} from '../services/plausibilityService.js';
+import {findCompactedPointIds} from '../services/retentionService.js';
+import {
+  validate,
+  validateObject,
+  sendValidationError,
+  ERROR_CODES,
+  VALIDATION_FAILED,
+} from '../middleware/validate.js';
+import {
+  POINT_ID_PATTERN,
+  locationPointSchema,
+  locationSubmitSchema,
+  locationBatchSchema,
+  deviceQuerySchema,
+  latestQuerySchema,
+  historyQuerySchema,
+  exportQuerySchema,
+  trackQuerySchema,
+  timeRangeErrors,
+} from '../validation/locationSchemas.js';
 
 const router = Router();
 
+// Upload quotas per device, counted after the signature check so other
+// clients can't use up a device's quota
+const byDevice = req => req.validated.body.deviceId;
+const ingestLimit = rateLimit({
+  name: 'ingest-device',
+  limit: RATE_LIMIT_CONFIG.LIMITS.INGEST_DEVICE,
+  key: byDevice,
+  message: 'Too many location updates from this device. Please slow down.',
+});
+const batchIngestLimit = rateLimit({
+  name: 'ingest-batch-device',
+  limit: RATE_LIMIT_CONFIG.LIMITS.INGEST_BATCH_DEVICE,
+  key: byDevice,
+  message: 'Too many batch uploads from this device. Please slow down.',
+});
+
+/**
+ * Pick the telemetry fields present on a point
+ * @param {object} point - Point payload or Location document
+ * @returns {object} Only the telemetry fields that are set
+ */
+function pickTelemetry(point) {
+  const telemetry = {};
+  for (const field of TELEMETRY_FIELDS) {
+    if (point[field] != null) {
+      telemetry[field] = point[field];
+    }
+  }
+  return telemetry;
+}
+
+/**
+ * Add the deprecated `createdAt` field to a stored point
+ * Before recordedAt/receivedAt existed, points only had createdAt (the
+ * receipt time); it stays in responses so older clients keep working.
+ * @param {object} point - Plain Location object
+ * @returns {object}
+ */
+function withCreatedAt(point) {
+  return {...point, createdAt: point.receivedAt};
+}
+
 /**
  * POST /api/location
- * Submit location update (no authentication required)
+ * Submit location update (signed with the device secret, see middleware/deviceSignature.js)
+ *
+ * Idempotent when the client sends a `pointId` in the body or an
+ * `Idempotency-Key` header: a replay returns the originally stored point
+ * with status 200 instead of storing it again (`data: null` and
+ * `compacted: true` once retention has folded the original into a summary).
+ * Each device has a per-minute quota (429 RATE_LIMITED when exceeded).
+ * Physically implausible points are stored with `suspect: true` and their
+ * `plausibilityFlags` (see services/plausibilityService.js).
  */
-router.post('/location', async (req, res) => {
+router.post('/location', validate(locationSubmitSchema), requireDeviceSignature, ingestLimit, async (req, res) => {
   try {
-    // Get deviceId from request body
-    const {deviceId, latitude, longitude, accuracy} = req.body || {};
-    
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'deviceId is required in request body',
-      });
+    // Body has been validated (see locationSubmitSchema)
+    const idempotencyKey = req.get('Idempotency-Key');
+    const body = req.validated.body;
+    const {deviceId, latitude, longitude, accuracy, recordedAt} = body;
+    const receivedAt = new Date();
+
+    if (idempotencyKey != null) {
+      const path = 'headers.idempotency-key';
+      if (!POINT_ID_PATTERN.test(idempotencyKey)) {
+        return sendValidationError(res, [
+          {
+            code: ERROR_CODES.INVALID_FORMAT,
+            path,
+            message: 'Idempotency-Key must be 1-64 characters (letters, digits, _ . : -)',
+          },
+        ]);
+      }
+      if (body.pointId != null && body.pointId !== idempotencyKey) {
+        return sendValidationError(res, [
+          {
+            code: ERROR_CODES.INVALID_VALUE,
+            path,
+            message: 'Idempotency-Key header and pointId must match when both are sent',
+          },
+        ]);
+      }
+      body.pointId = idempotencyKey;
     }
     
-    console.log('📥 Received location update:', {deviceId, latitude, longitude, accuracy});
+    console.log('📥 Received location update:', {deviceId, latitude, longitude, accuracy, recordedAt});
+
+    // Older clients don't send recordedAt; fall back to receipt time
+    const point = {latitude, longitude, accuracy, ...pickTelemetry(body), recordedAt: recordedAt || receivedAt};
+
+    // Replays of points that retention has since compacted have no original left
+    if (body.pointId != null) {
+      const compacted = await findCompactedPointIds(deviceId, [{...point, pointId: body.pointId}]);
+      if (compacted.size > 0) {
+        console.log('♻️ Replayed location was already compacted:', body.pointId);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json({success: true, replayed: true, compacted: true, data: null});
+      }
+    }
 
-    if (
-      typeof latitude !== 'number' ||
-      typeof longitude !== 'number'
-    ) {
-      console.log('❌ Validation failed:', {latitude, longitude});
-      return res
-        .status(400)
-        .json({success: false, message: 'latitude and longitude (numbers) are required'});
+    const [assessment] = await assessUpload(deviceId, [point]);
+    if (assessment.suspect) {
+      console.log(`🕵️ Suspect location from ${deviceId}: ${assessment.flags.join(', ')}`);
     }
 
-    const doc = await Location.create({deviceId, latitude, longitude, accuracy});
+    let doc;
+    try {
+      doc = await Location.create({
+        deviceId,
+        pointId: body.pointId,
+        ...point,
+        ...plausibilityFields(assessment),
+        receivedAt,
+      });
+    } catch (createError) {
+      // Duplicate pointId: this is a retry of a point we already stored
+      if (createError.code === 11000 && body.pointId != null) {
+        const original = await Location.findOne({deviceId, pointId: body.pointId}).lean();
+        if (original) {
+          console.log('♻️ Replayed location, returning original:', original._id);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(200).json({success: true, replayed: true, data: withCreatedAt(original)});
+        }
+      }
+      throw createError;
+    }
     console.log('✅ Location saved to DB:', doc._id);
-    return res.status(201).json({success: true, data: doc});
+    markDeviceSeen(deviceId, receivedAt);
+    checkGeofences(deviceId, [doc]);
+    checkDetection(deviceId);
+    return res.status(201).json({success: true, data: withCreatedAt(doc.toObject())});
   } catch (err) {
     console.error('❌ POST /location error', err);
     return res.status(500).json({success: false, message: 'Server error'});
@@ -42,23 +185,214 @@ router.post('/location', async (req, res) => {
 });
 
 /**
- * GET /api/location/latest
- * Get latest location for device (no authentication required)
+ * Update the device's lastSeenAt without holding up (or failing) the upload
+ * @param {string} deviceId
+ * @param {Date} receivedAt
+ */
+function markDeviceSeen(deviceId, receivedAt) {
+  touchDevice(deviceId, receivedAt).catch(err => {
+    console.error('⚠️ Could not update device lastSeenAt', err);
+  });
+}
+
+/**
+ * Evaluate newly stored points against the device's geofences without
+ * holding up (or failing) the upload
+ * @param {string} deviceId
+ * @param {object[]} points - Stored Location documents
+ */
+function checkGeofences(deviceId, points) {
+  evaluateGeofences(deviceId, points).catch(err => {
+    console.error('⚠️ Could not evaluate geofences', err);
+  });
+}
+
+/**
+ * Run anti-theft detection on the new history (recording alerts) without
+ * holding up (or failing) the upload
+ * @param {string} deviceId
+ */
+function checkDetection(deviceId) {
+  checkDevice(deviceId).catch(err => {
+    console.error('⚠️ Could not run detection', err);
+  });
+}
+
+/**
+ * Whether an insertMany per-document result is a duplicate key write error
+ * @param {*} result - Entry of insertMany's `results`
+ * @returns {boolean}
  */
-router.get('/location/latest', async (req, res) => {
+function isDuplicateKeyResult(result) {
+  return (result?.code ?? result?.err?.code) === 11000;
+}
+
+/**
+ * POST /api/location/batch
+ * Submit a batch of queued location updates in a single bulk write
+ * (signed with the device secret, like POST /api/location)
+ *
+ * Body: {deviceId, points: [{pointId, latitude, longitude, accuracy, recordedAt, ...telemetry}]}
+ * Responds 201 when every point was stored, 207 when some were rejected.
+ * `results` has one entry per submitted point, in submission order, so the
+ * client can drop stored points from its queue and keep the rest. Points whose
+ * pointId was already stored succeed with `replayed: true` and the original id
+ * (`id: null` and `compacted: true` if retention has compacted it since).
+ * Each device has its own per-minute batch quota (429 RATE_LIMITED).
+ * Points are checked for plausibility in recordedAt order, like single uploads.
+ */
+router.post('/location/batch', validate(locationBatchSchema), requireDeviceSignature, batchIngestLimit, async (req, res) => {
   try {
-    // Get deviceId from query parameter
-    const deviceId = req.query.deviceId;
-    
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'deviceId is required as query parameter',
+    const {deviceId, points} = req.validated.body;
+    const receivedAt = new Date();
+
+    console.log(`📥 Received location batch: ${points.length} points`, {deviceId});
+
+    // Validate every point up front; only valid points go to the bulk write
+    const results = new Array(points.length);
+    const storedPoints = [];
+    const docs = [];
+    const docIndexes = [];
+
+    points.forEach((rawPoint, index) => {
+      const path = `points[${index}]`;
+      const {value: point, errors} =
+        rawPoint !== null && typeof rawPoint === 'object' && !Array.isArray(rawPoint)
+          ? validateObject(locationPointSchema, rawPoint, path)
+          : {
+              errors: [
+                {code: ERROR_CODES.INVALID_TYPE, path, message: `${path} must be an object`},
+              ],
+            };
+      if (errors.length > 0) {
+        results[index] = {
+          index,
+          success: false,
+          retryable: false,
+          code: VALIDATION_FAILED,
+          message: errors[0].message,
+          errors,
+        };
+        return;
+      }
+      docs.push({
+        deviceId,
+        pointId: point.pointId,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy,
+        ...pickTelemetry(point),
+        recordedAt: point.recordedAt || receivedAt,
+        receivedAt,
+      });
+      docIndexes.push(index);
+    });
+
+    // Replays of points that retention has since compacted are not stored again
+    const compacted = await findCompactedPointIds(deviceId, docs);
+    for (let i = docs.length - 1; i >= 0; i--) {
+      if (compacted.has(docs[i].pointId)) {
+        results[docIndexes[i]] = {index: docIndexes[i], success: true, replayed: true, compacted: true, id: null};
+        docs.splice(i, 1);
+        docIndexes.splice(i, 1);
+      }
+    }
+
+    if (docs.length > 0) {
+      const assessments = await assessUpload(deviceId, docs);
+      assessments.forEach((assessment, i) => Object.assign(docs[i], plausibilityFields(assessment)));
+      const suspect = assessments.filter(assessment => assessment.suspect).length;
+      if (suspect > 0) {
+        console.log(`🕵️ ${suspect} suspect location(s) in batch from ${deviceId}`);
+      }
+
+      // Unordered insert: one failing point doesn't stop the rest
+      let writeResults;
+      try {
+        const raw = await Location.insertMany(docs, {
+          ordered: false,
+          rawResult: true,
+        });
+        writeResults = raw.mongoose.results;
+      } catch (err) {
+        if (!err.results) {
+          throw err;
+        }
+        writeResults = err.results;
+      }
+
+      // Look up the originals of replayed points (duplicate pointId)
+      const replayedPointIds = writeResults
+        .map((result, i) => (isDuplicateKeyResult(result) ? docs[i].pointId : null))
+        .filter(pointId => pointId != null);
+      const originals = new Map();
+      if (replayedPointIds.length > 0) {
+        const found = await Location.find({deviceId, pointId: {$in: replayedPointIds}})
+          .select('_id pointId')
+          .lean();
+        for (const original of found) {
+          originals.set(original.pointId, original._id);
+        }
+      }
+
+      writeResults.forEach((result, i) => {
+        const index = docIndexes[i];
+        const originalId = docs[i].pointId != null ? originals.get(docs[i].pointId) : null;
+        if (result instanceof Location) {
+          results[index] = {index, success: true, id: result._id};
+          storedPoints.push(result);
+        } else if (isDuplicateKeyResult(result) && originalId) {
+          results[index] = {index, success: true, replayed: true, id: originalId};
+        } else {
+          results[index] = {
+            index,
+            success: false,
+            retryable: result?.name !== 'ValidationError',
+            message:
+              result?.message || result?.err?.errmsg || 'Write failed',
+          };
+        }
       });
     }
 
-    const latest = await Location.findOne({deviceId})
-      .sort({createdAt: -1})
+    const stored = results.filter(result => result.success).length;
+    const failed = results.length - stored;
+    console.log(`✅ Location batch saved: ${stored} stored, ${failed} failed`);
+    if (stored > 0) {
+      markDeviceSeen(deviceId, receivedAt);
+    }
+    if (storedPoints.length > 0) {
+      checkGeofences(deviceId, storedPoints);
+      checkDetection(deviceId);
+    }
+
+    return res.status(failed === 0 ? 201 : 207).json({
+      success: stored > 0,
+      data: {
+        deviceId,
+        total: points.length,
+        stored,
+        failed,
+        results,
+      },
+    });
+  } catch (err) {
+    console.error('❌ POST /location/batch error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/location/latest
+ * Get latest location for device (requires the device owner's token)
+ * excludeSuspect=true returns the latest point that passed the plausibility checks.
+ */
+router.get('/location/latest', validate(latestQuerySchema), requireDeviceOwner, auditAccess('latest'), async (req, res) => {
+  try {
+    const {deviceId, excludeSuspect} = req.validated.query;
+
+    const latest = await Location.findOne({deviceId, ...(excludeSuspect && {suspect: {$ne: true}})})
+      .sort({recordedAt: -1})
       .lean();
 
     if (!latest) {
@@ -67,71 +401,113 @@ router.get('/location/latest', async (req, res) => {
         .json({success: false, message: 'No location found'});
     }
 
-    return res.json({success: true, data: latest});
+    return res.json({success: true, data: withCreatedAt(latest)});
   } catch (err) {
     console.error('GET /location/latest error', err);
     return res.status(500).json({success: false, message: 'Server error'});
   }
 });
 
+/**
+ * Shape a history entry for API responses
+ * Compacted buckets pass through with their summary; raw points are trimmed
+ * to their public fields.
+ */
+function formatHistoryPoint(point) {
+  const {_id, ...rest} = point;
+  if (rest.compacted) {
+    return rest;
+  }
+  return {
+    latitude: rest.latitude,
+    longitude: rest.longitude,
+    accuracy: rest.accuracy,
+    ...pickTelemetry(rest),
+    ...(rest.plausibilityFlags && {suspect: rest.suspect, plausibilityFlags: rest.plausibilityFlags}),
+    recordedAt: rest.recordedAt,
+    receivedAt: rest.receivedAt,
+    createdAt: rest.receivedAt, // deprecated, see withCreatedAt
+  };
+}
+
 /**
  * GET /api/location/history
- * Get location history for device (no authentication required)
+ * Get location history for device (requires the device owner's token)
+ *
+ * Query: deviceId, from?, to?, order? (desc|asc, default desc), limit?,
+ * and either page (offset paging, the original mode) or cursor.
+ * Every response carries nextCursor/prevCursor; pass one back as `cursor`
+ * to page forward or backward. A cursor keeps the order it was issued for.
+ * excludeSuspect=true leaves out implausible points (send it with every page).
  */
-router.get('/location/history', async (req, res) => {
+router.get('/location/history', validate(historyQuerySchema), requireDeviceOwner, auditAccess('history'), async (req, res) => {
   try {
-    // Get deviceId from query parameter
-    const deviceId = req.query.deviceId;
-    
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'deviceId is required as query parameter',
-      });
+    const {deviceId, from, to, cursor, page, excludeSuspect} = req.validated.query;
+
+    if (cursor && page) {
+      return sendValidationError(res, [
+        {code: ERROR_CODES.INVALID_VALUE, path: 'page', message: 'Use either page or cursor, not both'},
+      ]);
+    }
+    const rangeErrors = timeRangeErrors({from, to});
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
     }
     
     console.log('📜 History request for deviceId:', deviceId);
-    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const position = cursor ? decodeCursor(cursor) : null;
+    const order = position ? position.order : req.validated.query.order || 'desc';
     const limit = Math.min(
       PAGINATION_CONFIG.MAX_LIMIT,
-      Math.max(
-        PAGINATION_CONFIG.MIN_LIMIT,
-        parseInt(req.query.limit) || PAGINATION_CONFIG.DEFAULT_LIMIT,
-      ),
+      req.validated.query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT,
     );
-    const skip = (page - 1) * limit;
+    const skip = page ? (page - 1) * limit : 0;
 
-    // Count total documents for this device
-    const total = await Location.countDocuments({deviceId});
+    // Offset mode reports totals (raw + compacted tiers) like it always has
+    const counts = position ? null : await countHistory(deviceId, {from, to, excludeSuspect});
 
-    if (total === 0) {
+    if (counts && counts.total === 0 && !from && !to) {
       return res.status(404).json({
         success: false,
         message: `No location history found for deviceId: ${deviceId}`,
       });
     }
 
-    // Fetch paginated locations
-    const points = await Location.find({deviceId})
-      .sort({createdAt: -1})
-      .skip(skip)
-      .limit(limit)
-      .select('latitude longitude accuracy createdAt')
-      .lean();
+    // Fetch the page across both tiers
+    const {points, hasMore} = await findHistoryPage({
+      deviceId,
+      from,
+      to,
+      excludeSuspect,
+      order,
+      skip,
+      limit,
+      position,
+    });
+
+    // Cursors point at the page edges; a "prev" page always has a next page
+    const backwards = position?.direction === 'prev';
+    const first = points[0];
+    const last = points[points.length - 1];
+    const hasNext = backwards || hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(position) || skip > 0;
 
     return res.json({
       success: true,
       data: {
         deviceId,
-        page,
+        order,
+        from: from || null,
+        to: to || null,
         limit,
-        total,
-        points: points.map(point => ({
-          latitude: point.latitude,
-          longitude: point.longitude,
-          accuracy: point.accuracy,
-          createdAt: point.createdAt,
-        })),
+        ...(counts && {
+          page: page || 1,
+          total: counts.total,
+          compactedTotal: counts.compacted,
+        }),
+        nextCursor: hasNext && last ? encodeCursor(last, order, 'next') : null,
+        prevCursor: hasPrev && first ? encodeCursor(first, order, 'prev') : null,
+        points: points.map(formatHistoryPoint),
       },
     });
   } catch (err) {
@@ -141,178 +517,186 @@ router.get('/location/history', async (req, res) => {
 });
 
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - Latitude of first point
- * @param {number} lon1 - Longitude of first point
- * @param {number} lat2 - Latitude of second point
- * @param {number} lon2 - Longitude of second point
- * @returns {number} Distance in meters
+ * Resolve once a response can take more data (or the client has gone)
  */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth radius in meters
-  const toRad = deg => (deg * Math.PI) / 180;
-
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
 }
 
 /**
- * Detect suspicious movement patterns
- * Logic: If device was idle for longer than IDLE_TIME_MS
- *        and then moves more than MOVE_DISTANCE_M, mark as SUSPICIOUS
+ * GET /api/location/export
+ * Download a device's history as GPX, KML, GeoJSON or CSV, oldest point first
+ *
+ * Query: deviceId, format (gpx|kml|geojson|csv), from?, to?
+ * Points are streamed from the database cursor to the response, honouring
+ * backpressure, so exports of any length use constant memory.
  */
-/**
- * GET /api/device/status
- * Get device status for device (no authentication required)
- */
-router.get('/device/status', async (req, res) => {
-  try {
-    // Get deviceId from query parameter
-    const deviceId = req.query.deviceId;
-    
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'deviceId is required as query parameter',
-      });
-    }
-    
-    console.log('🔍 Status check for deviceId:', deviceId);
+router.get('/location/export', validate(exportQuerySchema), requireDeviceOwner, auditAccess('export'), async (req, res) => {
+  const {deviceId, from, to, format} = req.validated.query;
 
-    // Fetch recent location history (last N points)
-    const points = await Location.find({deviceId})
-      .sort({createdAt: -1})
-      .limit(DETECTION_CONFIG.HISTORY_POINTS)
-      .select('latitude longitude accuracy createdAt')
-      .lean();
+  const rangeErrors = timeRangeErrors({from, to});
+  if (rangeErrors.length > 0) {
+    return sendValidationError(res, rangeErrors);
+  }
+
+  const exporter = EXPORT_FORMATS[format];
+  const points = streamHistory({deviceId, from, to});
+  let count = 0;
 
-    if (points.length === 0) {
+  try {
+    // Read the first point before committing to a 200
+    const first = await points.next();
+    if (first.done && !from && !to) {
       return res.status(404).json({
         success: false,
-        message: `No location data found for deviceId: ${deviceId}`,
+        message: `No location history found for deviceId: ${deviceId}`,
       });
     }
 
-    // Reverse to get chronological order (oldest to newest)
-    const chronologicalPoints = points.reverse();
-    const now = new Date();
-    const lastSeen = new Date(chronologicalPoints[chronologicalPoints.length - 1].createdAt);
-
-    // Find the last significant movement time
-    // Movement is considered when distance between consecutive points > MIN_MOVEMENT_DISTANCE_M
-    let lastMovementTime = null;
-    let lastMovementDistance = 0;
-
-    for (let i = 1; i < chronologicalPoints.length; i++) {
-      const prev = chronologicalPoints[i - 1];
-      const curr = chronologicalPoints[i];
-
-      const distance = haversineDistance(
-        prev.latitude,
-        prev.longitude,
-        curr.latitude,
-        curr.longitude,
-      );
-
-      // If movement is significant, update last movement time
-      if (distance >= DETECTION_CONFIG.MIN_MOVEMENT_DISTANCE_M) {
-        lastMovementTime = new Date(curr.createdAt);
-        lastMovementDistance = distance;
+    console.log(`📤 Exporting ${format} for deviceId:`, deviceId);
+    res.status(200);
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${exportFileName(deviceId, format)}"`,
+    );
+    res.setHeader('Cache-Control', 'no-store');
+
+    res.write(exporter.header({deviceId, from, to}));
+    let next = first;
+    // Stop when the client goes away; closing the generator closes the cursors
+    while (!next.done && !res.destroyed) {
+      if (!res.write(exporter.point(next.value, count++))) {
+        await waitForDrain(res);
       }
+      next = await points.next();
+    }
+    if (!res.destroyed) {
+      res.end(exporter.footer());
+    }
+  } catch (err) {
+    console.error('GET /location/export error', err);
+    if (!res.headersSent) {
+      return res.status(500).json({success: false, message: 'Server error'});
     }
+    // Headers are gone; cut the download so it cannot pass as complete
+    res.destroy(err);
+  } finally {
+    await points.return();
+  }
+});
 
-    // If no movement detected, use the first point's time
-    if (!lastMovementTime) {
-      lastMovementTime = new Date(chronologicalPoints[0].createdAt);
+/**
+ * GET /api/location/track
+ * Simplified path for map rendering (Douglas-Peucker), oldest point first
+ *
+ * Query: deviceId, from? (default: 24h before `to`), to? (default: now),
+ * tolerance? (meters), maxPoints?, format? (points|polyline, default points),
+ * excludeSuspect? (true drops points that failed the plausibility checks).
+ * With neither tolerance nor maxPoints a small default tolerance applies.
+ * Only the newest MAX_SOURCE_POINTS points of the range are read; `truncated`
+ * says older ones were left out.
+ */
+router.get('/location/track', validate(trackQuerySchema), requireDeviceOwner, auditAccess('track'), async (req, res) => {
+  try {
+    const {deviceId, maxPoints, format = 'points', excludeSuspect} = req.validated.query;
+    const to = req.validated.query.to || new Date();
+    const from =
+      req.validated.query.from || new Date(to.getTime() - TRACK_CONFIG.DEFAULT_RANGE_MS);
+
+    const rangeErrors = timeRangeErrors({from, to});
+    if (rangeErrors.length > 0) {
+      return sendValidationError(res, rangeErrors);
     }
 
-    // Calculate time since last movement
-    const timeSinceLastMovement = now.getTime() - lastMovementTime.getTime();
-
-    // Check for suspicious pattern:
-    // 1. Device was idle for longer than IDLE_TIME_MS
-    // 2. Then moved more than MOVE_DISTANCE_M
-    let status = 'OK';
-    let reason = null;
-
-    // Check if there was a long idle period before recent movement
-    if (chronologicalPoints.length >= 2) {
-      // Get the most recent movement (last two points)
-      const recentPoint = chronologicalPoints[chronologicalPoints.length - 1];
-      const previousPoint = chronologicalPoints[chronologicalPoints.length - 2];
-
-      const recentDistance = haversineDistance(
-        previousPoint.latitude,
-        previousPoint.longitude,
-        recentPoint.latitude,
-        recentPoint.longitude,
-      );
-
-      // Check if recent movement is significant
-      if (recentDistance >= DETECTION_CONFIG.MOVE_DISTANCE_M) {
-        // Check if there was a long idle period before this movement
-        const timeBetweenPoints =
-          new Date(recentPoint.createdAt).getTime() -
-          new Date(previousPoint.createdAt).getTime();
-
-        // If there was a gap longer than IDLE_TIME_MS before significant movement
-        if (timeBetweenPoints >= DETECTION_CONFIG.IDLE_TIME_MS) {
-          status = 'SUSPICIOUS';
-          reason = `Device was idle for ${Math.round(
-            timeBetweenPoints / 60000,
-          )} minutes, then moved ${recentDistance.toFixed(1)} meters`;
-        }
-      }
+    const tolerance =
+      req.validated.query.tolerance ??
+      (maxPoints ? 0 : TRACK_CONFIG.DEFAULT_TOLERANCE_M);
+
+    const {points: source, truncated} = await findTrackPoints({
+      deviceId,
+      from,
+      to,
+      excludeSuspect,
+      limit: TRACK_CONFIG.MAX_SOURCE_POINTS,
+    });
+    const points = simplifyPath(source, {tolerance, maxPoints});
+
+    const data = {
+      deviceId,
+      from,
+      to,
+      tolerance,
+      maxPoints: maxPoints || null,
+      sourcePoints: source.length,
+      truncated,
+      count: points.length,
+      format,
+      startedAt: points[0]?.recordedAt || null,
+      endedAt: points[points.length - 1]?.recordedAt || null,
+    };
+
+    if (format === 'polyline') {
+      data.precision = TRACK_CONFIG.POLYLINE_PRECISION;
+      data.polyline = encodePolyline(points, TRACK_CONFIG.POLYLINE_PRECISION);
+    } else {
+      data.points = points;
     }
 
-    // Alternative check: If device hasn't moved in a long time but suddenly appears far away
-    // (This handles cases where device might have been moved while offline)
-    if (status === 'OK' && timeSinceLastMovement >= DETECTION_CONFIG.IDLE_TIME_MS) {
-      // Check if the most recent point is far from the previous known location
-      if (chronologicalPoints.length >= 2) {
-        const mostRecent = chronologicalPoints[chronologicalPoints.length - 1];
-        const beforeIdle = chronologicalPoints[0]; // First point in our sample
-
-        const totalDistance = haversineDistance(
-          beforeIdle.latitude,
-          beforeIdle.longitude,
-          mostRecent.latitude,
-          mostRecent.longitude,
-        );
-
-        // If device moved a significant distance after being idle
-        if (totalDistance >= DETECTION_CONFIG.MOVE_DISTANCE_M) {
-          status = 'SUSPICIOUS';
-          reason = `Device was idle for ${Math.round(
-            timeSinceLastMovement / 60000,
-          )} minutes, then appeared ${totalDistance.toFixed(1)} meters away`;
-        }
-      }
+    return res.json({success: true, data});
+  } catch (err) {
+    console.error('GET /location/track error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/device/status
+ * Anti-theft status of a device (requires the device owner's token)
+ * Runs the device's enabled detection rules over its recent history and lists
+ * every rule that triggered, most severe first, with the alert it is recorded
+ * in. `reason` repeats the most severe rule's message for older clients.
+ */
+router.get('/device/status', validate(deviceQuerySchema), requireDeviceOwner, auditAccess('status'), async (req, res) => {
+  try {
+    const {deviceId} = req.validated.query;
+
+    console.log('🔍 Status check for deviceId:', deviceId);
+
+    const result = await checkDevice(deviceId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `No location data found for deviceId: ${deviceId}`,
+      });
     }
 
-    console.log(`📊 Device status: ${status}`, {
+    console.log(`📊 Device status: ${result.status}`, {
       deviceId,
-      lastSeen,
-      lastMovement: lastMovementTime,
-      reason,
+      lastSeen: result.lastSeen,
+      lastMovement: result.lastMovement,
+      rules: result.rules.map(rule => rule.id),
     });
 
     return res.json({
       success: true,
       data: {
         deviceId,
-        status,
-        reason,
-        lastSeen,
-        lastMovement: lastMovementTime,
+        status: result.status,
+        severity: result.severity,
+        rules: result.rules,
+        checkedRules: result.checkedRules,
+        reason: result.rules[0]?.message || null,
+        lastSeen: result.lastSeen,
+        lastMovement: result.lastMovement,
       },
     });
   } catch (err) {
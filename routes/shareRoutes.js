@@ -0,0 +1,119 @@
+import {Router} from 'express';
+import Device from '../models/Device.js';
+import Location from '../models/Location.js';
+import {validate} from '../middleware/validate.js';
+import {requireShareLink} from '../middleware/shareLink.js';
+import {auditAccess} from '../middleware/audit.js';
+import {findTrackPoints} from '../services/historyService.js';
+import {simplifyPath} from '../utils/geo.js';
+import {encodePolyline} from '../utils/polyline.js';
+import {SHARE_CONFIG, TRACK_CONFIG} from '../config/apiConfig.js';
+import {sharedViewParamsSchema} from '../validation/shareSchemas.js';
+
+// Public, read-only view of a device through a share link (no credentials).
+// Responses never include the deviceId: with it, a viewer could keep
+// following the device after the link expires. Points flagged as
+// implausible are never shown here. Every view is recorded in the device's
+// access log.
+
+const router = Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * GET /api/shared/:token
+ * What a share link shows: device name, scope and expiry
+ */
+router.get('/:token', validate(sharedViewParamsSchema), requireShareLink, auditAccess('share_link_opened'), async (req, res) => {
+  try {
+    const {deviceId, scope, historyHours, expiresAt} = req.share;
+    const device = await Device.findOne({deviceId}).select('name platform').lean();
+
+    return res.json({
+      success: true,
+      data: {
+        device: {name: device?.name || 'Device', platform: device?.platform || 'other'},
+        scope,
+        historyHours,
+        expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error('GET /shared/:token error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/shared/:token/latest
+ * Latest location of the shared device
+ */
+router.get('/:token/latest', validate(sharedViewParamsSchema), requireShareLink, auditAccess('latest'), async (req, res) => {
+  try {
+    const latest = await Location.findOne({deviceId: req.share.deviceId, suspect: {$ne: true}})
+      .sort({recordedAt: -1})
+      .select('latitude longitude accuracy recordedAt')
+      .lean();
+
+    if (!latest) {
+      return res
+        .status(404)
+        .json({success: false, message: 'No location found'});
+    }
+
+    const {_id, ...data} = latest;
+    return res.json({success: true, data});
+  } catch (err) {
+    console.error('GET /shared/:token/latest error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/shared/:token/track
+ * Simplified track over the link's history window, as an encoded polyline
+ * Only for links created with the 'history' scope.
+ */
+router.get('/:token/track', validate(sharedViewParamsSchema), requireShareLink, auditAccess('track'), async (req, res) => {
+  try {
+    const {deviceId, scope, historyHours} = req.share;
+    if (scope !== 'history') {
+      return res.status(403).json({
+        success: false,
+        code: 'SHARE_SCOPE',
+        message: 'This share link only includes the live location',
+      });
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - historyHours * HOUR_MS);
+    res.locals.auditScope = {from, to};
+    const {points: source, truncated} = await findTrackPoints({
+      deviceId,
+      from,
+      to,
+      excludeSuspect: true,
+      limit: TRACK_CONFIG.MAX_SOURCE_POINTS,
+    });
+    const points = simplifyPath(source, {maxPoints: SHARE_CONFIG.TRACK_MAX_POINTS});
+
+    return res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        truncated,
+        count: points.length,
+        startedAt: points[0]?.recordedAt || null,
+        endedAt: points[points.length - 1]?.recordedAt || null,
+        precision: TRACK_CONFIG.POLYLINE_PRECISION,
+        polyline: encodePolyline(points, TRACK_CONFIG.POLYLINE_PRECISION),
+      },
+    });
+  } catch (err) {
+    console.error('GET /shared/:token/track error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+import {Router} from 'express';
+import {authenticate} from '../middleware/auth.js';
+import {validate} from '../middleware/validate.js';
+import {
+  createWebhookSchema,
+  deliveryListQuerySchema,
+  deliveryParamsSchema,
+  updateWebhookSchema,
+  webhookParamsSchema,
+} from '../validation/webhookSchemas.js';
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  listDeliveries,
+  listWebhooks,
+  redeliver,
+  rotateWebhookSecret,
+  sendTestDelivery,
+  toDeliveryResponse,
+  toWebhookResponse,
+  updateWebhook,
+} from '../services/webhookService.js';
+import {PAGINATION_CONFIG, WEBHOOK_CONFIG} from '../config/apiConfig.js';
+
+// The current user's webhook subscriptions and their delivery log
+// (mounted at /api/webhooks)
+
+const router = Router();
+
+const webhookNotFound = res => res.status(404).json({success: false, message: 'Webhook not found'});
+
+/**
+ * GET /api/webhooks
+ * List the current user's webhooks
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(req.user._id);
+    return res.json({success: true, data: webhooks.map(toWebhookResponse)});
+  } catch (err) {
+    console.error('GET /webhooks error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe an https URL to events
+ * Body: {url, events: [...], deviceId?, description?, enabled?}; without
+ * deviceId the webhook receives events of all of the user's devices.
+ * Returns the signing secret, which is not shown again.
+ */
+router.post('/', validate(createWebhookSchema), authenticate, async (req, res) => {
+  try {
+    const {webhook, secret, error} = await createWebhook(req.user._id, req.validated.body);
+
+    if (error === 'DEVICE_NOT_FOUND') {
+      return res.status(403).json({success: false, message: 'You do not have access to this device'});
+    }
+    if (error === 'LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: `An account can have at most ${WEBHOOK_CONFIG.MAX_PER_USER} webhooks`,
+      });
+    }
+
+    console.log(`🪝 Webhook created by ${req.user._id}: ${webhook._id} (${webhook.events.join(', ')})`);
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the signing secret; it is not shown again.',
+      data: {...toWebhookResponse(webhook), secret},
+    });
+  } catch (err) {
+    console.error('POST /webhooks error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId
+ * One webhook with the outcome of its latest delivery
+ */
+router.get('/:webhookId', validate(webhookParamsSchema), authenticate, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.user._id, req.validated.params.webhookId);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+    return res.json({success: true, data: toWebhookResponse(webhook)});
+  } catch (err) {
+    console.error('GET /webhooks/:webhookId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Change the URL, events, description or enabled flag
+ * Pending deliveries of a disabled webhook become dead letters.
+ */
+router.patch('/:webhookId', validate(updateWebhookSchema), authenticate, async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.user._id, req.validated.params.webhookId, req.validated.body);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+    return res.json({success: true, data: toWebhookResponse(webhook)});
+  } catch (err) {
+    console.error('PATCH /webhooks/:webhookId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:webhookId', validate(webhookParamsSchema), authenticate, async (req, res) => {
+  try {
+    const {webhookId} = req.validated.params;
+    const deleted = await deleteWebhook(req.user._id, webhookId);
+    if (!deleted) {
+      return webhookNotFound(res);
+    }
+
+    console.log(`🗑️ Webhook deleted by ${req.user._id}: ${webhookId}`);
+    return res.json({success: true, message: 'Webhook deleted'});
+  } catch (err) {
+    console.error('DELETE /webhooks/:webhookId error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/secret
+ * Replace the signing secret; deliveries are signed with the new one from now on
+ */
+router.post('/:webhookId/secret', validate(webhookParamsSchema), authenticate, async (req, res) => {
+  try {
+    const rotated = await rotateWebhookSecret(req.user._id, req.validated.params.webhookId);
+    if (!rotated) {
+      return webhookNotFound(res);
+    }
+
+    console.log(`🔑 Webhook secret rotated by ${req.user._id}: ${rotated.webhook._id}`);
+    return res.json({
+      success: true,
+      message: 'Signing secret replaced. Store it; it is not shown again.',
+      data: {...toWebhookResponse(rotated.webhook), secret: rotated.secret},
+    });
+  } catch (err) {
+    console.error('POST /webhooks/:webhookId/secret error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Send a webhook.test event now and return the outcome (one attempt, no
+ * retries; also works while the webhook is disabled)
+ */
+router.post('/:webhookId/test', validate(webhookParamsSchema), authenticate, async (req, res) => {
+  try {
+    const delivery = await sendTestDelivery(req.user._id, req.validated.params.webhookId);
+    if (!delivery) {
+      return webhookNotFound(res);
+    }
+    return res.json({success: true, data: toDeliveryResponse(delivery)});
+  } catch (err) {
+    console.error('POST /webhooks/:webhookId/test error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries?status=&event=&page=&limit=
+ * The webhook's deliveries, newest first; status=dead lists dead letters
+ */
+router.get('/:webhookId/deliveries', validate(deliveryListQuerySchema), authenticate, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.user._id, req.validated.params.webhookId);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    const {status, event, page = 1} = req.validated.query;
+    const limit = Math.min(
+      PAGINATION_CONFIG.MAX_LIMIT,
+      req.validated.query.limit || PAGINATION_CONFIG.DEFAULT_LIMIT,
+    );
+    const {total, deliveries} = await listDeliveries(webhook._id, {
+      status,
+      event,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: {webhookId: webhook._id, page, limit, total, deliveries: deliveries.map(toDeliveryResponse)},
+    });
+  } catch (err) {
+    console.error('GET /webhooks/:webhookId/deliveries error', err);
+    return res.status(500).json({success: false, message: 'Server error'});
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Queue a delivered, failed or dead delivery again with a fresh set of attempts
+ */
+router.post(
+  '/:webhookId/deliveries/:deliveryId/redeliver',
+  validate(deliveryParamsSchema),
+  authenticate,
+  async (req, res) => {
+    try {
+      const {webhookId, deliveryId} = req.validated.params;
+      const webhook = await getWebhook(req.user._id, webhookId);
+      if (!webhook) {
+        return webhookNotFound(res);
+      }
+
+      const {delivery, error} = await redeliver(webhook._id, deliveryId);
+      if (error === 'NOT_FOUND') {
+        return res.status(404).json({success: false, message: 'Delivery not found'});
+      }
+      if (error === 'PENDING') {
+        return res.status(409).json({
+          success: false,
+          code: 'DELIVERY_PENDING',
+          message: 'Delivery is already queued',
+        });
+      }
+
+      console.log(`🪝 Delivery ${deliveryId} queued again by ${req.user._id}`);
+      return res.json({success: true, data: toDeliveryResponse(delivery)});
+    } catch (err) {
+      console.error('POST /webhooks/:webhookId/deliveries/:deliveryId/redeliver error', err);
+      return res.status(500).json({success: false, message: 'Server error'});
+    }
+  },
+);
+
+export default router;
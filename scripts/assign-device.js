@@ -0,0 +1,66 @@
+// Assign a device that reported before accounts existed to an account
+// Usage: npm run devices:assign -- <deviceId> <username>
+//
+// Such devices have location history but no owner, and knowing a deviceId is
+// no proof of holding the device, so the app cannot claim them. Check with the
+// person that the device is theirs first (npm run devices:unclaimed lists
+// candidates), then assign it here.
+//
+// The device gets a signing secret, so its unsigned uploads are rejected from
+// now on; the owner signs in on the device in the app to receive it.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import Device from '../models/Device.js';
+import Location from '../models/Location.js';
+import User from '../models/User.js';
+import {issueDeviceSecret} from '../services/deviceSecretService.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function run() {
+  const [deviceId, username] = process.argv.slice(2);
+  if (!deviceId || !username) {
+    console.error('Usage: npm run devices:assign -- <deviceId> <username>');
+    process.exit(1);
+  }
+
+  await connectDB(MONGO_URI);
+
+  const user = await User.findOne({username}).select('_id username email').lean();
+  if (!user) {
+    console.error(`❌ No user named "${username}"`);
+    process.exitCode = 1;
+  } else if (await Device.exists({deviceId})) {
+    console.error(`❌ Device ${deviceId} is already owned by an account`);
+    process.exitCode = 1;
+  } else {
+    const latest = await Location.findOne({deviceId})
+      .sort({recordedAt: -1})
+      .select('receivedAt')
+      .lean();
+
+    await Device.create({
+      deviceId,
+      owner: user._id,
+      name: 'Device',
+      platform: 'other',
+      lastSeenAt: latest?.receivedAt || null,
+    });
+    await issueDeviceSecret(deviceId);
+    console.log(`✅ Device ${deviceId} assigned to ${user.username} (${user.email})`);
+    console.log('   Sign in on the device in the app to link it; its unsigned uploads are now rejected.');
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Assigning device failed:', err);
+  process.exit(1);
+});
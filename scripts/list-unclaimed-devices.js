@@ -0,0 +1,62 @@
+// List devices with stored locations that no account owns yet
+// Usage: npm run devices:unclaimed
+//
+// Location reads now require the owner's token. Devices that reported before
+// accounts existed stay readable only while ALLOW_UNCLAIMED_DEVICE_READS=true;
+// use this list to follow up until every active device has been assigned to
+// its owner's account (npm run devices:assign). The app cannot claim devices
+// that already have history.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import Location from '../models/Location.js';
+import Device from '../models/Device.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function run() {
+  await connectDB(MONGO_URI);
+
+  const devices = await Location.aggregate([
+    {
+      $group: {
+        _id: '$deviceId',
+        points: {$sum: 1},
+        lastRecordedAt: {$max: '$recordedAt'},
+      },
+    },
+    {
+      $lookup: {
+        from: Device.collection.name,
+        localField: '_id',
+        foreignField: 'deviceId',
+        as: 'owners',
+      },
+    },
+    {$match: {owners: {$size: 0}}},
+    {$sort: {lastRecordedAt: -1}},
+  ]);
+
+  if (devices.length === 0) {
+    console.log('✅ Every device with location data is owned by an account');
+  } else {
+    console.log(`⚠️ ${devices.length} unclaimed device(s):`);
+    for (const device of devices) {
+      console.log(
+        `  ${device._id}  points=${device.points}  last=${device.lastRecordedAt?.toISOString()}`,
+      );
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Listing unclaimed devices failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// One-off migration: add the GeoJSON `location` point to existing Location docs
+// Usage: npm run migrate:location-geojson
+//
+// New points get `location` from a model hook; this backfills points stored
+// before the 2dsphere index existed and then builds the index.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import Location from '../models/Location.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function migrate() {
+  await connectDB(MONGO_URI);
+
+  const result = await Location.collection.updateMany(
+    {
+      location: {$exists: false},
+      latitude: {$type: 'number', $gte: -90, $lte: 90},
+      longitude: {$type: 'number', $gte: -180, $lte: 180},
+    },
+    [
+      {
+        $set: {
+          location: {type: 'Point', coordinates: ['$longitude', '$latitude']},
+        },
+      },
+    ],
+  );
+  console.log(`✅ Migrated ${result.modifiedCount} location documents`);
+
+  // Points with out-of-range coordinates can't be indexed; report them
+  const skipped = await Location.collection.countDocuments({
+    location: {$exists: false},
+  });
+  if (skipped > 0) {
+    console.warn(`⚠️ ${skipped} documents have invalid coordinates and were skipped`);
+  }
+
+  await Location.syncIndexes();
+  console.log('✅ Location indexes synced');
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+// One-off migration: split Location.createdAt into recordedAt/receivedAt
+// Usage: npm run migrate:location-timestamps
+//
+// Points stored before recordedAt existed only have the server's createdAt,
+// so both the recorded and received times are set from it. createdAt itself
+// is left in place (the API still returns it as a deprecated alias).
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import Location from '../models/Location.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function migrate() {
+  await connectDB(MONGO_URI);
+
+  const result = await Location.collection.updateMany(
+    {recordedAt: {$exists: false}, createdAt: {$exists: true}},
+    [{$set: {recordedAt: '$createdAt', receivedAt: '$createdAt'}}],
+  );
+  console.log(`✅ Migrated ${result.modifiedCount} location documents`);
+
+  await Location.syncIndexes();
+  console.log('✅ Location indexes synced');
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// One-off migration: move User.deviceId onto the Device model
+// Usage: npm run migrate:user-devices
+//
+// Accounts used to own exactly one device through a unique User.deviceId.
+// Each one becomes a Device owned by that user, then the field and its unique
+// index are dropped from users (run this before deploying: new accounts no
+// longer have a deviceId and would collide on that index).
+//
+// Devices without a signing secret get one, so they are held to signed ingest
+// even while ALLOW_UNSIGNED_INGEST is on. The secret is not printed: owners
+// sign in on the device in the app, which links it again and stores a new one.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import Device from '../models/Device.js';
+import DeviceCredential from '../models/DeviceCredential.js';
+import Location from '../models/Location.js';
+import User from '../models/User.js';
+import {issueDeviceSecret} from '../services/deviceSecretService.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function migrate() {
+  await connectDB(MONGO_URI);
+  await Device.syncIndexes();
+
+  const users = User.collection.find(
+    {deviceId: {$exists: true, $ne: null}},
+    {projection: {deviceId: 1, createdAt: 1}},
+  );
+
+  let created = 0;
+  let secured = 0;
+  for await (const user of users) {
+    // Newest point by recordedAt (indexed) approximates the last upload
+    const latest = await Location.findOne({deviceId: user.deviceId})
+      .sort({recordedAt: -1})
+      .select('receivedAt')
+      .lean();
+
+    const result = await Device.updateOne(
+      {deviceId: user.deviceId},
+      {
+        $setOnInsert: {
+          owner: user._id,
+          name: 'Device',
+          platform: 'other',
+          registeredAt: user.createdAt || new Date(),
+          lastSeenAt: latest?.receivedAt || null,
+        },
+      },
+      {upsert: true},
+    );
+    created += result.upsertedCount;
+
+    if (result.upsertedCount > 0 && !(await DeviceCredential.exists({deviceId: user.deviceId}))) {
+      await issueDeviceSecret(user.deviceId);
+      secured += 1;
+    }
+  }
+  console.log(`✅ Created ${created} device documents`);
+  console.log(`✅ Issued signing secrets to ${secured} devices (owners link them by signing in on the device)`);
+
+  const unset = await User.collection.updateMany(
+    {deviceId: {$exists: true}},
+    {$unset: {deviceId: ''}},
+  );
+  console.log(`✅ Removed deviceId from ${unset.modifiedCount} users`);
+
+  await User.syncIndexes();
+  console.log('✅ User indexes synced');
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// Run one data retention pass (compaction + purge) outside the server
+// Usage: npm run retention:run
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import {RETENTION_CONFIG} from '../config/apiConfig.js';
+import {
+  runRetention,
+  validateRetentionConfig,
+} from '../services/retentionService.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+async function run() {
+  validateRetentionConfig();
+  await connectDB(MONGO_URI);
+
+  const stats = await runRetention();
+  if (!stats) {
+    console.log(
+      RETENTION_CONFIG.ENABLED
+        ? 'Retention is already running on another instance; try again later'
+        : 'Retention is disabled (RETENTION_ENABLED=false)',
+    );
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Retention run failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+// Grant or remove admin access (/api/admin)
+// Usage: npm run users:set-role -- <username> <admin|user>
+//
+// Roles are only changed here, so the first admin can be created without an
+// existing one and no API route can promote an account.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
+
+const ROLES = ['user', 'admin'];
+
+async function run() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    console.error('Usage: npm run users:set-role -- <username> <admin|user>');
+    process.exit(1);
+  }
+
+  await connectDB(MONGO_URI);
+
+  const user = await User.findOneAndUpdate({username}, {$set: {role}}, {new: true}).lean();
+  if (user) {
+    console.log(`✅ ${user.username} (${user.email}) now has role "${user.role}"`);
+  } else {
+    console.error(`❌ No user named "${username}"`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Setting user role failed:', err);
+  process.exit(1);
+});
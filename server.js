@@ -3,40 +3,89 @@ import express from 'express';
 import morgan from 'morgan';
 
 import connectDB from './config/db.js';
+import {loadSecurityConfig} from './config/security.js';
+import {cors, securityHeaders} from './middleware/security.js';
+import authRoutes from './routes/authRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import geofenceRoutes from './routes/geofenceRoutes.js';
+import alertRoutes from './routes/alertRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import locationRoutes from './routes/locationRoutes.js';
+import geoRoutes from './routes/geoRoutes.js';
+import shareRoutes from './routes/shareRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import {startRetentionJob} from './services/retentionService.js';
+import {startPresenceJob} from './services/presenceService.js';
+import {startWebhookWorker} from './services/webhookService.js';
+import {createStoreFromConfig, setRateLimitStore} from './services/rateLimitStore.js';
+import {createTransportFromConfig, setMailTransport} from './services/mailer.js';
 
 dotenv.config();
 
+// Refuse to start with a broken CORS / security header configuration
+let securityConfig;
+try {
+  securityConfig = loadSecurityConfig(process.env);
+} catch (err) {
+  console.error(`❌ Invalid security configuration: ${err.message}`);
+  process.exit(1);
+}
+
 const app = express();
+app.disable('x-powered-by');
 const PORT = process.env.PORT || 4000;
 const MONGO_URI =
   process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/mee';
 
-// CORS middleware - allow web dashboard to access API
-app.use((req, res, next) => {
-  // Set CORS headers for all requests
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
-  
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({});
+// Behind a proxy/load balancer, TRUST_PROXY makes req.ip the client's address
+// (rate limits are per IP): a hop count ("1"), "true", or an address list
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', Number(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy);
   }
-  
-  next();
-});
+}
+
+app.use(securityHeaders(securityConfig));
+// CORS - lets the web dashboard (on the allowed origins) call the API
+app.use(cors(securityConfig.cors));
 
-app.use(express.json());
+// Keep the raw body: signed ingest verifies the HMAC over the exact bytes sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(morgan('dev'));
 
 app.get('/health', (req, res) => {
   res.json({status: 'ok'});
 });
 
-// Location routes (no authentication required)
+// Auth routes (register, login, current user)
+app.use('/api/auth', authRoutes);
+// Device management (owner's token required)
+app.use('/api/devices', deviceRoutes);
+// Geofences and their events (owner's token required)
+app.use('/api/devices', geofenceRoutes);
+// Detection alerts (owner's token required)
+app.use('/api/devices', alertRoutes);
+// Webhook subscriptions and deliveries (user's token required)
+app.use('/api/webhooks', webhookRoutes);
+// Read-only device views through share links (no credentials)
+app.use('/api/shared', shareRoutes);
+// Operator API (admin role required)
+app.use('/api/admin', adminRoutes);
+// Location routes (ingest is signed by the device; reads require the owner's token)
 app.use('/api', locationRoutes);
+// Geospatial queries over location history (device owner's token required)
+app.use('/api', geoRoutes);
 
 app.use((req, res) => {
   res.status(404).json({success: false, message: 'Route not found'});
@@ -48,7 +97,13 @@ app.use((err, req, res, next) => {
 });
 
 async function start() {
+  // Fails startup on an unknown RATE_LIMIT_STORE / MAIL_TRANSPORT
+  setRateLimitStore(createStoreFromConfig());
+  setMailTransport(createTransportFromConfig());
   await connectDB(MONGO_URI);
+  startRetentionJob();
+  startPresenceJob();
+  startWebhookWorker();
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on http://localhost:${PORT}`);
     // Get network IP dynamically (optional - can be configured via env)
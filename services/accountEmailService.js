@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import AccountToken from '../models/AccountToken.js';
+import User from '../models/User.js';
+import {ACCOUNT_EMAIL_CONFIG} from '../config/apiConfig.js';
+import {sendMail} from './mailer.js';
+import {revokeAllSessions} from './tokenService.js';
+import {clearLoginFailures} from './loginThrottle.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Pipeline stage value: keep an earlier verification time
+const verifiedAt = date => ({$ifNull: ['$emailVerifiedAt', date]});
+
+/**
+ * Dashboard URL that handles a token, if APP_BASE_URL is configured
+ * @param {string} param - Query parameter the dashboard reads
+ * @param {string} token
+ * @returns {string|null}
+ */
+function appUrl(param, token) {
+  if (!ACCOUNT_EMAIL_CONFIG.APP_BASE_URL) {
+    return null;
+  }
+  return `${ACCOUNT_EMAIL_CONFIG.APP_BASE_URL.replace(/\/+$/, '')}/?${param}=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a token, replacing any unused one for the same purpose
+ * @param {object} user - User document
+ * @param {'verify_email'|'reset_password'} purpose
+ * @param {number} ttlMs
+ * @returns {Promise<string>} The raw token (never stored)
+ */
+async function issueAccountToken(user, purpose, ttlMs) {
+  await AccountToken.deleteMany({userId: user._id, purpose, usedAt: null});
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+}
+
+/**
+ * Use up a token
+ * @param {string} token
+ * @param {'verify_email'|'reset_password'} purpose
+ * @returns {Promise<{record?: object, error?: 'INVALID'|'EXPIRED'|'USED'}>}
+ */
+async function consumeAccountToken(token, purpose) {
+  const tokenHash = hashToken(token);
+  // Claim the token atomically, so it works exactly once
+  const record = await AccountToken.findOneAndUpdate(
+    {tokenHash, purpose, usedAt: null, expiresAt: {$gt: new Date()}},
+    {$set: {usedAt: new Date()}},
+    {new: true},
+  ).lean();
+  if (record) {
+    return {record};
+  }
+
+  const stored = await AccountToken.findOne({tokenHash, purpose}).lean();
+  if (!stored) {
+    return {error: 'INVALID'};
+  }
+  return {error: stored.usedAt ? 'USED' : 'EXPIRED'};
+}
+
+/**
+ * Email the account owner a link that verifies their address
+ * @param {object} user - User document
+ */
+export async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(
+    user,
+    'verify_email',
+    ACCOUNT_EMAIL_CONFIG.VERIFY_EMAIL_TTL_HOURS * 60 * MINUTE_MS,
+  );
+  const url = appUrl('verifyEmail', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm this is your email address, so you can reset your password if you ever lose it:',
+      '',
+      url || `Verification code: ${token}`,
+      '',
+      `This link expires in ${ACCOUNT_EMAIL_CONFIG.VERIFY_EMAIL_TTL_HOURS} hours.`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * Email the account owner a link to choose a new password
+ * @param {object} user - User document
+ */
+export async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(
+    user,
+    'reset_password',
+    ACCOUNT_EMAIL_CONFIG.PASSWORD_RESET_TTL_MINUTES * MINUTE_MS,
+  );
+  const url = appUrl('resetPassword', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password of your account. To choose a new password:',
+      '',
+      url || `Reset code: ${token}`,
+      '',
+      `This link expires in ${ACCOUNT_EMAIL_CONFIG.PASSWORD_RESET_TTL_MINUTES} minutes and works once.`,
+      'If you did not ask for this, ignore this email; your password stays the same.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Verify an account's email address with a token from a verification email
+ * @param {string} token
+ * @returns {Promise<{user?: object, error?: 'INVALID'|'EXPIRED'|'USED'}>}
+ */
+export async function verifyEmail(token) {
+  const {record, error} = await consumeAccountToken(token, 'verify_email');
+  if (error) {
+    return {error};
+  }
+
+  // No match if the account's address changed since the email was sent
+  const user = await User.findOneAndUpdate(
+    {_id: record.userId, email: record.email},
+    [{$set: {emailVerifiedAt: verifiedAt(record.usedAt)}}],
+    {new: true, updatePipeline: true},
+  ).lean();
+  return user ? {user} : {error: 'INVALID'};
+}
+
+/**
+ * Set a new password with a token from a password reset email
+ * Every session is logged out, and the email address counts as verified
+ * (the token proves access to the mailbox).
+ * @param {string} token
+ * @param {string} password - New password (validated by the route)
+ * @returns {Promise<{user?: object, error?: 'INVALID'|'EXPIRED'|'USED'}>}
+ */
+export async function resetPassword(token, password) {
+  const {record, error} = await consumeAccountToken(token, 'reset_password');
+  if (error) {
+    return {error};
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  // $literal: bcrypt hashes start with "$", which a pipeline reads as a field path
+  const user = await User.findOneAndUpdate(
+    {_id: record.userId, email: record.email},
+    [{$set: {passwordHash: {$literal: passwordHash}, emailVerifiedAt: verifiedAt(record.usedAt)}}],
+    {new: true, updatePipeline: true},
+  ).lean();
+  if (!user) {
+    return {error: 'INVALID'};
+  }
+
+  await Promise.all([
+    revokeAllSessions(user._id),
+    clearLoginFailures(user.username),
+    AccountToken.deleteMany({userId: user._id, purpose: 'reset_password', usedAt: null}),
+  ]);
+  return {user};
+}
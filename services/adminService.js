@@ -0,0 +1,267 @@
+import User from '../models/User.js';
+import Device from '../models/Device.js';
+import DeviceCredential from '../models/DeviceCredential.js';
+import Location from '../models/Location.js';
+import LocationSummary from '../models/LocationSummary.js';
+import RefreshToken from '../models/RefreshToken.js';
+import {listDevices, toDeviceResponse} from './deviceService.js';
+import {revokeOwnerShareLinks} from './shareService.js';
+import {revokeAllSessions} from './tokenService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive "contains" filter over several fields
+ * @param {string|undefined} search
+ * @param {string[]} fields
+ */
+function searchFilter(search, fields) {
+  const text = search?.trim();
+  if (!text) {
+    return {};
+  }
+  const pattern = new RegExp(escapeRegExp(text), 'i');
+  return {$or: fields.map(field => ({[field]: pattern}))};
+}
+
+/**
+ * User fields returned by the admin routes
+ * @param {object} user - User document
+ */
+export function toAdminUserResponse(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    username: user.username,
+    role: user.role || 'user',
+    emailVerified: Boolean(user.emailVerifiedAt),
+    disabledAt: user.disabledAt || null,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * One page of users, newest first, with device count and last upload time
+ * @param {{search?: string, role?: 'user'|'admin', status?: 'active'|'disabled', skip: number, limit: number}} query
+ * @returns {Promise<{total: number, users: object[]}>}
+ */
+export async function listUsers({search, role, status, skip, limit}) {
+  const filter = searchFilter(search, ['username', 'email']);
+  if (role) {
+    // Accounts created before roles existed have no role field
+    filter.role = role === 'admin' ? 'admin' : {$ne: 'admin'};
+  }
+  if (status) {
+    filter.disabledAt = status === 'disabled' ? {$ne: null} : null;
+  }
+
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.aggregate([
+      {$match: filter},
+      {$sort: {createdAt: -1, _id: -1}},
+      {$skip: skip},
+      {$limit: limit},
+      {
+        $lookup: {
+          from: Device.collection.name,
+          localField: '_id',
+          foreignField: 'owner',
+          as: 'devices',
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    total,
+    users: users.map(user => ({
+      ...toAdminUserResponse(user),
+      deviceCount: user.devices.length,
+      lastSeenAt: user.devices.reduce(
+        (latest, device) => (device.lastSeenAt > latest ? device.lastSeenAt : latest),
+        null,
+      ),
+    })),
+  };
+}
+
+/**
+ * A user with their devices and number of live sessions
+ * @param {string} userId
+ * @returns {Promise<object|null>} null if the user doesn't exist
+ */
+export async function getUserDetails(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    return null;
+  }
+
+  const [devices, sessions] = await Promise.all([
+    listDevices(user._id),
+    RefreshToken.distinct('family', {userId: user._id, revokedAt: null, expiresAt: {$gt: new Date()}}),
+  ]);
+  return {
+    ...toAdminUserResponse(user),
+    devices: devices.map(toDeviceResponse),
+    activeSessions: sessions.length,
+  };
+}
+
+/**
+ * Disable an account, end all of its sessions and revoke its share links
+ * Links stay revoked if the account is enabled again.
+ * @param {string} userId
+ * @returns {Promise<object|null>} Updated lean User, or null if unknown
+ */
+export async function disableUser(userId) {
+  // Keep the original time when the account is already disabled
+  const user = await User.findByIdAndUpdate(
+    userId,
+    [{$set: {disabledAt: {$ifNull: ['$disabledAt', new Date()]}}}],
+    {new: true, updatePipeline: true},
+  ).lean();
+  if (user) {
+    await Promise.all([revokeAllSessions(user._id), revokeOwnerShareLinks(user._id)]);
+  }
+  return user;
+}
+
+/**
+ * Re-enable a disabled account
+ * @param {string} userId
+ * @returns {Promise<object|null>} Updated lean User, or null if unknown
+ */
+export function enableUser(userId) {
+  return User.findByIdAndUpdate(userId, {$set: {disabledAt: null}}, {new: true}).lean();
+}
+
+/**
+ * One page of devices, most recently seen first, with their owners
+ * @param {{search?: string, skip: number, limit: number}} query
+ * @returns {Promise<{total: number, devices: object[]}>}
+ */
+export async function listAllDevices({search, skip, limit}) {
+  const filter = searchFilter(search, ['deviceId', 'name']);
+
+  const [total, devices] = await Promise.all([
+    Device.countDocuments(filter),
+    Device.aggregate([
+      {$match: filter},
+      // Never-seen devices sort last
+      {$sort: {lastSeenAt: -1, registeredAt: -1}},
+      {$skip: skip},
+      {$limit: limit},
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'owner',
+          foreignField: '_id',
+          as: 'owners',
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    total,
+    devices: devices.map(device => {
+      const [owner] = device.owners;
+      return {
+        ...toDeviceResponse(device),
+        owner: owner ? {id: owner._id, username: owner.username, email: owner.email} : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Ingest statistics of one device
+ * Stored totals cover both history tiers; the daily breakdown counts raw
+ * points by the day the server received them, with the delivery delay
+ * (receivedAt - recordedAt) showing how long points sat in offline queues.
+ * @param {string} deviceId
+ * @param {number} days - Days of daily breakdown
+ * @returns {Promise<object|null>} null if the device is unknown and has no data
+ */
+export async function getDeviceIngestStats(deviceId, days) {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [device, credential, [raw], [compacted], daily] = await Promise.all([
+    Device.findOne({deviceId}).populate('owner', 'username email').lean(),
+    DeviceCredential.findOne({deviceId}).lean(),
+    Location.aggregate([
+      {$match: {deviceId}},
+      {
+        $group: {
+          _id: null,
+          points: {$sum: 1},
+          firstRecordedAt: {$min: '$recordedAt'},
+          lastRecordedAt: {$max: '$recordedAt'},
+          lastReceivedAt: {$max: '$receivedAt'},
+        },
+      },
+    ]),
+    LocationSummary.aggregate([
+      {$match: {deviceId}},
+      {
+        $group: {
+          _id: null,
+          summaries: {$sum: 1},
+          points: {$sum: '$pointCount'},
+          firstRecordedAt: {$min: '$firstRecordedAt'},
+        },
+      },
+    ]),
+    Location.aggregate([
+      {$match: {deviceId, receivedAt: {$gte: since}}},
+      {
+        $group: {
+          _id: {$dateTrunc: {date: '$receivedAt', unit: 'day'}},
+          points: {$sum: 1},
+          avgDelayMs: {$avg: {$subtract: ['$receivedAt', '$recordedAt']}},
+          maxDelayMs: {$max: {$subtract: ['$receivedAt', '$recordedAt']}},
+        },
+      },
+      {$sort: {_id: 1}},
+    ]),
+  ]);
+
+  if (!device && !raw && !compacted) {
+    return null;
+  }
+
+  return {
+    deviceId,
+    device: device ? toDeviceResponse(device) : null,
+    owner: device?.owner
+      ? {id: device.owner._id, username: device.owner.username, email: device.owner.email}
+      : null,
+    signing: {
+      hasSecret: Boolean(credential && !credential.revokedAt),
+      rotatedAt: credential?.rotatedAt || null,
+    },
+    stored: {
+      rawPoints: raw?.points || 0,
+      compactedSummaries: compacted?.summaries || 0,
+      compactedPoints: compacted?.points || 0,
+      // Older points only survive as summaries
+      firstRecordedAt: compacted?.firstRecordedAt || raw?.firstRecordedAt || null,
+      lastRecordedAt: raw?.lastRecordedAt || null,
+      lastReceivedAt: raw?.lastReceivedAt || null,
+    },
+    ingest: {
+      days,
+      since,
+      points: daily.reduce((sum, day) => sum + day.points, 0),
+      daily: daily.map(day => ({
+        date: day._id,
+        points: day.points,
+        avgDelayMs: Math.round(day.avgDelayMs),
+        maxDelayMs: day.maxDelayMs,
+      })),
+    },
+  };
+}
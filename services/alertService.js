@@ -0,0 +1,222 @@
+import Alert from '../models/Alert.js';
+import {DETECTION_CONFIG} from '../config/apiConfig.js';
+import {publishEvent} from './webhookService.js';
+
+// Attempts to record one trigger when detection runs concurrently for a device
+const MAX_RECORD_ATTEMPTS = 3;
+
+const severityRank = severity => DETECTION_CONFIG.SEVERITIES.indexOf(severity);
+
+/**
+ * Alert fields returned by the API
+ * @param {object} alert - Alert document
+ */
+export function toAlertResponse(alert) {
+  return {
+    id: alert._id,
+    deviceId: alert.deviceId,
+    ruleId: alert.ruleId,
+    severity: alert.severity,
+    message: alert.message,
+    evidence: alert.evidence,
+    status: alert.status,
+    firstTriggeredAt: alert.firstTriggeredAt,
+    lastTriggeredAt: alert.lastTriggeredAt,
+    triggerCount: alert.triggerCount,
+    acknowledgedAt: alert.acknowledgedAt || null,
+    acknowledgedBy: alert.acknowledgedBy || null,
+    resolvedAt: alert.resolvedAt || null,
+    resolvedBy: alert.resolvedBy || null,
+    resolutionNote: alert.resolutionNote || null,
+  };
+}
+
+/**
+ * Newest recordedAt among a triggered rule's evidence points
+ * @param {object} rule - Triggered rule from the detection engine
+ * @param {Date} now - Used when the rule gave no evidence
+ */
+function evidenceTime(rule, now) {
+  const times = rule.evidence.map(point => new Date(point.recordedAt).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : now;
+}
+
+/**
+ * Record one triggered rule
+ * @returns {Promise<{alert: object|null, change: 'opened'|'retriggered'|null}>}
+ */
+async function recordTrigger(deviceId, rule, now) {
+  const evidenceAt = evidenceTime(rule, now);
+
+  for (let attempt = 0; attempt < MAX_RECORD_ATTEMPTS; attempt++) {
+    const latest = await Alert.findOne({deviceId, ruleId: rule.id}).sort({lastEvidenceAt: -1}).lean();
+
+    // Same points as before (e.g. the status was polled again): nothing new,
+    // even if the owner already resolved that alert
+    if (latest && evidenceAt <= latest.lastEvidenceAt) {
+      return {alert: latest, change: null};
+    }
+
+    if (latest && latest.status !== 'resolved') {
+      const severity = severityRank(rule.severity) > severityRank(latest.severity) ? rule.severity : latest.severity;
+      const alert = await Alert.findOneAndUpdate(
+        {_id: latest._id, status: {$ne: 'resolved'}, lastEvidenceAt: latest.lastEvidenceAt},
+        {
+          $set: {severity, message: rule.message, evidence: rule.evidence, lastTriggeredAt: now, lastEvidenceAt: evidenceAt},
+          $inc: {triggerCount: 1},
+        },
+        {new: true},
+      ).lean();
+      if (alert) {
+        return {alert, change: 'retriggered'};
+      }
+      continue;
+    }
+
+    try {
+      const alert = await Alert.create({
+        deviceId,
+        ruleId: rule.id,
+        severity: rule.severity,
+        message: rule.message,
+        evidence: rule.evidence,
+        firstTriggeredAt: now,
+        lastTriggeredAt: now,
+        lastEvidenceAt: evidenceAt,
+      });
+      console.log(`🚨 Alert opened for deviceId ${deviceId}: ${rule.id} (${rule.severity})`);
+      return {alert: alert.toObject(), change: 'opened'};
+    } catch (createError) {
+      // Another check opened the same alert first
+      if (createError.code !== 11000) {
+        throw createError;
+      }
+    }
+  }
+
+  return {alert: null, change: null};
+}
+
+/**
+ * Record the rules detection flagged for a device
+ * Opens an alert per rule, or updates the rule's unresolved alert when the
+ * trigger has newer evidence; either publishes alert.opened/alert.retriggered.
+ * @param {string} deviceId
+ * @param {object[]} rules - Triggered rules from the detection engine
+ * @param {Date} [now]
+ * @returns {Promise<Array<{alert: object|null, change: 'opened'|'retriggered'|null}>>} One entry per rule
+ */
+export async function recordDetectionAlerts(deviceId, rules, now = new Date()) {
+  const results = await Promise.all(rules.map(rule => recordTrigger(deviceId, rule, now)));
+  await Promise.all(
+    results
+      .filter(({change}) => change)
+      .map(({alert, change}) => publishEvent(`alert.${change}`, deviceId, {alert: toAlertResponse(alert)})),
+  );
+  return results;
+}
+
+/**
+ * One alert of a device
+ * @param {string} deviceId
+ * @param {string} alertId
+ * @returns {Promise<object|null>}
+ */
+export function getAlert(deviceId, alertId) {
+  return Alert.findOne({_id: alertId, deviceId}).lean();
+}
+
+/**
+ * One page of a device's alerts, most recently started first
+ * @param {string} deviceId
+ * @param {{status?: string, severity?: string, ruleId?: string, from?: Date, to?: Date, skip: number, limit: number}} query
+ * @returns {Promise<{total: number, alerts: object[]}>}
+ */
+export async function listAlerts(deviceId, {status, severity, ruleId, from, to, skip, limit}) {
+  const filter = {deviceId};
+  if (status) {
+    filter.status = status;
+  }
+  if (severity) {
+    filter.severity = severity;
+  }
+  if (ruleId) {
+    filter.ruleId = ruleId;
+  }
+  if (from || to) {
+    filter.firstTriggeredAt = {...(from && {$gte: from}), ...(to && {$lte: to})};
+  }
+
+  const [total, alerts] = await Promise.all([
+    Alert.countDocuments(filter),
+    Alert.find(filter).sort({firstTriggeredAt: -1, _id: -1}).skip(skip).limit(limit).lean(),
+  ]);
+  return {total, alerts};
+}
+
+/**
+ * Move an alert to a new status if it is in one of the allowed ones
+ * @returns {Promise<{alert?: object, error?: 'NOT_FOUND'|'RESOLVED'}>}
+ */
+async function transition(deviceId, alertId, from, update) {
+  const alert = await Alert.findOneAndUpdate(
+    {_id: alertId, deviceId, status: {$in: from}},
+    {$set: update},
+    {new: true},
+  ).lean();
+  if (alert) {
+    await publishEvent(`alert.${update.status}`, deviceId, {alert: toAlertResponse(alert)});
+    return {alert};
+  }
+
+  const current = await getAlert(deviceId, alertId);
+  if (!current) {
+    return {error: 'NOT_FOUND'};
+  }
+  // Acknowledging twice is harmless; anything else only fails on resolved alerts
+  if (current.status === 'acknowledged' && update.status === 'acknowledged') {
+    return {alert: current};
+  }
+  return {error: 'RESOLVED'};
+}
+
+/**
+ * Mark an open alert as seen by the owner
+ * @param {string} deviceId
+ * @param {string} alertId
+ * @param {object} userId - Acting user's _id
+ * @returns {Promise<{alert?: object, error?: 'NOT_FOUND'|'RESOLVED'}>}
+ */
+export function acknowledgeAlert(deviceId, alertId, userId) {
+  return transition(deviceId, alertId, ['open'], {
+    status: 'acknowledged',
+    acknowledgedAt: new Date(),
+    acknowledgedBy: userId,
+  });
+}
+
+/**
+ * Close an open or acknowledged alert
+ * The rule opens a new alert the next time it fires with new evidence.
+ * @param {string} deviceId
+ * @param {string} alertId
+ * @param {object} userId - Acting user's _id
+ * @param {string} [note] - What it turned out to be
+ * @returns {Promise<{alert?: object, error?: 'NOT_FOUND'|'RESOLVED'}>}
+ */
+export function resolveAlert(deviceId, alertId, userId, note) {
+  return transition(deviceId, alertId, ['open', 'acknowledged'], {
+    status: 'resolved',
+    resolvedAt: new Date(),
+    resolvedBy: userId,
+    ...(note && {resolutionNote: note}),
+  });
+}
+
+/**
+ * Delete a device's alerts (device removed from its account)
+ * @param {string} deviceId
+ */
+export async function deleteDeviceAlerts(deviceId) {
+  await Alert.deleteMany({deviceId});
+}
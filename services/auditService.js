@@ -0,0 +1,92 @@
+import AccessEvent from '../models/AccessEvent.js';
+
+/**
+ * Who made a request: the share link it came through, the signed-in user,
+ * or nobody (unclaimed device reads)
+ * @param {object} req - Express request (after requireDeviceOwner / requireShareLink)
+ */
+function requestActor(req) {
+  if (req.share) {
+    return {type: 'share_link', shareLinkId: req.share._id, shareLabel: req.share.label};
+  }
+  if (req.user) {
+    return {type: 'user', userId: req.user._id, username: req.user.username};
+  }
+  return {type: 'anonymous'};
+}
+
+/**
+ * Record a location read
+ * @param {object} req - Express request
+ * @param {string} deviceId
+ * @param {string} action - One of AUDIT_CONFIG.ACTIONS
+ * @param {{from?: Date, to?: Date, format?: string}} scope
+ */
+export async function recordAccess(req, deviceId, action, scope = {}) {
+  await AccessEvent.create({
+    deviceId,
+    action,
+    actor: requestActor(req),
+    ip: req.ip,
+    userAgent: req.get('user-agent')?.slice(0, 256),
+    scope,
+  });
+}
+
+/**
+ * Access event fields returned to the owner
+ * @param {object} event - AccessEvent document
+ */
+export function toAccessEventResponse(event) {
+  const {actor} = event;
+  return {
+    id: event._id,
+    at: event.at,
+    action: event.action,
+    actor: {
+      type: actor.type,
+      ...(actor.type === 'user' && {userId: actor.userId, username: actor.username}),
+      ...(actor.type === 'share_link' && {shareLinkId: actor.shareLinkId, label: actor.shareLabel || null}),
+    },
+    ip: event.ip || null,
+    userAgent: event.userAgent || null,
+    scope: {
+      from: event.scope?.from || null,
+      to: event.scope?.to || null,
+      ...(event.scope?.format && {format: event.scope.format}),
+    },
+  };
+}
+
+/**
+ * One page of a device's access events, newest first
+ * @param {string} deviceId
+ * @param {{from?: Date, to?: Date, actor?: string, action?: string, skip: number, limit: number}} query
+ * @returns {Promise<{total: number, events: object[]}>}
+ */
+export async function listAccessEvents(deviceId, {from, to, actor, action, skip, limit}) {
+  const filter = {deviceId};
+  if (from || to) {
+    filter.at = {...(from && {$gte: from}), ...(to && {$lte: to})};
+  }
+  if (actor) {
+    filter['actor.type'] = actor;
+  }
+  if (action) {
+    filter.action = action;
+  }
+
+  const [total, events] = await Promise.all([
+    AccessEvent.countDocuments(filter),
+    AccessEvent.find(filter).sort({at: -1, _id: -1}).skip(skip).limit(limit).lean(),
+  ]);
+  return {total, events};
+}
+
+/**
+ * Delete a device's access log (device removed from its account)
+ * @param {string} deviceId
+ */
+export async function deleteAccessEvents(deviceId) {
+  await AccessEvent.deleteMany({deviceId});
+}
@@ -0,0 +1,134 @@
+import {DETECTION_CONFIG} from '../../config/apiConfig.js';
+
+/**
+ * Anti-theft rule engine
+ *
+ * A rule is a plain object:
+ *
+ *   {
+ *     id: 'offline_jump',              // snake_case, unique
+ *     description: 'Human readable',
+ *     severity: 'high',                // default severity of its findings
+ *     enabledByDefault: true,          // devices can override it
+ *     evaluate(context) {...},
+ *   }
+ *
+ * evaluate() is synchronous and pure: it gets the context built by the caller
+ * ({points, suspectPoints, now, lastMovement, timezone}, points oldest first;
+ * suspectPoints are recent points that failed the plausibility checks, which
+ * points leaves out by default) and returns
+ * null when it sees nothing, or a finding
+ * {verdict: 'SUSPICIOUS', severity?, message, evidence: points[]}.
+ */
+
+export const VERDICTS = ['OK', 'SUSPICIOUS'];
+
+const severityRank = severity => DETECTION_CONFIG.SEVERITIES.indexOf(severity);
+
+/**
+ * Location fields included as evidence
+ */
+const toEvidencePoint = point => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  accuracy: point.accuracy ?? null,
+  recordedAt: point.recordedAt,
+});
+
+/**
+ * Whether a rule runs for a device
+ * @param {object} rule
+ * @param {Map|object|undefined} overrides - Rule id to on/off, from the device's settings
+ */
+export function isRuleEnabled(rule, overrides) {
+  const override = overrides instanceof Map ? overrides.get(rule.id) : overrides?.[rule.id];
+  return typeof override === 'boolean' ? override : rule.enabledByDefault;
+}
+
+/**
+ * Create an empty rule engine
+ * The server uses one shared engine (services/detectionService.js); tests
+ * can create their own with just the rules they exercise.
+ */
+export function createRuleEngine() {
+  const rules = new Map();
+
+  /**
+   * Add a rule
+   * @throws {Error} If the rule is malformed or its id is taken
+   */
+  function register(rule) {
+    if (!/^[a-z][a-z0-9_]*$/.test(rule?.id || '')) {
+      throw new Error(`Detection rule id must be snake_case (got "${rule?.id}")`);
+    }
+    if (rules.has(rule.id)) {
+      throw new Error(`Detection rule "${rule.id}" is already registered`);
+    }
+    if (typeof rule.evaluate !== 'function') {
+      throw new Error(`Detection rule "${rule.id}" needs an evaluate(context) function`);
+    }
+    if (severityRank(rule.severity) < 0) {
+      throw new Error(`Detection rule "${rule.id}" has an unknown severity "${rule.severity}"`);
+    }
+    rules.set(rule.id, {enabledByDefault: true, ...rule});
+  }
+
+  /**
+   * Registered rules, in registration order
+   */
+  function list() {
+    return [...rules.values()];
+  }
+
+  /**
+   * Run every enabled rule against a context
+   * A rule that throws is logged and skipped, so one broken rule can't take
+   * down the status endpoint.
+   * @param {object} context - {points, suspectPoints, now, lastMovement, timezone}
+   * @param {Map|object} [overrides] - Rule id to on/off for this device
+   * @returns {{status: 'OK'|'SUSPICIOUS', severity: string|null, checkedRules: string[], rules: object[]}}
+   *   rules holds the triggered rules, most severe first
+   */
+  function evaluate(context, overrides) {
+    const checkedRules = [];
+    const triggered = [];
+
+    for (const rule of rules.values()) {
+      if (!isRuleEnabled(rule, overrides)) {
+        continue;
+      }
+      checkedRules.push(rule.id);
+
+      let finding;
+      try {
+        finding = rule.evaluate(context);
+      } catch (err) {
+        console.error(`❌ Detection rule ${rule.id} failed`, err);
+        continue;
+      }
+      if (!finding || finding.verdict === 'OK') {
+        continue;
+      }
+
+      triggered.push({
+        id: rule.id,
+        verdict: VERDICTS.includes(finding.verdict) ? finding.verdict : 'SUSPICIOUS',
+        severity: severityRank(finding.severity) < 0 ? rule.severity : finding.severity,
+        message: finding.message,
+        evidence: (finding.evidence || []).map(toEvidencePoint),
+      });
+    }
+
+    // Stable sort keeps registration order within a severity
+    triggered.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+
+    return {
+      status: triggered.length > 0 ? 'SUSPICIOUS' : 'OK',
+      severity: triggered[0]?.severity || null,
+      checkedRules,
+      rules: triggered,
+    };
+  }
+
+  return {register, list, evaluate};
+}
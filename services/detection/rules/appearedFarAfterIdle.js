@@ -0,0 +1,36 @@
+import {DETECTION_CONFIG} from '../../../config/apiConfig.js';
+import {distanceBetween} from './util.js';
+
+/**
+ * No movement for a while, yet the device is far from where the sample
+ * started (it may have been carried off while offline)
+ */
+export default {
+  id: 'appeared_far_after_idle',
+  description: 'The device has not moved for a while but is far from its earlier position',
+  severity: 'medium',
+  enabledByDefault: true,
+
+  evaluate({points, now, lastMovement}) {
+    if (points.length < 2) {
+      return null;
+    }
+    const idleFor = now.getTime() - lastMovement.getTime();
+    if (idleFor < DETECTION_CONFIG.IDLE_TIME_MS) {
+      return null;
+    }
+
+    const first = points[0];
+    const latest = points[points.length - 1];
+    const distance = distanceBetween(first, latest);
+    if (distance < DETECTION_CONFIG.MOVE_DISTANCE_M) {
+      return null;
+    }
+
+    return {
+      verdict: 'SUSPICIOUS',
+      message: `Device was idle for ${Math.round(idleFor / 60000)} minutes, then appeared ${distance.toFixed(1)} meters away`,
+      evidence: [first, latest],
+    };
+  },
+};
@@ -0,0 +1,32 @@
+import {DETECTION_CONFIG} from '../../../config/apiConfig.js';
+import {distanceBetween, timeBetween} from './util.js';
+
+/**
+ * The latest upload moved the device after a long quiet gap
+ */
+export default {
+  id: 'idle_then_moved',
+  description: 'The device moved after reporting nothing for a while',
+  severity: 'medium',
+  enabledByDefault: true,
+
+  evaluate({points}) {
+    if (points.length < 2) {
+      return null;
+    }
+    const previous = points[points.length - 2];
+    const recent = points[points.length - 1];
+
+    const distance = distanceBetween(previous, recent);
+    const gap = timeBetween(previous, recent);
+    if (distance < DETECTION_CONFIG.MOVE_DISTANCE_M || gap < DETECTION_CONFIG.IDLE_TIME_MS) {
+      return null;
+    }
+
+    return {
+      verdict: 'SUSPICIOUS',
+      message: `Device was idle for ${Math.round(gap / 60000)} minutes, then moved ${distance.toFixed(1)} meters`,
+      evidence: [previous, recent],
+    };
+  },
+};
@@ -0,0 +1,43 @@
+import {DETECTION_CONFIG} from '../../../config/apiConfig.js';
+import {distanceBetween, formatDistance, formatDuration, steps, timeBetween} from './util.js';
+
+/**
+ * Two consecutive points further apart than anything but a plane could
+ * travel in the time between them (a spoofed or swapped position)
+ * The reported accuracies are subtracted first, so poor fixes don't count.
+ */
+export default {
+  id: 'impossible_speed',
+  description: 'The device moved faster than a car or train could',
+  severity: 'high',
+  enabledByDefault: true,
+
+  evaluate({points}) {
+    let fastest = null;
+
+    for (const [from, to] of steps(points)) {
+      const distance = distanceBetween(from, to);
+      const uncertainty = (from.accuracy || 0) + (to.accuracy || 0);
+      const travelled = distance - uncertainty;
+      if (travelled < DETECTION_CONFIG.MIN_SPEED_CHECK_DISTANCE_M) {
+        continue;
+      }
+
+      // Same timestamp at two places: treat as one second apart
+      const elapsed = Math.max(timeBetween(from, to), 1000);
+      const speedKmh = (travelled / 1000) / (elapsed / 3600000);
+      if (speedKmh > DETECTION_CONFIG.MAX_PLAUSIBLE_SPEED_KMH && speedKmh > (fastest?.speedKmh || 0)) {
+        fastest = {from, to, distance, elapsed, speedKmh};
+      }
+    }
+
+    if (!fastest) {
+      return null;
+    }
+    return {
+      verdict: 'SUSPICIOUS',
+      message: `Device moved ${formatDistance(fastest.distance)} in ${formatDuration(fastest.elapsed)} (about ${Math.round(fastest.speedKmh)} km/h)`,
+      evidence: [fastest.from, fastest.to],
+    };
+  },
+};
@@ -0,0 +1,61 @@
+import {DETECTION_CONFIG} from '../../../config/apiConfig.js';
+import {distanceBetween, formatDistance, steps} from './util.js';
+
+/**
+ * Hour of day (0-23) of a date in an IANA time zone
+ */
+function localHour(date, timezone) {
+  const hour = new Intl.DateTimeFormat('en-US', {hour: 'numeric', hourCycle: 'h23', timeZone: timezone})
+    .format(new Date(date));
+  return Number(hour);
+}
+
+/**
+ * "01:12" in an IANA time zone
+ */
+function localTime(date, timezone) {
+  return new Intl.DateTimeFormat('en-GB', {hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timezone})
+    .format(new Date(date));
+}
+
+/**
+ * Whether an hour falls in the night window (which may wrap past midnight)
+ */
+function isNightHour(hour) {
+  const {NIGHT_START_HOUR: start, NIGHT_END_HOUR: end} = DETECTION_CONFIG;
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * The device moved during the night, in the device's own time zone
+ * Off by default: it only makes sense once the owner has set a time zone
+ * and doesn't normally travel at night.
+ */
+export default {
+  id: 'night_movement',
+  description: 'The device moved during the night (device time zone)',
+  severity: 'low',
+  enabledByDefault: false,
+
+  evaluate({points, timezone}) {
+    const nightSteps = steps(points).filter(
+      ([from, to]) =>
+        isNightHour(localHour(to.recordedAt, timezone)) &&
+        distanceBetween(from, to) >= DETECTION_CONFIG.MOVE_DISTANCE_M,
+    );
+    if (nightSteps.length === 0) {
+      return null;
+    }
+
+    const distance = nightSteps.reduce((sum, [from, to]) => sum + distanceBetween(from, to), 0);
+    const start = nightSteps[0][0];
+    const end = nightSteps[nightSteps.length - 1][1];
+    const evidence = [...new Set(nightSteps.flat())];
+
+    return {
+      verdict: 'SUSPICIOUS',
+      message: `Device moved ${formatDistance(distance)} at night (${localTime(start.recordedAt, timezone)}–${localTime(end.recordedAt, timezone)} ${timezone})`,
+      evidence,
+    };
+  },
+};
@@ -0,0 +1,37 @@
+import {DETECTION_CONFIG} from '../../../config/apiConfig.js';
+import {distanceBetween, formatDistance, formatDuration, steps, timeBetween} from './util.js';
+
+/**
+ * The device stopped reporting for a long time and came back far away
+ * (switched off, carried away, switched on again)
+ */
+export default {
+  id: 'offline_jump',
+  description: 'The device was offline for a long time and came back far away',
+  severity: 'high',
+  enabledByDefault: true,
+
+  evaluate({points}) {
+    let largest = null;
+
+    for (const [from, to] of steps(points)) {
+      const gap = timeBetween(from, to);
+      if (gap < DETECTION_CONFIG.OFFLINE_GAP_MS) {
+        continue;
+      }
+      const distance = distanceBetween(from, to);
+      if (distance >= DETECTION_CONFIG.OFFLINE_JUMP_DISTANCE_M && distance > (largest?.distance || 0)) {
+        largest = {from, to, gap, distance};
+      }
+    }
+
+    if (!largest) {
+      return null;
+    }
+    return {
+      verdict: 'SUSPICIOUS',
+      message: `Device was offline for ${formatDuration(largest.gap)} and came back ${formatDistance(largest.distance)} away`,
+      evidence: [largest.from, largest.to],
+    };
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Recent uploads failed the plausibility checks on ingest (teleports, a mock
+ * location provider, fabricated-looking fixes): someone may be faking the
+ * device's position to hide where it is
+ */
+export default {
+  id: 'spoofed_location',
+  description: 'Recent locations look spoofed or physically impossible',
+  severity: 'high',
+  enabledByDefault: true,
+
+  evaluate({suspectPoints = []}) {
+    if (suspectPoints.length === 0) {
+      return null;
+    }
+
+    const latest = suspectPoints[suspectPoints.length - 1];
+    const flags = [...new Set(suspectPoints.flatMap(point => point.plausibilityFlags || []))];
+    const count = suspectPoints.length === 1 ? '1 recent location' : `${suspectPoints.length} recent locations`;
+    return {
+      verdict: 'SUSPICIOUS',
+      // A mock provider is deliberate; other signals can be a confused receiver
+      severity: flags.includes('mock_provider') || flags.includes('teleport') ? 'high' : 'medium',
+      message: `${count} failed plausibility checks (${flags.join(', ').replace(/_/g, ' ')})`,
+      evidence: [latest],
+    };
+  },
+};
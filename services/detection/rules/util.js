@@ -0,0 +1,45 @@
+import {haversineDistance} from '../../../utils/geo.js';
+
+// Helpers shared by the built-in detection rules
+
+/**
+ * Distance in meters between two location points
+ */
+export const distanceBetween = (a, b) =>
+  haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+/**
+ * Milliseconds between two location points
+ */
+export const timeBetween = (a, b) =>
+  new Date(b.recordedAt).getTime() - new Date(a.recordedAt).getTime();
+
+/**
+ * "30 seconds", "45 minutes", "3.5 hours"
+ */
+export function formatDuration(ms) {
+  if (ms < 60000) {
+    const seconds = Math.round(ms / 1000);
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 120) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${(ms / 3600000).toFixed(1)} hours`;
+}
+
+/**
+ * "850 meters", "12.3 km"
+ */
+export function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} meters` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Consecutive pairs of chronological points
+ * @returns {Array<[object, object]>}
+ */
+export function steps(points) {
+  return points.slice(1).map((point, index) => [points[index], point]);
+}
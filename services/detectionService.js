@@ -0,0 +1,194 @@
+import Device from '../models/Device.js';
+import Location from '../models/Location.js';
+import {DETECTION_CONFIG} from '../config/apiConfig.js';
+import {recordDetectionAlerts} from './alertService.js';
+import {createRuleEngine, isRuleEnabled} from './detection/engine.js';
+import {distanceBetween} from './detection/rules/util.js';
+import idleThenMoved from './detection/rules/idleThenMoved.js';
+import appearedFarAfterIdle from './detection/rules/appearedFarAfterIdle.js';
+import impossibleSpeed from './detection/rules/impossibleSpeed.js';
+import offlineJump from './detection/rules/offlineJump.js';
+import nightMovement from './detection/rules/nightMovement.js';
+import spoofedLocation from './detection/rules/spoofedLocation.js';
+
+// The anti-theft checks behind GET /api/device/status. Rules live in
+// services/detection/rules; each device can switch them on or off.
+
+const engine = createRuleEngine();
+[idleThenMoved, appearedFarAfterIdle, impossibleSpeed, offlineJump, nightMovement, spoofedLocation].forEach(
+  engine.register,
+);
+
+// Fields of the points the rules look at
+const POINT_FIELDS = 'latitude longitude accuracy recordedAt suspect plausibilityFlags';
+
+/**
+ * Add a rule to the ones every status check runs
+ * @param {object} rule - See services/detection/engine.js
+ */
+export const registerRule = rule => engine.register(rule);
+
+/**
+ * Registered rules, in the order they run
+ */
+export const listRules = () => engine.list();
+
+/**
+ * Whether the runtime knows an IANA time zone name
+ * @param {string} timezone
+ */
+export function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', {timeZone: timezone}).resolvedOptions();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A device's detection settings as returned by the API
+ * @param {object} device - Device document
+ */
+export function toDetectionSettingsResponse(device) {
+  const overrides = device.detection?.rules;
+  return {
+    deviceId: device.deviceId,
+    timezone: device.detection?.timezone || DETECTION_CONFIG.DEFAULT_TIMEZONE,
+    excludeSuspect: device.detection?.excludeSuspect ?? true,
+    rules: listRules().map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      enabledByDefault: rule.enabledByDefault,
+      enabled: isRuleEnabled(rule, overrides),
+    })),
+  };
+}
+
+/**
+ * A device's detection settings
+ * @param {string} deviceId
+ * @returns {Promise<object|null>} null if the device isn't registered
+ */
+export async function getDetectionSettings(deviceId) {
+  const device = await Device.findOne({deviceId}).select('deviceId detection').lean();
+  return device ? toDetectionSettingsResponse(device) : null;
+}
+
+/**
+ * Change which rules run for a device, its time zone and whether the rules
+ * see suspect points
+ * @param {string} deviceId
+ * @param {{rules?: Object<string, boolean>, timezone?: string, excludeSuspect?: boolean}} changes - Rule ids must be registered
+ * @returns {Promise<object|null>} Updated lean Device, or null if it no longer exists
+ */
+export function updateDetectionSettings(deviceId, {rules = {}, timezone, excludeSuspect}) {
+  const update = Object.fromEntries(
+    Object.entries(rules).map(([id, enabled]) => [`detection.rules.${id}`, enabled]),
+  );
+  if (timezone) {
+    update['detection.timezone'] = timezone;
+  }
+  if (excludeSuspect !== undefined) {
+    update['detection.excludeSuspect'] = excludeSuspect;
+  }
+  return Device.findOneAndUpdate({deviceId}, {$set: update}, {new: true}).lean();
+}
+
+/**
+ * Time of the last step of at least MIN_MOVEMENT_DISTANCE_M, or of the first
+ * point when the device didn't move at all
+ * @param {object[]} points - Oldest first
+ * @returns {Date}
+ */
+export function findLastMovement(points) {
+  for (let i = points.length - 1; i > 0; i--) {
+    if (distanceBetween(points[i - 1], points[i]) >= DETECTION_CONFIG.MIN_MOVEMENT_DISTANCE_M) {
+      return new Date(points[i].recordedAt);
+    }
+  }
+  return new Date(points[0].recordedAt);
+}
+
+/**
+ * A device's newest points, oldest first
+ */
+async function recentPoints(filter) {
+  const points = await Location.find(filter)
+    .sort({recordedAt: -1})
+    .limit(DETECTION_CONFIG.HISTORY_POINTS)
+    .select(POINT_FIELDS)
+    .lean();
+  return points.reverse();
+}
+
+/**
+ * Run the enabled rules over a device's recent history
+ * Points flagged by the plausibility checks are left out of the movement
+ * rules unless the device's settings say otherwise; spoofed_location gets
+ * the recent ones.
+ * @param {string} deviceId
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} null if the device has no location data
+ */
+export async function evaluateDeviceStatus(deviceId, now = new Date()) {
+  const [recent, device] = await Promise.all([
+    recentPoints({deviceId}),
+    Device.findOne({deviceId}).select('detection').lean(),
+  ]);
+  if (recent.length === 0) {
+    return null;
+  }
+
+  const suspectPoints = recent.filter(point => point.suspect);
+  const excludeSuspect = device?.detection?.excludeSuspect ?? true;
+  const points =
+    excludeSuspect && suspectPoints.length > 0
+      ? await recentPoints({deviceId, suspect: {$ne: true}})
+      : recent;
+  const lastMovement = points.length > 0 ? findLastMovement(points) : null;
+  const result = engine.evaluate(
+    {
+      points,
+      suspectPoints,
+      now,
+      lastMovement,
+      timezone: device?.detection?.timezone || DETECTION_CONFIG.DEFAULT_TIMEZONE,
+    },
+    device?.detection?.rules,
+  );
+
+  return {
+    deviceId,
+    ...result,
+    lastSeen: new Date(recent[recent.length - 1].recordedAt),
+    lastMovement,
+  };
+}
+
+/**
+ * Run detection for a device and record an alert for every triggered rule
+ * Used by the status route and after every upload. If the alerts can't be
+ * saved the error is logged and the verdict still returned.
+ * @param {string} deviceId
+ * @returns {Promise<object|null>} Like evaluateDeviceStatus, with each triggered
+ *   rule's alertId
+ */
+export async function checkDevice(deviceId) {
+  const result = await evaluateDeviceStatus(deviceId);
+  if (!result || result.rules.length === 0) {
+    return result;
+  }
+
+  let recorded = [];
+  try {
+    recorded = await recordDetectionAlerts(deviceId, result.rules);
+  } catch (err) {
+    console.error('⚠️ Could not record alerts', err);
+  }
+  return {
+    ...result,
+    rules: result.rules.map((rule, index) => ({...rule, alertId: recorded[index]?.alert?._id || null})),
+  };
+}
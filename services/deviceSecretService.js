@@ -0,0 +1,131 @@
+import {Buffer} from 'buffer';
+import crypto from 'crypto';
+import DeviceCredential from '../models/DeviceCredential.js';
+import SignatureNonce from '../models/SignatureNonce.js';
+import {SIGNING_CONFIG} from '../config/apiConfig.js';
+
+/**
+ * Compute the signature a device sends for a request
+ * @param {string} secret - Device secret
+ * @param {string} timestamp - X-Device-Timestamp header (epoch ms)
+ * @param {Buffer|string} rawBody - Request body exactly as sent
+ * @returns {string} Lowercase hex HMAC-SHA256
+ */
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+const signaturesMatch = (expected, actual) => {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(actual, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Issue a new secret for a device, replacing (and briefly honouring) the old one
+ * Used at registration, for rotation, and to re-enable a revoked device.
+ * @param {string} deviceId
+ * @returns {Promise<{secret: string, rotatedAt: Date}>} The secret is only ever returned here
+ */
+export async function issueDeviceSecret(deviceId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const existing = await DeviceCredential.findOne({deviceId}).select('+secret').lean();
+
+  const update = {secret, rotatedAt: now, revokedAt: null};
+  if (existing?.secret && !existing.revokedAt) {
+    update.previousSecret = existing.secret;
+    update.previousExpiresAt = new Date(now.getTime() + SIGNING_CONFIG.ROTATION_GRACE_MS);
+  } else {
+    update.previousSecret = null;
+    update.previousExpiresAt = null;
+  }
+
+  await DeviceCredential.updateOne({deviceId}, {$set: update}, {upsert: true});
+  return {secret, rotatedAt: now};
+}
+
+/**
+ * Revoke a device's secret; its signed uploads are rejected until a new one is issued
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} false if the device had no active secret
+ */
+export async function revokeDeviceSecret(deviceId) {
+  const result = await DeviceCredential.updateOne(
+    {deviceId, revokedAt: null},
+    {$set: {revokedAt: new Date(), secret: null, previousSecret: null, previousExpiresAt: null}},
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Verify a signed ingest request
+ * @param {object} request
+ * @param {string} request.deviceId - deviceId from the (validated) body
+ * @param {string} [request.timestamp] - X-Device-Timestamp header
+ * @param {string} [request.signature] - X-Device-Signature header
+ * @param {Buffer} [request.rawBody] - Body bytes as received
+ * @returns {Promise<{ok: boolean, signed?: boolean, code?: string, message?: string}>}
+ *   signed is false when an unsigned request was let through (migration mode)
+ */
+export async function verifyDeviceSignature({deviceId, timestamp, signature, rawBody}) {
+  const credential = await DeviceCredential.findOne({deviceId})
+    .select('+secret +previousSecret')
+    .lean();
+
+  if (!timestamp && !signature) {
+    if (!credential && SIGNING_CONFIG.ALLOW_UNSIGNED_INGEST) {
+      return {ok: true, signed: false};
+    }
+    return {ok: false, code: 'SIGNATURE_REQUIRED', message: 'Request must be signed'};
+  }
+
+  if (!/^\d{10,16}$/.test(timestamp || '') || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+    return {
+      ok: false,
+      code: 'SIGNATURE_INVALID',
+      message: 'X-Device-Timestamp (epoch ms) and X-Device-Signature (hex HMAC-SHA256) are required',
+    };
+  }
+
+  const age = Math.abs(Date.now() - Number(timestamp));
+  if (age > SIGNING_CONFIG.MAX_SIGNATURE_AGE_MS) {
+    return {ok: false, code: 'SIGNATURE_EXPIRED', message: 'Request timestamp is too old or too far ahead'};
+  }
+
+  // Same answer for unknown, revoked and wrong secrets
+  const body = rawBody || Buffer.alloc(0);
+  const candidates = [];
+  if (credential?.secret) {
+    candidates.push(credential.secret);
+  }
+  if (credential?.previousSecret && credential.previousExpiresAt > new Date()) {
+    candidates.push(credential.previousSecret);
+  }
+  const valid = candidates.some(secret =>
+    signaturesMatch(signPayload(secret, timestamp, body), signature),
+  );
+  if (!valid) {
+    return {ok: false, code: 'SIGNATURE_INVALID', message: 'Invalid request signature'};
+  }
+
+  // Each signature is accepted once while its timestamp is fresh
+  try {
+    await SignatureNonce.create({
+      signature: signature.toLowerCase(),
+      deviceId,
+      expiresAt: new Date(Number(timestamp) + SIGNING_CONFIG.MAX_SIGNATURE_AGE_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return {ok: false, code: 'SIGNATURE_REPLAYED', message: 'Request has already been received'};
+    }
+    throw err;
+  }
+
+  return {ok: true, signed: true};
+}
@@ -0,0 +1,170 @@
+import Device from '../models/Device.js';
+import Location from '../models/Location.js';
+import LocationSummary from '../models/LocationSummary.js';
+import {DEVICE_CONFIG} from '../config/apiConfig.js';
+import {issueDeviceSecret, revokeDeviceSecret} from './deviceSecretService.js';
+import {revokeDeviceShareLinks} from './shareService.js';
+import {deleteAccessEvents} from './auditService.js';
+import {deleteDeviceGeofences} from './geofenceService.js';
+import {deleteDeviceAlerts} from './alertService.js';
+import {deleteDeviceWebhooks, publishEvent} from './webhookService.js';
+
+const DEFAULT_NAMES = {android: 'Android device', ios: 'iOS device', other: 'Device'};
+
+// Response message for registerDevice's HAS_HISTORY error
+export const HAS_HISTORY_MESSAGE =
+  'This device has location history from before accounts existed. Ask an administrator to assign it to your account.';
+
+/**
+ * Device fields returned by the API
+ * @param {object} device - Device document
+ * @returns {{deviceId: string, name: string, platform: string, registeredAt: Date, lastSeenAt: Date|null, offlineSince: Date|null}}
+ */
+export function toDeviceResponse(device) {
+  return {
+    deviceId: device.deviceId,
+    name: device.name,
+    platform: device.platform,
+    registeredAt: device.registeredAt,
+    lastSeenAt: device.lastSeenAt,
+    offlineSince: device.offlineSince || null,
+  };
+}
+
+/**
+ * Devices owned by a user, oldest registration first
+ * @param {object} ownerId - User _id
+ * @returns {Promise<object[]>} Lean Device documents
+ */
+export function listDevices(ownerId) {
+  return Device.find({owner: ownerId}).sort({registeredAt: 1}).lean();
+}
+
+/**
+ * Whether a deviceId already has location history
+ * Devices that reported before accounts existed have history but no owner.
+ * Knowing such a deviceId proves nothing about holding the device, so only
+ * an operator can assign them (npm run devices:assign).
+ * @param {string} deviceId
+ * @returns {Promise<boolean>}
+ */
+export async function hasLocationHistory(deviceId) {
+  const [raw, summary] = await Promise.all([
+    Location.exists({deviceId}),
+    LocationSummary.exists({deviceId}),
+  ]);
+  return Boolean(raw || summary);
+}
+
+/**
+ * Register a device to a user and issue its signing secret
+ * Runs on the device itself (at sign-up, or when adding a phone to an
+ * existing account), which is why the secret is returned here. A device the
+ * user already owns (assigned by an operator, or an app that lost its
+ * secret) gets a new secret instead.
+ * @param {object} ownerId - User _id
+ * @param {{deviceId: string, name?: string, platform?: string}} details
+ * @returns {Promise<{device?: object, secret?: string, relinked?: boolean, error?: 'TAKEN'|'HAS_HISTORY'|'LIMIT'}>}
+ */
+export async function registerDevice(ownerId, {deviceId, name, platform = 'other'}) {
+  const existing = await Device.findOne({deviceId}).lean();
+  if (existing) {
+    if (!existing.owner.equals(ownerId)) {
+      return {error: 'TAKEN'};
+    }
+    const {secret} = await issueDeviceSecret(deviceId);
+    return {device: existing, secret, relinked: true};
+  }
+  if (await hasLocationHistory(deviceId)) {
+    return {error: 'HAS_HISTORY'};
+  }
+  const owned = await Device.countDocuments({owner: ownerId});
+  if (owned >= DEVICE_CONFIG.MAX_DEVICES_PER_USER) {
+    return {error: 'LIMIT'};
+  }
+
+  let device;
+  try {
+    device = await Device.create({
+      deviceId,
+      owner: ownerId,
+      name: name || DEFAULT_NAMES[platform],
+      platform,
+    });
+  } catch (createError) {
+    // Claimed by someone else between the check and the insert
+    if (createError.code === 11000) {
+      return {error: 'TAKEN'};
+    }
+    throw createError;
+  }
+
+  const {secret} = await issueDeviceSecret(deviceId);
+  return {device: device.toObject(), secret};
+}
+
+/**
+ * Rename a device
+ * @param {string} deviceId
+ * @param {string} name
+ * @returns {Promise<object|null>} Updated lean Device, or null if it no longer exists
+ */
+export function renameDevice(deviceId, name) {
+  return Device.findOneAndUpdate({deviceId}, {$set: {name}}, {new: true, runValidators: true}).lean();
+}
+
+/**
+ * Delete a device's location history (raw points and compacted summaries)
+ * @param {string} deviceId
+ * @returns {Promise<number>} Number of documents deleted
+ */
+export async function deleteDeviceData(deviceId) {
+  const [raw, summaries] = await Promise.all([
+    Location.deleteMany({deviceId}),
+    LocationSummary.deleteMany({deviceId}),
+  ]);
+  return raw.deletedCount + summaries.deletedCount;
+}
+
+/**
+ * Remove a device from its account
+ * Its signing secret and share links are revoked and its location history,
+ * access log, geofences, alerts and device-scoped webhooks deleted: otherwise
+ * whoever registered the same deviceId next would inherit them.
+ * @param {string} deviceId
+ * @returns {Promise<{removed: boolean, deletedPoints: number}>}
+ */
+export async function removeDevice(deviceId) {
+  const {deletedCount} = await Device.deleteOne({deviceId});
+  if (deletedCount === 0) {
+    return {removed: false, deletedPoints: 0};
+  }
+
+  await Promise.all([
+    revokeDeviceSecret(deviceId),
+    revokeDeviceShareLinks(deviceId),
+    deleteAccessEvents(deviceId),
+    deleteDeviceGeofences(deviceId),
+    deleteDeviceAlerts(deviceId),
+    deleteDeviceWebhooks(deviceId),
+  ]);
+  return {removed: true, deletedPoints: await deleteDeviceData(deviceId)};
+}
+
+/**
+ * Record that a device uploaded locations
+ * A device marked offline is back online: publishes device.online.
+ * @param {string} deviceId
+ * @param {Date} seenAt
+ */
+export async function touchDevice(deviceId, seenAt = new Date()) {
+  const previous = await Device.findOneAndUpdate(
+    {deviceId},
+    {$max: {lastSeenAt: seenAt}, $set: {offlineSince: null}},
+  ).lean();
+
+  if (previous?.offlineSince) {
+    console.log(`📶 Device back online: ${deviceId}`);
+    await publishEvent('device.online', deviceId, {offlineSince: previous.offlineSince, lastSeenAt: seenAt});
+  }
+}
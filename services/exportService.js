@@ -0,0 +1,137 @@
+import {TELEMETRY_FIELDS} from '../models/Location.js';
+
+// Location history export formats
+// Each format writes a header, one chunk per point and a footer, so an export
+// can be streamed point by point without holding the history in memory.
+
+const escapeXml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * Text a spreadsheet would run as a formula (e.g. a provider of
+ * `=HYPERLINK(...)`) is prefixed with `'`. Numbers are left alone so negative
+ * coordinates stay numbers.
+ */
+const escapeCsv = value => {
+  if (value == null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const iso = date => (date ? new Date(date).toISOString() : null);
+
+const CSV_COLUMNS = [
+  'recordedAt',
+  'latitude',
+  'longitude',
+  'accuracy',
+  ...TELEMETRY_FIELDS,
+  'receivedAt',
+  'compacted',
+  'pointCount',
+  'suspect',
+  'plausibilityFlags',
+];
+
+const gpx = {
+  extension: 'gpx',
+  contentType: 'application/gpx+xml; charset=utf-8',
+  header: ({deviceId}) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="DeviceTracker" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `  <metadata><name>${escapeXml(deviceId)}</name><time>${new Date().toISOString()}</time></metadata>\n` +
+    `  <trk><name>${escapeXml(deviceId)}</name><trkseg>\n`,
+  point: point => {
+    let xml = `    <trkpt lat="${point.latitude}" lon="${point.longitude}">`;
+    if (point.altitude != null) {
+      xml += `<ele>${point.altitude}</ele>`;
+    }
+    xml += `<time>${iso(point.recordedAt)}</time>`;
+    if (point.compacted) {
+      xml += `<desc>Summary of ${point.summary.pointCount} points</desc>`;
+    }
+    return `${xml}</trkpt>\n`;
+  },
+  footer: () => '  </trkseg></trk>\n</gpx>\n',
+};
+
+const kml = {
+  extension: 'kml',
+  contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+  header: ({deviceId}) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    `<Document><name>${escapeXml(deviceId)}</name>\n`,
+  // One timestamped placemark per point keeps every fix's time
+  point: point => {
+    const coordinates = [point.longitude, point.latitude, point.altitude]
+      .filter(value => value != null)
+      .join(',');
+    const description =
+      point.accuracy != null ? `<description>Accuracy: ${point.accuracy} m</description>` : '';
+    return (
+      `  <Placemark><name>${iso(point.recordedAt)}</name>${description}` +
+      `<TimeStamp><when>${iso(point.recordedAt)}</when></TimeStamp>` +
+      `<Point><coordinates>${coordinates}</coordinates></Point></Placemark>\n`
+    );
+  },
+  footer: () => '</Document>\n</kml>\n',
+};
+
+const geojson = {
+  extension: 'geojson',
+  contentType: 'application/geo+json; charset=utf-8',
+  header: () => '{"type":"FeatureCollection","features":[\n',
+  point: (point, index) => {
+    const {_id, latitude, longitude, ...properties} = point;
+    const feature = {
+      type: 'Feature',
+      geometry: {type: 'Point', coordinates: [longitude, latitude]},
+      properties,
+    };
+    return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+  },
+  footer: () => '\n]}\n',
+};
+
+const csv = {
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+  point: point => {
+    const row = {
+      ...point,
+      compacted: Boolean(point.compacted),
+      pointCount: point.compacted ? point.summary.pointCount : 1,
+      suspect: Boolean(point.suspect),
+      plausibilityFlags: point.plausibilityFlags?.join(';'),
+    };
+    return `${CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',')}\r\n`;
+  },
+  footer: () => '',
+};
+
+export const EXPORT_FORMATS = {gpx, kml, geojson, csv};
+
+/**
+ * Build the download file name for an export
+ * @param {string} deviceId
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function exportFileName(deviceId, format) {
+  const safeId = deviceId.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+  const date = new Date().toISOString().slice(0, 10);
+  return `location-history-${safeId}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,321 @@
+import Geofence from '../models/Geofence.js';
+import GeofenceEvent from '../models/GeofenceEvent.js';
+import {GEOFENCE_CONFIG} from '../config/apiConfig.js';
+import {haversineDistance, signedDistanceToPolygon} from '../utils/geo.js';
+import {publishEvent} from './webhookService.js';
+
+// Evaluation state of a fence that hasn't seen a fix yet (or whose shape changed)
+const INITIAL_STATE = {inside: null, since: null, lastPointAt: null, dwellReportedAt: null};
+
+// Attempts to save a fence's state when uploads of the same device race
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Geofence fields returned by the API
+ * @param {object} fence - Geofence document
+ */
+export function toGeofenceResponse(fence) {
+  return {
+    id: fence._id,
+    deviceId: fence.deviceId,
+    name: fence.name,
+    type: fence.type,
+    ...(fence.type === 'circle'
+      ? {center: {latitude: fence.center.latitude, longitude: fence.center.longitude}, radius: fence.radius}
+      : {polygon: {type: 'Polygon', coordinates: fence.polygon.coordinates}}),
+    dwellMinutes: fence.dwellMinutes || null,
+    enabled: fence.enabled,
+    state: {
+      inside: fence.state?.inside ?? null,
+      since: fence.state?.since || null,
+      lastPointAt: fence.state?.lastPointAt || null,
+    },
+    createdAt: fence.createdAt,
+    updatedAt: fence.updatedAt,
+  };
+}
+
+/**
+ * Geofence event fields returned by the API
+ * @param {object} event - GeofenceEvent document
+ */
+export function toGeofenceEventResponse(event) {
+  return {
+    id: event._id,
+    geofenceId: event.geofenceId,
+    geofenceName: event.geofenceName,
+    type: event.type,
+    at: event.at,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    accuracy: event.accuracy ?? null,
+    distance: event.distance,
+  };
+}
+
+/**
+ * Shape fields to store for a validated create/update body
+ * Unset fields of the other shape type are cleared.
+ */
+function shapeUpdate({type, center, radius, polygon}) {
+  return type === 'circle'
+    ? {type, center, radius, polygon: undefined}
+    : {type, polygon: {type: 'Polygon', coordinates: polygon.coordinates}, center: undefined, radius: undefined};
+}
+
+/**
+ * A device's geofences, oldest first
+ * @param {string} deviceId
+ * @returns {Promise<object[]>} Lean Geofence documents
+ */
+export function listGeofences(deviceId) {
+  return Geofence.find({deviceId}).sort({createdAt: 1}).lean();
+}
+
+/**
+ * One geofence of a device
+ * @param {string} deviceId
+ * @param {string} geofenceId
+ * @returns {Promise<object|null>}
+ */
+export function getGeofence(deviceId, geofenceId) {
+  return Geofence.findOne({_id: geofenceId, deviceId}).lean();
+}
+
+/**
+ * Add a geofence to a device
+ * @param {string} deviceId
+ * @param {object} fields - Validated body (see createGeofenceSchema)
+ * @returns {Promise<{fence?: object, error?: 'LIMIT'}>}
+ */
+export async function createGeofence(deviceId, {name, dwellMinutes, enabled = true, ...shape}) {
+  const count = await Geofence.countDocuments({deviceId});
+  if (count >= GEOFENCE_CONFIG.MAX_PER_DEVICE) {
+    return {error: 'LIMIT'};
+  }
+
+  const fence = await Geofence.create({
+    deviceId,
+    name,
+    ...shapeUpdate(shape),
+    dwellMinutes: dwellMinutes || null,
+    enabled,
+  });
+  return {fence: fence.toObject()};
+}
+
+/**
+ * Change a geofence
+ * A new shape starts from an unknown state again: the next clear fix sets
+ * inside/outside without an event.
+ * @param {string} deviceId
+ * @param {string} geofenceId
+ * @param {object} fields - Validated body (see updateGeofenceSchema)
+ * @returns {Promise<object|null>} Updated lean Geofence, or null if not found
+ */
+export function updateGeofence(deviceId, geofenceId, {name, dwellMinutes, enabled, ...shape}) {
+  const set = {};
+  const unset = {};
+  if (name !== undefined) {
+    set.name = name;
+  }
+  if (dwellMinutes !== undefined) {
+    set.dwellMinutes = dwellMinutes || null;
+  }
+  if (enabled !== undefined) {
+    set.enabled = enabled;
+  }
+  if (shape.type) {
+    for (const [field, value] of Object.entries(shapeUpdate(shape))) {
+      if (value === undefined) {
+        unset[field] = '';
+      } else {
+        set[field] = value;
+      }
+    }
+    set.state = INITIAL_STATE;
+  }
+
+  return Geofence.findOneAndUpdate(
+    {_id: geofenceId, deviceId},
+    {$set: set, ...(Object.keys(unset).length > 0 && {$unset: unset})},
+    {new: true, runValidators: true},
+  ).lean();
+}
+
+/**
+ * Delete a geofence (its events stay in the log)
+ * @param {string} deviceId
+ * @param {string} geofenceId
+ * @returns {Promise<boolean>} false if not found
+ */
+export async function deleteGeofence(deviceId, geofenceId) {
+  const {deletedCount} = await Geofence.deleteOne({_id: geofenceId, deviceId});
+  return deletedCount > 0;
+}
+
+/**
+ * Delete a device's geofences and their events (device removed from its account)
+ * @param {string} deviceId
+ */
+export async function deleteDeviceGeofences(deviceId) {
+  await Promise.all([Geofence.deleteMany({deviceId}), GeofenceEvent.deleteMany({deviceId})]);
+}
+
+/**
+ * One page of a device's geofence events, newest first
+ * @param {string} deviceId
+ * @param {{geofenceId?: string, type?: string, from?: Date, to?: Date, skip: number, limit: number}} query
+ * @returns {Promise<{total: number, events: object[]}>}
+ */
+export async function listGeofenceEvents(deviceId, {geofenceId, type, from, to, skip, limit}) {
+  const filter = {deviceId};
+  if (geofenceId) {
+    filter.geofenceId = geofenceId;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  if (from || to) {
+    filter.at = {...(from && {$gte: from}), ...(to && {$lte: to})};
+  }
+
+  const [total, events] = await Promise.all([
+    GeofenceEvent.countDocuments(filter),
+    GeofenceEvent.find(filter).sort({at: -1, _id: -1}).skip(skip).limit(limit).lean(),
+  ]);
+  return {total, events};
+}
+
+/**
+ * Distance from a point to a fence's boundary
+ * @param {object} fence - Geofence document
+ * @param {{latitude: number, longitude: number}} point
+ * @returns {number} Meters; negative inside the fence
+ */
+export function distanceToFence(fence, {latitude, longitude}) {
+  if (fence.type === 'circle') {
+    return haversineDistance(fence.center.latitude, fence.center.longitude, latitude, longitude) - fence.radius;
+  }
+  return signedDistanceToPolygon(latitude, longitude, fence.polygon.coordinates);
+}
+
+/**
+ * Advance a fence's state over new fixes
+ * Pure: returns the new state and the events it produced. Fixes must be in
+ * recordedAt order; ones not newer than state.lastPointAt and ones less
+ * accurate than MAX_ACCURACY_M are skipped. A fix whose accuracy circle
+ * straddles the boundary (or lies in the hysteresis band outside it) keeps
+ * the current state. The first decided state produces no event.
+ * @param {object} fence - Geofence document (with its state)
+ * @param {object[]} points - Location fixes, oldest first
+ * @returns {{state: object, events: Array<{type: string, at: Date, point: object, distance: number}>}}
+ */
+export function evaluateFence(fence, points) {
+  const state = {...INITIAL_STATE, ...fence.state};
+  const events = [];
+  const dwellMs = (fence.dwellMinutes || 0) * 60 * 1000;
+
+  for (const point of points) {
+    const at = new Date(point.recordedAt);
+    const accuracy = point.accuracy || 0;
+    if ((state.lastPointAt && at <= state.lastPointAt) || accuracy > GEOFENCE_CONFIG.MAX_ACCURACY_M) {
+      continue;
+    }
+    state.lastPointAt = at;
+
+    const distance = distanceToFence(fence, point);
+    const change = type => {
+      if (state.inside !== null) {
+        events.push({type, at, point, distance});
+      }
+      Object.assign(state, {inside: type === 'enter', since: at, dwellReportedAt: null});
+    };
+
+    if (state.inside !== true && distance + accuracy <= 0) {
+      change('enter');
+    } else if (state.inside !== false && distance - accuracy >= GEOFENCE_CONFIG.HYSTERESIS_M) {
+      change('exit');
+    }
+
+    if (state.inside && dwellMs > 0 && !state.dwellReportedAt && at - state.since >= dwellMs) {
+      events.push({type: 'dwell', at, point, distance});
+      state.dwellReportedAt = at;
+    }
+  }
+
+  return {state, events};
+}
+
+/**
+ * Evaluate new fixes against one fence and save the result
+ * The state is saved only if no other upload changed it meanwhile; otherwise
+ * the fence is read again and the fixes re-evaluated.
+ * @returns {Promise<object[]>} Stored GeofenceEvent documents
+ */
+async function applyToFence(fence, points) {
+  let current = fence;
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS && current?.enabled; attempt++) {
+    const previousPointAt = current.state?.lastPointAt || null;
+    const {state, events} = evaluateFence(current, points);
+    if (state.lastPointAt?.getTime() === previousPointAt?.getTime()) {
+      return [];
+    }
+
+    const {modifiedCount} = await Geofence.updateOne(
+      {_id: current._id, 'state.lastPointAt': previousPointAt},
+      {$set: {state}},
+    );
+    if (modifiedCount === 1) {
+      if (events.length === 0) {
+        return [];
+      }
+      return GeofenceEvent.insertMany(
+        events.map(({type, at, point, distance}) => ({
+          deviceId: current.deviceId,
+          geofenceId: current._id,
+          geofenceName: current.name,
+          type,
+          at,
+          latitude: point.latitude,
+          longitude: point.longitude,
+          accuracy: point.accuracy,
+          distance: Math.round(distance),
+        })),
+      );
+    }
+    current = await Geofence.findById(current._id).lean();
+  }
+  return [];
+}
+
+/**
+ * Evaluate freshly stored fixes of a device against all of its enabled fences
+ * Points that failed the plausibility checks are skipped. Each event is
+ * published as geofence.enter/exit/dwell.
+ * @param {string} deviceId
+ * @param {object[]} points - Stored Location documents, any order
+ * @returns {Promise<object[]>} Events produced
+ */
+export async function evaluateGeofences(deviceId, points) {
+  const trusted = points.filter(point => !point.suspect);
+  if (trusted.length === 0) {
+    return [];
+  }
+  const fences = await Geofence.find({deviceId, enabled: true}).lean();
+  if (fences.length === 0) {
+    return [];
+  }
+
+  const ordered = [...trusted].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  const results = await Promise.all(fences.map(fence => applyToFence(fence, ordered)));
+  const events = results.flat();
+
+  for (const event of events) {
+    console.log(`📍 Geofence ${event.type}: ${deviceId} "${event.geofenceName}"`);
+  }
+  await Promise.all(
+    events.map(event => publishEvent(`geofence.${event.type}`, deviceId, {event: toGeofenceEventResponse(event)})),
+  );
+  return events;
+}
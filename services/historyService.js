@@ -0,0 +1,291 @@
+import {Buffer} from 'buffer';
+import mongoose from 'mongoose';
+import Location, {TELEMETRY_FIELDS} from '../models/Location.js';
+import LocationSummary from '../models/LocationSummary.js';
+
+// Fields projected from raw points
+// _id is kept for cursors and stripped by the route
+const RAW_PROJECTION = {
+  _id: 1,
+  latitude: 1,
+  longitude: 1,
+  accuracy: 1,
+  recordedAt: 1,
+  receivedAt: 1,
+  ...Object.fromEntries(TELEMETRY_FIELDS.map(field => [field, 1])),
+  suspect: 1,
+  plausibilityFlags: 1,
+};
+
+// Compacted buckets are shaped like points, with their stats under `summary`
+const SUMMARY_PROJECTION = {
+  _id: 1,
+  latitude: 1,
+  longitude: 1,
+  accuracy: 1,
+  recordedAt: 1,
+  suspect: 1,
+  plausibilityFlags: 1,
+  compacted: {$literal: true},
+  summary: {
+    bucketStart: '$bucketStart',
+    bucketEnd: '$bucketEnd',
+    pointCount: '$pointCount',
+    firstRecordedAt: '$firstRecordedAt',
+    lastRecordedAt: '$lastRecordedAt',
+    distanceM: '$distanceM',
+    avgSpeed: '$avgSpeed',
+    maxSpeed: '$maxSpeed',
+    bounds: '$bounds',
+    suspectCount: '$suspectCount',
+  },
+};
+
+/**
+ * Encode a history position as an opaque cursor
+ * @param {object} point - Point carrying recordedAt and _id
+ * @param {'asc'|'desc'} order - Sort order the cursor belongs to
+ * @param {'next'|'prev'} direction - Which way the cursor pages
+ * @returns {string}
+ */
+export function encodeCursor(point, order, direction) {
+  const payload = {
+    r: new Date(point.recordedAt).getTime(),
+    i: String(point._id),
+    o: order,
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{recordedAt: Date, id: mongoose.Types.ObjectId, order: string, direction: string}|null}
+ *   null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      !Number.isFinite(payload.r) ||
+      !mongoose.isValidObjectId(payload.i) ||
+      !['asc', 'desc'].includes(payload.o) ||
+      !['next', 'prev'].includes(payload.d)
+    ) {
+      return null;
+    }
+    return {
+      recordedAt: new Date(payload.r),
+      id: new mongoose.Types.ObjectId(payload.i),
+      order: payload.o,
+      direction: payload.d,
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build the shared $match for both tiers
+ * Compacted buckets in which every point was suspect are marked suspect
+ * too, so excludeSuspect applies to both tiers.
+ */
+function buildMatch({deviceId, from, to, excludeSuspect, position, sortDir}) {
+  const match = {deviceId};
+  if (excludeSuspect) {
+    match.suspect = {$ne: true};
+  }
+
+  if (from || to) {
+    match.recordedAt = {};
+    if (from) {
+      match.recordedAt.$gte = from;
+    }
+    if (to) {
+      match.recordedAt.$lte = to;
+    }
+  }
+
+  // Keyset: strictly after the cursor position in the direction of travel
+  if (position) {
+    const op = sortDir === 1 ? '$gt' : '$lt';
+    match.$or = [
+      {recordedAt: {[op]: position.recordedAt}},
+      {recordedAt: position.recordedAt, _id: {[op]: position.id}},
+    ];
+  }
+
+  return match;
+}
+
+/**
+ * Count a device's history across the raw and compacted tiers
+ * @param {string} deviceId
+ * @param {{from?: Date, to?: Date, excludeSuspect?: boolean}} range - Optional recordedAt range
+ * @returns {Promise<{raw: number, compacted: number, total: number}>}
+ */
+export async function countHistory(deviceId, range = {}) {
+  const match = buildMatch({deviceId, ...range});
+  const [raw, compacted] = await Promise.all([
+    Location.countDocuments(match),
+    LocationSummary.countDocuments(match),
+  ]);
+  return {raw, compacted, total: raw + compacted};
+}
+
+/**
+ * Read a page of a device's history across both tiers
+ * Raw points and compacted buckets are merged by recordedAt (then _id, so
+ * ordering is total), so long-range views keep working after old points have
+ * been compacted. Pages either by offset (`skip`) or from a cursor position.
+ * @param {object} options
+ * @param {string} options.deviceId
+ * @param {Date} [options.from] - Earliest recordedAt (inclusive)
+ * @param {Date} [options.to] - Latest recordedAt (inclusive)
+ * @param {boolean} [options.excludeSuspect] - Leave out points flagged as implausible
+ * @param {'asc'|'desc'} [options.order] - Display order (default newest first)
+ * @param {number} [options.skip] - Points to skip (offset paging)
+ * @param {number} options.limit - Points to return
+ * @param {object} [options.position] - Decoded cursor to page from
+ * @returns {Promise<{points: Array<object>, hasMore: boolean}>}
+ *   points in display order; hasMore tells whether more exist in the paging direction
+ */
+export async function findHistoryPage({
+  deviceId,
+  from,
+  to,
+  excludeSuspect,
+  order = 'desc',
+  skip = 0,
+  limit,
+  position = null,
+}) {
+  // Paging backwards walks the opposite way, then flips the page
+  const backwards = position?.direction === 'prev';
+  const orderDir = order === 'asc' ? 1 : -1;
+  const sortDir = backwards ? -orderDir : orderDir;
+  const sort = {recordedAt: sortDir, _id: sortDir};
+  const match = buildMatch({deviceId, from, to, excludeSuspect, position, sortDir});
+
+  // Each tier is sorted and trimmed on its own index before merging;
+  // one extra point tells whether another page exists
+  const window = skip + limit + 1;
+
+  const points = await Location.aggregate([
+    {$match: match},
+    {$sort: sort},
+    {$limit: window},
+    {$project: RAW_PROJECTION},
+    {
+      $unionWith: {
+        coll: LocationSummary.collection.name,
+        pipeline: [
+          {$match: match},
+          {$sort: sort},
+          {$limit: window},
+          {$project: SUMMARY_PROJECTION},
+        ],
+      },
+    },
+    {$sort: sort},
+    {$skip: skip},
+    {$limit: limit + 1},
+  ]);
+
+  const hasMore = points.length > limit;
+  const page = points.slice(0, limit);
+  if (backwards) {
+    page.reverse();
+  }
+  return {points: page, hasMore};
+}
+
+/**
+ * Read the newest points of a device's path across both tiers
+ * Used for track rendering, so only coordinates and time are projected.
+ * @param {object} options
+ * @param {string} options.deviceId
+ * @param {Date} [options.from] - Earliest recordedAt (inclusive)
+ * @param {Date} [options.to] - Latest recordedAt (inclusive)
+ * @param {boolean} [options.excludeSuspect] - Leave out points flagged as implausible
+ * @param {number} options.limit - Most points to read
+ * @returns {Promise<{points: Array<object>, truncated: boolean}>}
+ *   points oldest first; truncated when older points in the range were left out
+ */
+export async function findTrackPoints({deviceId, from, to, excludeSuspect, limit}) {
+  const match = buildMatch({deviceId, from, to, excludeSuspect});
+  const sort = {recordedAt: -1, _id: -1};
+  const projection = {_id: 0, latitude: 1, longitude: 1, recordedAt: 1};
+
+  const points = await Location.aggregate([
+    {$match: match},
+    {$sort: sort},
+    {$limit: limit + 1},
+    {$project: projection},
+    {
+      $unionWith: {
+        coll: LocationSummary.collection.name,
+        pipeline: [
+          {$match: match},
+          {$sort: sort},
+          {$limit: limit + 1},
+          {$project: projection},
+        ],
+      },
+    },
+    {$sort: {recordedAt: -1}},
+    {$limit: limit + 1},
+  ]).allowDiskUse(true);
+
+  const truncated = points.length > limit;
+  return {points: points.slice(0, limit).reverse(), truncated};
+}
+
+/**
+ * Stream a device's full history across both tiers, oldest first
+ * Each tier is read through its own cursor on the (deviceId, recordedAt)
+ * index and the two are merged here, so nothing is sorted or buffered in bulk.
+ * Closing the generator early (e.g. client disconnect) closes both cursors.
+ * @param {object} options
+ * @param {string} options.deviceId
+ * @param {Date} [options.from] - Earliest recordedAt (inclusive)
+ * @param {Date} [options.to] - Latest recordedAt (inclusive)
+ * @returns {AsyncGenerator<object>} Points shaped like findHistoryPage results
+ */
+export async function* streamHistory({deviceId, from, to}) {
+  const match = buildMatch({deviceId, from, to});
+  const sort = {recordedAt: 1, _id: 1};
+
+  const raw = Location.aggregate([
+    {$match: match},
+    {$sort: sort},
+    {$project: RAW_PROJECTION},
+  ]).cursor();
+  const compacted = LocationSummary.aggregate([
+    {$match: match},
+    {$sort: sort},
+    {$project: SUMMARY_PROJECTION},
+  ]).cursor();
+
+  // recordedAt first, then _id (hex order matches ObjectId order)
+  const comesFirst = (a, b) =>
+    a.recordedAt < b.recordedAt ||
+    (a.recordedAt.getTime() === b.recordedAt.getTime() && String(a._id) <= String(b._id));
+
+  try {
+    let nextRaw = await raw.next();
+    let nextCompacted = await compacted.next();
+    while (nextRaw || nextCompacted) {
+      if (nextRaw && (!nextCompacted || comesFirst(nextRaw, nextCompacted))) {
+        yield nextRaw;
+        nextRaw = await raw.next();
+      } else {
+        yield nextCompacted;
+        nextCompacted = await compacted.next();
+      }
+    }
+  } finally {
+    await Promise.all([raw.close(), compacted.close()]);
+  }
+}
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import JobLease from '../models/JobLease.js';
+
+/**
+ * Take the lease on a job unless another holder's lease is still running
+ * @param {string} name - Job name
+ * @param {number} ttlMs - How long the lease lasts without renewal
+ * @returns {Promise<string|null>} Owner id to renew/release with, or null if held elsewhere
+ */
+export async function acquireLease(name, ttlMs) {
+  const owner = crypto.randomUUID();
+  const now = new Date();
+  try {
+    // Matches only a missing or expired lease; a live one makes the upsert
+    // collide on _id
+    await JobLease.findOneAndUpdate(
+      {_id: name, expiresAt: {$lte: now}},
+      {$set: {owner, expiresAt: new Date(now.getTime() + ttlMs)}},
+      {upsert: true},
+    );
+    return owner;
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Extend a held lease
+ * @param {string} name
+ * @param {string} owner - Returned by acquireLease
+ * @param {number} ttlMs
+ * @returns {Promise<boolean>} false if the lease expired and was taken over
+ */
+export async function renewLease(name, owner, ttlMs) {
+  const result = await JobLease.updateOne(
+    {_id: name, owner},
+    {$set: {expiresAt: new Date(Date.now() + ttlMs)}},
+  );
+  return result.matchedCount === 1;
+}
+
+/**
+ * Give up a held lease so the next run doesn't wait for it to expire
+ * @param {string} name
+ * @param {string} owner - Returned by acquireLease
+ */
+export async function releaseLease(name, owner) {
+  await JobLease.deleteOne({_id: name, owner});
+}
@@ -0,0 +1,73 @@
+import {getRateLimitStore} from './rateLimitStore.js';
+import {RATE_LIMIT_CONFIG} from '../config/apiConfig.js';
+
+// Progressive lockout after failed logins, per username.
+// MAX_FAILURES failures within FAILURE_WINDOW_MS lock the username for
+// BASE_LOCKOUT_MS; each further lockout within HISTORY_MS doubles it, up to
+// MAX_LOCKOUT_MS. Unknown usernames are throttled the same way, so the
+// lockout doesn't reveal which accounts exist.
+
+const {LOGIN_LOCKOUT} = RATE_LIMIT_CONFIG;
+
+const accountKey = username => username.trim().toLowerCase();
+const failuresKey = username => `login-failures:${accountKey(username)}`;
+const lockKey = username => `login-lock:${accountKey(username)}`;
+const lockoutsKey = username => `login-lockouts:${accountKey(username)}`;
+
+/**
+ * Whether a username is currently locked out
+ * @param {string} username
+ * @returns {Promise<{locked: boolean, until?: Date}>}
+ */
+export async function getLoginLock(username) {
+  if (!RATE_LIMIT_CONFIG.ENABLED) {
+    return {locked: false};
+  }
+  const lock = await getRateLimitStore().peek(lockKey(username));
+  return lock ? {locked: true, until: lock.resetAt} : {locked: false};
+}
+
+/**
+ * Count a failed login; locks the username once there are too many
+ * @param {string} username
+ * @returns {Promise<{locked: boolean, until?: Date}>}
+ */
+export async function recordLoginFailure(username) {
+  if (!RATE_LIMIT_CONFIG.ENABLED) {
+    return {locked: false};
+  }
+  const store = getRateLimitStore();
+  const failures = await store.hit(failuresKey(username), LOGIN_LOCKOUT.FAILURE_WINDOW_MS);
+  if (failures.count < LOGIN_LOCKOUT.MAX_FAILURES) {
+    return {locked: false};
+  }
+
+  const lockouts = await store.hit(lockoutsKey(username), LOGIN_LOCKOUT.HISTORY_MS);
+  const duration = Math.min(
+    LOGIN_LOCKOUT.BASE_LOCKOUT_MS * 2 ** (lockouts.count - 1),
+    LOGIN_LOCKOUT.MAX_LOCKOUT_MS,
+  );
+  // The lock is a counter whose window is the lockout
+  const lock = await store.hit(lockKey(username), duration);
+  await store.reset(failuresKey(username));
+
+  console.warn(`🔒 Login locked for "${accountKey(username)}" for ${Math.round(duration / 1000)}s`);
+  return {locked: true, until: lock.resetAt};
+}
+
+/**
+ * Forget failures, earlier lockouts and any current lock
+ * (successful login or password reset)
+ * @param {string} username
+ */
+export async function clearLoginFailures(username) {
+  if (!RATE_LIMIT_CONFIG.ENABLED) {
+    return;
+  }
+  const store = getRateLimitStore();
+  await Promise.all([
+    store.reset(failuresKey(username)),
+    store.reset(lockoutsKey(username)),
+    store.reset(lockKey(username)),
+  ]);
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import {mkdir, writeFile} from 'fs/promises';
+import path from 'path';
+import {MAIL_CONFIG} from '../config/apiConfig.js';
+
+/**
+ * Outgoing mail
+ *
+ * A transport delivers one message. Any object with this method can be
+ * plugged in with setMailTransport() (e.g. one wrapping an SMTP client or a
+ * mail API):
+ *
+ *   send({from, to, subject, text}) -> Promise<void>
+ *
+ * The built-in transports are for development: 'console' logs each message,
+ * 'file' writes it to MAIL_FILE_DIR as an .eml file.
+ */
+
+/**
+ * Message as RFC 5322 text (plain text body)
+ */
+function formatMessage({from, to, subject, text}) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+}
+
+/**
+ * Log messages to the console (default)
+ */
+export function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}\n${formatMessage(message)}`);
+    },
+  };
+}
+
+/**
+ * Write each message to its own .eml file
+ * @param {{dir?: string}} options - Directory, relative to the working directory
+ */
+export function createFileTransport({dir = MAIL_CONFIG.FILE_DIR} = {}) {
+  return {
+    async send(message) {
+      await mkdir(dir, {recursive: true});
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await writeFile(file, formatMessage(message));
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    },
+  };
+}
+
+/**
+ * Create the transport named by MAIL_TRANSPORT
+ * @param {string} type - 'console' or 'file'
+ */
+export function createTransportFromConfig(type = MAIL_CONFIG.TRANSPORT) {
+  switch (type) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}" (expected "console" or "file")`);
+  }
+}
+
+let transport = null;
+
+/**
+ * Replace the mail transport (call once at startup)
+ * @param {{send: Function}} nextTransport
+ */
+export function setMailTransport(nextTransport) {
+  if (typeof nextTransport?.send !== 'function') {
+    throw new Error('Mail transport must implement send()');
+  }
+  transport = nextTransport;
+}
+
+/**
+ * Send a plain-text email from MAIL_FROM
+ * Falls back to the console transport if none was set.
+ * @param {{to: string, subject: string, text: string}} message
+ */
+export async function sendMail({to, subject, text}) {
+  if (!transport) {
+    transport = createConsoleTransport();
+  }
+  await transport.send({from: MAIL_CONFIG.FROM, to, subject, text});
+}
@@ -0,0 +1,164 @@
+import Location from '../models/Location.js';
+import {PLAUSIBILITY_CONFIG} from '../config/apiConfig.js';
+import {haversineDistance} from '../utils/geo.js';
+
+// Plausibility checks for uploaded fixes. Suspect points are still stored,
+// flagged, so the owner can see them; geofences, detection rules and the
+// dashboard leave them out.
+
+export const PLAUSIBILITY_FLAGS = Object.keys(PLAUSIBILITY_CONFIG.WEIGHTS);
+
+// Fields of earlier points the checks look at
+const HISTORY_FIELDS = 'latitude longitude accuracy recordedAt suspect plausibilityFlags';
+
+const timeOf = point => new Date(point.recordedAt).getTime();
+
+const samePlace = (a, b) => a.latitude === b.latitude && a.longitude === b.longitude;
+
+/**
+ * Speed needed to get from one fix to the other, after subtracting both
+ * accuracies; 0 for hops shorter than MIN_JUMP_DISTANCE_M (GPS jitter)
+ * @returns {number} km/h
+ */
+function impliedSpeedKmh(a, b) {
+  const distance = haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+  const travelled = distance - (a.accuracy || 0) - (b.accuracy || 0);
+  if (travelled < PLAUSIBILITY_CONFIG.MIN_JUMP_DISTANCE_M) {
+    return 0;
+  }
+  // Same timestamp at two places: treat as one second apart
+  const elapsed = Math.max(Math.abs(timeOf(b) - timeOf(a)), 1000);
+  return (travelled / 1000) / (elapsed / 3600000);
+}
+
+const tooFast = (a, b) => impliedSpeedKmh(a, b) > PLAUSIBILITY_CONFIG.MAX_SPEED_KMH;
+
+/**
+ * Whether a point was flagged only for jumping away (not for a mock provider)
+ */
+const isJumpOnly = point =>
+  point.suspect &&
+  point.plausibilityFlags?.includes('teleport') &&
+  !point.plausibilityFlags.includes('mock_provider');
+
+/**
+ * The point is too far from the last trusted fix for the time between them
+ * A device that really travelled (a flight, a long time switched off) keeps
+ * being compared with its old position, so once RELOCATION_CONFIRM_POINTS
+ * points in a row agree with each other at the new place, it is trusted again.
+ */
+function isTeleport(point, history) {
+  const lastTrusted = history.find(earlier => !earlier.suspect);
+  if (!lastTrusted || !tooFast(lastTrusted, point)) {
+    return false;
+  }
+
+  const needed = PLAUSIBILITY_CONFIG.RELOCATION_CONFIRM_POINTS - 1;
+  const streak = [];
+  for (const earlier of history) {
+    if (streak.length === needed || !isJumpOnly(earlier)) {
+      break;
+    }
+    streak.push(earlier);
+  }
+  if (streak.length < needed) {
+    return true;
+  }
+  const chain = [point, ...streak];
+  return chain.slice(1).some((earlier, index) => tooFast(earlier, chain[index]));
+}
+
+/**
+ * The same accuracy on CONSTANT_ACCURACY_POINTS fixes in a row while the
+ * position changes; real receivers report a fluctuating accuracy
+ */
+function hasConstantAccuracy(point, history) {
+  const run = [point, ...history.slice(0, PLAUSIBILITY_CONFIG.CONSTANT_ACCURACY_POINTS - 1)];
+  return (
+    run.length === PLAUSIBILITY_CONFIG.CONSTANT_ACCURACY_POINTS &&
+    typeof point.accuracy === 'number' &&
+    run.every(earlier => earlier.accuracy === point.accuracy) &&
+    run.some(earlier => !samePlace(earlier, point))
+  );
+}
+
+/**
+ * Score one fix against the fixes recorded before it
+ * Pure, so the checks can be exercised without a database.
+ * @param {object} point - Validated point ({latitude, longitude, accuracy?, recordedAt, isMock?})
+ * @param {object[]} history - Earlier points, newest first (suspect ones included)
+ * @returns {{suspect: boolean, score: number, flags: string[]}}
+ */
+export function assessPoint(point, history) {
+  const flags = [];
+
+  if (point.isMock === true) {
+    flags.push('mock_provider');
+  }
+  if (isTeleport(point, history)) {
+    flags.push('teleport');
+  }
+  if (typeof point.accuracy === 'number' && point.accuracy < PLAUSIBILITY_CONFIG.MIN_ACCURACY_M) {
+    flags.push('implausible_accuracy');
+  }
+  if (hasConstantAccuracy(point, history)) {
+    flags.push('constant_accuracy');
+  }
+  // A re-sent fix has the same time as well; only other fixes count
+  const repeats = history.filter(earlier => samePlace(earlier, point) && timeOf(earlier) !== timeOf(point));
+  if (repeats.length >= PLAUSIBILITY_CONFIG.EXACT_REPEAT_POINTS) {
+    flags.push('exact_repeat');
+  }
+
+  const score = flags.reduce((sum, flag) => sum + PLAUSIBILITY_CONFIG.WEIGHTS[flag], 0);
+  return {suspect: score >= PLAUSIBILITY_CONFIG.SUSPECT_SCORE, score, flags};
+}
+
+/**
+ * Assess the points of an upload before they are stored
+ * Points are checked in recordedAt order, each against the device's stored
+ * points and the upload's earlier points recorded before it.
+ * @param {string} deviceId
+ * @param {object[]} points - Validated points with recordedAt set
+ * @returns {Promise<Array<{suspect: boolean, score: number, flags: string[]}>>}
+ *   One assessment per point, in the order given
+ */
+export async function assessUpload(deviceId, points) {
+  if (points.length === 0) {
+    return [];
+  }
+
+  const latest = Math.max(...points.map(timeOf));
+  const stored = await Location.find({deviceId, recordedAt: {$lt: new Date(latest)}})
+    .sort({recordedAt: -1})
+    .limit(PLAUSIBILITY_CONFIG.RECENT_POINTS + points.length)
+    .select(HISTORY_FIELDS)
+    .lean();
+
+  const order = points.map((point, index) => index).sort((a, b) => timeOf(points[a]) - timeOf(points[b]));
+  const assessments = new Array(points.length);
+  // Newest first, like `stored`
+  let known = stored;
+
+  for (const index of order) {
+    const point = points[index];
+    const history = known
+      .filter(earlier => timeOf(earlier) < timeOf(point))
+      .slice(0, PLAUSIBILITY_CONFIG.RECENT_POINTS);
+    const assessment = assessPoint(point, history);
+    assessments[index] = assessment;
+
+    known = [{...point, suspect: assessment.suspect, plausibilityFlags: assessment.flags}, ...known]
+      .sort((a, b) => timeOf(b) - timeOf(a));
+  }
+
+  return assessments;
+}
+
+/**
+ * Location fields to store for an assessment (nothing for clean points)
+ * @param {{suspect: boolean, flags: string[]}} assessment
+ */
+export function plausibilityFields({suspect, flags}) {
+  return flags.length > 0 ? {suspect, plausibilityFlags: flags} : {};
+}
@@ -0,0 +1,61 @@
+import Device from '../models/Device.js';
+import {PRESENCE_CONFIG} from '../config/apiConfig.js';
+import {publishEvent} from './webhookService.js';
+
+let isRunning = false;
+
+/**
+ * Mark devices that stopped uploading as offline and publish device.offline
+ * A device counts as offline once its last upload is OFFLINE_AFTER_MS old;
+ * its next upload clears the mark (see touchDevice in deviceService.js).
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<number|null>} Devices marked offline, or null if skipped
+ */
+export async function runPresenceCheck(now = new Date()) {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const cutoff = new Date(now.getTime() - PRESENCE_CONFIG.OFFLINE_AFTER_MS);
+    const devices = await Device.find({offlineSince: null, lastSeenAt: {$ne: null, $lt: cutoff}})
+      .select('deviceId lastSeenAt')
+      .limit(PRESENCE_CONFIG.BATCH_SIZE)
+      .lean();
+
+    let marked = 0;
+    for (const device of devices) {
+      // Skipped if an upload arrived since the query
+      const {modifiedCount} = await Device.updateOne(
+        {_id: device._id, offlineSince: null, lastSeenAt: device.lastSeenAt},
+        {$set: {offlineSince: now}},
+      );
+      if (modifiedCount === 1) {
+        marked++;
+        console.log(`📴 Device offline: ${device.deviceId} (last seen ${device.lastSeenAt.toISOString()})`);
+        await publishEvent('device.offline', device.deviceId, {lastSeenAt: device.lastSeenAt, offlineSince: now});
+      }
+    }
+    return marked;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Schedule periodic presence checks
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startPresenceJob() {
+  const run = () =>
+    runPresenceCheck().catch(err => {
+      console.error('❌ Presence check failed:', err);
+    });
+
+  run();
+  const handle = setInterval(run, PRESENCE_CONFIG.CHECK_INTERVAL_MS);
+  handle.unref();
+  console.log(`📴 Devices count as offline after ${PRESENCE_CONFIG.OFFLINE_AFTER_MS / 60000}min without uploads`);
+  return handle;
+}
@@ -0,0 +1,152 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import {RATE_LIMIT_CONFIG} from '../config/apiConfig.js';
+
+/**
+ * Rate limit stores
+ *
+ * A store keeps fixed-window counters. Any object with these methods can be
+ * plugged in with setRateLimitStore() (e.g. one backed by Redis):
+ *
+ *   hit(key, windowMs)  -> Promise<{count, resetAt}>  count this request; a new
+ *                          window of windowMs starts when the last one is over
+ *   peek(key)           -> Promise<{count, resetAt} | null>  current window, if any
+ *   reset(key)          -> Promise<void>  forget the key
+ *
+ * resetAt is a Date. The in-memory store is per process; run several
+ * instances behind a load balancer with a shared store.
+ */
+
+/**
+ * In-memory store (default)
+ * @param {{cleanupIntervalMs?: number}} options
+ */
+export function createMemoryStore({cleanupIntervalMs = 60 * 1000} = {}) {
+  const counters = new Map();
+
+  // Drop finished windows so idle keys don't pile up
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  const current = key => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > Date.now() ? counter : null;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      let counter = current(key);
+      if (!counter) {
+        counter = {count: 0, resetAt: Date.now() + windowMs};
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return {count: counter.count, resetAt: new Date(counter.resetAt)};
+    },
+
+    async peek(key) {
+      const counter = current(key);
+      return counter ? {count: counter.count, resetAt: new Date(counter.resetAt)} : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+/**
+ * MongoDB store, shared by every server instance
+ * Counters are documents in ratelimitcounters, removed by a TTL index.
+ */
+export function createMongoStore() {
+  const increment = (key, windowMs) => {
+    const now = new Date();
+    const active = {$gt: ['$resetAt', now]};
+    // One atomic update: count up inside the window, otherwise start a new one
+    return RateLimitCounter.findOneAndUpdate(
+      {_id: key},
+      [
+        {
+          $set: {
+            count: {$cond: [active, {$add: ['$count', 1]}, 1]},
+            resetAt: {$cond: [active, '$resetAt', new Date(now.getTime() + windowMs)]},
+          },
+        },
+      ],
+      {upsert: true, new: true, updatePipeline: true},
+    ).lean();
+  };
+
+  return {
+    async hit(key, windowMs) {
+      let counter;
+      try {
+        counter = await increment(key, windowMs);
+      } catch (err) {
+        // Two first hits raced to insert the key; the loser just counts up
+        if (err.code !== 11000) {
+          throw err;
+        }
+        counter = await increment(key, windowMs);
+      }
+      return {count: counter.count, resetAt: counter.resetAt};
+    },
+
+    async peek(key) {
+      const counter = await RateLimitCounter.findOne({_id: key, resetAt: {$gt: new Date()}}).lean();
+      return counter ? {count: counter.count, resetAt: counter.resetAt} : null;
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({_id: key});
+    },
+  };
+}
+
+/**
+ * Create the store named by RATE_LIMIT_STORE
+ * @param {string} type - 'memory' or 'mongo'
+ */
+export function createStoreFromConfig(type = RATE_LIMIT_CONFIG.STORE) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongo':
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+}
+
+let store = null;
+
+/**
+ * Store used by the rate limit middleware and login lockout
+ * Falls back to an in-memory store if none was set.
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the rate limit store (call once at startup)
+ * @param {{hit: Function, peek: Function, reset: Function}} nextStore
+ */
+export function setRateLimitStore(nextStore) {
+  for (const method of ['hit', 'peek', 'reset']) {
+    if (typeof nextStore?.[method] !== 'function') {
+      throw new Error(`Rate limit store must implement ${method}()`);
+    }
+  }
+  store = nextStore;
+}
@@ -0,0 +1,373 @@
+import Location from '../models/Location.js';
+import LocationSummary from '../models/LocationSummary.js';
+import {RETENTION_CONFIG} from '../config/apiConfig.js';
+import {pathDistance} from '../utils/geo.js';
+import {acquireLease, releaseLease, renewLease} from './leaseService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const LEASE_NAME = 'retention';
+
+let isRunning = false;
+
+/**
+ * Validate retention configuration
+ * Throws so a misconfigured server fails at startup instead of deleting data
+ * @param {object} config - Retention configuration
+ */
+export function validateRetentionConfig(config = RETENTION_CONFIG) {
+  const positive = value => Number.isFinite(value) && value > 0;
+
+  if (!positive(config.RAW_RETENTION_DAYS)) {
+    throw new Error('RETENTION_RAW_DAYS must be a positive number');
+  }
+  if (!positive(config.COMPACT_BUCKET_MINUTES)) {
+    throw new Error('RETENTION_BUCKET_MINUTES must be a positive number');
+  }
+  if (!positive(config.PURGE_AFTER_DAYS)) {
+    throw new Error('RETENTION_PURGE_DAYS must be a positive number');
+  }
+  if (config.PURGE_AFTER_DAYS <= config.RAW_RETENTION_DAYS) {
+    throw new Error('RETENTION_PURGE_DAYS must be greater than RETENTION_RAW_DAYS');
+  }
+}
+
+/**
+ * Summarize the raw points of one bucket
+ * @param {Array<object>} points - Lean Location documents, oldest first
+ * @returns {object} LocationSummary fields (without deviceId/bucket bounds)
+ */
+export function summarizeBucket(points) {
+  // Representative point: most accurate fix, latest wins ties
+  let representative = points[0];
+  for (const point of points) {
+    const best = representative.accuracy ?? Infinity;
+    if ((point.accuracy ?? Infinity) <= best) {
+      representative = point;
+    }
+  }
+
+  const speeds = points
+    .map(point => point.speed)
+    .filter(speed => typeof speed === 'number');
+
+  return {
+    latitude: representative.latitude,
+    longitude: representative.longitude,
+    accuracy: representative.accuracy,
+    recordedAt: representative.recordedAt,
+    pointCount: points.length,
+    firstRecordedAt: points[0].recordedAt,
+    lastRecordedAt: points[points.length - 1].recordedAt,
+    distanceM: pathDistance(points),
+    avgSpeed:
+      speeds.length > 0
+        ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length
+        : undefined,
+    maxSpeed: speeds.length > 0 ? Math.max(...speeds) : undefined,
+    speedSamples: speeds.length,
+    bounds: {
+      minLatitude: Math.min(...points.map(point => point.latitude)),
+      maxLatitude: Math.max(...points.map(point => point.latitude)),
+      minLongitude: Math.min(...points.map(point => point.longitude)),
+      maxLongitude: Math.max(...points.map(point => point.longitude)),
+    },
+  };
+}
+
+/**
+ * Fold a newly compacted bucket into an existing summary for the same bucket
+ * (happens when offline queues deliver old points after the bucket was compacted)
+ * @param {object} existing - Stored summary
+ * @param {object} incoming - Summary of the newly compacted points
+ * @returns {object} Merged summary fields
+ */
+export function mergeSummaries(existing, incoming) {
+  const incomingIsBetter =
+    (incoming.accuracy ?? Infinity) < (existing.accuracy ?? Infinity);
+  const representative = incomingIsBetter ? incoming : existing;
+  const speedSamples = (existing.speedSamples || 0) + incoming.speedSamples;
+
+  return {
+    latitude: representative.latitude,
+    longitude: representative.longitude,
+    accuracy: representative.accuracy,
+    recordedAt: representative.recordedAt,
+    pointCount: existing.pointCount + incoming.pointCount,
+    firstRecordedAt:
+      existing.firstRecordedAt < incoming.firstRecordedAt
+        ? existing.firstRecordedAt
+        : incoming.firstRecordedAt,
+    lastRecordedAt:
+      existing.lastRecordedAt > incoming.lastRecordedAt
+        ? existing.lastRecordedAt
+        : incoming.lastRecordedAt,
+    // Points from separate deliveries interleave; path length is approximate
+    distanceM: (existing.distanceM || 0) + incoming.distanceM,
+    avgSpeed:
+      speedSamples > 0
+        ? ((existing.avgSpeed || 0) * (existing.speedSamples || 0) +
+            (incoming.avgSpeed || 0) * incoming.speedSamples) /
+          speedSamples
+        : undefined,
+    maxSpeed:
+      existing.maxSpeed == null
+        ? incoming.maxSpeed
+        : Math.max(existing.maxSpeed, incoming.maxSpeed ?? -Infinity),
+    speedSamples,
+    bounds: {
+      minLatitude: Math.min(existing.bounds.minLatitude, incoming.bounds.minLatitude),
+      maxLatitude: Math.max(existing.bounds.maxLatitude, incoming.bounds.maxLatitude),
+      minLongitude: Math.min(existing.bounds.minLongitude, incoming.bounds.minLongitude),
+      maxLongitude: Math.max(existing.bounds.maxLongitude, incoming.bounds.maxLongitude),
+    },
+  };
+}
+
+/**
+ * Stat fields of a stored summary (what summarizeBucket produces)
+ */
+function summaryStats(summary) {
+  const {
+    latitude, longitude, accuracy, recordedAt, pointCount, firstRecordedAt,
+    lastRecordedAt, distanceM, avgSpeed, maxSpeed, speedSamples, bounds,
+  } = summary;
+  return {
+    latitude, longitude, accuracy, recordedAt, pointCount, firstRecordedAt,
+    lastRecordedAt, distanceM, avgSpeed, maxSpeed, speedSamples, bounds,
+  };
+}
+
+/**
+ * Summarize a bucket's points, keeping suspect points out of the stats
+ * unless every point is suspect (the summary is then marked suspect itself)
+ * @param {Array<object>} points - Lean Location documents, oldest first
+ * @returns {object} LocationSummary fields (without deviceId/bucket bounds/pointIds)
+ */
+export function summarizeWithSuspects(points) {
+  const trusted = points.filter(point => !point.suspect);
+  const suspects = points.filter(point => point.suspect);
+  const flags = [...new Set(suspects.flatMap(point => point.plausibilityFlags || []))];
+
+  return {
+    ...summarizeBucket(trusted.length > 0 ? trusted : points),
+    suspect: trusted.length === 0,
+    suspectCount: suspects.length,
+    plausibilityFlags: flags.length > 0 ? flags : undefined,
+  };
+}
+
+/**
+ * Fold a newly compacted bucket into the stored summary of the same bucket,
+ * suspect points included: a trusted side always wins over a suspect one
+ * @param {object} existing - Stored summary
+ * @param {object} incoming - Output of summarizeWithSuspects
+ * @returns {object} Merged summary fields
+ */
+export function combineSummaries(existing, incoming) {
+  const existingSuspect = existing.suspect === true;
+  let stats;
+  if (existingSuspect === incoming.suspect) {
+    stats = mergeSummaries(existing, incoming);
+  } else {
+    stats = summaryStats(existingSuspect ? incoming : existing);
+  }
+  const flags = [...new Set([...(existing.plausibilityFlags || []), ...(incoming.plausibilityFlags || [])])];
+
+  return {
+    ...stats,
+    suspect: existingSuspect && incoming.suspect,
+    suspectCount: (existing.suspectCount || 0) + incoming.suspectCount,
+    plausibilityFlags: flags.length > 0 ? flags : undefined,
+  };
+}
+
+/**
+ * Store one bucket's summary and delete its raw points
+ * The bucket keeps the points' pointIds so replayed uploads are still
+ * recognized (see findCompactedPointIds).
+ */
+async function saveBucket(deviceId, bucketStart, bucketMs, points) {
+  const start = new Date(bucketStart);
+  const incoming = summarizeWithSuspects(points);
+  const existing = await LocationSummary.findOne({deviceId, bucketStart: start}).lean();
+  const {suspect, ...summary} = existing ? combineSummaries(existing, incoming) : incoming;
+  // Buckets without speed samples have no speed stats to store
+  const fields = Object.fromEntries(
+    Object.entries(summary).filter(([, value]) => value !== undefined),
+  );
+  const pointIds = points.map(point => point.pointId).filter(pointId => pointId != null);
+
+  await LocationSummary.updateOne(
+    {deviceId, bucketStart: start},
+    {
+      $set: {...fields, bucketEnd: new Date(bucketStart + bucketMs), ...(suspect && {suspect})},
+      ...(!suspect && {$unset: {suspect: ''}}),
+      ...(pointIds.length > 0 && {$addToSet: {pointIds: {$each: pointIds}}}),
+    },
+    {upsert: true},
+  );
+
+  // Delete by _id so points that arrive mid-run are never lost
+  await Location.deleteMany({_id: {$in: points.map(point => point._id)}});
+}
+
+/**
+ * Which of a device's uploaded points were stored before and have since been
+ * compacted (their raw point, and its pointId, is gone)
+ * @param {string} deviceId
+ * @param {Array<{pointId?: string, recordedAt: Date}>} points
+ * @param {Date} now
+ * @returns {Promise<Set<string>>} pointIds already compacted
+ */
+export async function findCompactedPointIds(deviceId, points, now = new Date()) {
+  const rawCutoff = now.getTime() - RETENTION_CONFIG.RAW_RETENTION_DAYS * DAY_MS;
+  const bucketMs = RETENTION_CONFIG.COMPACT_BUCKET_MINUTES * MINUTE_MS;
+  const old = points.filter(point => point.pointId != null && point.recordedAt.getTime() < rawCutoff);
+  if (old.length === 0) {
+    return new Set();
+  }
+
+  const pointIds = old.map(point => point.pointId);
+  const bucketStarts = [
+    ...new Set(old.map(point => Math.floor(point.recordedAt.getTime() / bucketMs) * bucketMs)),
+  ].map(start => new Date(start));
+  const summaries = await LocationSummary.find({
+    deviceId,
+    bucketStart: {$in: bucketStarts},
+    pointIds: {$in: pointIds},
+  })
+    .select('+pointIds')
+    .lean();
+
+  const compacted = new Set(summaries.flatMap(summary => summary.pointIds));
+  return new Set(pointIds.filter(pointId => compacted.has(pointId)));
+}
+
+/**
+ * Compact one device's raw points older than the cutoff into summary buckets
+ * @returns {Promise<{buckets: number, points: number}>}
+ */
+async function compactDevice(deviceId, rawCutoff, startedAt, bucketMs) {
+  const cursor = Location.find({
+    deviceId,
+    recordedAt: {$lt: rawCutoff},
+    receivedAt: {$lte: startedAt},
+  })
+    .sort({recordedAt: 1})
+    .select('pointId latitude longitude accuracy speed recordedAt suspect plausibilityFlags')
+    .lean()
+    .cursor();
+
+  let bucket = [];
+  let bucketStart = null;
+  let buckets = 0;
+  let points = 0;
+
+  for await (const point of cursor) {
+    const start = Math.floor(point.recordedAt.getTime() / bucketMs) * bucketMs;
+    if (bucketStart !== null && start !== bucketStart) {
+      await saveBucket(deviceId, bucketStart, bucketMs, bucket);
+      buckets++;
+      bucket = [];
+    }
+    bucketStart = start;
+    bucket.push(point);
+    points++;
+  }
+
+  if (bucket.length > 0) {
+    await saveBucket(deviceId, bucketStart, bucketMs, bucket);
+    buckets++;
+  }
+
+  return {buckets, points};
+}
+
+/**
+ * Run one retention pass: purge expired data, then compact old raw points
+ * Runs only while holding the shared retention lease, so several server
+ * instances (or the retention script) never compact the same buckets at once.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<object|null>} Run statistics, or null if skipped
+ */
+export async function runRetention(now = new Date()) {
+  if (!RETENTION_CONFIG.ENABLED || isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  let owner = null;
+  try {
+    owner = await acquireLease(LEASE_NAME, RETENTION_CONFIG.LEASE_MS);
+    if (!owner) {
+      console.log('🗄️ Retention run skipped: another instance is running it');
+      return null;
+    }
+
+    const rawCutoff = new Date(now.getTime() - RETENTION_CONFIG.RAW_RETENTION_DAYS * DAY_MS);
+    const purgeCutoff = new Date(now.getTime() - RETENTION_CONFIG.PURGE_AFTER_DAYS * DAY_MS);
+    const bucketMs = RETENTION_CONFIG.COMPACT_BUCKET_MINUTES * MINUTE_MS;
+
+    const stats = {devices: 0, buckets: 0, compactedPoints: 0, purged: 0};
+
+    // Purge first so nothing past the hard limit gets compacted
+    const [purgedRaw, purgedSummaries] = await Promise.all([
+      Location.deleteMany({recordedAt: {$lt: purgeCutoff}}),
+      LocationSummary.deleteMany({bucketStart: {$lt: purgeCutoff}}),
+    ]);
+    stats.purged = purgedRaw.deletedCount + purgedSummaries.deletedCount;
+
+    const deviceIds = await Location.distinct('deviceId', {
+      recordedAt: {$lt: rawCutoff},
+    });
+    for (const deviceId of deviceIds) {
+      if (!(await renewLease(LEASE_NAME, owner, RETENTION_CONFIG.LEASE_MS))) {
+        console.warn('⚠️ Retention lease lost; stopping this run');
+        owner = null;
+        break;
+      }
+      const result = await compactDevice(deviceId, rawCutoff, now, bucketMs);
+      stats.devices++;
+      stats.buckets += result.buckets;
+      stats.compactedPoints += result.points;
+    }
+
+    console.log('🗄️ Retention run complete:', stats);
+    return stats;
+  } finally {
+    if (owner) {
+      await releaseLease(LEASE_NAME, owner);
+    }
+    isRunning = false;
+  }
+}
+
+/**
+ * Validate configuration and schedule periodic retention runs
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when retention is disabled
+ */
+export function startRetentionJob() {
+  if (!RETENTION_CONFIG.ENABLED) {
+    console.log('🗄️ Data retention disabled');
+    return null;
+  }
+
+  validateRetentionConfig();
+
+  const run = () =>
+    runRetention().catch(err => {
+      console.error('❌ Retention run failed:', err);
+    });
+
+  setTimeout(run, RETENTION_CONFIG.START_DELAY_MS).unref();
+  const handle = setInterval(run, RETENTION_CONFIG.RUN_INTERVAL_MS);
+  handle.unref();
+  console.log(
+    `🗄️ Data retention: raw ${RETENTION_CONFIG.RAW_RETENTION_DAYS}d, ` +
+      `${RETENTION_CONFIG.COMPACT_BUCKET_MINUTES}min buckets, ` +
+      `purge after ${RETENTION_CONFIG.PURGE_AFTER_DAYS}d, ` +
+      `first run in ${RETENTION_CONFIG.START_DELAY_MS / MINUTE_MS}min`,
+  );
+  return handle;
+}
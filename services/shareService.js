@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import ShareLink from '../models/ShareLink.js';
+import {SHARE_CONFIG} from '../config/apiConfig.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Dashboard URL that opens a share link, if SHARE_BASE_URL is configured
+ * @param {string} token
+ * @returns {string|null}
+ */
+function shareUrl(token) {
+  if (!SHARE_CONFIG.BASE_URL) {
+    return null;
+  }
+  return `${SHARE_CONFIG.BASE_URL.replace(/\/+$/, '')}/?share=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Share link fields returned to the owner
+ * @param {object} link - ShareLink document
+ */
+export function toShareResponse(link) {
+  return {
+    id: link._id,
+    label: link.label || null,
+    scope: link.scope,
+    historyHours: link.historyHours,
+    expiresAt: link.expiresAt,
+    createdAt: link.createdAt,
+    lastAccessedAt: link.lastAccessedAt,
+    accessCount: link.accessCount,
+  };
+}
+
+/**
+ * Create a share link for a device
+ * @param {object} ownerId - User _id
+ * @param {string} deviceId
+ * @param {{scope: 'live'|'history', historyHours?: number, expiresInHours: number, label?: string}} options
+ * @returns {Promise<{link?: object, token?: string, url?: string|null, error?: 'LIMIT'}>}
+ *   The token (and url) are only ever returned here
+ */
+export async function createShareLink(ownerId, deviceId, {scope, historyHours, expiresInHours, label}) {
+  const active = await ShareLink.countDocuments({
+    deviceId,
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+  });
+  if (active >= SHARE_CONFIG.MAX_ACTIVE_LINKS_PER_DEVICE) {
+    return {error: 'LIMIT'};
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const link = await ShareLink.create({
+    tokenHash: hashToken(token),
+    deviceId,
+    owner: ownerId,
+    label,
+    scope,
+    historyHours: scope === 'history' ? historyHours : null,
+    expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS),
+  });
+
+  return {link: link.toObject(), token, url: shareUrl(token)};
+}
+
+/**
+ * Active (unrevoked, unexpired) share links of a device, newest first
+ * @param {string} deviceId
+ * @returns {Promise<object[]>} Lean ShareLink documents
+ */
+export function listShareLinks(deviceId) {
+  return ShareLink.find({deviceId, revokedAt: null, expiresAt: {$gt: new Date()}})
+    .sort({createdAt: -1})
+    .lean();
+}
+
+/**
+ * Revoke one share link of a device
+ * @param {string} deviceId
+ * @param {string} shareId
+ * @returns {Promise<boolean>} false if the link is unknown or already revoked
+ */
+export async function revokeShareLink(deviceId, shareId) {
+  const result = await ShareLink.updateOne(
+    {_id: shareId, deviceId, revokedAt: null},
+    {$set: {revokedAt: new Date()}},
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every share link of a device (device removed)
+ * @param {string} deviceId
+ */
+export async function revokeDeviceShareLinks(deviceId) {
+  await ShareLink.updateMany({deviceId, revokedAt: null}, {$set: {revokedAt: new Date()}});
+}
+
+/**
+ * Revoke every share link an account created (account disabled)
+ * @param {object} ownerId - User _id
+ */
+export async function revokeOwnerShareLinks(ownerId) {
+  await ShareLink.updateMany({owner: ownerId, revokedAt: null}, {$set: {revokedAt: new Date()}});
+}
+
+/**
+ * Look up a share link by its token and record the access
+ * @param {string} token - Token from the link
+ * @returns {Promise<object|null>} Lean ShareLink, or null if unknown, revoked or expired
+ */
+export function resolveShareLink(token) {
+  return ShareLink.findOneAndUpdate(
+    {tokenHash: hashToken(token), revokedAt: null, expiresAt: {$gt: new Date()}},
+    {$set: {lastAccessedAt: new Date()}, $inc: {accessCount: 1}},
+    {new: true},
+  ).lean();
+}
@@ -0,0 +1,260 @@
+import {Buffer} from 'buffer';
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import {AUTH_CONFIG} from '../config/apiConfig.js';
+import {generateAccessToken} from '../middleware/auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store a new refresh token and return it (the raw token is never stored)
+ * @param {object} userId
+ * @param {string} family - Session the token belongs to
+ * @param {{userAgent?: string, ip?: string}} client - Request metadata
+ * @returns {Promise<{refreshToken: string, refreshExpiresAt: Date}>}
+ */
+async function createRefreshToken(userId, family, client) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const refreshExpiresAt = new Date(Date.now() + AUTH_CONFIG.REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: refreshExpiresAt,
+    userAgent: client.userAgent?.slice(0, 256),
+    ip: client.ip,
+  });
+
+  return {refreshToken, refreshExpiresAt};
+}
+
+/**
+ * Token fields returned by login, register and refresh
+ */
+function sessionPayload(user, refresh) {
+  return {
+    token: generateAccessToken(user),
+    expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL_SECONDS, // seconds
+    refreshToken: refresh.refreshToken,
+    refreshExpiresAt: refresh.refreshExpiresAt,
+  };
+}
+
+/**
+ * Request metadata stored with refresh tokens
+ * @param {object} req - Express request
+ * @returns {{userAgent?: string, ip?: string}}
+ */
+export function clientInfo(req) {
+  return {userAgent: req.get('user-agent'), ip: req.ip};
+}
+
+/**
+ * Start a new session (login / register)
+ * @param {object} user - User document
+ * @param {{userAgent?: string, ip?: string}} client
+ * @returns {Promise<{token: string, expiresIn: number, refreshToken: string, refreshExpiresAt: Date}>}
+ */
+export async function issueSession(user, client = {}) {
+  const family = crypto.randomUUID();
+  const refresh = await createRefreshToken(user._id, family, client);
+  return sessionPayload(user, refresh);
+}
+
+/**
+ * Revoke every live token of a session
+ * @param {string} family
+ * @param {string} reason - revokedReason to record
+ */
+async function revokeFamily(family, reason) {
+  await RefreshToken.updateMany(
+    {family, revokedAt: null},
+    {$set: {revokedAt: new Date(), revokedReason: reason}},
+  );
+}
+
+// Successors are encrypted with a key only the holder of the old token can derive
+// (tokenHash is a plain SHA-256 of the token, so the key uses a different input)
+const successorKey = token => crypto.createHash('sha256').update(`successor:${token}`).digest();
+
+/**
+ * Encrypt a successor token for storage on the token it replaces
+ * @param {string} token - Token being rotated
+ * @param {string} successor - Token it is rotated into
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+function sealSuccessor(token, successor) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', successorKey(token), iv);
+  const sealed = Buffer.concat([cipher.update(successor, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored successor
+ * @param {string} token - Rotated token that was presented
+ * @param {string} value - Output of sealSuccessor
+ * @returns {string|null} null if it cannot be decrypted with this token
+ */
+function openSuccessor(token, value) {
+  try {
+    const [iv, tag, sealed] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', successorKey(token), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Successor of a token rotated moments ago, if it can still be handed out
+ * @param {string} refreshToken - The rotated token that was presented
+ * @param {object} stored - Its RefreshToken record
+ * @returns {Promise<{refreshToken: string, refreshExpiresAt: Date}|null>}
+ */
+async function graceSuccessor(refreshToken, stored) {
+  const graceMs = AUTH_CONFIG.REFRESH_REUSE_GRACE_SECONDS * 1000;
+  if (!stored.successor || Date.now() - stored.revokedAt.getTime() > graceMs) {
+    return null;
+  }
+
+  const successor = openSuccessor(refreshToken, stored.successor);
+  if (!successor) {
+    return null;
+  }
+
+  // The successor must still be live; if it was rotated or logged out in the
+  // meantime, this is reuse after all
+  const next = await RefreshToken.findOne({tokenHash: hashToken(successor)}).lean();
+  if (!next || next.revokedAt || next.expiresAt <= new Date()) {
+    return null;
+  }
+  return {refreshToken: successor, refreshExpiresAt: next.expiresAt};
+}
+
+/**
+ * Load the user a token belongs to, refusing deleted and disabled accounts
+ * @param {object} userId
+ * @returns {Promise<{user?: object, error?: 'INVALID'|'DISABLED'}>}
+ */
+async function sessionUser(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    return {error: 'INVALID'};
+  }
+  if (user.disabledAt) {
+    return {error: 'DISABLED'};
+  }
+  return {user};
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ * The presented token is revoked. Presenting a token that was already rotated
+ * means two parties hold it (one of them stole it), so the whole session is
+ * revoked and both have to log in again - except within
+ * AUTH_CONFIG.REFRESH_REUSE_GRACE_SECONDS of the rotation, when the same
+ * successor is returned again (two tabs refreshing at the same moment).
+ * @param {string} refreshToken
+ * @param {{userAgent?: string, ip?: string}} client
+ * @returns {Promise<{session?: object, user?: object, error?: 'INVALID'|'EXPIRED'|'REUSED'|'DISABLED'}>}
+ */
+export async function rotateRefreshToken(refreshToken, client = {}) {
+  const stored = await RefreshToken.findOne({tokenHash: hashToken(refreshToken)}).lean();
+  if (!stored) {
+    return {error: 'INVALID'};
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      return reuseOrGrace(refreshToken, stored);
+    }
+    return {error: 'INVALID'};
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    return {error: 'EXPIRED'};
+  }
+
+  const {user, error} = await sessionUser(stored.userId);
+  if (error) {
+    return {error};
+  }
+
+  // Claim the token atomically; losing the race means it was just rotated.
+  // The successor exists before the claim and is recorded with it, so the
+  // loser can be handed the same successor.
+  const refresh = await createRefreshToken(user._id, stored.family, client);
+  const claimed = await RefreshToken.findOneAndUpdate(
+    {_id: stored._id, revokedAt: null},
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        lastUsedAt: new Date(),
+        successor: sealSuccessor(refreshToken, refresh.refreshToken),
+      },
+    },
+  );
+  if (!claimed) {
+    await RefreshToken.deleteOne({tokenHash: hashToken(refresh.refreshToken)});
+    const current = await RefreshToken.findById(stored._id).lean();
+    return reuseOrGrace(refreshToken, current || stored);
+  }
+
+  return {user, session: sessionPayload(user, refresh)};
+}
+
+/**
+ * Handle a token that was already rotated
+ * @param {string} refreshToken
+ * @param {object} stored - Its RefreshToken record
+ */
+async function reuseOrGrace(refreshToken, stored) {
+  const successor = await graceSuccessor(refreshToken, stored);
+  if (successor) {
+    const {user, error} = await sessionUser(stored.userId);
+    return error ? {error} : {user, session: sessionPayload(user, successor)};
+  }
+
+  console.warn(`⚠️ Refresh token reuse detected for user ${stored.userId}; revoking session`);
+  await revokeFamily(stored.family, 'reuse_detected');
+  return {error: 'REUSED'};
+}
+
+/**
+ * Log out one session
+ * @param {string} refreshToken - Any token of the session
+ * @returns {Promise<boolean>} false if the token is unknown
+ */
+export async function revokeSession(refreshToken) {
+  const stored = await RefreshToken.findOne({tokenHash: hashToken(refreshToken)}).lean();
+  if (!stored) {
+    return false;
+  }
+  await revokeFamily(stored.family, 'logout');
+  return true;
+}
+
+/**
+ * Log out every session of a user
+ * Revokes all refresh tokens and bumps tokenVersion so outstanding access
+ * tokens stop working immediately instead of at expiry.
+ * @param {object} userId
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export async function revokeAllSessions(userId) {
+  const [result] = await Promise.all([
+    RefreshToken.updateMany(
+      {userId, revokedAt: null},
+      {$set: {revokedAt: new Date(), revokedReason: 'logout_all'}},
+    ),
+    User.updateOne({_id: userId}, {$inc: {tokenVersion: 1}}),
+  ]);
+  return result.modifiedCount;
+}
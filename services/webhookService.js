@@ -0,0 +1,526 @@
+import crypto from 'crypto';
+import {Buffer} from 'buffer';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import Device from '../models/Device.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import {WEBHOOK_CONFIG} from '../config/apiConfig.js';
+import {signPayload} from './deviceSecretService.js';
+import {isInternalAddress, publicLookup} from '../utils/network.js';
+
+// A claimed delivery is retried by another worker run if its attempt hasn't
+// been recorded this long after the request timed out (e.g. the server stopped)
+const LEASE_SLACK_MS = 60 * 1000;
+
+let isRunning = false;
+
+/**
+ * Webhook fields returned by the API (never the secret)
+ * @param {object} webhook - Webhook document
+ */
+export function toWebhookResponse(webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    deviceId: webhook.deviceId || null,
+    events: webhook.events,
+    description: webhook.description || null,
+    enabled: webhook.enabled,
+    lastDelivery: webhook.lastDelivery?.at
+      ? {
+          at: webhook.lastDelivery.at,
+          ok: webhook.lastDelivery.ok,
+          statusCode: webhook.lastDelivery.statusCode ?? null,
+          error: webhook.lastDelivery.error || null,
+        }
+      : null,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt,
+  };
+}
+
+/**
+ * Delivery fields returned by the API
+ * @param {object} delivery - WebhookDelivery document
+ */
+export function toDeliveryResponse(delivery) {
+  return {
+    id: delivery._id,
+    webhookId: delivery.webhookId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: JSON.parse(delivery.body),
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    lastAttemptAt: delivery.lastAttemptAt || null,
+    lastStatusCode: delivery.lastStatusCode ?? null,
+    lastError: delivery.lastError || null,
+    deliveredAt: delivery.deliveredAt || null,
+    deadAt: delivery.deadAt || null,
+    createdAt: delivery.createdAt,
+  };
+}
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Delay before the attempt after `attempts` failed ones
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(WEBHOOK_CONFIG.RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_CONFIG.RETRY_MAX_MS);
+}
+
+/**
+ * A user's webhooks, oldest first
+ * @param {object} ownerId - User _id
+ * @returns {Promise<object[]>} Lean Webhook documents
+ */
+export function listWebhooks(ownerId) {
+  return Webhook.find({owner: ownerId}).sort({createdAt: 1}).lean();
+}
+
+/**
+ * One webhook of a user
+ * @param {object} ownerId - User _id
+ * @param {string} webhookId
+ * @returns {Promise<object|null>}
+ */
+export function getWebhook(ownerId, webhookId) {
+  return Webhook.findOne({_id: webhookId, owner: ownerId}).lean();
+}
+
+/**
+ * Subscribe a URL to events of one or all of a user's devices
+ * The signing secret is returned only here and when rotated.
+ * @param {object} ownerId - User _id
+ * @param {object} fields - Validated body (see createWebhookSchema)
+ * @returns {Promise<{webhook?: object, secret?: string, error?: 'DEVICE_NOT_FOUND'|'LIMIT'}>}
+ */
+export async function createWebhook(ownerId, {url, events, description, deviceId, enabled = true}) {
+  if (deviceId && !(await Device.exists({deviceId, owner: ownerId}))) {
+    return {error: 'DEVICE_NOT_FOUND'};
+  }
+  const count = await Webhook.countDocuments({owner: ownerId});
+  if (count >= WEBHOOK_CONFIG.MAX_PER_USER) {
+    return {error: 'LIMIT'};
+  }
+
+  const secret = newSecret();
+  const webhook = await Webhook.create({
+    owner: ownerId,
+    deviceId: deviceId || null,
+    url,
+    events: [...new Set(events)],
+    description,
+    secret,
+    enabled,
+  });
+  const stored = webhook.toObject();
+  delete stored.secret;
+  return {webhook: stored, secret};
+}
+
+/**
+ * Change a webhook's URL, events, description or enabled flag
+ * @param {object} ownerId - User _id
+ * @param {string} webhookId
+ * @param {object} fields - Validated body (see updateWebhookSchema)
+ * @returns {Promise<object|null>} Updated lean Webhook, or null if not found
+ */
+export function updateWebhook(ownerId, webhookId, {url, events, description, enabled}) {
+  const set = {
+    ...(url !== undefined && {url}),
+    ...(events !== undefined && {events: [...new Set(events)]}),
+    ...(description !== undefined && {description}),
+    ...(enabled !== undefined && {enabled}),
+  };
+  return Webhook.findOneAndUpdate({_id: webhookId, owner: ownerId}, {$set: set}, {new: true, runValidators: true}).lean();
+}
+
+/**
+ * Issue a new signing secret; the old one stops working immediately
+ * @param {object} ownerId - User _id
+ * @param {string} webhookId
+ * @returns {Promise<{webhook: object, secret: string}|null>} null if not found
+ */
+export async function rotateWebhookSecret(ownerId, webhookId) {
+  const secret = newSecret();
+  const webhook = await Webhook.findOneAndUpdate({_id: webhookId, owner: ownerId}, {$set: {secret}}, {new: true}).lean();
+  return webhook ? {webhook, secret} : null;
+}
+
+/**
+ * Delete a webhook and its deliveries
+ * @param {object} ownerId - User _id
+ * @param {string} webhookId
+ * @returns {Promise<boolean>} false if not found
+ */
+export async function deleteWebhook(ownerId, webhookId) {
+  const {deletedCount} = await Webhook.deleteOne({_id: webhookId, owner: ownerId});
+  if (deletedCount === 0) {
+    return false;
+  }
+  await WebhookDelivery.deleteMany({webhookId});
+  return true;
+}
+
+/**
+ * Delete the webhooks scoped to a device and their deliveries (device removed
+ * from its account); account-wide webhooks stay
+ * @param {string} deviceId
+ */
+export async function deleteDeviceWebhooks(deviceId) {
+  const webhookIds = await Webhook.find({deviceId}).distinct('_id');
+  if (webhookIds.length === 0) {
+    return;
+  }
+  await Promise.all([
+    Webhook.deleteMany({_id: {$in: webhookIds}}),
+    WebhookDelivery.deleteMany({webhookId: {$in: webhookIds}}),
+  ]);
+}
+
+/**
+ * One page of a webhook's deliveries, newest first
+ * @param {object} webhookId - Webhook _id (ownership checked by the caller)
+ * @param {{status?: string, event?: string, skip: number, limit: number}} query
+ * @returns {Promise<{total: number, deliveries: object[]}>}
+ */
+export async function listDeliveries(webhookId, {status, event, skip, limit}) {
+  const filter = {webhookId};
+  if (status) {
+    filter.status = status;
+  }
+  if (event) {
+    filter.event = event;
+  }
+
+  const [total, deliveries] = await Promise.all([
+    WebhookDelivery.countDocuments(filter),
+    WebhookDelivery.find(filter).sort({createdAt: -1, _id: -1}).skip(skip).limit(limit).lean(),
+  ]);
+  return {total, deliveries};
+}
+
+/**
+ * Request body of an event
+ * @returns {string} JSON
+ */
+function eventBody(eventId, type, deviceId, data, createdAt) {
+  return JSON.stringify({id: eventId, type, createdAt, deviceId, data});
+}
+
+/**
+ * Queue an event for every enabled webhook of the device's owner that
+ * subscribes to it. Never rejects: failures are logged, so callers can fire
+ * and forget.
+ * @param {string} type - One of WEBHOOK_CONFIG.EVENT_TYPES
+ * @param {string} deviceId
+ * @param {object} data - Event details (JSON-serializable)
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function publishEvent(type, deviceId, data) {
+  if (!WEBHOOK_CONFIG.ENABLED) {
+    return 0;
+  }
+
+  try {
+    const device = await Device.findOne({deviceId}).select('owner').lean();
+    if (!device) {
+      return 0;
+    }
+    const webhooks = await Webhook.find({
+      owner: device.owner,
+      enabled: true,
+      events: type,
+      $or: [{deviceId: null}, {deviceId}],
+    })
+      .select('_id owner')
+      .lean();
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const eventId = crypto.randomUUID();
+    const body = eventBody(eventId, type, deviceId, data, now.toISOString());
+    await WebhookDelivery.insertMany(
+      webhooks.map(webhook => ({
+        webhookId: webhook._id,
+        owner: webhook.owner,
+        eventId,
+        event: type,
+        body,
+        nextAttemptAt: now,
+      })),
+    );
+
+    console.log(`🪝 Queued ${type} for ${webhooks.length} webhook(s) of deviceId ${deviceId}`);
+    setImmediate(runWorker);
+    return webhooks.length;
+  } catch (err) {
+    console.error(`⚠️ Could not queue webhook event ${type}`, err);
+    return 0;
+  }
+}
+
+/**
+ * POST a body and resolve with the response status
+ * Redirects are not followed. Unless insecure URLs are allowed, the receiver
+ * must resolve to a public address when connecting, not only when the
+ * webhook was saved.
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @param {AbortSignal} signal
+ * @returns {Promise<number>} HTTP status code
+ */
+function postToReceiver(url, headers, body, signal) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  const guarded = !WEBHOOK_CONFIG.ALLOW_INSECURE_URLS;
+  if (guarded && net.isIP(host) && isInternalAddress(host)) {
+    // IP literals are connected to without a lookup
+    return Promise.reject(new Error(`${host} is an internal address`));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {...headers, 'Content-Length': Buffer.byteLength(body)},
+      signal,
+      ...(guarded && {lookup: publicLookup}),
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POST one delivery to its receiver
+ * The body is signed like device uploads: hex HMAC-SHA256 of
+ * `${timestamp}.${body}` with the webhook's secret.
+ * @param {object} webhook - Webhook document with its secret
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<{ok: boolean, statusCode: number|null, error: string|null}>}
+ */
+async function attemptDelivery(webhook, delivery) {
+  const timestamp = Date.now().toString();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_CONFIG.TIMEOUT_MS);
+  try {
+    // A redirect is a failed delivery, not a hop to another host
+    const statusCode = await postToReceiver(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DeviceTracker-Webhooks/1.0',
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body),
+    }, delivery.body, controller.signal);
+
+    const ok = statusCode >= 200 && statusCode < 300;
+    return {ok, statusCode, error: ok ? null : `Receiver answered ${statusCode}`};
+  } catch (err) {
+    const error = err.name === 'AbortError'
+      ? `No response within ${WEBHOOK_CONFIG.TIMEOUT_MS / 1000}s`
+      : err.code && err.code !== 'EINTERNALADDRESS' ? err.code : err.message;
+    return {ok: false, statusCode: null, error};
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Save the outcome of an attempt on the webhook
+ */
+function recordLastDelivery(webhookId, at, {ok, statusCode, error}) {
+  return Webhook.updateOne({_id: webhookId}, {$set: {lastDelivery: {at, ok, statusCode, error}}});
+}
+
+/**
+ * Attempt a claimed delivery and schedule what comes next: done, another
+ * attempt after the backoff delay, or dead after MAX_ATTEMPTS
+ * @param {object} delivery - Claimed WebhookDelivery (attempts already counted)
+ */
+async function processDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean();
+
+  const result = !webhook
+    ? {ok: false, statusCode: null, error: 'Webhook deleted'}
+    : !webhook.enabled
+      ? {ok: false, statusCode: null, error: 'Webhook disabled'}
+      : await attemptDelivery(webhook, delivery);
+  const attemptedAt = new Date();
+
+  let update;
+  if (result.ok) {
+    update = {status: 'delivered', deliveredAt: attemptedAt, nextAttemptAt: null};
+  } else if (!webhook?.enabled || delivery.attempts >= WEBHOOK_CONFIG.MAX_ATTEMPTS) {
+    update = {status: 'dead', deadAt: attemptedAt, nextAttemptAt: null};
+    console.error(`☠️ Webhook delivery ${delivery._id} (${delivery.event}) dead after ${delivery.attempts} attempt(s): ${result.error}`);
+  } else {
+    update = {nextAttemptAt: new Date(attemptedAt.getTime() + retryDelay(delivery.attempts))};
+  }
+
+  await WebhookDelivery.updateOne(
+    {_id: delivery._id},
+    {$set: {...update, lastAttemptAt: attemptedAt, lastStatusCode: result.statusCode, lastError: result.error}},
+  );
+  if (webhook?.enabled) {
+    await recordLastDelivery(webhook._id, attemptedAt, result);
+  }
+}
+
+/**
+ * Claim the next due delivery by pushing its nextAttemptAt past the request
+ * timeout, so concurrent runs (or servers) don't send it twice
+ * @returns {Promise<object|null>}
+ */
+function claimDelivery(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    {status: 'pending', nextAttemptAt: {$lte: now}},
+    {
+      $set: {nextAttemptAt: new Date(now.getTime() + WEBHOOK_CONFIG.TIMEOUT_MS + LEASE_SLACK_MS)},
+      $inc: {attempts: 1},
+    },
+    {sort: {nextAttemptAt: 1}, new: true},
+  ).lean();
+}
+
+/**
+ * Send the deliveries that are due, up to WORKER_BATCH_SIZE per round
+ * @returns {Promise<number|null>} Deliveries attempted, or null if skipped
+ */
+export async function runWebhookDeliveries(now = new Date()) {
+  if (!WEBHOOK_CONFIG.ENABLED || isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    let attempted = 0;
+    for (;;) {
+      const batch = [];
+      while (batch.length < WEBHOOK_CONFIG.WORKER_BATCH_SIZE) {
+        const delivery = await claimDelivery(now);
+        if (!delivery) {
+          break;
+        }
+        batch.push(delivery);
+      }
+      await Promise.all(batch.map(processDelivery));
+      attempted += batch.length;
+      if (batch.length < WEBHOOK_CONFIG.WORKER_BATCH_SIZE) {
+        return attempted;
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+}
+
+function runWorker() {
+  runWebhookDeliveries().catch(err => {
+    console.error('❌ Webhook delivery run failed:', err);
+  });
+}
+
+/**
+ * Schedule the delivery worker
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when webhooks are disabled
+ */
+export function startWebhookWorker() {
+  if (!WEBHOOK_CONFIG.ENABLED) {
+    console.log('🪝 Webhooks disabled');
+    return null;
+  }
+
+  runWorker();
+  const handle = setInterval(runWorker, WEBHOOK_CONFIG.WORKER_INTERVAL_MS);
+  handle.unref();
+  console.log(
+    `🪝 Webhook worker: every ${WEBHOOK_CONFIG.WORKER_INTERVAL_MS / 1000}s, ` +
+      `up to ${WEBHOOK_CONFIG.MAX_ATTEMPTS} attempts per delivery`,
+  );
+  return handle;
+}
+
+/**
+ * Send a test event to a webhook right away (one attempt, no retries)
+ * Works while the webhook is disabled, so a receiver can be checked before
+ * turning it on.
+ * @param {object} ownerId - User _id
+ * @param {string} webhookId
+ * @returns {Promise<object|null>} Stored delivery with the outcome, or null if not found
+ */
+export async function sendTestDelivery(ownerId, webhookId) {
+  const webhook = await Webhook.findOne({_id: webhookId, owner: ownerId}).select('+secret').lean();
+  if (!webhook) {
+    return null;
+  }
+
+  const now = new Date();
+  const eventId = crypto.randomUUID();
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    owner: webhook.owner,
+    eventId,
+    event: WEBHOOK_CONFIG.TEST_EVENT,
+    body: eventBody(eventId, WEBHOOK_CONFIG.TEST_EVENT, webhook.deviceId, {
+      message: 'Test delivery from DeviceTracker',
+      events: webhook.events,
+    }, now.toISOString()),
+    attempts: 1,
+  });
+
+  const result = await attemptDelivery(webhook, delivery);
+  const attemptedAt = new Date();
+  const [stored] = await Promise.all([
+    WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        $set: {
+          status: result.ok ? 'delivered' : 'failed',
+          ...(result.ok && {deliveredAt: attemptedAt}),
+          lastAttemptAt: attemptedAt,
+          lastStatusCode: result.statusCode,
+          lastError: result.error,
+        },
+      },
+      {new: true},
+    ).lean(),
+    recordLastDelivery(webhook._id, attemptedAt, result),
+  ]);
+  return stored;
+}
+
+/**
+ * Queue a finished delivery (delivered, failed or dead) again with a fresh
+ * set of attempts; the body, and so the event id, stays the same
+ * @param {object} webhookId - Webhook _id (ownership checked by the caller)
+ * @param {string} deliveryId
+ * @returns {Promise<{delivery?: object, error?: 'NOT_FOUND'|'PENDING'}>}
+ */
+export async function redeliver(webhookId, deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {_id: deliveryId, webhookId, status: {$ne: 'pending'}},
+    {$set: {status: 'pending', attempts: 0, nextAttemptAt: new Date(), deliveredAt: null, deadAt: null}},
+    {new: true},
+  ).lean();
+  if (delivery) {
+    setImmediate(runWorker);
+    return {delivery};
+  }
+  const exists = await WebhookDelivery.exists({_id: deliveryId, webhookId});
+  return {error: exists ? 'PENDING' : 'NOT_FOUND'};
+}
@@ -0,0 +1,169 @@
+const EARTH_RADIUS_M = 6371000; // Mean Earth radius in meters
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRad = deg => (deg * Math.PI) / 180;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_M * c;
+}
+
+/**
+ * Total path length of a chronologically ordered list of points
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @returns {number} Distance in meters
+ */
+export function pathDistance(points) {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += haversineDistance(
+      points[i - 1].latitude,
+      points[i - 1].longitude,
+      points[i].latitude,
+      points[i].longitude,
+    );
+  }
+  return distance;
+}
+
+/**
+ * Rank every point of a path by Douglas-Peucker significance
+ * A point's rank is the largest tolerance (meters) at which Douglas-Peucker
+ * still keeps it; endpoints rank Infinity. Ranking once lets a path be cut
+ * either by tolerance or by point budget.
+ * @param {Array<{latitude: number, longitude: number}>} points - Ordered path
+ * @returns {Float64Array} Rank per point
+ */
+function rankPathPoints(points) {
+  const count = points.length;
+  const ranks = new Float64Array(count);
+  ranks[0] = Infinity;
+  ranks[count - 1] = Infinity;
+
+  // Project onto a local plane (meters); fine at track scale
+  const toRad = deg => (deg * Math.PI) / 180;
+  const cosLat = Math.cos(toRad(points[0].latitude));
+  const x = points.map(p => toRad(p.longitude - points[0].longitude) * cosLat * EARTH_RADIUS_M);
+  const y = points.map(p => toRad(p.latitude - points[0].latitude) * EARTH_RADIUS_M);
+
+  const segmentDistance = (i, a, b) => {
+    const dx = x[b] - x[a];
+    const dy = y[b] - y[a];
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((x[i] - x[a]) * dx + (y[i] - y[a]) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(x[i] - (x[a] + t * dx), y[i] - (y[a] + t * dy));
+  };
+
+  // Iterative so long tracks cannot overflow the call stack
+  const stack = [[0, count - 1, Infinity]];
+  while (stack.length > 0) {
+    const [first, last, parentRank] = stack.pop();
+    let farthest = -1;
+    let maxDistance = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(i, first, last);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      // A point never outranks the split that exposed it
+      const rank = Math.min(maxDistance, parentRank);
+      ranks[farthest] = rank;
+      stack.push([first, farthest, rank], [farthest, last, rank]);
+    }
+  }
+
+  return ranks;
+}
+
+/**
+ * Simplify a path with Douglas-Peucker
+ * @param {Array<{latitude: number, longitude: number}>} points - Ordered path
+ * @param {object} options
+ * @param {number} [options.tolerance] - Drop points closer than this to the simplified line (meters)
+ * @param {number} [options.maxPoints] - Keep at most this many points (at least 2)
+ * @returns {Array<object>} Subset of the input points, in order
+ */
+export function simplifyPath(points, {tolerance = 0, maxPoints = Infinity} = {}) {
+  if (points.length <= 2) {
+    return points.slice();
+  }
+
+  const ranks = rankPathPoints(points);
+  let kept = [];
+  for (let i = 0; i < points.length; i++) {
+    if (ranks[i] > tolerance) {
+      kept.push(i);
+    }
+  }
+
+  if (kept.length > maxPoints) {
+    kept = kept
+      .sort((a, b) => ranks[b] - ranks[a])
+      .slice(0, Math.max(2, maxPoints))
+      .sort((a, b) => a - b);
+  }
+
+  return kept.map(i => points[i]);
+}
+
+/**
+ * Signed distance from a point to the boundary of a polygon
+ * Negative inside, positive outside; holes count as outside. Projects onto a
+ * local plane around the point, which is fine for city-sized polygons (not
+ * for ones crossing the antimeridian).
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number[][][]} rings - GeoJSON Polygon coordinates: closed rings of [lng, lat], outer ring first
+ * @returns {number} Distance in meters
+ */
+export function signedDistanceToPolygon(latitude, longitude, rings) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const cosLat = Math.cos(toRad(latitude));
+  const project = ([lng, lat]) => [
+    toRad(lng - longitude) * cosLat * EARTH_RADIUS_M,
+    toRad(lat - latitude) * EARTH_RADIUS_M,
+  ];
+
+  // The point is the origin of the plane
+  let inside = false;
+  let nearest = Infinity;
+  for (const ring of rings) {
+    const projected = ring.map(project);
+    for (let i = 1; i < projected.length; i++) {
+      const [ax, ay] = projected[i - 1];
+      const [bx, by] = projected[i];
+
+      // Even-odd ray cast along +x
+      if (ay > 0 !== by > 0 && ax + ((0 - ay) * (bx - ax)) / (by - ay) > 0) {
+        inside = !inside;
+      }
+
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+      nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }
+
+  return inside ? -nearest : nearest;
+}
@@ -0,0 +1,124 @@
+import dns from 'dns';
+import net from 'net';
+
+// Ranges of the IANA special-purpose address registries that are not
+// globally reachable, plus multicast and the documentation ranges
+// (https://www.iana.org/assignments/iana-ipv4-special-registry,
+// https://www.iana.org/assignments/iana-ipv6-special-registry)
+const INTERNAL_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this network"
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay anycast
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['100::', 64, 'ipv6'], // discard-only
+  ['2001::', 23, 'ipv6'], // IETF protocol assignments (Teredo, ORCHID, ...)
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['3fff::', 20, 'ipv6'], // documentation
+  ['5f00::', 16, 'ipv6'], // segment routing
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+];
+
+const internalRanges = new net.BlockList();
+for (const [network, prefix, type] of INTERNAL_RANGES) {
+  internalRanges.addSubnet(network, prefix, type);
+}
+
+/**
+ * IPv6 ranges that carry an IPv4 address, with the byte offset it starts at;
+ * these are as internal as the IPv4 address they lead to
+ */
+const EMBEDDED_IPV4 = [
+  ['::ffff:0:0', 96, 12], // IPv4-mapped
+  ['::', 96, 12], // IPv4-compatible (deprecated)
+  ['64:ff9b::', 96, 12], // NAT64
+  ['2002::', 16, 2], // 6to4
+].map(([network, prefix, offset]) => {
+  const range = new net.BlockList();
+  range.addSubnet(network, prefix, 'ipv6');
+  return {range, offset};
+});
+
+/**
+ * The 16 bytes of an IPv6 address
+ * @param {string} address - Valid IPv6 address without zone
+ * @returns {number[]}
+ */
+function ipv6Bytes(address) {
+  // A trailing dotted IPv4 part (::ffff:127.0.0.1) is two groups
+  const dotted = address.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  const group = (high, low) => (Number(high) * 256 + Number(low)).toString(16);
+  const text = dotted ? `${dotted[1]}${group(dotted[2], dotted[3])}:${group(dotted[4], dotted[5])}` : address;
+  const parts = part => (part ? part.split(':') : []);
+  const [head, tail] = text.split('::');
+  const groups =
+    tail === undefined
+      ? parts(head)
+      : [...parts(head), ...new Array(8 - parts(head).length - parts(tail).length).fill('0'), ...parts(tail)];
+  return groups.flatMap(hex => {
+    const value = parseInt(hex, 16);
+    return [Math.floor(value / 256), value % 256];
+  });
+}
+
+/**
+ * Whether an IP literal is loopback, private, link-local, unspecified or
+ * otherwise not a public unicast address
+ * IPv6 forms that embed an IPv4 address (mapped, NAT64, 6to4) are judged by
+ * that address.
+ * @param {string} address - IPv4 or IPv6 address (no brackets)
+ * @returns {boolean}
+ */
+export function isInternalAddress(address) {
+  if (net.isIPv4(address)) {
+    return internalRanges.check(address, 'ipv4');
+  }
+  // The zone of a link-local address (fe80::1%eth0) isn't part of the address
+  const ipv6 = address.replace(/%.*$/, '');
+  const embedding = EMBEDDED_IPV4.find(({range}) => range.check(ipv6, 'ipv6'));
+  if (embedding) {
+    return isInternalAddress(ipv6Bytes(ipv6).slice(embedding.offset, embedding.offset + 4).join('.'));
+  }
+  return internalRanges.check(ipv6, 'ipv6');
+}
+
+/**
+ * dns.lookup drop-in for http(s).request that refuses hosts resolving to an
+ * internal address, so a public hostname can't be pointed at the server's
+ * own network after it was checked
+ * @param {string} hostname
+ * @param {object} options - dns.lookup options (`all` is set by autoSelectFamily)
+ * @param {Function} callback
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{address, family}];
+    const internal = addresses.find(entry => isInternalAddress(entry.address));
+    if (internal) {
+      const refused = new Error(`${hostname} resolves to internal address ${internal.address}`);
+      refused.code = 'EINTERNALADDRESS';
+      callback(refused);
+      return;
+    }
+    callback(null, address, family);
+  });
+}
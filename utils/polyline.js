@@ -0,0 +1,35 @@
+/* eslint-disable no-bitwise -- the polyline format is defined in bit operations */
+
+/**
+ * Encode a path in the Encoded Polyline Algorithm Format
+ * (https://developers.google.com/maps/documentation/utilities/polylinealgorithm)
+ * @param {Array<{latitude: number, longitude: number}>} points - Ordered path
+ * @param {number} precision - Decimal places kept (5 is the common default)
+ * @returns {string}
+ */
+export function encodePolyline(points, precision = 5) {
+  const factor = 10 ** precision;
+  let encoded = '';
+  let previousLat = 0;
+  let previousLng = 0;
+
+  const encodeValue = value => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  for (const point of points) {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+
+  return encoded;
+}
@@ -0,0 +1,40 @@
+import {ADMIN_CONFIG} from '../config/apiConfig.js';
+import {deviceIdRule, limitRule, objectIdRule} from './locationSchemas.js';
+
+// Request schemas for the admin routes
+
+const searchRule = {type: 'string', maxLength: ADMIN_CONFIG.MAX_SEARCH_LENGTH};
+const pageRule = {type: 'integer', min: 1};
+
+export const userListQuerySchema = {
+  query: {
+    search: searchRule, // part of the username or email
+    role: {type: 'string', enum: ['user', 'admin']},
+    status: {type: 'string', enum: ['active', 'disabled']},
+    page: pageRule,
+    limit: limitRule,
+  },
+};
+
+export const userParamsSchema = {
+  params: {
+    userId: objectIdRule('Invalid user id'),
+  },
+};
+
+export const deviceListQuerySchema = {
+  query: {
+    search: searchRule, // part of the deviceId or device name
+    page: pageRule,
+    limit: limitRule,
+  },
+};
+
+export const deviceStatsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  query: {
+    days: {type: 'integer', min: 1, max: ADMIN_CONFIG.MAX_STATS_DAYS},
+  },
+};
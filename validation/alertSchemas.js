@@ -0,0 +1,33 @@
+import {ALERT_CONFIG, DETECTION_CONFIG} from '../config/apiConfig.js';
+import {deviceIdRule, limitRule, objectIdRule} from './locationSchemas.js';
+
+// Request schemas for detection alerts
+
+export const alertParamsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+    alertId: objectIdRule('Invalid alert id'),
+  },
+};
+
+export const resolveAlertSchema = {
+  ...alertParamsSchema,
+  body: {
+    note: {type: 'string', maxLength: ALERT_CONFIG.MAX_NOTE_LENGTH},
+  },
+};
+
+export const alertListQuerySchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  query: {
+    status: {type: 'string', enum: ALERT_CONFIG.STATUSES},
+    severity: {type: 'string', enum: DETECTION_CONFIG.SEVERITIES},
+    ruleId: {type: 'string', maxLength: 64},
+    from: {type: 'date'},
+    to: {type: 'date'},
+    page: {type: 'integer', min: 1},
+    limit: limitRule,
+  },
+};
@@ -0,0 +1,106 @@
+import {deviceNameRule, newDeviceIdRule, platformRule} from './deviceSchemas.js';
+
+// Request schemas for the auth routes
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+
+const emailRule = {
+  type: 'string',
+  required: true,
+  pattern: EMAIL_PATTERN,
+  message: 'Invalid email format',
+};
+
+const usernameRule = {
+  type: 'string',
+  required: true,
+  pattern: USERNAME_PATTERN,
+  message: 'Username must be 3-30 characters, alphanumeric and underscores only',
+};
+
+const passwordRule = {
+  type: 'string',
+  required: true,
+  minLength: 6,
+  maxLength: 128,
+  message: 'Password must be 6-128 characters',
+};
+
+export const registerSchema = {
+  body: {
+    email: emailRule,
+    username: usernameRule,
+    password: passwordRule,
+    // The device registering; more can be added later (POST /api/devices)
+    deviceId: newDeviceIdRule,
+    deviceName: deviceNameRule,
+    platform: platformRule,
+  },
+};
+
+export const loginSchema = {
+  body: {
+    username: {type: 'string', required: true},
+    password: {type: 'string', required: true},
+  },
+};
+
+const refreshTokenRule = {
+  type: 'string',
+  required: true,
+  maxLength: 256,
+  message: 'Invalid refresh token',
+};
+
+export const refreshSchema = {
+  body: {
+    refreshToken: refreshTokenRule,
+  },
+};
+
+export const logoutSchema = {
+  body: {
+    refreshToken: refreshTokenRule,
+  },
+};
+
+// Format problems are reported as "unavailable", not as errors
+export const checkUsernameSchema = {
+  query: {
+    username: {type: 'string', required: true},
+  },
+};
+
+export const checkEmailSchema = {
+  query: {
+    email: {type: 'string', required: true},
+  },
+};
+
+// Tokens from verification and password reset emails (32 random bytes, base64url)
+const accountTokenRule = {
+  type: 'string',
+  required: true,
+  pattern: /^[A-Za-z0-9_-]{43}$/,
+  message: 'Invalid link. Request a new email.',
+};
+
+export const verifyEmailSchema = {
+  body: {
+    token: accountTokenRule,
+  },
+};
+
+export const forgotPasswordSchema = {
+  body: {
+    email: emailRule,
+  },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: accountTokenRule,
+    password: passwordRule,
+  },
+};
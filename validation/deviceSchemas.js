@@ -0,0 +1,80 @@
+import {AUDIT_CONFIG, DEVICE_CONFIG} from '../config/apiConfig.js';
+import {deviceIdRule, limitRule} from './locationSchemas.js';
+
+// Request schemas for the device management routes
+
+// deviceIds the app generates for a new device (a UUID)
+export const newDeviceIdRule = {
+  type: 'string',
+  required: true,
+  minLength: 10,
+  maxLength: 128,
+  message: 'Invalid deviceId format',
+};
+
+export const deviceNameRule = {
+  type: 'string',
+  maxLength: DEVICE_CONFIG.MAX_NAME_LENGTH,
+  custom: name => (name.trim() ? null : 'Device name cannot be blank'),
+  message: `Device name must be at most ${DEVICE_CONFIG.MAX_NAME_LENGTH} characters`,
+};
+
+export const platformRule = {
+  type: 'string',
+  enum: DEVICE_CONFIG.PLATFORMS,
+};
+
+export const deviceParamsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+};
+
+export const addDeviceSchema = {
+  body: {
+    deviceId: newDeviceIdRule,
+    name: deviceNameRule,
+    platform: platformRule,
+  },
+};
+
+export const renameDeviceSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  body: {
+    name: {...deviceNameRule, required: true},
+  },
+};
+
+export const accessLogQuerySchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  query: {
+    from: {type: 'date'},
+    to: {type: 'date'},
+    actor: {type: 'string', enum: AUDIT_CONFIG.ACTOR_TYPES},
+    action: {type: 'string', enum: AUDIT_CONFIG.ACTIONS},
+    page: {type: 'integer', min: 1},
+    limit: limitRule,
+  },
+};
+
+// Rule ids are checked against the registered rules by the route
+export const detectionSettingsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  body: {
+    rules: {
+      type: 'object',
+      custom: rules =>
+        Object.values(rules).every(enabled => typeof enabled === 'boolean')
+          ? null
+          : 'rules must map rule ids to true or false',
+    },
+    timezone: {type: 'string', maxLength: 64},
+    excludeSuspect: {type: 'boolean'},
+  },
+};
@@ -0,0 +1,94 @@
+import {GEO_CONFIG, GEOFENCE_CONFIG} from '../config/apiConfig.js';
+import {ERROR_CODES} from '../middleware/validate.js';
+import {checkPolygon, deviceIdRule, limitRule, objectIdRule} from './locationSchemas.js';
+
+// Request schemas for geofences and their events
+
+const geofenceIdRule = objectIdRule('Invalid geofence id');
+
+const geofenceFields = {
+  name: {
+    type: 'string',
+    maxLength: GEOFENCE_CONFIG.MAX_NAME_LENGTH,
+    custom: name => (name.trim() ? null : 'Geofence name cannot be blank'),
+  },
+  type: {type: 'string', enum: GEOFENCE_CONFIG.TYPES},
+  center: {
+    type: 'object',
+    fields: {
+      latitude: {type: 'number', required: true, min: -90, max: 90},
+      longitude: {type: 'number', required: true, min: -180, max: 180},
+    },
+  },
+  radius: {type: 'number', min: GEOFENCE_CONFIG.MIN_RADIUS_M, max: GEO_CONFIG.MAX_RADIUS_M}, // meters
+  polygon: {type: 'object', custom: checkPolygon},
+  dwellMinutes: {type: 'integer', min: 0, max: GEOFENCE_CONFIG.MAX_DWELL_MINUTES}, // 0 turns dwell events off
+  enabled: {type: 'boolean'},
+};
+
+const SHAPE_FIELDS = ['type', 'center', 'radius', 'polygon'];
+
+/**
+ * Check that a fence's shape fields fit its type
+ * Circles need center and radius, polygons a polygon. Updates either leave the
+ * shape alone or replace it completely (type included).
+ * @param {object} body - Validated body
+ * @param {{partial?: boolean}} options - partial for updates
+ * @returns {Array<{code: string, path: string, message: string}>}
+ */
+export function geofenceShapeErrors(body, {partial = false} = {}) {
+  if (partial && !SHAPE_FIELDS.some(field => body[field] !== undefined)) {
+    return [];
+  }
+  if (!body.type) {
+    return [{code: ERROR_CODES.REQUIRED, path: 'type', message: 'type is required when changing the shape'}];
+  }
+
+  const required = body.type === 'circle' ? ['center', 'radius'] : ['polygon'];
+  const unexpected = body.type === 'circle' ? ['polygon'] : ['center', 'radius'];
+  return [
+    ...required
+      .filter(field => body[field] === undefined)
+      .map(field => ({code: ERROR_CODES.REQUIRED, path: field, message: `${field} is required for ${body.type} geofences`})),
+    ...unexpected
+      .filter(field => body[field] !== undefined)
+      .map(field => ({code: ERROR_CODES.INVALID_VALUE, path: field, message: `${field} does not apply to ${body.type} geofences`})),
+  ];
+}
+
+export const createGeofenceSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  body: {
+    ...geofenceFields,
+    name: {...geofenceFields.name, required: true},
+    type: {...geofenceFields.type, required: true},
+  },
+};
+
+export const geofenceParamsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+    geofenceId: geofenceIdRule,
+  },
+};
+
+export const updateGeofenceSchema = {
+  ...geofenceParamsSchema,
+  body: geofenceFields,
+};
+
+export const geofenceEventsQuerySchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  query: {
+    geofenceId: {...geofenceIdRule, required: false},
+    type: {type: 'string', enum: GEOFENCE_CONFIG.EVENT_TYPES},
+    from: {type: 'date'},
+    to: {type: 'date'},
+    page: {type: 'integer', min: 1},
+    limit: limitRule,
+  },
+};
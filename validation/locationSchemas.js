@@ -0,0 +1,250 @@
+import {NETWORK_TYPES} from '../models/Location.js';
+import {
+  PAGINATION_CONFIG,
+  INGEST_CONFIG,
+  GEO_CONFIG,
+  TRACK_CONFIG,
+} from '../config/apiConfig.js';
+import {ERROR_CODES} from '../middleware/validate.js';
+import {decodeCursor} from '../services/historyService.js';
+import {EXPORT_FORMATS} from '../services/exportService.js';
+
+// Request schemas for location ingest, history and geospatial routes
+
+export const POINT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+/**
+ * Rule for a MongoDB ObjectId in a path or query (24 hex characters)
+ * @param {string} message - Error message for anything else
+ */
+export const objectIdRule = message => ({
+  type: 'string',
+  required: true,
+  pattern: /^[a-f0-9]{24}$/i,
+  message,
+});
+
+export const deviceIdRule = {
+  type: 'string',
+  required: true,
+  minLength: 1,
+  maxLength: 128,
+};
+
+/**
+ * recordedAt must not be ahead of server time (beyond clock skew)
+ * or older than the oldest point an offline queue may deliver
+ */
+function checkRecordedAt(recordedAt) {
+  const offset = recordedAt.getTime() - Date.now();
+  if (offset > INGEST_CONFIG.MAX_CLOCK_SKEW_MS) {
+    return {code: ERROR_CODES.OUT_OF_RANGE, message: 'recordedAt is in the future'};
+  }
+  if (-offset > INGEST_CONFIG.MAX_RECORDED_AGE_MS) {
+    return {code: ERROR_CODES.OUT_OF_RANGE, message: 'recordedAt is too old'};
+  }
+  return null;
+}
+
+// One location fix (shared by single and batch ingest)
+export const locationPointSchema = {
+  pointId: {
+    type: 'string',
+    pattern: POINT_ID_PATTERN,
+    message: 'pointId must be 1-64 characters (letters, digits, _ . : -)',
+  },
+  latitude: {type: 'number', required: true, min: -90, max: 90},
+  longitude: {type: 'number', required: true, min: -180, max: 180},
+  accuracy: {type: 'number', min: 0},
+  recordedAt: {type: 'date', custom: checkRecordedAt},
+  speed: {type: 'number', min: 0, max: INGEST_CONFIG.MAX_SPEED_MS}, // m/s
+  heading: {type: 'number', min: 0, max: 360}, // degrees
+  altitude: {type: 'number'}, // meters
+  altitudeAccuracy: {type: 'number', min: 0}, // meters
+  provider: {type: 'string', maxLength: 32},
+  batteryLevel: {type: 'number', min: 0, max: 100}, // percent
+  isCharging: {type: 'boolean'},
+  networkType: {type: 'string', enum: NETWORK_TYPES},
+  isMock: {type: 'boolean'}, // Location.isMock / isFromMockProvider on Android
+};
+
+export const locationSubmitSchema = {
+  body: {
+    deviceId: deviceIdRule,
+    ...locationPointSchema,
+  },
+};
+
+// Points are validated one by one so each gets its own result
+export const locationBatchSchema = {
+  body: {
+    deviceId: deviceIdRule,
+    points: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: INGEST_CONFIG.MAX_BATCH_SIZE,
+    },
+  },
+};
+
+export const deviceQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+  },
+};
+
+// excludeSuspect=true leaves out points the plausibility checks flagged
+const excludeSuspectRule = {type: 'boolean'};
+
+export const latestQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    excludeSuspect: excludeSuspectRule,
+  },
+};
+
+// limit is clamped to MAX_LIMIT by the route rather than rejected
+export const limitRule = {type: 'integer', min: PAGINATION_CONFIG.MIN_LIMIT};
+
+const timeRangeFields = {
+  from: {type: 'date'},
+  to: {type: 'date'},
+};
+
+/**
+ * Cross-field check for validated from/to values
+ * @param {{from?: Date, to?: Date}} range
+ * @returns {Array<{code: string, path: string, message: string}>}
+ */
+export function timeRangeErrors({from, to}) {
+  if (from && to && from > to) {
+    return [{code: ERROR_CODES.OUT_OF_RANGE, path: 'from', message: 'from must be before to'}];
+  }
+  return [];
+}
+
+const isPosition = position =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  position[0] >= -180 &&
+  position[0] <= 180 &&
+  position[1] >= -90 &&
+  position[1] <= 90;
+
+/**
+ * Validate a GeoJSON Polygon geometry
+ * @param {object} polygon - GeoJSON geometry ({type: 'Polygon', coordinates})
+ * @returns {object|null} Error ({code, message}), or null if the polygon is valid
+ */
+export function checkPolygon(polygon) {
+  if (
+    polygon.type !== 'Polygon' ||
+    !Array.isArray(polygon.coordinates) ||
+    polygon.coordinates.length === 0
+  ) {
+    return {code: ERROR_CODES.INVALID_FORMAT, message: 'polygon must be a GeoJSON Polygon geometry'};
+  }
+
+  let vertices = 0;
+  for (const ring of polygon.coordinates) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return {code: ERROR_CODES.INVALID_FORMAT, message: 'each polygon ring needs at least 4 positions'};
+    }
+    if (!ring.every(isPosition)) {
+      return {
+        code: ERROR_CODES.INVALID_FORMAT,
+        message: 'polygon positions must be [longitude, latitude] pairs',
+      };
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return {
+        code: ERROR_CODES.INVALID_FORMAT,
+        message: 'polygon rings must be closed (first and last positions equal)',
+      };
+    }
+    vertices += ring.length;
+  }
+
+  if (vertices > GEO_CONFIG.MAX_POLYGON_VERTICES) {
+    return {
+      code: ERROR_CODES.TOO_MANY_ITEMS,
+      message: `polygon can have at most ${GEO_CONFIG.MAX_POLYGON_VERTICES} positions`,
+    };
+  }
+
+  return null;
+}
+
+// Either page (offset mode, kept for existing clients) or cursor paging
+export const historyQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    ...timeRangeFields,
+    order: {type: 'string', enum: ['asc', 'desc']},
+    cursor: {
+      type: 'string',
+      maxLength: 256,
+      custom: cursor =>
+        decodeCursor(cursor)
+          ? null
+          : {code: ERROR_CODES.INVALID_FORMAT, message: 'cursor is invalid'},
+    },
+    page: {type: 'integer', min: 1},
+    limit: limitRule,
+    excludeSuspect: excludeSuspectRule,
+  },
+};
+
+export const exportQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    ...timeRangeFields,
+    format: {type: 'string', required: true, enum: Object.keys(EXPORT_FORMATS)},
+  },
+};
+
+// Simplified polyline; tolerance and maxPoints may be combined
+export const trackQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    ...timeRangeFields,
+    tolerance: {type: 'number', min: 0, max: TRACK_CONFIG.MAX_TOLERANCE_M}, // meters
+    maxPoints: {type: 'integer', min: 2, max: TRACK_CONFIG.MAX_POINTS},
+    format: {type: 'string', enum: ['points', 'polyline']},
+    excludeSuspect: excludeSuspectRule,
+  },
+};
+
+export const withinRadiusQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    latitude: {type: 'number', required: true, min: -90, max: 90},
+    longitude: {type: 'number', required: true, min: -180, max: 180},
+    radius: {type: 'number', required: true, min: 1, max: GEO_CONFIG.MAX_RADIUS_M}, // meters
+    ...timeRangeFields,
+    limit: limitRule,
+  },
+};
+
+export const withinPolygonBodySchema = {
+  body: {
+    deviceId: deviceIdRule,
+    polygon: {type: 'object', required: true, custom: checkPolygon},
+    ...timeRangeFields,
+    limit: limitRule,
+  },
+};
+
+export const nearestQuerySchema = {
+  query: {
+    deviceId: deviceIdRule,
+    latitude: {type: 'number', required: true, min: -90, max: 90},
+    longitude: {type: 'number', required: true, min: -180, max: 180},
+    ...timeRangeFields,
+  },
+};
@@ -0,0 +1,44 @@
+import {SHARE_CONFIG} from '../config/apiConfig.js';
+import {deviceIdRule, objectIdRule} from './locationSchemas.js';
+
+// Request schemas for share links
+
+export const SHARE_SCOPES = ['live', 'history'];
+
+// 32 random bytes, base64url
+const shareTokenRule = {
+  type: 'string',
+  required: true,
+  pattern: /^[A-Za-z0-9_-]{43}$/,
+  message: 'Invalid share link',
+};
+
+export const createShareSchema = {
+  params: {
+    deviceId: deviceIdRule,
+  },
+  body: {
+    scope: {type: 'string', enum: SHARE_SCOPES, default: 'live'},
+    historyHours: {type: 'integer', min: 1, max: SHARE_CONFIG.MAX_HISTORY_HOURS},
+    expiresInHours: {
+      type: 'integer',
+      min: 1,
+      max: SHARE_CONFIG.MAX_EXPIRY_HOURS,
+      default: SHARE_CONFIG.DEFAULT_EXPIRY_HOURS,
+    },
+    label: {type: 'string', maxLength: 60},
+  },
+};
+
+export const shareParamsSchema = {
+  params: {
+    deviceId: deviceIdRule,
+    shareId: objectIdRule('Invalid share link id'),
+  },
+};
+
+export const sharedViewParamsSchema = {
+  params: {
+    token: shareTokenRule,
+  },
+};
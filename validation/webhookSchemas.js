@@ -0,0 +1,86 @@
+import net from 'net';
+import {WEBHOOK_CONFIG} from '../config/apiConfig.js';
+import {isInternalAddress} from '../utils/network.js';
+import {deviceIdRule, limitRule, objectIdRule} from './locationSchemas.js';
+
+// Request schemas for webhook subscriptions and their deliveries
+
+/**
+ * Check a receiver URL: https, no credentials and (unless insecure URLs are
+ * allowed for local development) no localhost or internal IP literals.
+ * Hostnames are checked again when resolved at delivery time.
+ * @param {string} value
+ * @returns {string|null} Error message
+ */
+export function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'url must be an absolute URL';
+  }
+  if (url.protocol !== 'https:' && !(WEBHOOK_CONFIG.ALLOW_INSECURE_URLS && url.protocol === 'http:')) {
+    return 'url must use https';
+  }
+  if (url.username || url.password) {
+    return 'url must not contain credentials';
+  }
+  if (WEBHOOK_CONFIG.ALLOW_INSECURE_URLS) {
+    return null;
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isInternalAddress(host))) {
+    return 'url must point to a public host';
+  }
+  return null;
+}
+
+const webhookFields = {
+  url: {type: 'string', maxLength: WEBHOOK_CONFIG.MAX_URL_LENGTH, custom: checkWebhookUrl},
+  events: {
+    type: 'array',
+    minItems: 1,
+    maxItems: WEBHOOK_CONFIG.EVENT_TYPES.length,
+    items: {type: 'string', enum: WEBHOOK_CONFIG.EVENT_TYPES},
+  },
+  description: {type: 'string', maxLength: WEBHOOK_CONFIG.MAX_DESCRIPTION_LENGTH},
+  enabled: {type: 'boolean'},
+};
+
+export const webhookParamsSchema = {
+  params: {
+    webhookId: objectIdRule('Invalid webhook id'),
+  },
+};
+
+export const createWebhookSchema = {
+  body: {
+    ...webhookFields,
+    url: {...webhookFields.url, required: true},
+    events: {...webhookFields.events, required: true},
+    deviceId: {...deviceIdRule, required: false}, // omitted: all of the user's devices
+  },
+};
+
+// The device scope is fixed; create a new webhook to change it
+export const updateWebhookSchema = {
+  ...webhookParamsSchema,
+  body: webhookFields,
+};
+
+export const deliveryListQuerySchema = {
+  ...webhookParamsSchema,
+  query: {
+    status: {type: 'string', enum: WEBHOOK_CONFIG.DELIVERY_STATUSES},
+    event: {type: 'string', enum: [...WEBHOOK_CONFIG.EVENT_TYPES, WEBHOOK_CONFIG.TEST_EVENT]},
+    page: {type: 'integer', min: 1},
+    limit: limitRule,
+  },
+};
+
+export const deliveryParamsSchema = {
+  params: {
+    webhookId: objectIdRule('Invalid webhook id'),
+    deliveryId: objectIdRule('Invalid delivery id'),
+  },
+};
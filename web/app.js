@@ -50,12 +50,28 @@ console.log('Using API URL:', API_BASE_URL);
 const POLL_INTERVAL = 10000; // 10 seconds
 const STATUS_POLL_INTERVAL = 12000; // 12 seconds for status polling
 const OFFLINE_THRESHOLD = 60000; // 60 seconds - device considered offline if no update
+const TRACK_RANGE_MS = 3 * 24 * 60 * 60 * 1000; // 3 days of movement drawn on load
+const TRACK_MAX_POINTS = 1000; // point budget for the simplified track
 
-// Storage key
+// Storage keys
 const STORAGE_DEVICE_ID = 'device_uuid';
+const STORAGE_AUTH_TOKEN = 'auth_token';
+const STORAGE_REFRESH_TOKEN = 'refresh_token';
+const SESSION_AUTH_MESSAGE = 'auth_message'; // shown on the sign-in form after a forced sign-out
+const STORAGE_HIDE_SUSPECT = 'hide_suspect_points'; // leave out points that failed plausibility checks
 
 // Global state
 let deviceId = null;
+let authToken = null;
+let refreshPromise = null;
+
+// Share link (?share=<token>): read-only view of a device without the owner's credentials
+const shareToken = new URLSearchParams(window.location.search).get('share');
+let shareInfo = null; // set once the link has been resolved
+
+// Links from account emails: ?verifyEmail=<token> and ?resetPassword=<token>
+const verifyEmailToken = new URLSearchParams(window.location.search).get('verifyEmail');
+const resetPasswordToken = new URLSearchParams(window.location.search).get('resetPassword');
 
 // UUID helper functions
 function getStoredDeviceId() {
@@ -72,8 +88,286 @@ function clearDeviceId() {
   deviceId = null;
 }
 
-// Check UUID on page load
+// Auth helper functions
+function storeAuthToken(token) {
+  localStorage.setItem(STORAGE_AUTH_TOKEN, token);
+  authToken = token;
+}
+
+function storeSession(session) {
+  storeAuthToken(session.token);
+  localStorage.setItem(STORAGE_REFRESH_TOKEN, session.refreshToken);
+}
+
+function clearAuthToken() {
+  localStorage.removeItem(STORAGE_AUTH_TOKEN);
+  localStorage.removeItem(STORAGE_REFRESH_TOKEN);
+  authToken = null;
+}
+
+// Headers for API requests (adds the bearer token when signed in)
+function apiHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`;
+  }
+  return headers;
+}
+
+// Swap the refresh token for a new token pair (shared by concurrent callers,
+// since each refresh token only works once)
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(STORAGE_REFRESH_TOKEN);
+      if (!refreshToken) {
+        return false;
+      }
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+          return false;
+        }
+        storeSession(result.data);
+        return true;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+// fetch() with the bearer token; on 401 refreshes the session once and retries
+async function apiFetch(url, options = {}) {
+  let response = await fetch(url, { ...options, headers: apiHeaders() });
+  if (response.status === 401 && authToken && (await refreshSession())) {
+    response = await fetch(url, { ...options, headers: apiHeaders() });
+  }
+  return response;
+}
+
+// Sign out and go back to the sign-in form
+async function signOut(message) {
+  const refreshToken = localStorage.getItem(STORAGE_REFRESH_TOKEN);
+  if (refreshToken) {
+    // End the session server-side too; sign out locally even if this fails
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    }).catch(() => {});
+  }
+
+  clearAuthToken();
+  clearDeviceId();
+  if (message) {
+    sessionStorage.setItem(SESSION_AUTH_MESSAGE, message);
+  }
+  // Reload so polling timers and map state start clean
+  window.location.reload();
+}
+
+// Location reads need the owner's token; 401/403 means the session is no longer valid
+async function handleAuthFailure(response) {
+  if (response.status !== 401 && response.status !== 403) {
+    return false;
+  }
+  const result = await response.json().catch(() => ({}));
+  // Without a token the server's message is about the missing header; keep it friendly
+  signOut(authToken && result.message ? result.message : 'Please sign in to view this device');
+  return true;
+}
+
+// URL of a shared-view endpoint for the current share link
+function sharedUrl(path = '') {
+  return `${API_BASE_URL}/shared/${encodeURIComponent(shareToken)}${path}`;
+}
+
+// Open the read-only view of a share link
+async function openSharedView() {
+  try {
+    const response = await fetch(sharedUrl());
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: Could not open share link`);
+    }
+    shareInfo = result.data;
+  } catch (error) {
+    sessionStorage.setItem(
+      SESSION_AUTH_MESSAGE,
+      error.message.includes('Failed to fetch') ? `Cannot connect to backend at ${API_BASE_URL}.` : error.message,
+    );
+    showUUIDInput();
+    return;
+  }
+
+  document.getElementById('uuidContainer').style.display = 'none';
+  document.getElementById('mainContent').style.display = 'flex';
+
+  // Owner-only parts of the dashboard
+  document.getElementById('deviceLabel').textContent = 'Shared Device';
+  document.getElementById('deviceId').textContent = shareInfo.device.name;
+  document.getElementById('copyDeviceIdBtn').style.display = 'none';
+  document.getElementById('exportControl').style.display = 'none';
+  document.getElementById('shareControl').style.display = 'none';
+  document.getElementById('suspectToggleBtn').style.display = 'none';
+  document.getElementById('securityStatusPanel').style.display = 'none';
+
+  init();
+  showToast(`Shared view, available until ${new Date(shareInfo.expiresAt).toLocaleString()}`, 5000);
+}
+
+// Remove a single-use token from the address bar, so it isn't bookmarked or shared
+function clearUrlToken(param) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(param);
+  window.history.replaceState(null, '', url);
+}
+
+// Confirm the account's email address from a verification link
+async function handleVerifyEmailLink() {
+  clearUrlToken('verifyEmail');
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/verify-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: verifyEmailToken }),
+    });
+    const result = await response.json().catch(() => ({}));
+    showToast(
+      result.success ? 'Email address verified' : result.message || `HTTP ${response.status}: Could not verify email`,
+      5000,
+    );
+  } catch (error) {
+    showToast(`Cannot connect to backend at ${API_BASE_URL}.`, 5000);
+  }
+}
+
+// Show the new-password form of a reset link
+function showResetPasswordForm() {
+  document.getElementById('uuidContainer').style.display = 'none';
+  document.getElementById('mainContent').style.display = 'none';
+  document.getElementById('resetContainer').style.display = 'flex';
+
+  document.getElementById('resetPasswordButton').addEventListener('click', handleResetPassword);
+  document.getElementById('newPasswordInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleResetPassword();
+    }
+  });
+}
+
+// Handle new-password submit
+async function handleResetPassword() {
+  const password = document.getElementById('newPasswordInput').value;
+  const errorDiv = document.getElementById('resetError');
+  const resetButton = document.getElementById('resetPasswordButton');
+
+  errorDiv.style.display = 'none';
+  errorDiv.textContent = '';
+
+  if (password.length < 6 || password.length > 128) {
+    errorDiv.textContent = 'Password must be 6-128 characters';
+    errorDiv.style.display = 'block';
+    return;
+  }
+
+  resetButton.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: resetPasswordToken, password }),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: Could not reset password`);
+    }
+
+    // The reset logged out every session, including this browser's
+    clearAuthToken();
+    clearDeviceId();
+    clearUrlToken('resetPassword');
+    document.getElementById('resetContainer').style.display = 'none';
+    showUUIDInput();
+    showToast(result.message, 5000);
+  } catch (error) {
+    errorDiv.textContent = error.message.includes('Failed to fetch')
+      ? `Cannot connect to backend at ${API_BASE_URL}.`
+      : error.message;
+    errorDiv.style.display = 'block';
+  } finally {
+    resetButton.disabled = false;
+  }
+}
+
+// Ask for a password reset email
+async function handleForgotPassword() {
+  const email = document.getElementById('resetEmailInput').value.trim();
+  const errorDiv = document.getElementById('loginError');
+  const sendButton = document.getElementById('sendResetButton');
+
+  errorDiv.style.display = 'none';
+  errorDiv.textContent = '';
+
+  if (!email) {
+    errorDiv.textContent = 'Enter the email address of your account';
+    errorDiv.style.display = 'block';
+    return;
+  }
+
+  sendButton.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: Could not send reset email`);
+    }
+
+    document.getElementById('forgotPasswordForm').style.display = 'none';
+    showToast(result.message, 5000);
+  } catch (error) {
+    errorDiv.textContent = error.message.includes('Failed to fetch')
+      ? `Cannot connect to backend at ${API_BASE_URL}.`
+      : error.message;
+    errorDiv.style.display = 'block';
+  } finally {
+    sendButton.disabled = false;
+  }
+}
+
+// Check session on page load
 function checkUUID() {
+  if (shareToken) {
+    openSharedView();
+    return;
+  }
+
+  if (resetPasswordToken) {
+    showResetPasswordForm();
+    return;
+  }
+
+  if (verifyEmailToken) {
+    handleVerifyEmailLink();
+  }
+
+  authToken = localStorage.getItem(STORAGE_AUTH_TOKEN);
   const storedUUID = getStoredDeviceId();
   
   if (storedUUID) {
@@ -84,35 +378,132 @@ function checkUUID() {
   }
 }
 
-// Show UUID input form
+// Show sign-in form (with the legacy UUID option)
 function showUUIDInput() {
   document.getElementById('uuidContainer').style.display = 'flex';
   document.getElementById('mainContent').style.display = 'none';
-  
-  // Pre-fill UUID input if stored
-  const uuidInput = document.getElementById('uuidInput');
-  const storedUUID = getStoredDeviceId();
-  if (storedUUID) {
-    uuidInput.value = storedUUID;
-  } else {
-    uuidInput.value = '';
+
+  const message = sessionStorage.getItem(SESSION_AUTH_MESSAGE);
+  if (message) {
+    sessionStorage.removeItem(SESSION_AUTH_MESSAGE);
+    const loginError = document.getElementById('loginError');
+    loginError.textContent = message;
+    loginError.style.display = 'block';
   }
+
+  document.getElementById('uuidInput').value = '';
+
+  document.getElementById('loginButton').addEventListener('click', handleLogin);
+  document.getElementById('passwordInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleLogin();
+    }
+  });
   
-  // Handle track button (remove old listener first to avoid duplicates)
-  const trackButton = document.getElementById('trackButton');
-  const newTrackButton = trackButton.cloneNode(true);
-  trackButton.parentNode.replaceChild(newTrackButton, trackButton);
-  newTrackButton.addEventListener('click', handleUUIDSubmit);
-  
-  // Handle Enter key
-  uuidInput.addEventListener('keypress', (e) => {
+  document.getElementById('forgotPasswordBtn').addEventListener('click', () => {
+    const form = document.getElementById('forgotPasswordForm');
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+  });
+  document.getElementById('sendResetButton').addEventListener('click', handleForgotPassword);
+  document.getElementById('resetEmailInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleForgotPassword();
+    }
+  });
+
+  document.getElementById('trackButton').addEventListener('click', handleUUIDSubmit);
+  document.getElementById('uuidInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       handleUUIDSubmit();
     }
   });
 }
 
-// Handle UUID submit
+// Handle sign-in submit
+async function handleLogin() {
+  const username = document.getElementById('usernameInput').value.trim();
+  const password = document.getElementById('passwordInput').value;
+  const errorDiv = document.getElementById('loginError');
+  const loginButton = document.getElementById('loginButton');
+
+  // Clear previous errors
+  errorDiv.style.display = 'none';
+  errorDiv.textContent = '';
+
+  if (!username || !password) {
+    errorDiv.textContent = 'Username and password are required';
+    errorDiv.style.display = 'block';
+    return;
+  }
+
+  loginButton.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: Sign in failed`);
+    }
+
+    const { devices } = result.data.user;
+    if (devices.length === 0) {
+      throw new Error('This account has no devices yet. Register one from the app.');
+    }
+
+    // Start with the device that reported most recently; the header lets you switch
+    storeSession(result.data);
+    storeDeviceId(mostRecentDevice(devices).deviceId);
+    startTracking();
+  } catch (error) {
+    errorDiv.textContent = error.message.includes('Failed to fetch')
+      ? `Cannot connect to backend at ${API_BASE_URL}.`
+      : error.message;
+    errorDiv.style.display = 'block';
+  } finally {
+    loginButton.disabled = false;
+  }
+}
+
+// Device that uploaded most recently (never-seen devices last)
+function mostRecentDevice(devices) {
+  const seen = device => (device.lastSeenAt ? new Date(device.lastSeenAt).getTime() : 0);
+  return devices.reduce((latest, device) => (seen(device) > seen(latest) ? device : latest));
+}
+
+// Fill the header device picker when the account has more than one device
+async function loadDevicePicker() {
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/devices`);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success || result.data.length < 2) {
+      return;
+    }
+
+    const select = document.getElementById('deviceSelect');
+    select.innerHTML = '';
+    for (const device of result.data) {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.name || device.deviceId;
+      option.selected = device.deviceId === deviceId;
+      select.appendChild(option);
+    }
+    select.style.display = 'inline-block';
+    select.addEventListener('change', () => {
+      storeDeviceId(select.value);
+      // Reload so polling timers and map state start clean
+      window.location.reload();
+    });
+  } catch (error) {
+    console.error('Error loading devices:', error);
+  }
+}
+
+// Handle UUID submit (devices not linked to an account; only works while the server allows it)
 function handleUUIDSubmit() {
   const uuid = document.getElementById('uuidInput').value.trim();
   const errorDiv = document.getElementById('uuidError');
@@ -128,6 +519,7 @@ function handleUUIDSubmit() {
   }
   
   // Store UUID and start tracking
+  clearAuthToken();
   storeDeviceId(uuid);
   startTracking();
 }
@@ -140,6 +532,17 @@ function startTracking() {
   
   // Update device ID display
   document.getElementById('deviceId').textContent = deviceId || '-';
+
+  const signOutBtn = document.getElementById('signOutBtn');
+  signOutBtn.style.display = 'inline-block';
+  signOutBtn.addEventListener('click', () => signOut());
+
+  if (authToken) {
+    loadDevicePicker();
+  } else {
+    // Share links are created with the owner's token
+    document.getElementById('shareControl').style.display = 'none';
+  }
   
   // Initialize map and start tracking
   init();
@@ -404,18 +807,30 @@ function updateRefreshIndicator() {
 
 // Update info panel with enhanced data
 function updateInfoPanel(data) {
-  document.getElementById('deviceId').textContent = data.deviceId || '-';
-  document.getElementById('lastUpdated').textContent = formatTime(data.createdAt);
+  document.getElementById('deviceId').textContent = shareInfo
+    ? shareInfo.device.name
+    : data.deviceId || '-';
+  document.getElementById('lastUpdated').textContent = formatTime(data.recordedAt);
   document.getElementById('accuracy').textContent = data.accuracy
     ? `${data.accuracy.toFixed(1)} m`
     : '-';
-  document.getElementById('coordinates').textContent = data.latitude && data.longitude
-    ? `${data.latitude.toFixed(6)}, ${data.longitude.toFixed(6)}`
+  const coordinates = document.getElementById('coordinates');
+  coordinates.textContent = data.latitude && data.longitude
+    ? `${data.latitude.toFixed(6)}, ${data.longitude.toFixed(6)}${data.suspect ? ' ⚠️' : ''}`
+    : '-';
+  coordinates.title = data.suspect
+    ? `Suspect location: ${data.plausibilityFlags.join(', ').replace(/_/g, ' ')}`
+    : '';
+  document.getElementById('speed').textContent = typeof data.speed === 'number'
+    ? `${(data.speed * 3.6).toFixed(1)} km/h`
+    : '-';
+  document.getElementById('battery').textContent = typeof data.batteryLevel === 'number'
+    ? `${Math.round(data.batteryLevel)}%${data.isCharging ? ' ⚡' : ''}`
     : '-';
   document.getElementById('totalPoints').textContent = pathCoordinates.length;
 
-  if (data.createdAt) {
-    updateStatus(data.createdAt);
+  if (data.recordedAt) {
+    updateStatus(data.recordedAt);
   }
 }
 
@@ -514,6 +929,114 @@ function clearPath() {
   });
 }
 
+// Whether the owner's views leave out suspect points (on unless switched off)
+function hideSuspectPoints() {
+  return !shareInfo && localStorage.getItem(STORAGE_HIDE_SUSPECT) !== 'false';
+}
+
+function suspectQuery() {
+  return hideSuspectPoints() ? '&excludeSuspect=true' : '';
+}
+
+function updateSuspectToggle() {
+  const button = document.getElementById('suspectToggleBtn');
+  const hidden = hideSuspectPoints();
+  button.classList.toggle('active', hidden);
+  button.title = hidden ? 'Show suspect points' : 'Hide suspect points';
+}
+
+// Switch suspect points on or off and redraw
+async function toggleSuspectPoints() {
+  localStorage.setItem(STORAGE_HIDE_SUSPECT, hideSuspectPoints() ? 'false' : 'true');
+  updateSuspectToggle();
+  clearPath();
+  await fetchTrack();
+  await fetchLatestLocation();
+  showToast(hideSuspectPoints() ? 'Suspect points hidden' : 'Showing suspect points');
+}
+
+// Download the device's full history in the given format
+async function exportHistory(format) {
+  if (!deviceId) {
+    return;
+  }
+  document.getElementById('exportMenu').classList.remove('open');
+  showToast(`Preparing ${format.toUpperCase()} download...`);
+
+  try {
+    // Fetched (not a plain link) so the request carries the bearer token
+    const response = await apiFetch(
+      `${API_BASE_URL}/location/export?deviceId=${encodeURIComponent(deviceId)}` +
+        `&format=${encodeURIComponent(format)}`,
+      { method: 'GET' },
+    );
+
+    if (!response.ok) {
+      if (await handleAuthFailure(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || `HTTP ${response.status}: Export failed`);
+    }
+
+    // Use the server's file name from Content-Disposition
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : `location-history.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting history:', error);
+    showToast(`Export failed: ${error.message}`);
+  }
+}
+
+// Create a share link for the device and copy it to the clipboard
+async function createShareLink(option) {
+  if (!deviceId) {
+    return;
+  }
+  document.getElementById('shareMenu').classList.remove('open');
+
+  const body = {
+    scope: option.dataset.scope,
+    expiresInHours: Number(option.dataset.expires),
+  };
+  if (option.dataset.history) {
+    body.historyHours = Number(option.dataset.history);
+  }
+
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/devices/${encodeURIComponent(deviceId)}/shares`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      if (await handleAuthFailure(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || `HTTP ${response.status}: Could not create share link`);
+    }
+
+    const result = await response.json();
+    // This dashboard opens the link, wherever it is hosted
+    const link = `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(result.data.token)}`;
+    await navigator.clipboard.writeText(link);
+    showToast('Share link copied to clipboard');
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    showToast(`Sharing failed: ${error.message}`);
+  }
+}
+
 // Show toast notification
 function showToast(message, duration = 3000) {
   const toast = document.getElementById('toast');
@@ -547,7 +1070,7 @@ function copyDeviceId() {
 
 // Fetch latest location
 async function fetchLatestLocation() {
-  if (!deviceId) {
+  if (!deviceId && !shareInfo) {
     console.error('No device ID available');
     return;
   }
@@ -556,16 +1079,19 @@ async function fetchLatestLocation() {
   updateRefreshIndicator();
   
   try {
-    const response = await fetch(`${API_BASE_URL}/location/latest?deviceId=${encodeURIComponent(deviceId)}`, {
+    const url = shareInfo
+      ? sharedUrl('/latest')
+      : `${API_BASE_URL}/location/latest?deviceId=${encodeURIComponent(deviceId)}${suspectQuery()}`;
+    const response = await apiFetch(url, {
       method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
     });
 
     if (!response.ok) {
-      // Handle 404 - device not found
-      if (response.status === 404) {
+      if (!shareInfo && (await handleAuthFailure(response))) {
+        return null;
+      }
+      // Handle 404 - device not found (shared views show the server's message)
+      if (response.status === 404 && !shareInfo) {
         throw new Error('Device not found. Please check your UUID.');
       }
       
@@ -593,7 +1119,7 @@ async function fetchLatestLocation() {
         latitude: data.latitude,
         longitude: data.longitude,
         accuracy: data.accuracy,
-        createdAt: data.createdAt,
+        recordedAt: data.recordedAt,
       });
       updatePath(pathCoordinates);
     }
@@ -602,8 +1128,8 @@ async function fetchLatestLocation() {
     
     // Update refresh indicator
     isUpdating = false;
-    if (data && data.createdAt) {
-      lastUpdateTime = new Date(data.createdAt).getTime();
+    if (data && data.recordedAt) {
+      lastUpdateTime = new Date(data.recordedAt).getTime();
     } else {
       lastUpdateTime = Date.now();
     }
@@ -629,55 +1155,79 @@ async function fetchLatestLocation() {
   }
 }
 
-// Fetch location history
-async function fetchHistory() {
-  if (!deviceId) {
+// Decode an encoded polyline string into points
+function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+  return points;
+}
+
+// Fetch simplified track to draw path
+async function fetchTrack() {
+  if (shareInfo) {
+    // Live-only links have no track
+    if (shareInfo.scope !== 'history') {
+      return;
+    }
+  } else if (!deviceId) {
     console.error('No device ID available');
     return;
   }
   
   try {
-    const response = await fetch(
-      `${API_BASE_URL}/location/history?deviceId=${encodeURIComponent(deviceId)}&limit=200&page=1`,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      },
-    );
+    const from = new Date(Date.now() - TRACK_RANGE_MS).toISOString();
+    const url = shareInfo
+      ? sharedUrl('/track')
+      : `${API_BASE_URL}/location/track?deviceId=${encodeURIComponent(deviceId)}` +
+        `&from=${encodeURIComponent(from)}&maxPoints=${TRACK_MAX_POINTS}&format=polyline${suspectQuery()}`;
+    const response = await apiFetch(url, {
+      method: 'GET',
+    });
 
     if (!response.ok) {
-      // Handle 404 - device not found
-      if (response.status === 404) {
-        throw new Error('Device not found. Please check your UUID.');
+      if (!shareInfo && (await handleAuthFailure(response))) {
+        return;
       }
-      
       const result = await response.json().catch(() => ({}));
-      throw new Error(result.message || `HTTP ${response.status}: Failed to fetch history`);
+      throw new Error(result.message || `HTTP ${response.status}: Failed to fetch track`);
     }
 
     const result = await response.json();
 
-    const points = result.data.points;
-    pathCoordinates = points;
+    // Track is oldest first, so live updates can simply be appended
+    pathCoordinates = decodePolyline(result.data.polyline, result.data.precision);
     updatePath(pathCoordinates);
 
-    // If we have points, center on the latest
-    if (points.length > 0) {
-      const latest = points[0];
-      const currentStatus = window.currentSecurityStatus || 'OK';
-      updateMarker(latest.latitude, latest.longitude, latest.accuracy, currentStatus);
-      updateInfoPanel(latest);
-      
+    if (pathCoordinates.length > 0) {
       // Fit bounds to show entire path
       setTimeout(() => fitBoundsToPath(), 500);
     }
 
     hideError();
   } catch (error) {
-    console.error('Error fetching history:', error);
-    // Don't show error for history - latest location is more important
+    console.error('Error fetching track:', error);
+    // Don't show error for track - latest location is more important
   }
 }
 
@@ -764,14 +1314,14 @@ async function fetchDeviceStatus() {
   }
   
   try {
-    const response = await fetch(`${API_BASE_URL}/device/status?deviceId=${encodeURIComponent(deviceId)}`, {
+    const response = await apiFetch(`${API_BASE_URL}/device/status?deviceId=${encodeURIComponent(deviceId)}`, {
       method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
     });
 
     if (!response.ok) {
+      if (await handleAuthFailure(response)) {
+        return;
+      }
       // Handle 404 - device not found
       if (response.status === 404) {
         throw new Error('Device not found. Please check your UUID.');
@@ -814,7 +1364,7 @@ function updateSecurityStatus(statusData) {
   const badgeDot = document.getElementById('securityBadgeDot');
   const badgeText = document.getElementById('securityBadgeText');
   const reasonDiv = document.getElementById('securityReason');
-  const reasonText = document.getElementById('securityReasonText');
+  const reasonList = document.getElementById('securityReasonList');
   
   if (statusData.status === 'SUSPICIOUS') {
     // Red badge for suspicious
@@ -823,13 +1373,18 @@ function updateSecurityStatus(statusData) {
     badgeText.textContent = 'SUSPICIOUS';
     badgeText.className = 'security-badge-text suspicious';
     
-    // Show reason if available
-    if (statusData.reason) {
-      reasonText.textContent = statusData.reason;
-      reasonDiv.style.display = 'block';
-    } else {
-      reasonDiv.style.display = 'none';
-    }
+    // List every triggered rule, most severe first
+    const rules = statusData.rules || [];
+    reasonList.replaceChildren(
+      ...rules.map((rule) => {
+        const item = document.createElement('li');
+        item.className = `security-reason-text ${rule.severity}`;
+        item.textContent = rule.message;
+        item.title = `${rule.id} (${rule.severity})`;
+        return item;
+      }),
+    );
+    reasonDiv.style.display = rules.length > 0 ? 'block' : 'none';
   } else if (statusData.status === 'UNAVAILABLE') {
     // Grey badge for unavailable
     badge.className = 'security-badge unavailable';
@@ -856,9 +1411,25 @@ async function init() {
   document.getElementById('copyDeviceIdBtn').addEventListener('click', copyDeviceId);
   document.getElementById('fitBoundsBtn').addEventListener('click', fitBoundsToPath);
   document.getElementById('clearPathBtn').addEventListener('click', clearPath);
+  document.getElementById('suspectToggleBtn').addEventListener('click', toggleSuspectPoints);
+  updateSuspectToggle();
+  document.getElementById('exportBtn').addEventListener('click', () => {
+    document.getElementById('exportMenu').classList.toggle('open');
+  });
+  document.querySelectorAll('.export-option[data-format]').forEach((option) => {
+    option.addEventListener('click', () => exportHistory(option.dataset.format));
+  });
+  document.getElementById('shareBtn').addEventListener('click', () => {
+    document.getElementById('shareMenu').classList.toggle('open');
+  });
+  document.querySelectorAll('.share-option').forEach((option) => {
+    option.addEventListener('click', () => createShareLink(option));
+  });
 
-  // Fetch device status on load
-  await fetchDeviceStatus();
+  // Fetch device status on load (owner only; shared views don't include it)
+  if (!shareInfo) {
+    await fetchDeviceStatus();
+  }
 
   // Try to fetch latest location first to get initial coordinates
   const latest = await fetchLatestLocation();
@@ -872,14 +1443,16 @@ async function init() {
     initMap(26.1594, 81.7976);
   }
 
-  // Fetch history to draw path
-  await fetchHistory();
+  // Fetch simplified track to draw path
+  await fetchTrack();
 
   // Start polling for location updates
   setInterval(fetchLatestLocation, POLL_INTERVAL);
   
   // Start polling for security status (every 12 seconds)
-  setInterval(fetchDeviceStatus, STATUS_POLL_INTERVAL);
+  if (!shareInfo) {
+    setInterval(fetchDeviceStatus, STATUS_POLL_INTERVAL);
+  }
   
   // Update refresh indicator every second
   setInterval(updateRefreshIndicator, 1000);